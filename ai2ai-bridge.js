@@ -3,7 +3,8 @@
  * AI2AI Bridge — CLI interface for agents to interact with their AI2AI server
  * 
  * This is the tool that OpenClaw agents call to send/receive AI2AI messages.
- * Each agent has its own skill directory with its own state.
+ * Each agent keeps its own state (keys, contacts, pending approvals) in its
+ * skill directory, used as the data directory of its context.
  * 
  * Usage:
  *   node ai2ai-bridge.js --agent darren --action pending
@@ -15,10 +16,16 @@
  *   node ai2ai-bridge.js --agent darren --action reject --id <approval-id> --reply "No thanks"
  *   node ai2ai-bridge.js --agent darren --action schedule --to alex-assistant --subject "Dinner" --times "2026-02-10T19:00:00Z,2026-02-11T19:00:00Z"
  *   node ai2ai-bridge.js --agent darren --action info --to alex-assistant --question "What time is the meeting?"
+ *   node ai2ai-bridge.js --agent darren --action policy --envelope message.json [--at 2026-02-10T10:00:00Z]
  */
 
-const path = require('path');
-const fs = require('fs');
+const { createContext } = require('./src/ai2ai-context');
+const { createTrust } = require('./src/ai2ai-trust');
+const { createConversations } = require('./src/ai2ai-conversations');
+const { createQueue } = require('./src/ai2ai-queue');
+const { createClient } = require('./src/ai2ai-client');
+const { createIntegration } = require('./src/openclaw-integration');
+const { createPolicy, formatDecision } = require('./src/ai2ai-policy');
 
 // Parse CLI args
 const args = {};
@@ -55,33 +62,28 @@ const AGENT_CONFIG = {
 const agentKey = args.agent?.toLowerCase();
 if (!agentKey || !AGENT_DIRS[agentKey]) {
   console.error('Usage: node ai2ai-bridge.js --agent <darren|alex> --action <action> [options]');
-  console.error('\nActions: pending, send, ping, status, contacts, approve, reject, schedule, info, health');
+  console.error('\nActions: pending, send, ping, status, contacts, approve, reject, schedule, info, policy, health');
   process.exit(1);
 }
 
 const skillDir = AGENT_DIRS[agentKey];
 const config = AGENT_CONFIG[agentKey];
 
-// Set environment for the skill modules
-process.env.AI2AI_PORT = String(config.port);
-process.env.AI2AI_AGENT_NAME = config.agentName;
-process.env.AI2AI_HUMAN_NAME = config.humanName;
-process.env.AI2AI_TIMEZONE = config.timezone;
-
-// Change working directory to skill dir so __dirname-based paths work
-// Actually, since modules use __dirname, we need to require from the right place
-const modulePath = (mod) => path.join(skillDir, mod);
-
-// Dynamic requires from the agent's skill directory
-function req(mod) {
-  return require(modulePath(mod));
-}
+// Each agent's state lives in its skill directory; the modules themselves
+// are shared, so both agents can be driven from one checkout
+const context = createContext({ dataDir: skillDir, timezone: config.timezone });
+const agentConfig = { agentName: config.agentName, humanName: config.humanName, timezone: config.timezone };
+const trust = createTrust(context);
+const conversations = createConversations(context);
+const queue = createQueue(context);
+const client = createClient(context, agentConfig);
+const integration = createIntegration(context, agentConfig);
 
 async function main() {
   const action = args.action?.toLowerCase();
   
   if (!action) {
-    console.error('Missing --action. Options: pending, send, ping, status, contacts, approve, reject, schedule, info, health');
+    console.error('Missing --action. Options: pending, send, ping, status, contacts, approve, reject, schedule, info, policy, health');
     process.exit(1);
   }
 
@@ -99,7 +101,6 @@ async function main() {
     }
 
     case 'pending': {
-      const conversations = req('ai2ai-conversations');
       const pending = conversations.listPendingApprovals().filter(p => !p.resolved);
       
       if (pending.length === 0) {
@@ -130,14 +131,12 @@ async function main() {
         process.exit(1);
       }
 
-      const trust = req('ai2ai-trust');
       const contact = trust.getContact(to);
       if (!contact?.endpoint) {
         console.error(`❌ No endpoint known for ${to}. Use ping first.`);
         process.exit(1);
       }
 
-      const client = req('ai2ai-client');
       const result = await client.relayMessage(contact.endpoint, {
         message,
         urgency: args.urgency || 'low',
@@ -155,13 +154,11 @@ async function main() {
       const endpoint = args.endpoint;
       if (!endpoint) {
         // Try to ping all known contacts
-        const trust = req('ai2ai-trust');
         const contacts = trust.listContacts();
         for (const [id, contact] of Object.entries(contacts)) {
           if (contact.endpoint && !contact.blocked) {
             console.log(`Pinging ${id} at ${contact.endpoint}...`);
             try {
-              const client = req('ai2ai-client');
               const result = await client.ping(contact.endpoint);
               console.log(`  ✅ ${id}: ${result.status} (${result.payload?.capabilities?.length || 0} capabilities)`);
             } catch (err) {
@@ -172,7 +169,6 @@ async function main() {
         break;
       }
 
-      const client = req('ai2ai-client');
       const result = await client.ping(endpoint);
       console.log(`✅ Ping successful`);
       console.log(JSON.stringify(result, null, 2));
@@ -180,9 +176,6 @@ async function main() {
     }
 
     case 'status': {
-      const trust = req('ai2ai-trust');
-      const conversations = req('ai2ai-conversations');
-      const queue = req('ai2ai-queue');
 
       const contacts = trust.listContacts();
       const pending = conversations.listPendingApprovals().filter(p => !p.resolved);
@@ -207,7 +200,6 @@ async function main() {
     }
 
     case 'contacts': {
-      const trust = req('ai2ai-trust');
       const contacts = trust.listContacts();
       const entries = Object.entries(contacts);
 
@@ -235,7 +227,6 @@ async function main() {
         process.exit(1);
       }
 
-      const integration = req('openclaw-integration');
       const result = await integration.handleHumanReply(id, reply);
       console.log(result.message);
       break;
@@ -249,7 +240,6 @@ async function main() {
         process.exit(1);
       }
 
-      const integration = req('openclaw-integration');
       const result = await integration.handleHumanReply(id, 'decline');
       console.log(result.message);
       break;
@@ -263,7 +253,6 @@ async function main() {
         process.exit(1);
       }
 
-      const trust = req('ai2ai-trust');
       const contact = trust.getContact(to);
       if (!contact?.endpoint) {
         console.error(`❌ No endpoint for ${to}`);
@@ -274,7 +263,6 @@ async function main() {
         ? args.times.split(',').map(t => t.trim())
         : generateDefaultTimes();
 
-      const client = req('ai2ai-client');
       const result = await client.requestMeeting(contact.endpoint, {
         subject,
         proposedTimes: times,
@@ -298,14 +286,12 @@ async function main() {
         process.exit(1);
       }
 
-      const trust = req('ai2ai-trust');
       const contact = trust.getContact(to);
       if (!contact?.endpoint) {
         console.error(`❌ No endpoint for ${to}`);
         process.exit(1);
       }
 
-      const client = req('ai2ai-client');
       const result = await client.requestInfo(contact.endpoint, {
         question,
         context: args.context || null,
@@ -317,9 +303,22 @@ async function main() {
       break;
     }
 
+    case 'policy': {
+      // Dry run: which approval rule would fire for this envelope
+      if (!args.envelope || args.envelope === true) {
+        console.error('Usage: --action policy --envelope <envelope.json> [--at ISO-time]');
+        process.exit(1);
+      }
+      const envelope = JSON.parse(require('fs').readFileSync(args.envelope, 'utf-8'));
+      const decision = createPolicy(context, { timezone: config.timezone }).evaluate(envelope, { at: args.at });
+      console.log(`🧭 ${envelope.intent || envelope.type} from ${envelope.from?.agent || 'unknown'}:`);
+      console.log(formatDecision(decision));
+      break;
+    }
+
     default:
       console.error(`Unknown action: ${action}`);
-      console.error('Options: pending, send, ping, status, contacts, approve, reject, schedule, info, health');
+      console.error('Options: pending, send, ping, status, contacts, approve, reject, schedule, info, policy, health');
       process.exit(1);
   }
 }
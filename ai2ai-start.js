@@ -2,8 +2,8 @@
 /**
  * AI2AI Multi-Agent Startup
  * 
- * Starts AI2AI servers for both Darren and Alex, each with its own
- * identity, keys, contacts, and data directories.
+ * Starts AI2AI servers for both Darren and Alex in this process, each with
+ * its own context: identity, keys, contacts, and data directory.
  * 
  * Darren: port 18810
  * Alex:   port 18811
@@ -14,16 +14,16 @@
  *   node ai2ai-start.js alex     # Start only Alex's server
  */
 
-const { fork } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { createContext } = require('./src/ai2ai-context');
+const { createTrust } = require('./src/ai2ai-trust');
+const { startServer } = require('./src/ai2ai-server');
+const { loadOrCreateKeys } = require('./src/ai2ai-crypto');
+const { loadOrCreateX25519Keys } = require('./src/ai2ai-encryption');
 
-const DARREN_SKILL = path.join(__dirname, '..', 'skills', 'ai2ai');
-const ALEX_SKILL = path.join(__dirname, '..', '..', '.openclaw', 'workspace-alex', 'skills', 'ai2ai');
-
-// Resolve to absolute paths
-const DARREN_DIR = path.resolve(DARREN_SKILL);
-const ALEX_DIR = path.resolve(ALEX_SKILL);
+const DARREN_DIR = path.resolve(__dirname, '..', 'skills', 'ai2ai');
+const ALEX_DIR = path.resolve(__dirname, '..', '..', '.openclaw', 'workspace-alex', 'skills', 'ai2ai');
 
 // Fallback: use workspace paths directly
 const darrenSkill = fs.existsSync(DARREN_DIR) ? DARREN_DIR 
@@ -36,23 +36,17 @@ const agents = {
     name: 'Darren',
     port: 18810,
     skillDir: darrenSkill,
-    env: {
-      AI2AI_PORT: '18810',
-      AI2AI_AGENT_NAME: 'darren-assistant',
-      AI2AI_HUMAN_NAME: 'Darren',
-      AI2AI_TIMEZONE: 'Europe/London',
-    },
+    agentName: 'darren-assistant',
+    humanName: 'Darren',
+    timezone: 'Europe/London',
   },
   alex: {
     name: 'Alex',
     port: 18811,
     skillDir: alexSkill,
-    env: {
-      AI2AI_PORT: '18811',
-      AI2AI_AGENT_NAME: 'alex-assistant',
-      AI2AI_HUMAN_NAME: 'Alex',
-      AI2AI_TIMEZONE: 'America/New_York',
-    },
+    agentName: 'alex-assistant',
+    humanName: 'Alex',
+    timezone: 'America/New_York',
   },
 };
 
@@ -60,7 +54,7 @@ const agents = {
 const arg = process.argv[2]?.toLowerCase();
 const toStart = arg ? [arg] : ['darren', 'alex'];
 
-const children = [];
+const running = [];
 
 for (const agentKey of toStart) {
   const agent = agents[agentKey];
@@ -69,50 +63,29 @@ for (const agentKey of toStart) {
     process.exit(1);
   }
 
-  // Ensure required directories exist
-  for (const subdir of ['.keys', 'pending', 'conversations', 'logs', 'outbox']) {
-    const dir = path.join(agent.skillDir, subdir);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-  }
-
   console.log(`🚀 Starting ${agent.name}'s AI2AI server on port ${agent.port}...`);
-  console.log(`   Skill dir: ${agent.skillDir}`);
-
-  const child = fork(
-    path.join(agent.skillDir, 'ai2ai-server.js'),
-    [],
-    {
-      cwd: agent.skillDir,
-      env: { ...process.env, ...agent.env },
-      stdio: ['pipe', 'pipe', 'pipe', 'ipc'],
-    }
-  );
-
-  child.stdout.on('data', (data) => {
-    const lines = data.toString().trim().split('\n');
-    for (const line of lines) {
-      console.log(`[${agent.name}] ${line}`);
-    }
-  });
-
-  child.stderr.on('data', (data) => {
-    const lines = data.toString().trim().split('\n');
-    for (const line of lines) {
-      console.error(`[${agent.name} ERR] ${line}`);
-    }
-  });
-
-  child.on('exit', (code) => {
-    console.log(`[${agent.name}] Server exited with code ${code}`);
+  console.log(`   Data dir: ${agent.skillDir}`);
+
+  agent.context = createContext({ dataDir: agent.skillDir, timezone: agent.timezone });
+  agent.trust = createTrust(agent.context);
+  const server = startServer(agent.port, {
+    context: agent.context,
+    agentName: agent.agentName,
+    humanName: agent.humanName,
+    timezone: agent.timezone,
   });
+  server.on('close', () => console.log(`[${agent.name}] Server stopped`));
 
-  children.push({ agent, child });
+  running.push({ agent, server });
 }
 
-// Setup contacts after a brief delay (so keys are generated)
-setTimeout(() => {
-  setupContacts();
-}, 1000);
+setupContacts();
+
+const CAPABILITIES = [
+  'schedule.meeting', 'schedule.call', 'schedule.group',
+  'message.relay', 'info.request', 'info.share',
+  'social.introduction', 'commerce.request', 'commerce.offer',
+];
 
 /**
  * Pre-configure contacts so both agents know each other
@@ -120,130 +93,59 @@ setTimeout(() => {
 function setupContacts() {
   console.log('\n📇 Setting up mutual contacts...');
 
-  for (const agentKey of toStart) {
-    const agent = agents[agentKey];
-    const contactsPath = path.join(agent.skillDir, 'contacts.json');
-    
-    let contacts = {};
-    if (fs.existsSync(contactsPath)) {
-      try { contacts = JSON.parse(fs.readFileSync(contactsPath, 'utf-8')); } 
-      catch { contacts = {}; }
-    }
-
-    if (agentKey === 'darren') {
-      // Darren knows Alex
-      contacts['alex-assistant'] = {
-        ...contacts['alex-assistant'],
-        humanName: 'Alex',
-        endpoint: 'http://localhost:18811/ai2ai',
-        trustLevel: contacts['alex-assistant']?.trustLevel || 'known',
-        capabilities: [
-          'schedule.meeting', 'schedule.call', 'schedule.group',
-          'message.relay', 'info.request', 'info.share',
-          'social.introduction', 'commerce.request', 'commerce.offer',
-        ],
-        lastSeen: new Date().toISOString(),
-      };
-    } else if (agentKey === 'alex') {
-      // Alex knows Darren
-      contacts['darren-assistant'] = {
-        ...contacts['darren-assistant'],
-        humanName: 'Darren',
-        endpoint: 'http://localhost:18810/ai2ai',
-        trustLevel: contacts['darren-assistant']?.trustLevel || 'known',
-        capabilities: [
-          'schedule.meeting', 'schedule.call', 'schedule.group',
-          'message.relay', 'info.request', 'info.share',
-          'social.introduction', 'commerce.request', 'commerce.offer',
-        ],
-        lastSeen: new Date().toISOString(),
-      };
-    }
-
-    fs.writeFileSync(contactsPath, JSON.stringify(contacts, null, 2));
+  for (const { agent } of running) {
+    const peer = agent === agents.darren ? agents.alex : agents.darren;
+    const existing = agent.trust.getContact(peer.agentName);
+    agent.trust.upsertContact(peer.agentName, {
+      humanName: peer.name,
+      endpoint: `http://localhost:${peer.port}/ai2ai`,
+      trustLevel: existing?.trustLevel || 'known',
+      capabilities: CAPABILITIES,
+      lastSeen: new Date().toISOString(),
+    });
     console.log(`   ✅ ${agent.name}'s contacts updated`);
   }
 
   // Exchange public keys if both are running
-  if (toStart.includes('darren') && toStart.includes('alex')) {
+  if (running.length === 2) {
     exchangeKeys();
   }
 
   console.log('\n✅ AI2AI servers ready!\n');
   console.log('Endpoints:');
-  for (const agentKey of toStart) {
-    const agent = agents[agentKey];
+  for (const { agent } of running) {
     console.log(`  ${agent.name}: http://localhost:${agent.port}/ai2ai`);
   }
   console.log('\nPress Ctrl+C to stop all servers.\n');
 }
 
 /**
- * Exchange public keys between agents by reading from their .keys/ dirs
+ * Give each agent the other's Ed25519 and X25519 public keys
  */
 function exchangeKeys() {
   try {
-    // Read Darren's public keys
-    const darrenPubPath = path.join(darrenSkill, '.keys', 'agent.pub');
-    const darrenX25519Path = path.join(darrenSkill, '.keys', 'x25519.pub.der');
-    
-    // Read Alex's public keys  
-    const alexPubPath = path.join(alexSkill, '.keys', 'agent.pub');
-    const alexX25519Path = path.join(alexSkill, '.keys', 'x25519.pub.der');
-
-    // Wait a bit for keys to be generated
-    const maxWait = 5000;
-    const start = Date.now();
-    while (Date.now() - start < maxWait) {
-      if (fs.existsSync(darrenPubPath) && fs.existsSync(alexPubPath)) break;
-      // Busy wait (short)
-      const end = Date.now() + 100;
-      while (Date.now() < end) { /* wait */ }
-    }
-
-    if (fs.existsSync(darrenPubPath) && fs.existsSync(alexPubPath)) {
-      const darrenPub = fs.readFileSync(darrenPubPath, 'utf-8');
-      const alexPub = fs.readFileSync(alexPubPath, 'utf-8');
-      
-      // Update Alex's contacts with Darren's public key
-      const alexContactsPath = path.join(alexSkill, 'contacts.json');
-      const alexContacts = JSON.parse(fs.readFileSync(alexContactsPath, 'utf-8'));
-      alexContacts['darren-assistant'].publicKey = darrenPub;
-      if (fs.existsSync(darrenX25519Path)) {
-        alexContacts['darren-assistant'].x25519PublicKey = fs.readFileSync(darrenX25519Path).toString('base64');
-      }
-      fs.writeFileSync(alexContactsPath, JSON.stringify(alexContacts, null, 2));
-
-      // Update Darren's contacts with Alex's public key
-      const darrenContactsPath = path.join(darrenSkill, 'contacts.json');
-      const darrenContacts = JSON.parse(fs.readFileSync(darrenContactsPath, 'utf-8'));
-      darrenContacts['alex-assistant'].publicKey = alexPub;
-      if (fs.existsSync(alexX25519Path)) {
-        darrenContacts['alex-assistant'].x25519PublicKey = fs.readFileSync(alexX25519Path).toString('base64');
-      }
-      fs.writeFileSync(darrenContactsPath, JSON.stringify(darrenContacts, null, 2));
-
-      console.log('   🔑 Public keys exchanged between agents');
-    } else {
-      console.log('   ⚠️  Could not exchange keys (keys not yet generated)');
-      console.log('   Run a ping between agents to exchange keys manually.');
+    for (const { agent } of running) {
+      const peer = agent === agents.darren ? agents.alex : agents.darren;
+      agent.trust.upsertContact(peer.agentName, {
+        publicKey: loadOrCreateKeys(peer.context).publicKey,
+        x25519PublicKey: loadOrCreateX25519Keys(peer.context).publicKeyDer,
+      });
     }
+    console.log('   🔑 Public keys exchanged between agents');
   } catch (err) {
     console.log(`   ⚠️  Key exchange error: ${err.message}`);
   }
 }
 
-// Graceful shutdown
-process.on('SIGINT', () => {
+function shutdown() {
   console.log('\n🛑 Shutting down AI2AI servers...');
-  for (const { agent, child } of children) {
+  for (const { agent, server } of running) {
     console.log(`   Stopping ${agent.name}'s server...`);
-    child.kill('SIGTERM');
+    server.close();
   }
   setTimeout(() => process.exit(0), 1000);
-});
+}
 
-process.on('SIGTERM', () => {
-  for (const { child } of children) child.kill('SIGTERM');
-  setTimeout(() => process.exit(0), 1000);
-});
+// Graceful shutdown
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -12,6 +12,8 @@
  *   ai2ai approve <id> [reply]    Approve a pending message
  *   ai2ai reject <id>             Reject a pending message
  *   ai2ai contacts                List known contacts
+ *   ai2ai conversations           Search conversation history
+ *   ai2ai history <contact>       Show conversations with a contact
  *   ai2ai status                  Show server & agent status
  */
 
@@ -29,6 +31,8 @@ Usage:
   ai2ai approve <id> [reply]       Approve a pending message
   ai2ai reject <id>                Reject a pending message
   ai2ai contacts                   List known contacts
+  ai2ai conversations [filters]    Search conversation history
+  ai2ai history <contact>          Show conversations with a contact
   ai2ai status                     Show server & agent status
 
 Examples:
@@ -38,6 +42,12 @@ Examples:
   ai2ai send alex "dinner next Thursday?"
   ai2ai pending
   ai2ai approve 1 "Thursday works for me"
+  ai2ai conversations --state confirmed --since 2025-02-01
+  ai2ai history alex --search dinner
+
+Filters:
+  --with <contact>  --intent <intent|namespace.*>  --state <state>
+  --since <date>  --until <date>  --search <text>  --page <n>  --limit <n>
 
 Options:
   --help, -h     Show this help message
@@ -68,6 +78,8 @@ const commands = {
   approve:  () => require('../lib/approve').run(args.slice(1)),
   reject:   () => require('../lib/approve').runReject(args.slice(1)),
   contacts: () => require('../lib/contacts').run(),
+  conversations: () => require('../lib/history').run(args.slice(1)),
+  history:  () => require('../lib/history').runHistory(args.slice(1)),
   status:   () => require('../lib/status').run(),
 };
 
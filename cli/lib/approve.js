@@ -8,6 +8,7 @@
 const { requireConfig, findContact } = require('./config');
 const { createEnvelope, sendRequest } = require('./protocol');
 const { getPendingByNumber, removePending } = require('./pending');
+const { saveToConversation } = require('./history');
 
 /**
  * Send a response back to the originating agent
@@ -35,7 +36,9 @@ async function sendResponse(envelope, type, payload) {
     payload,
   });
 
-  return sendRequest(contact.endpoint, response);
+  const result = await sendRequest(contact.endpoint, response);
+  saveToConversation(response.conversation, response);
+  return result;
 }
 
 async function run(args) {
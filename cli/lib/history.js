@@ -0,0 +1,310 @@
+/**
+ * ai2ai conversations / history — Search and read conversation history
+ * Conversations are the message logs in ~/.ai2ai/conversations/<id>.jsonl,
+ * with state worked out from the message types (or taken from a
+ * <id>.meta.json written alongside, when there is one).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { CONVERSATIONS_DIR, ensureDirs, loadConfig, loadContacts, findContact } = require('./config');
+const { loadKeys, verifyMessage } = require('./crypto');
+
+// The state a conversation is in after a message of each type
+const STATE_AFTER = {
+  request: 'proposed',
+  response: 'negotiating',
+  confirm: 'confirmed',
+  reject: 'rejected',
+};
+
+const STATE_EMOJI = {
+  proposed: '🆕',
+  negotiating: '💬',
+  confirmed: '✅',
+  rejected: '❌',
+  expired: '⌛',
+};
+
+/**
+ * Save a message to its conversation's history
+ */
+function saveToConversation(conversationId, message) {
+  ensureDirs();
+  const convPath = path.join(CONVERSATIONS_DIR, `${conversationId}.jsonl`);
+  fs.appendFileSync(convPath, JSON.stringify(message) + '\n');
+}
+
+/**
+ * Read a conversation's messages, oldest first (pings left out)
+ */
+function loadMessages(conversationId) {
+  const convPath = path.join(CONVERSATIONS_DIR, `${conversationId}.jsonl`);
+  if (!fs.existsSync(convPath)) return [];
+
+  const messages = [];
+  for (const line of fs.readFileSync(convPath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const message = JSON.parse(line);
+      if (message.type !== 'ping') messages.push(message);
+    } catch {
+      // Skip corrupted lines
+    }
+  }
+  return messages.sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+}
+
+function loadMeta(conversationId) {
+  const metaPath = path.join(CONVERSATIONS_DIR, `${conversationId}.meta.json`);
+  if (!fs.existsSync(metaPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A conversation's people, intent, state and state transitions
+ * @param {string} self - Our agent name, to tell the other side apart
+ */
+function summarize(id, messages, self) {
+  const others = new Map();
+  for (const m of messages) {
+    for (const party of [m.from, ...[].concat(m.to || [])]) {
+      if (party?.agent && party.agent !== self) others.set(party.agent, party.human || others.get(party.agent) || null);
+    }
+  }
+
+  // Each message type that moves the conversation on is a transition
+  const transitions = [];
+  let state = null;
+  for (const m of messages) {
+    const next = STATE_AFTER[m.type];
+    if (!next || next === state || (state && ['confirmed', 'rejected'].includes(state))) continue;
+    if (state) transitions.push({ from: state, to: next, at: m.timestamp, message: m.id });
+    state = next;
+  }
+
+  const meta = loadMeta(id);
+  const first = messages[0];
+  return {
+    id,
+    intent: meta?.intent || first?.intent || null,
+    state: meta?.state || state || 'proposed',
+    transitions: meta?.transitions || transitions,
+    contacts: [...others].map(([agent, human]) => ({ agent, human })),
+    startedAt: meta?.createdAt || first?.timestamp || null,
+    updatedAt: messages.length ? messages[messages.length - 1].timestamp : meta?.updatedAt || null,
+    messages,
+  };
+}
+
+/**
+ * Every conversation on disk, summarized
+ */
+function loadConversations() {
+  ensureDirs();
+  const self = loadConfig()?.agentName;
+  return fs.readdirSync(CONVERSATIONS_DIR)
+    .filter(f => f.endsWith('.jsonl'))
+    .map(f => f.replace(/\.jsonl$/, ''))
+    .map(id => summarize(id, loadMessages(id), self))
+    .filter(c => c.messages.length > 0);
+}
+
+/**
+ * Search conversation history, most recently active first
+ * (the same query as queryConversations() in src/ai2ai-conversations.js, which
+ * the published CLI can't require; change both together — src/test.js checks
+ * they agree)
+ * @param {object} [query] - { contact, intent, state, since, until, text, limit, offset };
+ *   intent 'schedule.*' matches a namespace, text searches message payloads
+ * @returns {{ total: number, offset: number, limit: number, conversations: object[] }}
+ * @throws {Error} If since or until is not a date
+ */
+function queryConversations({ contact, intent, state, since, until, text, limit = 20, offset = 0 } = {}) {
+  const oneOf = (value, wanted) => [].concat(wanted).some(w => (w.endsWith('.*') ? value?.startsWith(w.slice(0, -1)) : value === w));
+  const who = contact?.toLowerCase();
+  const needle = text?.toLowerCase();
+  const time = (value, name) => {
+    const t = new Date(value).getTime();
+    if (Number.isNaN(t)) throw new Error(`Invalid date for ${name}: ${value}`);
+    return t;
+  };
+  const from = since != null ? time(since, 'since') : null;
+  const to = until != null ? time(until, 'until') : null;
+
+  const found = [];
+  for (const conv of loadConversations()) {
+    if (intent && !oneOf(conv.intent, intent)) continue;
+    if (state && !oneOf(conv.state, state)) continue;
+    if (from != null && new Date(conv.updatedAt).getTime() < from) continue;
+    if (to != null && new Date(conv.startedAt).getTime() > to) continue;
+    if (who && !conv.contacts.some(c => c.agent.toLowerCase() === who || c.human?.toLowerCase() === who)) continue;
+
+    let matches = [];
+    if (needle) {
+      matches = conv.messages.filter(m => JSON.stringify(m.payload ?? '').toLowerCase().includes(needle)).map(m => m.id);
+      if (matches.length === 0) continue;
+    }
+    found.push({ ...conv, matches });
+  }
+
+  found.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  return { total: found.length, offset, limit, conversations: found.slice(offset, offset + limit) };
+}
+
+/**
+ * Check a stored message's signature against our key or the sender's
+ * @returns {'verified'|'invalid'|'unsigned'|'no key'}
+ */
+function signatureStatus(envelope, self, contacts, keys) {
+  if (!envelope.signature) return 'unsigned';
+  const publicKey = envelope.from?.agent === self ? keys?.publicKey : contacts[envelope.from?.agent]?.publicKey;
+  if (!publicKey) return 'no key';
+  const previous = envelope.from?.agent === self ? [] : (contacts[envelope.from?.agent]?.previousKeys || []);
+  return [publicKey, ...previous.map(k => k.publicKey)].some(key => verifyMessage(envelope, envelope.signature, key))
+    ? 'verified'
+    : 'invalid';
+}
+
+/**
+ * One line of text for a message
+ */
+function preview(payload) {
+  if (!payload) return '';
+  if (payload.encrypted) return '(encrypted)';
+  const text = payload.message || payload.subject || payload.question || payload.answer
+    || payload.counter_proposal || payload.reason
+    || (payload.accepted_time && `Accepted ${new Date(payload.accepted_time).toLocaleString()}`)
+    || JSON.stringify(payload);
+  const flat = String(text).replace(/\s+/g, ' ');
+  return flat.length > 60 ? `${flat.slice(0, 57)}...` : flat;
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '(no time)';
+}
+
+function describeContacts(conv) {
+  return conv.contacts.map(c => (c.human ? `${c.human} (${c.agent})` : c.agent)).join(', ') || '(nobody)';
+}
+
+/**
+ * Parse --with, --intent, --state, --since, --until, --search, --page and --limit
+ */
+function parseFilters(args) {
+  const flag = (name) => { const i = args.indexOf(name); return i >= 0 ? args[i + 1] : undefined; };
+  const limit = parseInt(flag('--limit')) || 20;
+  const page = Math.max(parseInt(flag('--page')) || 1, 1);
+  return {
+    contact: flag('--with'),
+    intent: flag('--intent'),
+    state: flag('--state'),
+    since: flag('--since'),
+    until: flag('--until'),
+    text: flag('--search'),
+    limit,
+    offset: (page - 1) * limit,
+    page,
+  };
+}
+
+function pageLine(result, page) {
+  const pages = Math.max(Math.ceil(result.total / result.limit), 1);
+  return `Page ${page} of ${pages}${page < pages ? ` — next: --page ${page + 1}` : ''}`;
+}
+
+/**
+ * ai2ai conversations [--with <contact>] [--intent X] [--state S] [--since DATE] [--until DATE] [--search TEXT] [--page N]
+ */
+async function run(args = []) {
+  const { page, ...query } = parseFilters(args);
+  if (query.contact) query.contact = findContact(query.contact)?.id || query.contact;
+  const result = queryConversations(query);
+
+  if (result.total === 0) {
+    console.log('\n  📭 No conversations found.\n');
+    return;
+  }
+
+  console.log(`\n  💬 Conversations (${result.total})\n`);
+  console.log('  ─'.repeat(25));
+
+  result.conversations.forEach((conv, i) => {
+    const emoji = STATE_EMOJI[conv.state] || '•';
+    console.log(`\n  ${result.offset + i + 1}. ${conv.intent || 'unknown'} with ${describeContacts(conv)}`);
+    console.log(`     ${emoji} ${conv.state}   ${conv.messages.length} message${conv.messages.length === 1 ? '' : 's'}   last ${formatTime(conv.updatedAt)}`);
+    if (conv.matches.length) console.log(`     🔎 ${conv.matches.length} matching message${conv.matches.length === 1 ? '' : 's'}`);
+    console.log(`     ID: ${conv.id.slice(0, 8)}...`);
+  });
+
+  console.log(`\n${'  ─'.repeat(25)}`);
+  console.log(`\n  ${pageLine(result, page)}`);
+  console.log('  Run `ai2ai history <contact>` to read the messages.\n');
+}
+
+/**
+ * ai2ai history <contact> [filters] — The threads with one contact, message by message
+ */
+async function runHistory(args = []) {
+  if (!args[0] || args[0].startsWith('--')) {
+    console.error('\n  ❌ Usage: ai2ai history <contact> [--intent X] [--state S] [--since DATE] [--until DATE] [--search TEXT] [--page N]\n');
+    process.exit(1);
+  }
+
+  const contact = findContact(args[0]);
+  const agentId = contact?.id || args[0];
+  const { page, ...query } = parseFilters(args.slice(1));
+  const result = queryConversations({ ...query, contact: agentId });
+
+  if (result.total === 0) {
+    console.log(`\n  📭 No conversations with ${contact?.humanName || agentId}.\n`);
+    return;
+  }
+
+  const self = loadConfig()?.agentName;
+  const contacts = loadContacts();
+  const keys = loadKeys();
+  const sigMark = { verified: '✓ signed', invalid: '✗ BAD SIGNATURE', unsigned: '– unsigned', 'no key': '? no key' };
+
+  console.log(`\n  📜 History with ${contact?.humanName ? `${contact.humanName} (${agentId})` : agentId} — ${result.total} conversation${result.total === 1 ? '' : 's'}`);
+
+  for (const conv of result.conversations) {
+    const emoji = STATE_EMOJI[conv.state] || '•';
+    console.log(`\n  ── ${conv.intent || 'unknown'} · ${conv.id.slice(0, 8)} · ${emoji} ${conv.state} ──`);
+
+    for (const m of conv.messages) {
+      const outgoing = m.from?.agent === self;
+      const arrow = outgoing ? '→' : '←';
+      const hit = conv.matches.includes(m.id) ? ' 🔎' : '';
+      console.log(`  ${arrow} ${formatTime(m.timestamp)}  ${(m.type || '?').padEnd(8)} ${m.intent || ''}  ${sigMark[signatureStatus(m, self, contacts, keys)]}${hit}`);
+      const text = preview(m.payload);
+      if (text) console.log(`      ${text}`);
+      for (const t of conv.transitions.filter(t => t.message === m.id)) {
+        console.log(`      ↳ ${t.from} → ${t.to}`);
+      }
+    }
+    // Transitions recorded in .meta.json aren't tied to a message
+    for (const t of conv.transitions.filter(t => !t.message)) {
+      console.log(`  ↳ ${formatTime(t.at)}  ${t.from} → ${t.to}`);
+    }
+  }
+
+  console.log(`\n  ${pageLine(result, page)}\n`);
+}
+
+module.exports = {
+  run,
+  runHistory,
+  saveToConversation,
+  loadMessages,
+  loadConversations,
+  summarize,
+  queryConversations,
+  signatureStatus,
+};
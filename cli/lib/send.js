@@ -8,6 +8,7 @@
 const crypto = require('crypto');
 const { requireConfig, findContact } = require('./config');
 const { createEnvelope, sendRequest } = require('./protocol');
+const { saveToConversation } = require('./history');
 
 /**
  * Detect if a message looks like a scheduling request
@@ -107,6 +108,7 @@ async function run(args) {
     });
 
     const response = await sendRequest(contact.endpoint, envelope);
+    saveToConversation(envelope.conversation, envelope);
 
     if (response.status === 'pending_approval') {
       console.log(`\n  ✅ Message delivered! Awaiting approval from ${contact.humanName || contact.id}.`);
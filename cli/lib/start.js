@@ -9,8 +9,9 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { requireConfig, loadContacts, saveContacts, PENDING_DIR, CONVERSATIONS_DIR } = require('./config');
-const { loadOrCreateKeys, getFingerprint, signMessage, verifyMessage } = require('./crypto');
+const { requireConfig, loadContacts, saveContacts, PENDING_DIR } = require('./config');
+const { saveToConversation } = require('./history');
+const { loadOrCreateKeys, getFingerprint, signMessage, verifyMessage, verifyKeyRotation } = require('./crypto');
 
 // Rate limiting
 const rateLimiter = new Map();
@@ -35,14 +36,6 @@ function savePending(id, data) {
   fs.writeFileSync(pendingPath, JSON.stringify(data, null, 2));
 }
 
-/**
- * Save to conversation history
- */
-function saveToConversation(conversationId, message) {
-  const convPath = path.join(CONVERSATIONS_DIR, `${conversationId}.jsonl`);
-  fs.appendFileSync(convPath, JSON.stringify(message) + '\n');
-}
-
 /**
  * Format incoming message for human display
  */
@@ -98,6 +91,38 @@ function formatForHuman(envelope) {
   return `📨 ${intent || 'Message'} from ${from}:\n   ${JSON.stringify(envelope.payload, null, 2)}`;
 }
 
+// How long a contact's retired key still verifies after a key_rotation
+const KEY_GRACE_PERIOD = 7 * 24 * 60 * 60 * 1000;
+// Accept pre-sigVersion signatures while peers migrate
+const ALLOW_LEGACY_SIGNATURES = process.env.AI2AI_LEGACY_SIGNATURES !== 'false';
+
+/**
+ * Handle a key_rotation announcement: both keys must have signed it, and
+ * the previous key must be the one on file
+ */
+function handleKeyRotation(envelope) {
+  const fromAgent = envelope.from?.agent;
+  const contacts = loadContacts();
+  const contact = contacts[fromAgent];
+  const payload = envelope.payload;
+
+  if ((contact?.publicKey && contact.publicKey !== payload?.previousPublicKey) || !verifyKeyRotation(fromAgent, payload)) {
+    console.log(`  ⚠️  Rejected key rotation from ${fromAgent}`);
+    return { status: 'rejected', reason: 'invalid_key_rotation' };
+  }
+
+  const previousKeys = [...(contact?.previousKeys || []), { publicKey: payload.previousPublicKey, retiredAt: new Date().toISOString() }];
+  contacts[fromAgent] = {
+    ...contact,
+    publicKey: payload.newPublicKey,
+    previousKeys: previousKeys.slice(-3),
+    lastSeen: new Date().toISOString(),
+  };
+  saveContacts(contacts);
+  console.log(`  🔑 Key rotated for ${fromAgent}`);
+  return { status: 'ok', type: 'key_rotation' };
+}
+
 /**
  * Handle a ping (handshake)
  */
@@ -153,7 +178,10 @@ function processMessage(envelope, config) {
   const contacts = loadContacts();
   const contact = contacts[fromAgent];
   if (contact?.publicKey && envelope.signature) {
-    const valid = verifyMessage(envelope, envelope.signature, contact.publicKey);
+    const cutoff = Date.now() - KEY_GRACE_PERIOD;
+    const sigOpts = { allowLegacy: ALLOW_LEGACY_SIGNATURES };
+    const valid = verifyMessage(envelope, envelope.signature, contact.publicKey, sigOpts)
+      || (contact.previousKeys || []).some(k => new Date(k.retiredAt).getTime() > cutoff && verifyMessage(envelope, envelope.signature, k.publicKey, sigOpts));
     if (!valid) {
       console.log(`  ⚠️  Invalid signature from ${fromAgent}`);
       return { status: 'rejected', reason: 'invalid_signature' };
@@ -161,6 +189,10 @@ function processMessage(envelope, config) {
     console.log(`  ✅ Signature verified for ${fromAgent}`);
   }
 
+  if (envelope.intent === 'key_rotation') {
+    return handleKeyRotation(envelope);
+  }
+
   // Save to conversation
   saveToConversation(envelope.conversation, envelope);
 
@@ -2,7 +2,7 @@
 /**
  * Demo: Delegation Chain
  * Agent A asks Agent B to do a task. B delegates part to Agent C.
- * C responds to B, B combines and responds to A.
+ * C replies to B, B combines and replies to A.
  */
 const { createAgent, log, cleanup, assert } = require('./demo-helpers');
 
@@ -23,58 +23,44 @@ const { createAgent, log, cleanup, assert } = require('./demo-helpers');
   agentC.addContact('coordinator', { endpoint: 'http://localhost:19031/ai2ai' });
 
   // Worker (C) handles delegated sub-tasks
-  agentC.on('request', async (intent, payload, from) => {
+  agentC.on('request', async (intent, payload, from, envelope) => {
     if (intent === 'task.subtask') {
       log('Worker', `Received subtask: "${payload.subtask}"`);
       const result = { subtask: payload.subtask, result: 'Sensor readings: temp=22.5°C, humidity=45%, pressure=1013hPa', status: 'complete' };
-      log('Worker', 'Subtask complete, sending result to coordinator');
-      await agentC.request('coordinator', 'task.subtask-result', result);
+      log('Worker', 'Subtask complete, replying to coordinator');
+      await agentC.reply(envelope, 'response', result);
     }
   });
 
   // Coordinator (B) handles tasks, delegates what it can't do
-  agentB.on('request', async (intent, payload, from) => {
+  agentB.on('request', async (intent, payload, from, envelope) => {
     if (intent === 'task.execute') {
       log('Coordinator', `Received task: "${payload.task}" from ${from.agent}`);
       log('Coordinator', 'I can do data analysis but need sensor data — delegating to worker');
-      const myPart = { analysis: 'Trend analysis shows 3% increase over baseline' };
-      agentB._pendingTask = { originalTask: payload.task, myPart, from: from.agent };
-      await agentB.request('worker', 'task.subtask', { subtask: 'Collect current sensor readings' });
-    }
-    if (intent === 'task.subtask-result') {
+      const analysis = 'Trend analysis shows 3% increase over baseline';
+      const subtask = await agentB.request('worker', 'task.subtask', { subtask: 'Collect current sensor readings' }, { awaitReply: true });
       log('Coordinator', `Got subtask result from worker`);
       const combined = {
-        task: agentB._pendingTask.originalTask,
+        task: payload.task,
         results: {
-          sensorData: payload.result,
-          analysis: agentB._pendingTask.myPart.analysis,
+          sensorData: subtask.payload.result,
+          analysis,
         },
         chain: ['worker → coordinator → manager'],
         status: 'complete',
       };
-      log('Coordinator', 'Combining results and sending to manager');
-      await agentB.request('manager', 'task.result', combined);
+      log('Coordinator', 'Combining results and replying to manager');
+      await agentB.reply(envelope, 'response', combined);
     }
   });
 
-  // Manager (A) receives final result
-  let finalResult = null;
-  const done = new Promise((resolve) => {
-    agentA.on('request', (intent, payload) => {
-      if (intent === 'task.result') {
-        log('Manager', `Received complete result for: "${payload.task}"`);
-        log('Manager', `  Sensor: ${payload.results.sensorData}`);
-        log('Manager', `  Analysis: ${payload.results.analysis}`);
-        finalResult = payload;
-        resolve();
-      }
-    });
-  });
-
+  // Manager (A) awaits the final result
   log('Manager', 'Sending task to coordinator: "Environmental monitoring report"');
-  await agentA.request('coordinator', 'task.execute', { task: 'Environmental monitoring report' });
-
-  await done;
+  const reply = await agentA.request('coordinator', 'task.execute', { task: 'Environmental monitoring report' }, { awaitReply: true });
+  const finalResult = reply.payload;
+  log('Manager', `Received complete result for: "${finalResult.task}"`);
+  log('Manager', `  Sensor: ${finalResult.results.sensorData}`);
+  log('Manager', `  Analysis: ${finalResult.results.analysis}`);
 
   assert(finalResult !== null, 'Should have received result');
   assert(finalResult.results.sensorData.includes('temp=22.5'), 'Should contain worker data');
@@ -0,0 +1,227 @@
+/**
+ * AI2AI Relay Federation
+ *
+ * Lets relays exchange messages for each other's agents:
+ * - Relay identity: an Ed25519 key pair kept in the data directory
+ * - Peering: peers.json lists trusted relays by host, URL and public key
+ * - Addresses: `agent@relay-host` routes to that relay; bare IDs unknown
+ *   locally are looked up on peers and the answer is cached
+ * - Relay-to-relay requests are signed, dated and replay-checked
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const MAX_SKEW = 5 * 60 * 1000;      // accepted clock difference between relays
+const ROUTE_TTL = 10 * 60 * 1000;    // how long a lookup answer is cached
+const NEGATIVE_TTL = 60 * 1000;      // how long "nobody has it" is cached
+
+/**
+ * Load this relay's signing identity, creating it on first start
+ * @param {string} dir - Data directory
+ * @returns {{ publicKey: string, privateKey: string }}
+ */
+function loadOrCreateIdentity(dir) {
+  const pubPath = path.join(dir, 'relay.pub');
+  const keyPath = path.join(dir, 'relay.key');
+  if (fs.existsSync(pubPath) && fs.existsSync(keyPath)) {
+    return { publicKey: fs.readFileSync(pubPath, 'utf-8'), privateKey: fs.readFileSync(keyPath, 'utf-8') };
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+  fs.writeFileSync(pubPath, publicKey, { mode: 0o644 });
+  fs.writeFileSync(keyPath, privateKey, { mode: 0o600 });
+  return { publicKey, privateKey };
+}
+
+/**
+ * Load the peering config
+ *   { "peers": [{ "host": "relay-b.example.com", "url": "https://relay-b.example.com", "publicKey": "-----BEGIN PUBLIC KEY-----..." }] }
+ * @param {string} file
+ * @returns {Map<string, { host, url, publicKey }>}
+ */
+function loadPeers(file) {
+  const peers = new Map();
+  if (!file || !fs.existsSync(file)) return peers;
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  for (const peer of config.peers || []) {
+    if (!peer.host || !peer.url || !peer.publicKey) {
+      console.error(`⚠️  Ignoring incomplete peer entry in ${file}: ${JSON.stringify(peer.host || peer)}`);
+      continue;
+    }
+    peers.set(peer.host, peer);
+  }
+  return peers;
+}
+
+/**
+ * Split `agent@relay-host` into its parts. Bare IDs have no host.
+ * @param {string} address
+ * @returns {{ agentId: string, host: string|null }}
+ */
+function parseAddress(address) {
+  const at = address.lastIndexOf('@');
+  if (at <= 0) return { agentId: address, host: null };
+  return { agentId: address.slice(0, at), host: address.slice(at + 1) };
+}
+
+// === SIGNED RELAY-TO-RELAY REQUESTS ===
+
+function federationString(method, urlPath, fromHost, toHost, date, body) {
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  return `${method}\n${urlPath}\n${fromHost}\n${toHost}\n${date}\n${bodyHash}`;
+}
+
+class Federation {
+  /**
+   * @param {object} opts
+   * @param {string} opts.host - This relay's public host name
+   * @param {{ publicKey: string, privateKey: string }} opts.identity
+   * @param {Map} opts.peers - From loadPeers()
+   * @param {number} [opts.timeout=10000]
+   */
+  constructor(opts) {
+    this.host = opts.host;
+    this.identity = opts.identity;
+    this.peers = opts.peers;
+    this.timeout = opts.timeout || 10000;
+    this.routes = new Map(); // agentId -> { host, expiresAt }
+    this.seen = new Map();   // relayId -> expiresAt (inbound replay protection)
+  }
+
+  isLocal(host) {
+    return !host || host === this.host;
+  }
+
+  /**
+   * Check a request from a peer relay
+   * @returns {{ peer?: object, error?: string }}
+   */
+  verify(req, rawBody) {
+    const fromHost = req.headers['x-ai2ai-relay-host'];
+    const date = req.headers['x-ai2ai-relay-date'];
+    const signature = req.headers['x-ai2ai-relay-signature'];
+    if (!fromHost || !date || !signature) return { error: 'relay_signature_required' };
+
+    const peer = this.peers.get(fromHost);
+    if (!peer) return { error: 'unknown_peer' };
+    if (Math.abs(Date.now() - new Date(date).getTime()) > MAX_SKEW || isNaN(new Date(date).getTime())) {
+      return { error: 'stale_request' };
+    }
+
+    const data = federationString(req.method, req.url, fromHost, this.host, date, rawBody);
+    let valid;
+    try {
+      valid = crypto.verify(null, Buffer.from(data), crypto.createPublicKey(peer.publicKey), Buffer.from(signature, 'base64'));
+    } catch {
+      valid = false;
+    }
+    return valid ? { peer } : { error: 'invalid_relay_signature' };
+  }
+
+  /**
+   * Remember a forwarded message ID; false if it was already seen
+   */
+  markSeen(relayId) {
+    const now = Date.now();
+    for (const [id, exp] of this.seen) if (exp <= now) this.seen.delete(id);
+    if (this.seen.has(relayId)) return false;
+    this.seen.set(relayId, now + 2 * MAX_SKEW);
+    return true;
+  }
+
+  /**
+   * Forward an envelope to the relay at `host`
+   * @returns {Promise<{ status: number, body: object }>}
+   */
+  forward(host, envelope) {
+    const peer = this.peers.get(host);
+    if (!peer) return Promise.resolve({ status: 404, body: { error: 'unknown_relay', host } });
+    return this._request(peer, 'POST', '/federation/relay', JSON.stringify(envelope));
+  }
+
+  /**
+   * Find which peer relay has a bare agent ID registered (cached)
+   * @param {string} agentId
+   * @returns {Promise<string|null>} Peer host
+   */
+  async lookup(agentId) {
+    const cached = this.routes.get(agentId);
+    if (cached && cached.expiresAt > Date.now()) return cached.host;
+
+    const answers = await Promise.all([...this.peers.values()].map(async (peer) => {
+      try {
+        const { status } = await this._request(peer, 'GET', `/federation/lookup/${encodeURIComponent(agentId)}`, '');
+        return status === 200 ? peer.host : null;
+      } catch {
+        return null;
+      }
+    }));
+    const host = answers.find(Boolean) || null;
+    this.routes.set(agentId, { host, expiresAt: Date.now() + (host ? ROUTE_TTL : NEGATIVE_TTL) });
+    return host;
+  }
+
+  /**
+   * Drop a cached route, e.g. after the peer no longer knows the agent
+   */
+  forget(agentId) {
+    this.routes.delete(agentId);
+  }
+
+  _request(peer, method, urlPath, body) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(urlPath, peer.url);
+      const client = url.protocol === 'https:' ? https : http;
+      const date = new Date().toISOString();
+      const signature = crypto.sign(
+        null,
+        Buffer.from(federationString(method, url.pathname + url.search, this.host, peer.host, date, body)),
+        crypto.createPrivateKey(this.identity.privateKey)
+      ).toString('base64');
+
+      const req = client.request({
+        method,
+        hostname: url.hostname,
+        port: url.port,
+        path: url.pathname + url.search,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'X-AI2AI-Version': '0.1',
+          'X-AI2AI-Relay-Host': this.host,
+          'X-AI2AI-Relay-Date': date,
+          'X-AI2AI-Relay-Signature': signature,
+        },
+        timeout: this.timeout,
+      }, (res) => {
+        let data = '';
+        res.on('data', c => data += c);
+        res.on('end', () => {
+          let parsed;
+          try { parsed = JSON.parse(data); } catch { parsed = { raw: data }; }
+          resolve({ status: res.statusCode, body: parsed });
+        });
+      });
+      req.on('error', reject);
+      req.on('timeout', () => { req.destroy(); reject(new Error('Peer relay timeout')); });
+      if (body) req.write(body);
+      req.end();
+    });
+  }
+}
+
+module.exports = {
+  Federation,
+  loadOrCreateIdentity,
+  loadPeers,
+  parseAddress,
+};
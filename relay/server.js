@@ -12,7 +12,8 @@
  * Usage: 
  *   node relay/server.js                    (default port 18800)
  *   PORT=3000 node relay/server.js          (custom port)
- *   RELAY_SECRET=mysecret node relay/server.js  (with auth)
+ *   RELAY_DATA_DIR=/var/lib/ai2ai node relay/server.js  (data location)
+ *   RELAY_HOST=relay.example.com RELAY_PEERS=peers.json node relay/server.js  (federation)
  * 
  * Deploy to any VPS, Railway, Render, Fly.io, etc.
  */
@@ -21,15 +22,48 @@
 
 const http = require('http');
 const crypto = require('crypto');
+const path = require('path');
+const { RelayStore } = require('./store');
+const { Federation, loadOrCreateIdentity, loadPeers, parseAddress } = require('./federation');
 
 const PORT = parseInt(process.env.PORT || '18800');
-const RELAY_SECRET = process.env.RELAY_SECRET || null;
+const DATA_DIR = process.env.RELAY_DATA_DIR || path.join(__dirname, 'data');
+const RELAY_HOST = process.env.RELAY_HOST || `localhost:${PORT}`;   // our name in agent@host addresses
+const PEERS_FILE = process.env.RELAY_PEERS || path.join(DATA_DIR, 'peers.json');
 
 // === STATE ===
-const agents = new Map();       // agentId -> { endpoint, publicKey, humanName, registeredAt, lastSeen }
-const mailboxes = new Map();    // agentId -> [messages waiting for pickup]
-const MAILBOX_MAX = 100;        // max messages per mailbox
+// Agents and mailboxes survive restarts; see store.js
+const store = new RelayStore(DATA_DIR, {
+  maxMessages: parseInt(process.env.MAILBOX_MAX || '100'),          // per-agent message quota
+  maxBytes: parseInt(process.env.MAILBOX_MAX_BYTES || '1048576'),   // per-agent size quota
+  leaseMs: parseInt(process.env.MAILBOX_LEASE_MS || '60000'),       // unacked messages reappear after this
+});
+const federation = new Federation({
+  host: RELAY_HOST,
+  identity: loadOrCreateIdentity(DATA_DIR),
+  peers: loadPeers(PEERS_FILE),
+});
 const AGENT_TIMEOUT = 24 * 60 * 60 * 1000; // 24h inactive = removed
+const MAX_WAIT = 60;                          // longest ?wait= a mailbox request may hold, seconds
+const STREAM_HEARTBEAT = 15000;               // SSE keepalive / lease redelivery check
+
+// Open long-polls and streams, woken when mail arrives
+const listeners = new Map(); // agentId -> Set(callback)
+
+function listen(agentId, callback) {
+  if (!listeners.has(agentId)) listeners.set(agentId, new Set());
+  listeners.get(agentId).add(callback);
+  return () => {
+    const set = listeners.get(agentId);
+    if (!set) return;
+    set.delete(callback);
+    if (set.size === 0) listeners.delete(agentId);
+  };
+}
+
+function notify(agentId) {
+  for (const callback of [...(listeners.get(agentId) || [])]) callback();
+}
 
 // === HELPERS ===
 function json(res, status, data) {
@@ -37,7 +71,7 @@ function json(res, status, data) {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-AI2AI-Version'
+    'Access-Control-Allow-Headers': 'Content-Type, X-AI2AI-Version, X-AI2AI-Challenge, X-AI2AI-Signature, X-AI2AI-New-Key-Signature'
   });
   res.end(JSON.stringify(data));
 }
@@ -50,6 +84,7 @@ function readBody(req) {
       if (body.length > 1024 * 1024) { reject(new Error('Body too large')); req.destroy(); }
     });
     req.on('end', () => {
+      req.rawBody = body; // signatures cover the exact bytes sent
       try { resolve(JSON.parse(body)); }
       catch(e) { reject(new Error('Invalid JSON')); }
     });
@@ -57,18 +92,99 @@ function readBody(req) {
   });
 }
 
-function checkAuth(req) {
-  if (!RELAY_SECRET) return true;
-  const auth = req.headers.authorization;
-  return auth === `Bearer ${RELAY_SECRET}`;
+// === AUTH ===
+// Register, mailbox pickup/ack and unregister are signed with the agent's
+// Ed25519 key over a single-use challenge from GET /challenge/:agentId:
+//
+//   X-AI2AI-Challenge: <challenge>
+//   X-AI2AI-Signature: base64(sign("<METHOD>\n<path+query>\n<challenge>\n<sha256 hex of body>"))
+//
+// The first registration pins the key. Changing it needs the signature from
+// the pinned key plus X-AI2AI-New-Key-Signature (same string) from the new one.
+//
+// Challenges are stateless — an HMAC over agentId, expiry and a nonce — so
+// fetching them can't crowd out anyone else's or grow memory. Only challenges
+// spent on a correctly signed request are remembered, until they expire.
+const CHALLENGE_TTL = 5 * 60 * 1000;
+const CHALLENGE_SECRET = crypto.randomBytes(32); // challenges don't outlive a restart
+const spentChallenges = new Map(); // challenge -> expiresAt, in expiry order
+
+function challengeMac(agentId, expiresAt, nonce) {
+  return crypto.createHmac('sha256', CHALLENGE_SECRET).update(`${agentId}\n${expiresAt}\n${nonce}`).digest('base64url');
+}
+
+function issueChallenge(agentId) {
+  const expiresAt = Date.now() + CHALLENGE_TTL;
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  return {
+    challenge: `${expiresAt}.${nonce}.${challengeMac(agentId, expiresAt, nonce)}`,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+function checkChallenge(agentId, challenge) {
+  const [expiresAt, nonce, mac] = challenge.split('.');
+  if (!nonce || !mac || !(Number(expiresAt) > Date.now()) || spentChallenges.has(challenge)) return false;
+  const expected = Buffer.from(challengeMac(agentId, expiresAt, nonce));
+  const given = Buffer.from(mac);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function spendChallenge(challenge) {
+  const now = Date.now();
+  for (const [c, expiresAt] of spentChallenges) {
+    if (expiresAt > now) break;
+    spentChallenges.delete(c);
+  }
+  spentChallenges.set(challenge, Number(challenge.split('.')[0]));
+}
+
+function signingString(req, challenge) {
+  const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+  return `${req.method}\n${req.url}\n${challenge}\n${bodyHash}`;
+}
+
+function verifySignature(publicKey, data, signature) {
+  try {
+    return crypto.verify(null, Buffer.from(data), crypto.createPublicKey(publicKey), Buffer.from(signature, 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a signed request against the agent's key
+ * @returns {string|null} Error code, or null when authenticated
+ */
+function authenticate(req, agentId, publicKey) {
+  const challenge = req.headers['x-ai2ai-challenge'];
+  const signature = req.headers['x-ai2ai-signature'];
+  if (!challenge || !signature) return 'signature_required';
+  if (!checkChallenge(agentId, challenge)) return 'invalid_challenge';
+  if (!verifySignature(publicKey, signingString(req, challenge), signature)) return 'invalid_signature';
+  spendChallenge(challenge);
+  return null;
+}
+
+function requireAgentAuth(req, res, agentId) {
+  const publicKey = store.getPin(agentId);
+  if (!store.getAgent(agentId) || !publicKey) {
+    json(res, 404, { error: `Agent ${agentId} not registered` });
+    return false;
+  }
+  const error = authenticate(req, agentId, publicKey);
+  if (error) {
+    json(res, 401, { error, agentId });
+    return false;
+  }
+  return true;
 }
 
 function cleanExpired() {
   const now = Date.now();
-  for (const [id, agent] of agents) {
+  for (const [id, agent] of store.agents) {
     if (now - new Date(agent.lastSeen).getTime() > AGENT_TIMEOUT) {
-      agents.delete(id);
-      mailboxes.delete(id);
+      store.deleteAgent(id);
       console.log(`🗑️  Expired agent: ${id}`);
     }
   }
@@ -77,6 +193,10 @@ function cleanExpired() {
 // Clean expired agents every hour
 setInterval(cleanExpired, 60 * 60 * 1000);
 
+// Last-seen times are buffered in memory; write them out on the way down
+process.on('exit', () => store.close());
+for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, () => process.exit(0));
+
 // === ROUTES ===
 const server = http.createServer(async (req, res) => {
   const url = new URL(req.url, `http://localhost:${PORT}`);
@@ -95,7 +215,10 @@ const server = http.createServer(async (req, res) => {
         status: 'online',
         type: 'ai2ai-relay',
         version: '0.1',
-        agents: agents.size,
+        host: RELAY_HOST,
+        agents: store.agents.size,
+        queued: store.totalQueued(),
+        peers: federation.peers.size,
         uptime: process.uptime()
       });
     }
@@ -103,7 +226,7 @@ const server = http.createServer(async (req, res) => {
     // --- Directory: List agents ---
     if (req.method === 'GET' && path === '/directory') {
       const list = [];
-      for (const [id, agent] of agents) {
+      for (const [id, agent] of store.agents) {
         list.push({
           agentId: id,
           humanName: agent.humanName,
@@ -115,25 +238,46 @@ const server = http.createServer(async (req, res) => {
       return json(res, 200, { agents: list, count: list.length });
     }
 
+    // --- Auth challenge ---
+    if (req.method === 'GET' && path.startsWith('/challenge/')) {
+      const agentId = path.split('/')[2];
+      if (!agentId) return json(res, 400, { error: 'agentId required' });
+      return json(res, 200, { agentId, ...issueChallenge(agentId) });
+    }
+
     // --- Register agent ---
     if (req.method === 'POST' && path === '/register') {
       const body = await readBody(req);
       const { agentId, humanName, publicKey, endpoint } = body;
 
       if (!agentId) return json(res, 400, { error: 'agentId required' });
+      if (!publicKey) return json(res, 400, { error: 'publicKey required' });
+
+      // First registration pins the key; afterwards the pinned key must sign
+      const pinned = store.getPin(agentId);
+      const authError = authenticate(req, agentId, pinned || publicKey);
+      if (authError) return json(res, 401, { error: authError, agentId });
+
+      if (pinned && pinned !== publicKey) {
+        const challenge = req.headers['x-ai2ai-challenge'];
+        const newKeySignature = req.headers['x-ai2ai-new-key-signature'];
+        if (!newKeySignature) return json(res, 401, { error: 'new_key_signature_required', agentId });
+        if (!verifySignature(publicKey, signingString(req, challenge), newKeySignature)) {
+          return json(res, 401, { error: 'invalid_new_key_signature', agentId });
+        }
+        console.log(`🔑 Key changed: ${agentId}`);
+      }
+      store.setPin(agentId, publicKey);
 
-      agents.set(agentId, {
+      const existing = store.getAgent(agentId);
+      store.setAgent(agentId, {
         endpoint: endpoint || null,
         publicKey: publicKey || null,
         humanName: humanName || agentId,
-        registeredAt: agents.has(agentId) ? agents.get(agentId).registeredAt : new Date().toISOString(),
+        registeredAt: existing ? existing.registeredAt : new Date().toISOString(),
         lastSeen: new Date().toISOString()
       });
 
-      if (!mailboxes.has(agentId)) {
-        mailboxes.set(agentId, []);
-      }
-
       console.log(`📝 Registered: ${agentId} (${humanName || 'unknown'})`);
       return json(res, 200, { 
         status: 'registered',
@@ -149,88 +293,152 @@ const server = http.createServer(async (req, res) => {
 
       if (!envelope.to?.agent) return json(res, 400, { error: 'to.agent required' });
 
-      const targetId = envelope.to.agent;
-      const target = agents.get(targetId);
-
-      if (!target) {
-        return json(res, 404, { error: `Agent ${targetId} not found on this relay` });
-      }
-
-      // Add relay metadata
+      // Add relay metadata; replyTo tells remote recipients how to reach the sender
+      const fromAgent = envelope.from?.agent;
       envelope._relay = {
         relayedAt: new Date().toISOString(),
-        relayId: crypto.randomUUID()
+        relayId: crypto.randomUUID(),
+        replyTo: fromAgent && !fromAgent.includes('@') ? `${fromAgent}@${RELAY_HOST}` : fromAgent
       };
 
-      // If target has a direct endpoint, forward immediately
-      if (target.endpoint) {
-        try {
-          const url = new URL(target.endpoint);
-          const data = JSON.stringify(envelope);
-          
-          const fwdReq = http.request({
-            hostname: url.hostname,
-            port: url.port,
-            path: url.pathname,
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Content-Length': Buffer.byteLength(data),
-              'X-AI2AI-Version': '0.1',
-              'X-AI2AI-Relay': 'true'
-            }
-          }, (fwdRes) => {
-            let chunks = '';
-            fwdRes.on('data', c => chunks += c);
-            fwdRes.on('end', () => {
-              console.log(`📬 Relayed: ${envelope.from?.agent || 'unknown'} → ${targetId} (forwarded)`);
-              json(res, 200, { status: 'forwarded', target: targetId });
-            });
-          });
-          
-          fwdReq.on('error', () => {
-            // Forward failed, put in mailbox instead
-            addToMailbox(targetId, envelope);
-            console.log(`📬 Relayed: ${envelope.from?.agent || 'unknown'} → ${targetId} (mailbox, forward failed)`);
-            json(res, 200, { status: 'queued', target: targetId, note: 'Direct forward failed, message queued' });
-          });
-          
-          fwdReq.write(data);
-          fwdReq.end();
-          return;
-        } catch(e) {
-          // Fall through to mailbox
+      // agent@other-relay goes to that relay; bare IDs we don't know are looked up on peers
+      const { agentId: targetId, host } = parseAddress(envelope.to.agent);
+      const target = federation.isLocal(host) ? store.getAgent(targetId) : null;
+
+      if (!target) {
+        const peerHost = !federation.isLocal(host) ? host : await federation.lookup(targetId);
+        if (!peerHost) {
+          return json(res, 404, { error: `Agent ${envelope.to.agent} not found on this relay` });
         }
+        return forwardToPeer(res, peerHost, targetId, envelope);
       }
 
-      // No endpoint or forward failed — store in mailbox
-      addToMailbox(targetId, envelope);
-      console.log(`📬 Relayed: ${envelope.from?.agent || 'unknown'} → ${targetId} (mailbox)`);
-      return json(res, 200, { status: 'queued', target: targetId });
+      deliverLocal(res, targetId, target, envelope);
+      return;
+    }
+
+    // --- Federation: identity (for peers.json) ---
+    if (req.method === 'GET' && path === '/federation/info') {
+      return json(res, 200, { host: RELAY_HOST, publicKey: federation.identity.publicKey });
+    }
+
+    // --- Federation: does this relay have a bare agent ID? ---
+    if (req.method === 'GET' && path.startsWith('/federation/lookup/')) {
+      const { error } = federation.verify(req, '');
+      if (error) return json(res, 401, { error });
+
+      const agentId = decodeURIComponent(path.split('/')[3]);
+      if (!store.getAgent(agentId)) return json(res, 404, { error: `Agent ${agentId} not found` });
+      return json(res, 200, { agentId, host: RELAY_HOST });
+    }
+
+    // --- Federation: message from a peer relay for one of our agents ---
+    if (req.method === 'POST' && path === '/federation/relay') {
+      const envelope = await readBody(req);
+      const { peer, error } = federation.verify(req, req.rawBody);
+      if (error) return json(res, 401, { error });
+
+      const relayId = envelope._relay?.relayId;
+      if (!relayId || !envelope.to?.agent) return json(res, 400, { error: 'relayed envelope required' });
+      if (!federation.markSeen(relayId)) return json(res, 409, { error: 'replay_detected', id: relayId });
+
+      // One hop only: a peer's message is delivered here or not at all
+      const { agentId: targetId, host } = parseAddress(envelope.to.agent);
+      const target = federation.isLocal(host) ? store.getAgent(targetId) : null;
+      if (!target) return json(res, 404, { error: `Agent ${envelope.to.agent} not found on this relay` });
+
+      envelope._relay.via = peer.host;
+      deliverLocal(res, targetId, target, envelope);
+      return;
+    }
+
+    // --- Acknowledge picked-up messages ---
+    const ackMatch = path.match(/^\/mailbox\/([^/]+)\/ack$/);
+    if (req.method === 'POST' && ackMatch) {
+      const agentId = ackMatch[1];
+      const { ids } = await readBody(req);
+      if (!requireAgentAuth(req, res, agentId)) return;
+
+      if (!Array.isArray(ids)) return json(res, 400, { error: 'ids array required' });
+
+      const acked = store.ack(agentId, ids);
+      return json(res, 200, { status: 'acked', acked, remaining: store.usage(agentId).messages });
+    }
+
+    // --- Stream messages (Server-Sent Events) ---
+    // Each message is an event whose id is its relayId. Reconnect with
+    // Last-Event-ID to resume; acks work the same as for polling.
+    const streamMatch = path.match(/^\/mailbox\/([^/]+)\/stream$/);
+    if (req.method === 'GET' && streamMatch) {
+      const agentId = streamMatch[1];
+      if (!requireAgentAuth(req, res, agentId)) return;
+
+      store.touchAgent(agentId);
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+      });
+      res.write('retry: 2000\n\n');
+
+      let resumeAfter = req.headers['last-event-id'];
+      const push = () => {
+        const { messages } = store.lease(agentId, 100, { resumeAfter });
+        resumeAfter = undefined;
+        for (const message of messages) {
+          res.write(`id: ${message._relay.relayId}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`);
+        }
+      };
+
+      const unlisten = listen(agentId, push);
+      // Heartbeat keeps proxies from closing the stream and redelivers expired leases
+      const heartbeat = setInterval(() => { res.write(': ping\n\n'); push(); }, STREAM_HEARTBEAT);
+      res.on('close', () => { clearInterval(heartbeat); unlisten(); });
+      push();
+      return;
     }
 
     // --- Pick up messages (poll mailbox) ---
+    // Messages are leased, not removed: ack them via POST /mailbox/:agentId/ack
+    // with their _relay.relayId, or they are handed out again after the lease.
+    // ?wait=N holds the request open up to N seconds until something arrives.
     if (req.method === 'GET' && path.startsWith('/mailbox/')) {
       const agentId = path.split('/')[2];
-      
-      if (!agents.has(agentId)) {
-        return json(res, 404, { error: `Agent ${agentId} not registered` });
-      }
+      if (!requireAgentAuth(req, res, agentId)) return;
 
-      // Update last seen
-      const agent = agents.get(agentId);
-      agent.lastSeen = new Date().toISOString();
+      store.touchAgent(agentId);
 
-      const messages = mailboxes.get(agentId) || [];
-      mailboxes.set(agentId, []); // Clear after pickup
-      
-      return json(res, 200, { messages, count: messages.length });
+      const limit = parseInt(url.searchParams.get('limit') || '100');
+      const wait = Math.min(Math.max(parseInt(url.searchParams.get('wait') || '0') || 0, 0), MAX_WAIT);
+      const reply = ({ messages, leaseExpiresAt }) => json(res, 200, { messages, count: messages.length, leaseExpiresAt });
+
+      const leased = store.lease(agentId, limit);
+      if (leased.messages.length || wait === 0) return reply(leased);
+
+      let done = false;
+      const finish = () => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        unlisten();
+        reply(store.lease(agentId, limit));
+      };
+      const unlisten = listen(agentId, finish);
+      const timer = setTimeout(finish, wait * 1000);
+      res.on('close', () => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        unlisten();
+      });
+      return;
     }
 
     // --- Lookup agent ---
     if (req.method === 'GET' && path.startsWith('/agent/')) {
       const agentId = path.split('/')[2];
-      const agent = agents.get(agentId);
+      const agent = store.getAgent(agentId);
       
       if (!agent) return json(res, 404, { error: `Agent ${agentId} not found` });
       
@@ -246,8 +454,11 @@ const server = http.createServer(async (req, res) => {
     // --- Unregister ---
     if (req.method === 'DELETE' && path.startsWith('/agent/')) {
       const agentId = path.split('/')[2];
-      agents.delete(agentId);
-      mailboxes.delete(agentId);
+      if (!requireAgentAuth(req, res, agentId)) return;
+
+      // Unregistering releases the name; expiry (below) keeps the pin
+      store.deleteAgent(agentId);
+      store.deletePin(agentId);
       console.log(`👋 Unregistered: ${agentId}`);
       return json(res, 200, { status: 'unregistered', agentId });
     }
@@ -273,21 +484,105 @@ server.listen(PORT, () => {
   console.log(`  📇 Directory:  http://localhost:${PORT}/directory`);
   console.log(`  📝 Register:   POST /register`);
   console.log(`  📬 Send:       POST /relay`);
-  console.log(`  📥 Pickup:     GET /mailbox/:agentId`);
+  console.log(`  📥 Pickup:     GET /mailbox/:agentId[?wait=30]`);
+  console.log(`  📡 Stream:     GET /mailbox/:agentId/stream (SSE)`);
+  console.log(`  ✅ Ack:        POST /mailbox/:agentId/ack`);
   console.log(`  🔍 Lookup:     GET /agent/:agentId`);
-  if (RELAY_SECRET) {
-    console.log(`  🔒 Auth:       Required (Bearer token)`);
-  } else {
-    console.log(`  🔓 Auth:       Open (set RELAY_SECRET to require auth)`);
-  }
+  console.log(`  🔒 Auth:       Ed25519 challenge-response (GET /challenge/:agentId)`);
+  console.log(`  🌐 Host:       ${RELAY_HOST} (${federation.peers.size} peers)`);
+  console.log(`  💾 Data:       ${DATA_DIR} (${store.agents.size} agents, ${store.totalQueued()} queued)`);
   console.log('');
   console.log('  Ready for agents! 🚀');
   console.log('');
 });
 
-function addToMailbox(agentId, message) {
-  if (!mailboxes.has(agentId)) mailboxes.set(agentId, []);
-  const box = mailboxes.get(agentId);
-  box.push(message);
-  if (box.length > MAILBOX_MAX) box.shift(); // drop oldest
+/**
+ * Hand a message to the peer relay that has the agent, passing its answer back
+ */
+async function forwardToPeer(res, peerHost, targetId, envelope) {
+  let result;
+  try {
+    result = await federation.forward(peerHost, envelope);
+  } catch (err) {
+    console.log(`⚠️  Peer ${peerHost} unreachable: ${err.message}`);
+    return json(res, 502, { error: 'peer_unreachable', host: peerHost });
+  }
+
+  if (result.status === 404) federation.forget(targetId);
+  console.log(`🌐 Federated: ${envelope.from?.agent || 'unknown'} → ${targetId}@${peerHost} (${result.status})`);
+  json(res, result.status, { ...result.body, via: peerHost });
+}
+
+/**
+ * Deliver to an agent registered here: forward to its endpoint if it has
+ * one, otherwise (or if that fails) put it in its mailbox.
+ */
+function deliverLocal(res, targetId, target, envelope) {
+  // If target has a direct endpoint, forward immediately
+  if (target.endpoint) {
+    try {
+      const url = new URL(target.endpoint);
+      const data = JSON.stringify(envelope);
+      
+      const fwdReq = http.request({
+        hostname: url.hostname,
+        port: url.port,
+        path: url.pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(data),
+          'X-AI2AI-Version': '0.1',
+          'X-AI2AI-Relay': 'true'
+        }
+      }, (fwdRes) => {
+        let chunks = '';
+        fwdRes.on('data', c => chunks += c);
+        fwdRes.on('end', () => {
+          console.log(`📬 Relayed: ${envelope.from?.agent || 'unknown'} → ${targetId} (forwarded)`);
+          json(res, 200, { status: 'forwarded', target: targetId });
+        });
+      });
+      
+      fwdReq.on('error', () => {
+        // Forward failed, put in mailbox instead
+        if (!queueOrReject(res, targetId, envelope)) return;
+        console.log(`📬 Relayed: ${envelope.from?.agent || 'unknown'} → ${targetId} (mailbox, forward failed)`);
+        json(res, 200, { status: 'queued', target: targetId, id: envelope._relay.relayId, note: 'Direct forward failed, message queued' });
+      });
+      
+      fwdReq.write(data);
+      fwdReq.end();
+      return;
+    } catch(e) {
+      // Fall through to mailbox
+    }
+  }
+
+  // No endpoint or forward failed — store in mailbox
+  if (!queueOrReject(res, targetId, envelope)) return;
+  console.log(`📬 Relayed: ${envelope.from?.agent || 'unknown'} → ${targetId} (mailbox)`);
+  json(res, 200, { status: 'queued', target: targetId, id: envelope._relay.relayId });
+}
+
+/**
+ * Store a message in the target's mailbox. When the mailbox is over quota
+ * the sender gets a 507 instead — messages are never dropped silently.
+ * @returns {boolean} true if stored
+ */
+function queueOrReject(res, agentId, envelope) {
+  const result = store.put(agentId, envelope._relay.relayId, envelope);
+  if (result.stored) {
+    notify(agentId);
+    return true;
+  }
+
+  console.log(`🚫 Mailbox full: ${agentId} (${result.quota.messages} messages, ${result.quota.bytes} bytes)`);
+  json(res, 507, {
+    error: 'mailbox_full',
+    target: agentId,
+    message: `Mailbox for ${agentId} is full; retry later`,
+    quota: result.quota
+  });
+  return false;
 }
@@ -0,0 +1,302 @@
+/**
+ * AI2AI Relay Store
+ *
+ * Disk-backed state for the relay server:
+ * - agents.json   — registered agents (rewritten atomically on change;
+ *                   last-seen times from polling are flushed on a timer)
+ * - pins.json     — agentId → pinned Ed25519 public key (trust on first use)
+ * - mailbox.jsonl — append-only log of `put` / `ack` / `drop` records,
+ *                   replayed on startup and compacted when mostly dead
+ *
+ * Mailbox pickup is lease-based: lease() hides messages from other
+ * pickups for a while, and only ack() deletes them. A client that crashes
+ * mid-processing gets the same messages again once the lease runs out.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+class RelayStore {
+  /**
+   * @param {string} dir - Data directory
+   * @param {object} [opts]
+   * @param {number} [opts.maxMessages=100] - Per-agent mailbox message quota
+   * @param {number} [opts.maxBytes=1048576] - Per-agent mailbox size quota
+   * @param {number} [opts.leaseMs=60000] - How long picked-up messages stay hidden
+   * @param {number} [opts.flushMs=60000] - How often last-seen times are written out (0 disables)
+   */
+  constructor(dir, opts = {}) {
+    this.dir = dir;
+    this.maxMessages = opts.maxMessages || 100;
+    this.maxBytes = opts.maxBytes || 1024 * 1024;
+    this.leaseMs = opts.leaseMs || 60000;
+
+    this.agentsPath = path.join(dir, 'agents.json');
+    this.pinsPath = path.join(dir, 'pins.json');
+    this.logPath = path.join(dir, 'mailbox.jsonl');
+
+    this.agents = new Map();    // agentId -> { endpoint, publicKey, humanName, registeredAt, lastSeen }
+    this.mailboxes = new Map(); // agentId -> Map(messageId -> { message, size, storedAt, leaseUntil })
+    this.pins = new Map();      // agentId -> publicKey (outlives agent expiry, so names can't be squatted)
+    this._deadRecords = 0;
+    this._agentsDirty = false;
+
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    this._load();
+
+    const flushMs = opts.flushMs ?? 60000;
+    if (flushMs > 0) {
+      this._flushTimer = setInterval(() => this.flush(), flushMs);
+      if (this._flushTimer.unref) this._flushTimer.unref();
+    }
+  }
+
+  // === AGENTS ===
+
+  getAgent(agentId) {
+    return this.agents.get(agentId) || null;
+  }
+
+  setAgent(agentId, info) {
+    this.agents.set(agentId, info);
+    this._saveAgents();
+  }
+
+  /**
+   * Record that an agent polled. Every pickup calls this, so it only
+   * updates memory; flush() writes it out.
+   */
+  touchAgent(agentId) {
+    const agent = this.agents.get(agentId);
+    if (!agent) return;
+    agent.lastSeen = new Date().toISOString();
+    this._agentsDirty = true;
+  }
+
+  /**
+   * Write out last-seen times changed since the last save
+   */
+  flush() {
+    if (this._agentsDirty) this._saveAgents();
+  }
+
+  /**
+   * Stop the flush timer and write out pending changes
+   */
+  close() {
+    clearInterval(this._flushTimer);
+    this.flush();
+  }
+
+  /**
+   * Remove an agent and everything in its mailbox
+   */
+  deleteAgent(agentId) {
+    this.agents.delete(agentId);
+    this._saveAgents();
+    if (this.mailboxes.has(agentId)) {
+      this._append({ op: 'drop', agentId });
+      this._deadRecords += this.mailboxes.get(agentId).size + 1;
+      this.mailboxes.delete(agentId);
+      this._maybeCompact();
+    }
+  }
+
+  // === KEY PINS ===
+
+  getPin(agentId) {
+    return this.pins.get(agentId) || null;
+  }
+
+  setPin(agentId, publicKey) {
+    this.pins.set(agentId, publicKey);
+    this._savePins();
+  }
+
+  deletePin(agentId) {
+    if (this.pins.delete(agentId)) this._savePins();
+  }
+
+  // === MAILBOXES ===
+
+  /**
+   * Store a message for later pickup
+   * @param {string} agentId
+   * @param {string} messageId - Relay-assigned ID, used for ack
+   * @param {object} message
+   * @returns {{ stored: boolean, reason?: string, quota?: object }}
+   */
+  put(agentId, messageId, message) {
+    const size = Buffer.byteLength(JSON.stringify(message));
+    const usage = this.usage(agentId);
+
+    if (usage.messages + 1 > this.maxMessages || usage.bytes + size > this.maxBytes) {
+      return {
+        stored: false,
+        reason: 'mailbox_full',
+        quota: { maxMessages: this.maxMessages, maxBytes: this.maxBytes, ...usage },
+      };
+    }
+
+    const storedAt = new Date().toISOString();
+    this._append({ op: 'put', agentId, id: messageId, storedAt, message });
+    this._box(agentId).set(messageId, { message, size, storedAt, leaseUntil: 0 });
+    return { stored: true };
+  }
+
+  /**
+   * Lease the oldest unleased messages. Leased messages stay in the
+   * mailbox (and count against the quota) until acknowledged.
+   * @param {string} agentId
+   * @param {number} [limit=100]
+   * @param {object} [opts]
+   * @param {string} [opts.resumeAfter] - Last message ID the client saw; later
+   *   messages are handed out again even if still leased (stream resume)
+   * @returns {{ messages: object[], leaseExpiresAt: string }}
+   */
+  lease(agentId, limit = 100, opts = {}) {
+    const now = Date.now();
+    const leaseUntil = now + this.leaseMs;
+    const messages = [];
+    const box = this._box(agentId);
+    // An ID no longer in the mailbox was acked, so everything left comes after it
+    let resuming = opts.resumeAfter !== undefined && !box.has(opts.resumeAfter);
+
+    for (const [id, entry] of box) {
+      if (messages.length >= limit) break;
+      const eligible = resuming || entry.leaseUntil <= now;
+      if (id === opts.resumeAfter) resuming = true;
+      if (!eligible) continue;
+      entry.leaseUntil = leaseUntil;
+      messages.push(entry.message);
+    }
+
+    return { messages, leaseExpiresAt: new Date(leaseUntil).toISOString() };
+  }
+
+  /**
+   * Delete acknowledged messages
+   * @param {string} agentId
+   * @param {string[]} ids
+   * @returns {number} Number of messages removed
+   */
+  ack(agentId, ids) {
+    const box = this._box(agentId);
+    let acked = 0;
+    for (const id of ids) {
+      if (!box.delete(id)) continue;
+      this._append({ op: 'ack', agentId, id });
+      this._deadRecords += 2;
+      acked++;
+    }
+    this._maybeCompact();
+    return acked;
+  }
+
+  /**
+   * @returns {{ messages: number, bytes: number }}
+   */
+  usage(agentId) {
+    const box = this.mailboxes.get(agentId);
+    let bytes = 0;
+    if (box) for (const entry of box.values()) bytes += entry.size;
+    return { messages: box ? box.size : 0, bytes };
+  }
+
+  totalQueued() {
+    let total = 0;
+    for (const box of this.mailboxes.values()) total += box.size;
+    return total;
+  }
+
+  // === PERSISTENCE ===
+
+  _box(agentId) {
+    if (!this.mailboxes.has(agentId)) this.mailboxes.set(agentId, new Map());
+    return this.mailboxes.get(agentId);
+  }
+
+  _load() {
+    if (fs.existsSync(this.agentsPath)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.agentsPath, 'utf-8'));
+        for (const [id, agent] of Object.entries(data)) this.agents.set(id, agent);
+      } catch (err) {
+        console.error(`⚠️  Could not read ${this.agentsPath}: ${err.message}`);
+      }
+    }
+
+    if (fs.existsSync(this.pinsPath)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.pinsPath, 'utf-8'));
+        for (const [id, key] of Object.entries(data)) this.pins.set(id, key);
+      } catch (err) {
+        console.error(`⚠️  Could not read ${this.pinsPath}: ${err.message}`);
+      }
+    }
+    // Agents registered before key pinning existed keep the key they registered with
+    for (const [id, agent] of this.agents) {
+      if (agent.publicKey && !this.pins.has(id)) this.pins.set(id, agent.publicKey);
+    }
+
+    if (!fs.existsSync(this.logPath)) return;
+    const lines = fs.readFileSync(this.logPath, 'utf-8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try { record = JSON.parse(line); } catch { continue; } // torn write from a crash
+
+      if (record.op === 'put') {
+        const size = Buffer.byteLength(JSON.stringify(record.message));
+        this._box(record.agentId).set(record.id, { message: record.message, size, storedAt: record.storedAt, leaseUntil: 0 });
+      } else if (record.op === 'ack') {
+        this._box(record.agentId).delete(record.id);
+        this._deadRecords += 2;
+      } else if (record.op === 'drop') {
+        this._deadRecords += this._box(record.agentId).size + 1;
+        this.mailboxes.delete(record.agentId);
+      }
+    }
+    this._maybeCompact();
+  }
+
+  _saveAgents() {
+    this._agentsDirty = false;
+    const tmp = this.agentsPath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(this.agents), null, 2));
+    fs.renameSync(tmp, this.agentsPath);
+  }
+
+  _savePins() {
+    const tmp = this.pinsPath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(this.pins), null, 2));
+    fs.renameSync(tmp, this.pinsPath);
+  }
+
+  _append(record) {
+    fs.appendFileSync(this.logPath, JSON.stringify(record) + '\n');
+  }
+
+  /**
+   * Rewrite the log with only live messages once dead records dominate
+   */
+  _maybeCompact() {
+    const live = this.totalQueued();
+    if (this._deadRecords < 1000 || this._deadRecords < live) return;
+
+    const lines = [];
+    for (const [agentId, box] of this.mailboxes) {
+      for (const [id, entry] of box) {
+        lines.push(JSON.stringify({ op: 'put', agentId, id, storedAt: entry.storedAt, message: entry.message }));
+      }
+    }
+    const tmp = this.logPath + '.tmp';
+    fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmp, this.logPath);
+    this._deadRecords = 0;
+  }
+}
+
+module.exports = { RelayStore };
@@ -0,0 +1,342 @@
+/**
+ * AI2AI Agreements — Mutually signed records of what was agreed
+ *
+ * When a meeting is confirmed or a deal accepted, the agent that receives
+ * the confirming reply drafts an agreement, signs it and sends it to the
+ * other agent as an `inform` with intent `agreement.sign`. The other agent
+ * checks the terms against its own record of the conversation, adds its
+ * signature and sends the document back. Both keep it under
+ * `agreements/<agreement_id>.json`:
+ *
+ *   { version: 1, agreement_id, conversation, intent, terms,
+ *     conversation_hash, message_count, created_at,
+ *     parties: [{ agent, human, public_key }],
+ *     signatures: { agent: base64 Ed25519 signature } }
+ *
+ * Each signature covers the canonical JSON of everything but `signatures`.
+ * terms is { type: 'meeting', subject, time, duration_minutes } or
+ * { type: 'commerce', buyer, seller, offer }. conversation_hash is the
+ * SHA-256 of the drafter's first message_count conversation messages, so an
+ * auditor holding that log can tie the agreement to it.
+ *
+ * verifyAgreement() checks a stored agreement offline; from the shell:
+ *
+ *   node ai2ai-agreement.js agreements/<id>.json [--log conversations/<id>.jsonl] [--data-dir DIR]
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { canonicalize, loadOrCreateKeys } = require('./ai2ai-crypto');
+const { createConversations, STATES } = require('./ai2ai-conversations');
+const { createTrust } = require('./ai2ai-trust');
+
+const AGREEMENT_VERSION = 1;
+const MEETING_INTENTS = ['schedule.meeting', 'schedule.call', 'schedule.group'];
+
+// ─── Documents ──────────────────────────────────────────────────────────────
+
+// The bytes every party signs
+function signingInput(agreement) {
+  const { signatures, ...body } = agreement;
+  return Buffer.from(canonicalize(body));
+}
+
+/**
+ * Hash a conversation's messages, oldest first
+ * @returns {string} 'sha256:<hex>'
+ */
+function hashConversation(messages) {
+  return `sha256:${crypto.createHash('sha256').update(canonicalize(messages)).digest('hex')}`;
+}
+
+/**
+ * What was agreed, as both sides can work it out from their own records
+ * @param {object} meta - Conversation metadata
+ * @param {object[]} messages - The conversation's messages
+ * @param {string} self - Our agent ID
+ * @returns {object|null} null when the conversation hasn't settled anything we record
+ */
+function agreedTerms(meta, messages, self) {
+  if (MEETING_INTENTS.includes(meta.intent) && meta.acceptedTime) {
+    const request = messages.find(m => m.type === 'request');
+    return {
+      type: 'meeting',
+      subject: request?.payload?.subject || null,
+      time: new Date(meta.acceptedTime).toISOString(),
+      duration_minutes: meta.durationMinutes || 60,
+    };
+  }
+  const negotiation = meta.negotiation;
+  if (negotiation?.status === 'agreed' && negotiation.agreed) {
+    const { from, at, ...offer } = negotiation.agreed;
+    const other = negotiation.counterpart?.agent || null;
+    return {
+      type: 'commerce',
+      buyer: negotiation.role === 'buyer' ? self : other,
+      seller: negotiation.role === 'buyer' ? other : self,
+      offer,
+    };
+  }
+  return null;
+}
+
+/**
+ * Add a party's signature
+ * @returns {object} The agreement, signed
+ */
+function signAgreement(agreement, agentId, privateKeyPem) {
+  const signature = crypto.sign(null, signingInput(agreement), crypto.createPrivateKey(privateKeyPem)).toString('base64');
+  return { ...agreement, signatures: { ...agreement.signatures, [agentId]: signature } };
+}
+
+function verifySignature(agreement, party) {
+  const signature = agreement.signatures?.[party.agent];
+  if (!signature) return false;
+  try {
+    return crypto.verify(null, signingInput(agreement), crypto.createPublicKey(party.public_key), Buffer.from(signature, 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check an agreement offline
+ * @param {string|object} file - Path to an agreement JSON file, or the parsed document
+ * @param {object} [opts]
+ * @param {object[]} [opts.messages] - The drafter's conversation log, to check conversation_hash
+ * @param {object} [opts.publicKeys] - { agent: PEM } the parties' keys must match
+ * @returns {{ valid: boolean, errors: string[], agreement: object|null }}
+ */
+function verifyAgreement(file, opts = {}) {
+  let agreement;
+  try {
+    agreement = typeof file === 'string' ? JSON.parse(fs.readFileSync(file, 'utf-8')) : file;
+  } catch (err) {
+    return { valid: false, errors: [`Unreadable agreement: ${err.message}`], agreement: null };
+  }
+
+  const errors = [];
+  if (agreement?.version !== AGREEMENT_VERSION) errors.push(`Unsupported version: ${agreement?.version}`);
+  for (const field of ['agreement_id', 'conversation', 'terms', 'conversation_hash', 'parties']) {
+    if (!agreement?.[field]) errors.push(`Missing ${field}`);
+  }
+  const parties = Array.isArray(agreement?.parties) ? agreement.parties : [];
+  if (parties.length < 2) errors.push('An agreement needs at least two parties');
+
+  for (const party of parties) {
+    if (!agreement.signatures?.[party.agent]) {
+      errors.push(`Not signed by ${party.agent}`);
+    } else if (!verifySignature(agreement, party)) {
+      errors.push(`Bad signature from ${party.agent}`);
+    }
+    const known = opts.publicKeys?.[party.agent];
+    if (known && known.trim() !== String(party.public_key).trim()) {
+      errors.push(`${party.agent}'s key doesn't match the one on record`);
+    }
+  }
+
+  if (opts.messages && agreement?.conversation_hash) {
+    const hash = hashConversation(opts.messages.slice(0, agreement.message_count));
+    if (hash !== agreement.conversation_hash) errors.push('conversation_hash doesn\'t match the conversation log');
+  }
+
+  return { valid: errors.length === 0, errors, agreement };
+}
+
+// ─── Handshake ──────────────────────────────────────────────────────────────
+
+/**
+ * Agreement drafting and counter-signing for one agent
+ * @param {object} ctx - From createContext()
+ * @param {object} deps
+ * @param {object} deps.client - From createClient(ctx, config), to exchange signatures
+ */
+function createAgreements(ctx, { client }) {
+  const conversations = createConversations(ctx);
+  const trust = createTrust(ctx);
+  const { storage, logger } = ctx;
+  const self = () => client.CONFIG.agentName;
+
+  const getAgreement = (agreementId) => storage.get('agreements', agreementId);
+  const saveAgreement = (agreement) => storage.set('agreements', agreement.agreement_id, agreement);
+
+  /**
+   * Agreements, optionally for one conversation
+   */
+  function listAgreements(conversationId = null) {
+    return storage.entries('agreements')
+      .map(([, agreement]) => agreement)
+      .filter(a => !conversationId || a.conversation === conversationId);
+  }
+
+  function send(contact, counterpart, agreement) {
+    const envelope = client.createEnvelope({
+      to: counterpart,
+      type: 'inform',
+      intent: 'agreement.sign',
+      conversationId: agreement.conversation,
+      payload: { agreement },
+    });
+    return client.sendMessage(contact.endpoint, envelope);
+  }
+
+  /**
+   * Draft, sign and send an agreement once a reply has confirmed the conversation
+   * @param {object} envelope - The confirming reply we received
+   * @returns {object|null} The draft, or null when there is nothing to record
+   */
+  function propose(envelope) {
+    const meta = conversations.getConversation(envelope.conversation);
+    if (meta?.state !== STATES.CONFIRMED) return null;
+    const counterpart = envelope.from;
+    if (listAgreements(meta.id).some(a => a.parties.some(p => p.agent === counterpart?.agent))) return null;
+
+    const messages = conversations.getMessages(meta.id);
+    const terms = agreedTerms(meta, messages, self());
+    if (!terms) return null;
+    const contact = trust.getContact(counterpart?.agent);
+    if (!contact?.endpoint || !contact.publicKey) {
+      logger.warn('AGREEMENT', `No endpoint or key for ${counterpart?.agent}; ${meta.id} has no signed agreement`);
+      return null;
+    }
+
+    const draft = signAgreement({
+      version: AGREEMENT_VERSION,
+      agreement_id: crypto.randomUUID(),
+      conversation: meta.id,
+      intent: meta.intent,
+      terms,
+      conversation_hash: hashConversation(messages),
+      message_count: messages.length,
+      created_at: new Date(ctx.clock()).toISOString(),
+      parties: [
+        { agent: self(), human: client.CONFIG.humanName, public_key: loadOrCreateKeys(ctx).publicKey },
+        { agent: counterpart.agent, human: counterpart.human || null, public_key: contact.publicKey },
+      ],
+      signatures: {},
+    }, self(), loadOrCreateKeys(ctx).privateKey);
+    saveAgreement(draft);
+    conversations.updateConversation(meta.id, { agreements: [...(meta.agreements || []), draft.agreement_id] });
+
+    send(contact, counterpart, draft)
+      .catch(err => logger.error('AGREEMENT', `Couldn't send agreement ${draft.agreement_id} for signing: ${err.message}`));
+    logger.info('AGREEMENT', `Drafted ${draft.agreement_id} for ${meta.id} with ${counterpart.agent}`);
+    return draft;
+  }
+
+  /**
+   * What's wrong with an agreement the other agent sent, from where we stand
+   */
+  function problemsWith(agreement, envelope) {
+    const from = envelope.from?.agent;
+    const contact = trust.getContact(from);
+    const theirs = agreement.parties?.find(p => p.agent === from);
+    const ours = agreement.parties?.find(p => p.agent === self());
+    const problems = [];
+
+    if (agreement.version !== AGREEMENT_VERSION) problems.push(`Unsupported version: ${agreement.version}`);
+    if (agreement.conversation !== envelope.conversation) problems.push('Agreement is for another conversation');
+    if (!theirs || !verifySignature(agreement, theirs)) problems.push(`Not signed by ${from}`);
+    if (theirs && contact?.publicKey?.trim() !== String(theirs.public_key).trim()) problems.push(`${from}'s key doesn't match the one on record`);
+    if (!ours || ours.public_key?.trim() !== loadOrCreateKeys(ctx).publicKey.trim()) problems.push('We are not a party with our current key');
+
+    const meta = conversations.getConversation(envelope.conversation);
+    if (meta?.state !== STATES.CONFIRMED) {
+      problems.push('The conversation is not confirmed here');
+    } else {
+      const terms = agreedTerms(meta, conversations.getMessages(meta.id), self());
+      if (!terms || canonicalize(terms) !== canonicalize(agreement.terms)) problems.push('The terms differ from ours');
+    }
+    return problems;
+  }
+
+  /**
+   * Take in an agreement.sign: counter-sign a draft, or file the fully signed copy of ours
+   * @returns {object} The server's answer to the sender
+   */
+  function receive(envelope) {
+    const agreement = envelope.payload?.agreement;
+    if (!agreement?.agreement_id) return { status: 'rejected', reason: 'invalid_agreement' };
+
+    // Our own draft coming back with their signature
+    const draft = getAgreement(agreement.agreement_id);
+    if (draft?.signatures?.[self()]) {
+      const { signatures, ...body } = draft;
+      const { signatures: _, ...returned } = agreement;
+      const check = verifyAgreement(agreement);
+      if (canonicalize(body) !== canonicalize(returned) || !check.valid) {
+        logger.warn('AGREEMENT', `Counter-signed ${agreement.agreement_id} from ${envelope.from?.agent} doesn't check out`, { errors: check.errors });
+        return { status: 'rejected', reason: 'invalid_agreement', errors: check.errors };
+      }
+      saveAgreement(agreement);
+      logger.info('AGREEMENT', `Agreement ${agreement.agreement_id} signed by both sides`);
+      return { status: 'ok', type: 'agreement', agreement_id: agreement.agreement_id };
+    }
+
+    const problems = problemsWith(agreement, envelope);
+    if (problems.length > 0) {
+      logger.warn('AGREEMENT', `Not counter-signing ${agreement.agreement_id} from ${envelope.from?.agent}`, { problems });
+      return { status: 'rejected', reason: 'agreement_mismatch', errors: problems };
+    }
+
+    const signed = signAgreement(agreement, self(), loadOrCreateKeys(ctx).privateKey);
+    saveAgreement(signed);
+    const meta = conversations.getConversation(envelope.conversation);
+    conversations.updateConversation(meta.id, { agreements: [...(meta.agreements || []), signed.agreement_id] });
+
+    send(trust.getContact(envelope.from.agent), envelope.from, signed)
+      .catch(err => logger.error('AGREEMENT', `Couldn't return agreement ${signed.agreement_id}: ${err.message}`));
+    logger.info('AGREEMENT', `Counter-signed ${signed.agreement_id} for ${meta.id}`);
+    return { status: 'ok', type: 'agreement', agreement_id: signed.agreement_id };
+  }
+
+  return {
+    getAgreement,
+    listAgreements,
+    propose,
+    receive,
+  };
+}
+
+// Offline check: node ai2ai-agreement.js agreement.json [--log conversation.jsonl] [--data-dir DIR]
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const flag = (name) => { const i = argv.indexOf(name); return i >= 0 ? argv[i + 1] : undefined; };
+  const file = argv.find((a, i) => !a.startsWith('--') && !argv[i - 1]?.startsWith('--'));
+  if (!file) {
+    console.error('Usage: node ai2ai-agreement.js <agreement.json> [--log conversation.jsonl] [--data-dir DIR]');
+    process.exit(1);
+  }
+
+  const opts = {};
+  if (flag('--log')) {
+    opts.messages = fs.readFileSync(flag('--log'), 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+  if (flag('--data-dir')) {
+    // Compare the parties' keys with this agent's contacts
+    const { createContext } = require('./ai2ai-context');
+    const ctx = createContext({ dataDir: flag('--data-dir') });
+    opts.publicKeys = Object.fromEntries(Object.entries(createTrust(ctx).listContacts())
+      .filter(([, contact]) => contact.publicKey)
+      .map(([agent, contact]) => [agent, contact.publicKey]));
+  }
+
+  const { valid, errors, agreement } = verifyAgreement(file, opts);
+  if (agreement?.terms) {
+    console.log(`Agreement ${agreement.agreement_id} (${agreement.conversation})`);
+    console.log(`  Parties: ${(agreement.parties || []).map(p => p.agent).join(', ')}`);
+    console.log(`  Terms:   ${JSON.stringify(agreement.terms)}`);
+  }
+  for (const error of errors) console.log(`  ✗ ${error}`);
+  console.log(valid ? '✓ Valid: signed by every party' : '✗ Invalid');
+  process.exit(valid ? 0 : 1);
+}
+
+module.exports = {
+  AGREEMENT_VERSION,
+  agreedTerms,
+  hashConversation,
+  signAgreement,
+  verifyAgreement,
+  createAgreements,
+};
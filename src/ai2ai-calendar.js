@@ -0,0 +1,672 @@
+/**
+ * AI2AI Calendar — Free/busy checks and meeting records
+ *
+ * A calendar provider is any object with:
+ *
+ *   listEvents(from, to) → [{ uid, start, end, summary }]  (ms timestamps,
+ *                          events overlapping [from, to), sorted by start)
+ *   saveEvent(event)     → uid (an event with the same uid is replaced)
+ *
+ * createIcsCalendar(location) keeps events in iCalendar (RFC 5545) files —
+ * one .ics file, or a directory of them where each saved meeting becomes
+ * <uid>.ics — so calendar exports can be dropped in and confirmed meetings
+ * imported anywhere. createMemoryCalendar() keeps them in memory.
+ *
+ * The context's provider is ctx.calendar: <dataDir>/calendar/ by default
+ * (in memory with the 'memory' storage). createCalendar(ctx) builds the
+ * scheduling helpers on top of it:
+ *
+ *   checkTimes(times, durationMinutes) → [{ time, index, free, past, conflicts, rank }]
+ *   findFreeSlots({ durationMinutes, count, from, to, hours, days, timezone }) → [iso]
+ *   recordMeeting(requestEnvelope, acceptedTime) → uid
+ *
+ * The ICS reader covers what free/busy needs: DTSTART with DTEND or
+ * DURATION, in UTC, TZID or floating local time, all-day dates, and skips
+ * cancelled and transparent (free) events. TZIDs that aren't IANA names
+ * (Windows names like "GMT Standard Time", vendor prefixes) are mapped where
+ * possible and otherwise read in the calendar's timezone. RRULEs are
+ * expanded for FREQ, INTERVAL, COUNT, UNTIL, BYDAY (daily and weekly) and
+ * EXDATE; rules using anything else count as busy for as long as they run.
+ * An event that can't be read is skipped on its own.
+ *
+ * Zero external dependencies — Node.js built-ins only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE = 60000;
+const DAY = 24 * 60 * MINUTE;
+// A free time this far from anything else is as good as any other
+const MAX_BUFFER = 4 * 60 * MINUTE;
+const WORKING_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri'];
+const HOURS = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/;
+const RECURRENCE_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RECURRENCE_DAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']; // Monday first, as WKST defaults
+// Longest a recurrence period can last (DST days run to 25 hours), to skip
+// ahead to the window without overshooting it
+const LONGEST_PERIOD = { DAILY: 25 * 60 * MINUTE, WEEKLY: 7 * 25 * 60 * MINUTE, MONTHLY: 32 * DAY, YEARLY: 367 * DAY };
+// Stop stepping through a recurrence after this many periods
+const MAX_PERIODS = 10000;
+
+// ─── Time Zones ─────────────────────────────────────────────────────────────
+
+// Expanding recurring events formats a lot of dates; formatters are costly to build
+const formatters = new Map();
+
+/**
+ * Wall-clock fields of a moment in a timezone
+ */
+function wallClock(ms, timeZone) {
+  const parts = {};
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  for (const { type, value } of formatters.get(timeZone).formatToParts(new Date(ms))) parts[type] = value;
+  return {
+    year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+    hour: Number(parts.hour), minute: Number(parts.minute), second: Number(parts.second),
+    weekday: parts.weekday.toLowerCase(),
+  };
+}
+
+/**
+ * The moment a wall-clock time in a timezone happens (the later one when
+ * clocks go back, the hour after the gap when they go forward)
+ */
+function zonedTime(year, month, day, hour, minute, second, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetAt = (ms) => {
+    const w = wallClock(ms, timeZone);
+    return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second) - ms;
+  };
+  const guess = asUtc - offsetAt(asUtc);
+  return asUtc - offsetAt(guess);
+}
+
+// Windows timezone names, as Outlook and Exchange write them in TZID
+const WINDOWS_ZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'FLE Standard Time': 'Europe/Kiev',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'Turkey Standard Time': 'Europe/Istanbul',
+  'Russian Standard Time': 'Europe/Moscow',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'Egypt Standard Time': 'Africa/Cairo',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'India Standard Time': 'Asia/Kolkata',
+  'SE Asia Standard Time': 'Asia/Bangkok',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Taipei Standard Time': 'Asia/Taipei',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'Korea Standard Time': 'Asia/Seoul',
+  'W. Australia Standard Time': 'Australia/Perth',
+  'Cen. Australia Standard Time': 'Australia/Adelaide',
+  'E. Australia Standard Time': 'Australia/Brisbane',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Mountain Standard Time': 'America/Denver',
+  'Central Standard Time': 'America/Chicago',
+  'Canada Central Standard Time': 'America/Regina',
+  'Eastern Standard Time': 'America/New_York',
+  'Atlantic Standard Time': 'America/Halifax',
+  'SA Pacific Standard Time': 'America/Bogota',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'Argentina Standard Time': 'America/Buenos_Aires',
+};
+
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The IANA timezone for a TZID: as given, a Windows name, or the Area/City
+ * at the end of a vendor path like /citadel.org/20190914_1/Europe/London.
+ * Anything else is read in the calendar's timezone.
+ */
+function resolveTimeZone(tzid, fallback) {
+  if (!tzid) return fallback;
+  if (isTimeZone(tzid)) return tzid;
+  if (WINDOWS_ZONES[tzid]) return WINDOWS_ZONES[tzid];
+  const tail = /([A-Za-z_]+\/[A-Za-z_+-]+(?:\/[A-Za-z_]+)?)$/.exec(tzid);
+  return tail && isTimeZone(tail[1]) ? tail[1] : fallback;
+}
+
+// ─── iCalendar Parsing ──────────────────────────────────────────────────────
+
+// Long lines continue on lines starting with a space or tab
+function unfold(text) {
+  return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+}
+
+function parseLine(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon < 0) return null;
+  const [name, ...params] = line.slice(0, colon).split(';');
+  const paramMap = {};
+  for (const p of params) {
+    const [key, value = ''] = p.split('=');
+    paramMap[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params: paramMap, value: line.slice(colon + 1) };
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([nN]|[,;\\])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+/**
+ * DATE or DATE-TIME value → ms. Floating times and dates are read in the
+ * calendar's timezone.
+ */
+function parseDateValue(value, params, timeZone) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!m) return NaN;
+  const [, y, mo, d, h = '0', mi = '0', s = '0', utc] = m;
+  if (utc) return Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+  return zonedTime(+y, +mo, +d, +h, +mi, +s, resolveTimeZone(params.TZID, timeZone));
+}
+
+/**
+ * Wall-clock fields and timezone of a DATE or DATE-TIME value, for
+ * stepping through recurrences in local time
+ */
+function localDateValue(value, params, timeZone) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!m) return null;
+  const [, y, mo, d, h = '0', mi = '0', s = '0', utc] = m;
+  return {
+    year: +y, month: +mo, day: +d, hour: +h, minute: +mi, second: +s,
+    timeZone: utc ? 'UTC' : resolveTimeZone(params.TZID, timeZone),
+  };
+}
+
+// RFC 5545 durations like PT1H30M, P1D or P2W
+function parseDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+  if (!m) return NaN;
+  const [, sign, w = 0, d = 0, h = 0, mi = 0, s = 0] = m;
+  const ms = (((+w * 7 + +d) * 24 + +h) * 60 + +mi) * MINUTE + +s * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Read the events of an iCalendar document
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {string} [opts.timeZone='UTC'] - For floating times and unknown TZIDs
+ * @param {Function} [opts.onSkip] - (uid, error) for each event that couldn't be read
+ * @returns {{ uid, start, end, summary, location, status, transparent, recurrence }[]}
+ *   recurrence is null, or what occurrences() needs to expand an RRULE
+ */
+function parseICS(text, { timeZone = 'UTC', onSkip } = {}) {
+  const events = [];
+  let current = null;
+  for (const line of unfold(text)) {
+    const parsed = parseLine(line);
+    if (!parsed) continue;
+    const { name, params, value } = parsed;
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = { exdates: [] };
+    } else if (name === 'END' && value.toUpperCase() === 'VEVENT' && current) {
+      try {
+        const event = readEvent(current, timeZone);
+        if (event) events.push(event);
+      } catch (err) {
+        if (onSkip) onSkip(current.uid || null, err);
+      }
+      current = null;
+    } else if (current) {
+      if (name === 'DTSTART') { current.startValue = value; current.startParams = params; }
+      else if (name === 'DTEND') { current.endValue = value; current.endParams = params; }
+      else if (name === 'DURATION') current.duration = value;
+      else if (name === 'UID') current.uid = value;
+      else if (name === 'SUMMARY') current.summary = unescapeText(value);
+      else if (name === 'LOCATION') current.location = unescapeText(value);
+      else if (name === 'STATUS') current.status = value.toUpperCase();
+      else if (name === 'TRANSP') current.transp = value.toUpperCase();
+      else if (name === 'RRULE') current.rrule = value;
+      else if (name === 'EXDATE') current.exdates.push(...value.split(',').map(v => ({ value: v, params })));
+    }
+  }
+  return events;
+}
+
+/**
+ * One VEVENT's collected properties → event, or null without a usable start
+ */
+function readEvent(current, timeZone) {
+  const allDay = current.startParams?.VALUE === 'DATE' || /^\d{8}$/.test(current.startValue || '');
+  const start = parseDateValue(current.startValue || '', current.startParams || {}, timeZone);
+  let end = current.endValue ? parseDateValue(current.endValue, current.endParams, timeZone) : NaN;
+  if (Number.isNaN(end)) end = start + (current.duration ? parseDuration(current.duration) : allDay ? DAY : 0);
+  if (Number.isNaN(start) || Number.isNaN(end)) return null;
+
+  return {
+    uid: current.uid || null,
+    start,
+    end,
+    summary: current.summary || null,
+    location: current.location || null,
+    status: current.status || null,
+    transparent: current.transp === 'TRANSPARENT',
+    recurrence: current.rrule ? readRecurrence(current, timeZone) : null,
+  };
+}
+
+/**
+ * RRULE and EXDATE of an event
+ */
+function readRecurrence(current, timeZone) {
+  const rule = {};
+  for (const part of current.rrule.split(';')) {
+    const [key, value = ''] = part.split('=');
+    rule[key.toUpperCase()] = value.toUpperCase();
+  }
+  if (!RECURRENCE_FREQS.includes(rule.FREQ)) throw new Error(`Unknown RRULE frequency: ${rule.FREQ || '(none)'}`);
+
+  const until = rule.UNTIL ? parseDateValue(rule.UNTIL, current.startParams || {}, timeZone) : null;
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',') : null;
+  const plainDays = !byDay || byDay.every(d => RECURRENCE_DAYS.includes(d));
+  const otherParts = Object.keys(rule).filter(k => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'].includes(k));
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(parseInt(rule.INTERVAL) || 1, 1),
+    count: rule.COUNT ? parseInt(rule.COUNT) : null,
+    until: Number.isNaN(until) ? null : until,
+    byDay: byDay && plainDays ? byDay.map(d => RECURRENCE_DAYS.indexOf(d)) : null,
+    // Rules we can't step through are treated as busy until they end
+    expandable: otherParts.length === 0 && plainDays && (!byDay || ['DAILY', 'WEEKLY'].includes(rule.FREQ)),
+    local: localDateValue(current.startValue, current.startParams || {}, timeZone),
+    exdates: current.exdates.map(x => parseDateValue(x.value, x.params, timeZone)).filter(ms => !Number.isNaN(ms)),
+  };
+}
+
+/**
+ * The instances of an event overlapping [from, to): the event itself, or
+ * its occurrences when it recurs
+ * @param {object} event - From parseICS()
+ * @returns {object[]}
+ */
+function occurrences(event, from, to) {
+  const r = event.recurrence;
+  if (!r) return [event];
+  const length = event.end - event.start;
+  const last = r.until != null ? r.until + length : Infinity;
+
+  if (!r.expandable) {
+    if (event.start >= to || last <= from) return [];
+    return [{ ...event, start: Math.max(event.start, from), end: Math.min(last, to) }];
+  }
+
+  const { year, month, day, hour, minute, second, timeZone } = r.local;
+  const startDay = Date.UTC(year, month - 1, day);
+  const weekday = (new Date(startDay).getUTCDay() + 6) % 7; // Monday = 0
+  const excluded = new Set(r.exdates);
+  const out = [];
+  let seen = 0;
+
+  // COUNT has to be counted from the first occurrence; otherwise start near the window
+  const skip = r.count == null ? Math.floor((from - length - event.start) / (LONGEST_PERIOD[r.freq] * r.interval)) - 1 : 0;
+  const first = Math.max(skip, 0);
+  for (let period = first; period < first + MAX_PERIODS; period++) {
+    // The dates (as UTC midnights) this period contributes, in order
+    let dates;
+    if (r.freq === 'DAILY') {
+      const date = startDay + period * r.interval * DAY;
+      const wd = (new Date(date).getUTCDay() + 6) % 7;
+      dates = !r.byDay || r.byDay.includes(wd) ? [date] : [];
+    } else if (r.freq === 'WEEKLY') {
+      const monday = startDay - weekday * DAY + period * r.interval * 7 * DAY;
+      dates = (r.byDay || [weekday]).slice().sort((a, b) => a - b).map(wd => monday + wd * DAY);
+    } else {
+      const months = r.freq === 'MONTHLY' ? period * r.interval : period * r.interval * 12;
+      const date = Date.UTC(year, month - 1 + months, day);
+      dates = new Date(date).getUTCDate() === day ? [date] : []; // no 31st in a 30-day month
+    }
+
+    for (const date of dates) {
+      const d = new Date(date);
+      const start = zonedTime(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), hour, minute, second, timeZone);
+      if (start < event.start) continue;
+      if ((r.until != null && start > r.until) || (r.count != null && seen >= r.count) || start >= to) return out;
+      seen++;
+      if (!excluded.has(start) && start + length > from) out.push({ ...event, start, end: start + length });
+    }
+  }
+  return out;
+}
+
+// ─── iCalendar Writing ──────────────────────────────────────────────────────
+
+function escapeText(value) {
+  return String(value).replace(/[\\;,]/g, c => `\\${c}`).replace(/\r?\n/g, '\\n');
+}
+
+function formatDateTime(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines
+function fold(line) {
+  const out = [];
+  let rest = Buffer.from(line, 'utf-8');
+  let limit = 75;
+  while (rest.length > limit) {
+    let cut = limit;
+    while (cut > 0 && (rest[cut] & 0xc0) === 0x80) cut--; // don't split a character
+    out.push(rest.subarray(0, cut).toString('utf-8'));
+    rest = rest.subarray(cut);
+    limit = 74; // after the leading space
+  }
+  out.push(rest.toString('utf-8'));
+  return out.join('\r\n ');
+}
+
+function party(role, p) {
+  const name = p.human || p.agent;
+  return `${role};CN="${String(name).replace(/"/g, "'")}":urn:ai2ai:${encodeURIComponent(p.agent)}`;
+}
+
+/**
+ * VEVENT lines for an event
+ * @param {object} event - { uid, start, end, summary, location, description, organizer, attendees }
+ * @param {number} now - DTSTAMP
+ */
+function formatEvent(event, now) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    event.summary && `SUMMARY:${escapeText(event.summary)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.organizer && party('ORGANIZER', event.organizer),
+    ...(event.attendees || []).map(a => party('ATTENDEE;ROLE=REQ-PARTICIPANT', a)),
+    'STATUS:CONFIRMED',
+    'END:VEVENT',
+  ].filter(Boolean).map(fold);
+}
+
+/**
+ * An iCalendar document holding the given events
+ */
+function formatICS(events, now = Date.now()) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AI2AI//Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    ...events.flatMap(e => formatEvent(e, now)),
+    'END:VCALENDAR',
+  ].join('\r\n') + '\r\n';
+}
+
+// ─── Providers ──────────────────────────────────────────────────────────────
+
+// Busy time only: cancelled and "show as free" events don't block anything
+const isBusy = (e) => e.status !== 'CANCELLED' && !e.transparent;
+const overlapping = (events, from, to) => events
+  .filter(e => isBusy(e) && e.start < to && from < e.end)
+  .sort((a, b) => a.start - b.start);
+
+/**
+ * Calendar backed by an .ics file or a directory of .ics files
+ * @param {string} location - A path ending in .ics is a file, anything else a directory
+ * @param {object} [opts] - { timeZone } for floating times, { clock } for DTSTAMP,
+ *   { logger } to note events and files that couldn't be read
+ */
+function createIcsCalendar(location, { timeZone = 'UTC', clock = Date.now, logger = null } = {}) {
+  const isFile = location.endsWith('.ics');
+
+  function files() {
+    if (isFile) return fs.existsSync(location) ? [location] : [];
+    if (!fs.existsSync(location)) return [];
+    return fs.readdirSync(location).filter(f => f.endsWith('.ics')).map(f => path.join(location, f));
+  }
+
+  function listEvents(from, to) {
+    const events = [];
+    for (const file of files()) {
+      let text;
+      try {
+        text = fs.readFileSync(file, 'utf-8');
+      } catch (err) {
+        logger?.warn('CALENDAR', `Could not read ${file}: ${err.message}`);
+        continue;
+      }
+      const onSkip = (uid, err) => logger?.warn('CALENDAR', `Skipped event ${uid || '(no UID)'} in ${file}: ${err.message}`);
+      for (const event of parseICS(text, { timeZone, onSkip })) events.push(...occurrences(event, from, to));
+    }
+    return overlapping(events, from, to);
+  }
+
+  function saveEvent(event) {
+    const lines = formatEvent(event, clock());
+    fs.mkdirSync(isFile ? path.dirname(location) : location, { recursive: true });
+    if (!isFile) {
+      fs.writeFileSync(path.join(location, `${encodeURIComponent(event.uid)}.ics`), formatICS([event], clock()));
+      return event.uid;
+    }
+
+    // Replace the event with the same UID, keeping everything else in the file
+    const existing = fs.existsSync(location) ? fs.readFileSync(location, 'utf-8').split(/\r?\n/) : [];
+    const kept = [];
+    let block = null;
+    for (const line of existing) {
+      if (block) {
+        block.push(line);
+        if (line === 'END:VEVENT') {
+          if (!unfold(block.join('\r\n')).includes(`UID:${event.uid}`)) kept.push(...block);
+          block = null;
+        }
+      } else if (line === 'BEGIN:VEVENT') {
+        block = [line];
+      } else if (line) {
+        kept.push(line);
+      }
+    }
+    const end = kept.lastIndexOf('END:VCALENDAR');
+    const out = end >= 0
+      ? [...kept.slice(0, end), ...lines, ...kept.slice(end)].join('\r\n') + '\r\n'
+      : formatICS([event], clock());
+    fs.writeFileSync(location, out);
+    return event.uid;
+  }
+
+  return { location, listEvents, saveEvent };
+}
+
+/**
+ * Calendar that lives in memory
+ * @param {object[]} [events] - Initial events ({ uid, start, end, summary } with ms or ISO times)
+ */
+function createMemoryCalendar(events = []) {
+  const byUid = new Map();
+  const normalize = (e) => ({ ...e, start: Date.parse(e.start) || e.start, end: Date.parse(e.end) || e.end });
+  events.forEach((e, i) => byUid.set(e.uid || `event-${i}`, normalize(e)));
+
+  return {
+    listEvents: (from, to) => overlapping([...byUid.values()], from, to),
+    saveEvent(event) {
+      byUid.set(event.uid, normalize(event));
+      return event.uid;
+    },
+  };
+}
+
+// ─── Scheduling ─────────────────────────────────────────────────────────────
+
+/**
+ * Check proposed times against busy events. Free times are ranked by how
+ * much room they leave around them (up to four hours), then by how soon
+ * they are.
+ * @param {string[]} times - ISO date-times
+ * @param {number} durationMinutes
+ * @param {object[]} busy - Events from listEvents()
+ * @param {number} now - Times before this have passed
+ * @returns {{ time, index, free, past, conflicts: string[], rank: number|null }[]} In the order given
+ */
+function rankTimes(times, durationMinutes, busy, now) {
+  const checked = times.map((time, index) => {
+    const start = Date.parse(time);
+    const end = start + durationMinutes * MINUTE;
+    const past = Number.isNaN(start) || start < now;
+    const clashes = past ? [] : busy.filter(e => e.start < end && start < e.end);
+    const gaps = busy.map(e => (e.end <= start ? start - e.end : e.start >= end ? e.start - end : 0));
+    return {
+      time,
+      index,
+      free: !past && clashes.length === 0,
+      past,
+      conflicts: clashes.map(e => e.summary || 'busy'),
+      rank: null,
+      _start: start,
+      _buffer: Math.min(MAX_BUFFER, ...gaps),
+    };
+  });
+
+  checked
+    .filter(c => c.free)
+    .sort((a, b) => b._buffer - a._buffer || a._start - b._start)
+    .forEach((c, i) => { c.rank = i + 1; });
+  return checked.map(({ _start, _buffer, ...c }) => c);
+}
+
+/**
+ * Start times within working hours that clash with nothing, spread one per
+ * day before doubling up
+ * @param {object[]} busy - Events from listEvents()
+ * @param {object} opts - { from, to (ms), durationMinutes, count, hours, days, timezone, stepMinutes }
+ * @returns {string[]} ISO date-times
+ */
+function freeSlots(busy, { from, to, durationMinutes = 60, count = 3, hours = '09:00-17:00', days = WORKING_DAYS, timezone = 'UTC', stepMinutes = 30 }) {
+  const window = HOURS.exec(hours);
+  if (!window) throw new Error(`hours must look like 09:00-17:00, got ${hours}`);
+  const open = Number(window[1]) * 60 + Number(window[2]);
+  const close = Number(window[3]) * 60 + Number(window[4]);
+  const duration = durationMinutes * MINUTE;
+  const step = stepMinutes * MINUTE;
+
+  const candidates = [];
+  for (let start = Math.ceil(from / step) * step; start + duration <= to; start += step) {
+    const local = wallClock(start, timezone);
+    const minutes = local.hour * 60 + local.minute;
+    if (!days.includes(local.weekday) || minutes < open || minutes + durationMinutes > close) continue;
+    if (busy.some(e => e.start < start + duration && start < e.end)) continue;
+    candidates.push({ start, day: `${local.year}-${local.month}-${local.day}` });
+  }
+
+  const picked = [];
+  const clashes = (c) => picked.some(p => p.start < c.start + duration && c.start < p.start + duration);
+  const usedDays = new Set();
+  for (const c of candidates) {
+    if (picked.length >= count) break;
+    if (!usedDays.has(c.day)) { picked.push(c); usedDays.add(c.day); }
+  }
+  for (const c of candidates) {
+    if (picked.length >= count) break;
+    if (!picked.includes(c) && !clashes(c)) picked.push(c);
+  }
+  return picked.sort((a, b) => a.start - b.start).map(c => new Date(c.start).toISOString());
+}
+
+/**
+ * The calendar event for a meeting agreed in a conversation. Attendees are
+ * everyone named in the request envelope.
+ * @param {object} request - The schedule.* request envelope (plain payload)
+ * @param {string} acceptedTime - ISO date-time
+ */
+function meetingEvent(request, acceptedTime) {
+  const payload = request.payload || {};
+  const start = Date.parse(acceptedTime);
+  const attendees = [];
+  for (const p of [request.from, ...[].concat(request.to || []), ...(payload.participants || [])]) {
+    if (p?.agent && p.agent !== 'unknown' && !attendees.some(a => a.agent === p.agent)) attendees.push(p);
+  }
+  const organizer = request.from || null;
+  return {
+    uid: `${request.conversation}@ai2ai`,
+    start,
+    end: start + (payload.duration_minutes || 60) * MINUTE,
+    summary: payload.subject || `Meeting with ${organizer?.human || organizer?.agent || 'unknown'}`,
+    location: payload.location_preference || null,
+    description: payload.notes || null,
+    organizer,
+    attendees,
+  };
+}
+
+// ai2ai-context builds the default provider from this module, hence the late require below
+/**
+ * Scheduling helpers for one agent, over the context's calendar
+ * @param {object} [ctx] - From createContext() (default: the shared default context)
+ * @param {object} [opts] - { timezone } for findFreeSlots() (default: the context's)
+ */
+function createCalendar(ctx = require('./ai2ai-context').getDefaultContext(), opts = {}) {
+  const provider = ctx.calendar;
+  const timezone = opts.timezone || ctx.timezone || process.env.AI2AI_TIMEZONE || 'UTC';
+
+  function checkTimes(times, durationMinutes = 60) {
+    const starts = times.map(t => Date.parse(t)).filter(t => !Number.isNaN(t));
+    const busy = starts.length
+      ? provider.listEvents(Math.min(...starts) - MAX_BUFFER, Math.max(...starts) + durationMinutes * MINUTE + MAX_BUFFER)
+      : [];
+    return rankTimes(times, durationMinutes, busy, ctx.clock());
+  }
+
+  function findFreeSlots(slotOpts = {}) {
+    const from = Math.max(ctx.clock(), Date.parse(slotOpts.from) || 0);
+    const to = Date.parse(slotOpts.to) || from + 7 * DAY;
+    return freeSlots(provider.listEvents(from, to), { timezone, ...slotOpts, from, to });
+  }
+
+  function recordMeeting(request, acceptedTime) {
+    const event = meetingEvent(request, acceptedTime);
+    provider.saveEvent(event);
+    ctx.logger.info('CALENDAR', `Saved "${event.summary}" at ${acceptedTime}`, { uid: event.uid });
+    return event.uid;
+  }
+
+  return {
+    provider,
+    checkTimes,
+    isFree: (time, durationMinutes) => checkTimes([time], durationMinutes)[0].free,
+    findFreeSlots,
+    recordMeeting,
+  };
+}
+
+module.exports = {
+  parseICS,
+  formatICS,
+  createIcsCalendar,
+  createMemoryCalendar,
+  rankTimes,
+  freeSlots,
+  meetingEvent,
+  createCalendar,
+};
@@ -1,351 +1,420 @@
 /**
  * AI2AI Client — Send outgoing messages to other agents
  * Supports encryption, queuing, multi-recipient, and logging.
+ *
+ * createClient(ctx, config) sends as one agent, using that agent's keys,
+ * contacts, outbox and logs; the module-level functions use the default
+ * context and the AI2AI_* environment.
  */
 
 const crypto = require('crypto');
 const { loadOrCreateKeys, signMessage } = require('./ai2ai-crypto');
-const { upsertContact, isBlocked, getContact } = require('./ai2ai-trust');
-const { encryptPayloadX25519, loadOrCreateX25519Keys, isEncrypted } = require('./ai2ai-encryption');
-const { queueAndSend } = require('./ai2ai-queue');
-const { createConversation, transitionState, STATES } = require('./ai2ai-conversations');
-const logger = require('./ai2ai-logger');
-
-// Default config (override via environment or config file)
-const CONFIG = {
-  agentName: process.env.AI2AI_AGENT_NAME || 'my-assistant',
-  humanName: process.env.AI2AI_HUMAN_NAME || 'Human',
-  timezone: process.env.AI2AI_TIMEZONE || 'UTC',
-  enableEncryption: process.env.AI2AI_ENCRYPTION !== 'false', // default on
-  enableQueue: process.env.AI2AI_QUEUE !== 'false', // default on
-};
+const { encryptPayloadX25519, loadOrCreateX25519Keys, signX25519Binding, isEncrypted } = require('./ai2ai-encryption');
+const { createTrust } = require('./ai2ai-trust');
+const { createQueue } = require('./ai2ai-queue');
+const { createConversations } = require('./ai2ai-conversations');
+const { createCalendar } = require('./ai2ai-calendar');
+const { groupState } = require('./ai2ai-group');
+const { newNegotiation } = require('./ai2ai-commerce');
+const { getDefaultContext } = require('./ai2ai-context');
 
 /**
- * Create a new AI2AI message envelope
- * Supports multiple recipients via `to` array.
+ * Client functions for one agent
+ * @param {object} [ctx] - From createContext() (default: the shared default context)
+ * @param {object} [config] - Overrides for { agentName, humanName, timezone, enableEncryption, enableQueue },
+ *   and the agent's `intents` (from createIntents()) to advertise in pings
  */
-function createEnvelope({ to, type, intent, payload, conversationId, requiresHumanApproval, participants }) {
-  const keys = loadOrCreateKeys();
-
-  // Normalize `to` — support single object or array
-  const toField = Array.isArray(to) ? to : to;
-
-  const envelope = {
-    ai2ai: '0.1',
-    id: crypto.randomUUID(),
-    timestamp: new Date().toISOString(),
-    from: {
-      agent: CONFIG.agentName,
-      node: `${CONFIG.agentName}-node`,
-      human: CONFIG.humanName,
-    },
-    to: toField,
-    conversation: conversationId || crypto.randomUUID(),
-    type,
-    intent: intent || null,
-    payload: payload || {},
-    requires_human_approval: requiresHumanApproval !== false,
+function createClient(ctx = getDefaultContext(), config = {}) {
+  const { upsertContact, isBlocked, getContact } = createTrust(ctx);
+  const { queueAndSend } = createQueue(ctx);
+  const { createConversation, updateConversation, appendMessage } = createConversations(ctx);
+  const logger = ctx.logger;
+
+  // Default config (override via environment or config file)
+  const CONFIG = {
+    agentName: process.env.AI2AI_AGENT_NAME || 'my-assistant',
+    humanName: process.env.AI2AI_HUMAN_NAME || 'Human',
+    timezone: ctx.timezone || process.env.AI2AI_TIMEZONE || 'UTC',
+    enableEncryption: process.env.AI2AI_ENCRYPTION !== 'false', // default on
+    enableQueue: process.env.AI2AI_QUEUE !== 'false', // default on
+    ...config,
   };
 
-  // Add participants for group conversations
-  if (participants) {
-    envelope.participants = participants;
-  }
-
-  // Sign the message
-  envelope.signature = signMessage(envelope, keys.privateKey);
-
-  return envelope;
-}
-
-/**
- * Optionally encrypt the payload field of an envelope
- * Returns the envelope (mutated with encrypted payload, or unchanged)
- */
-function maybeEncryptEnvelope(envelope) {
-  if (!CONFIG.enableEncryption) return envelope;
+  /**
+   * Create a new AI2AI message envelope
+   * Supports multiple recipients via `to` array, and `inReplyTo` (the ID of
+   * the request being answered) so the requester can match the reply.
+   */
+  function createEnvelope({ to, type, intent, payload, conversationId, requiresHumanApproval, participants, inReplyTo }) {
+    const keys = loadOrCreateKeys(ctx);
+
+    // Normalize `to` — support single object or array
+    const toField = Array.isArray(to) ? to : to;
+
+    const envelope = {
+      ai2ai: '0.1',
+      id: crypto.randomUUID(),
+      timestamp: new Date(ctx.clock()).toISOString(),
+      from: {
+        agent: CONFIG.agentName,
+        node: `${CONFIG.agentName}-node`,
+        human: CONFIG.humanName,
+      },
+      to: toField,
+      conversation: conversationId || crypto.randomUUID(),
+      type,
+      intent: intent || null,
+      payload: payload || {},
+      requires_human_approval: requiresHumanApproval !== false,
+    };
+
+    // Add participants for group conversations
+    if (participants) {
+      envelope.participants = participants;
+    }
 
-  // Get recipient's X25519 public key from contacts
-  const recipientAgent = Array.isArray(envelope.to) ? envelope.to[0]?.agent : envelope.to?.agent;
-  if (!recipientAgent) return envelope;
+    if (inReplyTo) {
+      envelope.inReplyTo = inReplyTo;
+    }
 
-  const contact = getContact(recipientAgent);
-  if (!contact?.x25519PublicKey) return envelope; // No encryption key → send signed-only
+    // Sign the message
+    envelope.signature = signMessage(envelope, keys.privateKey);
 
-  const encrypted = encryptPayloadX25519(envelope.payload, contact.x25519PublicKey);
-  if (encrypted) {
-    envelope.payload = encrypted;
-    envelope._payloadEncrypted = true;
+    return envelope;
   }
 
-  return envelope;
-}
+  /**
+   * Optionally encrypt the payload field of an envelope
+   * Returns the envelope (mutated with encrypted payload, or unchanged)
+   */
+  function maybeEncryptEnvelope(envelope) {
+    if (!CONFIG.enableEncryption) return envelope;
+
+    // Get recipient's X25519 public key from contacts
+    const recipientAgent = Array.isArray(envelope.to) ? envelope.to[0]?.agent : envelope.to?.agent;
+    if (!recipientAgent) return envelope;
+
+    const contact = getContact(recipientAgent);
+    if (!contact?.x25519PublicKey) return envelope; // No encryption key → send signed-only
+
+    const encrypted = encryptPayloadX25519(envelope.payload, contact.x25519PublicKey);
+    if (encrypted) {
+      envelope.payload = encrypted;
+      envelope._payloadEncrypted = true;
+      // Receivers verify before decrypting, so the signature must cover the ciphertext
+      envelope.signature = signMessage(envelope, loadOrCreateKeys(ctx).privateKey);
+    }
 
-/**
- * Raw send function (used by queue system too)
- */
-async function rawSend(endpoint, envelope) {
-  const response = await fetch(endpoint, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-AI2AI-Version': '0.1',
-    },
-    body: JSON.stringify(envelope),
-    signal: AbortSignal.timeout(30000),
-  });
-
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    return envelope;
   }
 
-  return response.json();
-}
-
-/**
- * Send a message to another agent's endpoint
- * With optional queuing for offline agents.
- */
-async function sendMessage(endpoint, envelope, options = {}) {
-  const recipientAgent = Array.isArray(envelope.to) ? envelope.to[0]?.agent : envelope.to?.agent;
+  /**
+   * Raw send function (used by queue system too)
+   */
+  async function rawSend(endpoint, envelope) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-AI2AI-Version': '0.1',
+      },
+      body: JSON.stringify(envelope),
+      signal: AbortSignal.timeout(30000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
 
-  // Check if agent is blocked
-  if (recipientAgent && isBlocked(recipientAgent)) {
-    throw new Error(`Agent ${recipientAgent} is blocked`);
+    return response.json();
   }
 
-  // Optionally encrypt
-  maybeEncryptEnvelope(envelope);
+  /**
+   * Send a message to another agent's endpoint
+   * With optional queuing for offline agents.
+   */
+  async function sendMessage(endpoint, envelope, options = {}) {
+    const recipientAgent = Array.isArray(envelope.to) ? envelope.to[0]?.agent : envelope.to?.agent;
 
-  // Log outgoing
-  logger.logOutgoing(envelope);
+    // Check if agent is blocked
+    if (recipientAgent && isBlocked(recipientAgent)) {
+      throw new Error(`Agent ${recipientAgent} is blocked`);
+    }
+
+    // Optionally encrypt
+    maybeEncryptEnvelope(envelope);
 
-  try {
-    const data = await rawSend(endpoint, envelope);
+    // Log outgoing
+    logger.logOutgoing(envelope);
 
-    // Update contact with last interaction
-    if (recipientAgent) {
-      upsertContact(recipientAgent, {
-        endpoint,
-        humanName: Array.isArray(envelope.to) ? envelope.to[0]?.human : envelope.to?.human,
-        lastInteraction: new Date().toISOString(),
-      });
+    try {
+      const data = await rawSend(endpoint, envelope);
+
+      // Update contact with last interaction
+      if (recipientAgent) {
+        upsertContact(recipientAgent, {
+          endpoint,
+          humanName: Array.isArray(envelope.to) ? envelope.to[0]?.human : envelope.to?.human,
+          lastInteraction: new Date(ctx.clock()).toISOString(),
+        });
+      }
+
+      return data;
+    } catch (err) {
+      // If queue is enabled, queue the message for retry
+      if (CONFIG.enableQueue && options.queue !== false) {
+        logger.warn('CLIENT', `Direct send failed, queuing: ${err.message}`, { endpoint });
+
+        const result = await queueAndSend(endpoint, envelope, rawSend, {
+          onFailure: options.onDeliveryFailure || ((entry) => {
+            logger.error('CLIENT', `All retries failed for message to ${recipientAgent}`, {
+              queueId: entry.id,
+            });
+          }),
+        });
+
+        return { status: 'queued', queueId: result.queueId, message: 'Agent offline, message queued for retry' };
+      }
+
+      throw new Error(`Failed to reach ${endpoint}: ${err.message}`);
     }
+  }
 
-    return data;
-  } catch (err) {
-    // If queue is enabled, queue the message for retry
-    if (CONFIG.enableQueue && options.queue !== false) {
-      logger.warn('CLIENT', `Direct send failed, queuing: ${err.message}`, { endpoint });
-
-      const result = await queueAndSend(endpoint, envelope, rawSend, {
-        onFailure: options.onDeliveryFailure || ((entry) => {
-          logger.error('CLIENT', `All retries failed for message to ${recipientAgent}`, {
-            queueId: entry.id,
-          });
-        }),
-      });
-
-      return { status: 'queued', queueId: result.queueId, message: 'Agent offline, message queued for retry' };
+  /**
+   * Send to multiple recipients (group conversations)
+   */
+  async function sendToMultiple(endpoints, envelope, options = {}) {
+    const results = {};
+    for (const { agent, endpoint } of endpoints) {
+      try {
+        // Create per-recipient envelope (same conversation, different `to`)
+        const recipientEnvelope = { ...envelope, to: { agent, human: agent, node: 'unknown' } };
+        recipientEnvelope.signature = signMessage(recipientEnvelope, loadOrCreateKeys(ctx).privateKey);
+        results[agent] = await sendMessage(endpoint, recipientEnvelope, options);
+      } catch (err) {
+        results[agent] = { status: 'error', error: err.message };
+      }
     }
+    return results;
+  }
 
-    throw new Error(`Failed to reach ${endpoint}: ${err.message}`);
+  /**
+   * Send a ping/handshake to discover another agent
+   */
+  async function ping(endpoint) {
+    const keys = loadOrCreateKeys(ctx);
+    const { getFingerprint } = require('./ai2ai-crypto');
+    const { supportedIntents, intentVersions } = CONFIG.intents || require('./ai2ai-handlers');
+    const x25519Keys = loadOrCreateX25519Keys(ctx);
+
+    const envelope = createEnvelope({
+      to: { agent: 'unknown', node: 'unknown', human: 'unknown' },
+      type: 'ping',
+      payload: {
+        capabilities: supportedIntents(),
+        intent_versions: intentVersions(),
+        languages: ['en'],
+        timezone: CONFIG.timezone,
+        availability_hours: '09:00-22:00',
+        model_info: 'local',
+        protocol_versions: ['0.1'],
+        public_key: keys.publicKey,
+        fingerprint: getFingerprint(keys.publicKey),
+        x25519_public_key: x25519Keys.publicKeyDer,
+        x25519_signature: signX25519Binding(CONFIG.agentName, x25519Keys.publicKeyDer, keys.privateKey),
+      },
+    });
+
+    return sendMessage(endpoint, envelope, { queue: false }); // Don't queue pings
   }
-}
 
-/**
- * Send to multiple recipients (group conversations)
- */
-async function sendToMultiple(endpoints, envelope, options = {}) {
-  const results = {};
-  for (const { agent, endpoint } of endpoints) {
-    try {
-      // Create per-recipient envelope (same conversation, different `to`)
-      const recipientEnvelope = { ...envelope, to: { agent, human: agent, node: 'unknown' } };
-      recipientEnvelope.signature = signMessage(recipientEnvelope, loadOrCreateKeys().privateKey);
-      results[agent] = await sendMessage(endpoint, recipientEnvelope, options);
-    } catch (err) {
-      results[agent] = { status: 'error', error: err.message };
+  /**
+   * Request a meeting with another agent
+   *
+   * Without proposedTimes, free slots are picked from our calendar;
+   * `slots` tunes the search ({ count, from, to, hours, days }, default
+   * three weekday slots between 09:00 and 17:00 in the next 7 days).
+   */
+  async function requestMeeting(endpoint, { subject, proposedTimes, durationMinutes, location, notes, flexibility, to, slots }) {
+    const conversationId = crypto.randomUUID();
+    if (!proposedTimes?.length) {
+      proposedTimes = createCalendar(ctx, { timezone: CONFIG.timezone })
+        .findFreeSlots({ durationMinutes: durationMinutes || 60, ...slots });
+      if (!proposedTimes.length) throw new Error('No free time to propose');
     }
+
+    const envelope = createEnvelope({
+      to: to || { agent: 'unknown' },
+      type: 'request',
+      intent: 'schedule.meeting',
+      conversationId,
+      payload: {
+        subject,
+        proposed_times: proposedTimes,
+        duration_minutes: durationMinutes || 60,
+        location_preference: location || null,
+        notes: notes || null,
+        flexibility: flexibility || 'medium',
+      },
+    });
+
+    // Track conversation; the request is kept so an accepted time can become a calendar event
+    createConversation(conversationId, {
+      intent: 'schedule.meeting',
+      initiator: envelope.from,
+      recipient: envelope.to,
+    });
+    appendMessage(conversationId, envelope);
+
+    return sendMessage(endpoint, envelope);
   }
-  return results;
-}
 
-/**
- * Send a ping/handshake to discover another agent
- */
-async function ping(endpoint) {
-  const keys = loadOrCreateKeys();
-  const { getFingerprint } = require('./ai2ai-crypto');
-  const { supportedIntents } = require('./ai2ai-handlers');
-  const x25519Keys = loadOrCreateX25519Keys();
-
-  const envelope = createEnvelope({
-    to: { agent: 'unknown', node: 'unknown', human: 'unknown' },
-    type: 'ping',
-    payload: {
-      capabilities: supportedIntents(),
-      languages: ['en'],
-      timezone: CONFIG.timezone,
-      availability_hours: '09:00-22:00',
-      model_info: 'local',
-      protocol_versions: ['0.1'],
-      public_key: keys.publicKey,
-      fingerprint: getFingerprint(keys.publicKey),
-      x25519_public_key: x25519Keys.publicKeyDer,
-    },
-  });
-
-  return sendMessage(endpoint, envelope, { queue: false }); // Don't queue pings
-}
+  /**
+   * Relay a message to another agent's human
+   */
+  async function relayMessage(endpoint, { message, urgency, replyRequested, to }) {
+    const envelope = createEnvelope({
+      to: to || { agent: 'unknown' },
+      type: 'request',
+      intent: 'message.relay',
+      payload: {
+        message,
+        urgency: urgency || 'low',
+        reply_requested: replyRequested !== false,
+      },
+    });
+
+    return sendMessage(endpoint, envelope);
+  }
 
-/**
- * Request a meeting with another agent
- */
-async function requestMeeting(endpoint, { subject, proposedTimes, durationMinutes, location, notes, flexibility, to }) {
-  const conversationId = crypto.randomUUID();
-
-  const envelope = createEnvelope({
-    to: to || { agent: 'unknown' },
-    type: 'request',
-    intent: 'schedule.meeting',
-    conversationId,
-    payload: {
-      subject,
-      proposed_times: proposedTimes,
-      duration_minutes: durationMinutes || 60,
-      location_preference: location || null,
-      notes: notes || null,
-      flexibility: flexibility || 'medium',
-    },
-  });
-
-  // Track conversation
-  createConversation(conversationId, {
-    intent: 'schedule.meeting',
-    initiator: envelope.from,
-    recipient: envelope.to,
-  });
-
-  return sendMessage(endpoint, envelope);
-}
+  /**
+   * Request information from another agent
+   */
+  async function requestInfo(endpoint, { question, context, to }) {
+    const envelope = createEnvelope({
+      to: to || { agent: 'unknown' },
+      type: 'request',
+      intent: 'info.request',
+      payload: {
+        question,
+        context: context || null,
+      },
+    });
+
+    return sendMessage(endpoint, envelope);
+  }
 
-/**
- * Relay a message to another agent's human
- */
-async function relayMessage(endpoint, { message, urgency, replyRequested, to }) {
-  const envelope = createEnvelope({
-    to: to || { agent: 'unknown' },
-    type: 'request',
-    intent: 'message.relay',
-    payload: {
-      message,
-      urgency: urgency || 'low',
-      reply_requested: replyRequested !== false,
-    },
-  });
-
-  return sendMessage(endpoint, envelope);
-}
+  /**
+   * Request a commerce quote
+   *
+   * With `bounds` ({ ceiling, opening, maxRounds, deadline }) our server
+   * counters offers above the ceiling by itself (see ai2ai-commerce.js);
+   * accepting always waits for the human.
+   */
+  async function requestQuote(endpoint, { item, description, quantity, budget, currency, notes, to, bounds }) {
+    const conversationId = crypto.randomUUID();
+
+    const envelope = createEnvelope({
+      to: to || { agent: 'unknown' },
+      type: 'request',
+      intent: 'commerce.request',
+      conversationId,
+      requiresHumanApproval: true,
+      payload: {
+        item,
+        description: description || null,
+        quantity: quantity || null,
+        budget: budget || null,
+        currency: currency || 'USD',
+        notes: notes || null,
+      },
+    });
+
+    createConversation(conversationId, {
+      intent: 'commerce.request',
+      initiator: envelope.from,
+      recipient: envelope.to,
+    });
+    updateConversation(conversationId, {
+      negotiation: newNegotiation({ role: 'buyer', counterpart: envelope.to, bounds }),
+    });
+    appendMessage(conversationId, envelope);
+
+    return sendMessage(endpoint, envelope);
+  }
 
-/**
- * Request information from another agent
- */
-async function requestInfo(endpoint, { question, context, to }) {
-  const envelope = createEnvelope({
-    to: to || { agent: 'unknown' },
-    type: 'request',
-    intent: 'info.request',
-    payload: {
-      question,
-      context: context || null,
-    },
-  });
-
-  return sendMessage(endpoint, envelope);
-}
+  /**
+   * Initiate a group scheduling conversation
+   *
+   * The replies are collected by the organiser's server (see ai2ai-group.js):
+   * `quorum` participants must share a time (default all), and at `deadline`
+   * the replies so far decide. Without proposedTimes, free slots are picked
+   * from our calendar as for requestMeeting().
+   */
+  async function requestGroupMeeting(endpoints, { subject, proposedTimes, durationMinutes, location, notes, participants, quorum, deadline, slots }) {
+    const conversationId = crypto.randomUUID();
+    if (!proposedTimes?.length) {
+      proposedTimes = createCalendar(ctx, { timezone: CONFIG.timezone })
+        .findFreeSlots({ durationMinutes: durationMinutes || 60, ...slots });
+      if (!proposedTimes.length) throw new Error('No free time to propose');
+    }
 
-/**
- * Request a commerce quote
- */
-async function requestQuote(endpoint, { item, description, quantity, budget, currency, notes, to }) {
-  const conversationId = crypto.randomUUID();
-
-  const envelope = createEnvelope({
-    to: to || { agent: 'unknown' },
-    type: 'request',
-    intent: 'commerce.request',
-    conversationId,
-    requiresHumanApproval: true,
-    payload: {
-      item,
-      description: description || null,
-      quantity: quantity || null,
-      budget: budget || null,
-      currency: currency || 'USD',
-      notes: notes || null,
-    },
-  });
-
-  createConversation(conversationId, {
-    intent: 'commerce.request',
-    initiator: envelope.from,
-    recipient: envelope.to,
-  });
-
-  return sendMessage(endpoint, envelope);
-}
+    const participantList = participants || endpoints.map(e => ({
+      agent: e.agent,
+      human: e.human || e.agent,
+    }));
 
-/**
- * Initiate a group scheduling conversation
- */
-async function requestGroupMeeting(endpoints, { subject, proposedTimes, durationMinutes, location, notes, participants }) {
-  const conversationId = crypto.randomUUID();
-
-  const participantList = participants || endpoints.map(e => ({
-    agent: e.agent,
-    human: e.human || e.agent,
-  }));
-
-  // Add self
-  participantList.unshift({ agent: CONFIG.agentName, human: CONFIG.humanName });
-
-  const envelope = createEnvelope({
-    to: participantList.slice(1), // All recipients
-    type: 'request',
-    intent: 'schedule.group',
-    conversationId,
-    participants: participantList,
-    payload: {
-      subject,
-      proposed_times: proposedTimes,
-      duration_minutes: durationMinutes || 60,
-      location_preference: location || null,
-      notes: notes || null,
+    // Add self
+    participantList.unshift({ agent: CONFIG.agentName, human: CONFIG.humanName });
+
+    const envelope = createEnvelope({
+      to: participantList.slice(1), // All recipients
+      type: 'request',
+      intent: 'schedule.group',
+      conversationId,
       participants: participantList,
-    },
-  });
+      payload: {
+        subject,
+        proposed_times: proposedTimes,
+        duration_minutes: durationMinutes || 60,
+        location_preference: location || null,
+        notes: notes || null,
+        participants: participantList,
+        round: 1,
+        deadline: deadline ? new Date(deadline).toISOString() : null,
+      },
+    });
+
+    createConversation(conversationId, {
+      intent: 'schedule.group',
+      initiator: envelope.from,
+      participants: participantList,
+    });
+    updateConversation(conversationId, {
+      group: groupState({ endpoints, proposedTimes, durationMinutes, subject, location, quorum, deadline }),
+    });
+    appendMessage(conversationId, envelope);
 
-  createConversation(conversationId, {
-    intent: 'schedule.group',
-    initiator: envelope.from,
-    participants: participantList,
-  });
+    return sendToMultiple(endpoints, envelope);
+  }
 
-  return sendToMultiple(endpoints, envelope);
+  return {
+    CONFIG,
+    createEnvelope,
+    sendMessage,
+    sendToMultiple,
+    rawSend,
+    maybeEncryptEnvelope,
+    ping,
+    requestMeeting,
+    relayMessage,
+    requestInfo,
+    requestQuote,
+    requestGroupMeeting,
+  };
 }
 
 module.exports = {
-  CONFIG,
-  createEnvelope,
-  sendMessage,
-  sendToMultiple,
-  rawSend,
-  maybeEncryptEnvelope,
-  ping,
-  requestMeeting,
-  relayMessage,
-  requestInfo,
-  requestQuote,
-  requestGroupMeeting,
+  ...createClient(),
+  createClient,
 };
@@ -0,0 +1,376 @@
+/**
+ * AI2AI Commerce — Structured offers and bounded negotiation
+ *
+ * An offer (commerce.offer payload) is:
+ *
+ *   { offer_id, items: [{ description, quantity, unit_price }], currency,
+ *     total, terms, valid_until, round, is_counter }
+ *
+ * `total` is the sum of quantity × unit_price; offers from older agents
+ * may carry only `price` or free-text `offer`.
+ *
+ * Each commerce conversation keeps a `negotiation` record in its meta:
+ *
+ *   { role: 'buyer' | 'seller', counterpart, bounds, history: [offer...],
+ *     counters, status: 'open' | 'agreed' | 'ended', agreed }
+ *
+ * bounds (set by the human): { ceiling } for a buyer or { floor } for a
+ * seller, plus optional { opening, maxRounds = 3, deadline }. With bounds
+ * in place the agent answers an out-of-bounds offer itself, conceding in
+ * equal steps from its opening price to the limit over maxRounds
+ * counter-offers. The opening price defaults to the limit mirrored
+ * around their first offer (they ask 150 against a ceiling of 100: open
+ * at 50).
+ *
+ * Everything else goes to the human as a pending approval (handler
+ * 'negotiation'): an offer within bounds, an expired offer, rounds used up,
+ * the deadline passed, or no bounds at all. Only acceptOffer() sends
+ * commerce.accept, and only a human reply calls it — commerce always
+ * requires approval.
+ */
+
+const crypto = require('crypto');
+const { createConversations, STATES } = require('./ai2ai-conversations');
+const { createTrust } = require('./ai2ai-trust');
+
+const DEFAULT_MAX_ROUNDS = 3;
+
+// ─── Offers ─────────────────────────────────────────────────────────────────
+
+// Amounts typed by people: 95, "95", "$1,200.50", "95 EUR"
+function parseAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const m = /-?\d[\d,]*(\.\d+)?/.exec(value);
+  return m ? Number(m[0].replace(/,/g, '')) : null;
+}
+
+const cents = (amount, round = Math.round) => round(amount * 100) / 100;
+
+/**
+ * Build an offer payload, computing the total from the line items
+ * @param {object} fields - { items, currency, terms, validUntil } or { total } for a single-line offer
+ */
+function createOffer({ items, total, description, currency = 'USD', terms = null, validUntil = null, round = 1, isCounter = false }) {
+  const lines = items?.length
+    ? items.map(i => ({ description: i.description || null, quantity: i.quantity ?? 1, unit_price: cents(i.unit_price) }))
+    : [{ description: description || null, quantity: 1, unit_price: cents(total) }];
+  return {
+    offer_id: crypto.randomUUID(),
+    items: lines,
+    currency,
+    total: cents(lines.reduce((sum, i) => sum + i.quantity * i.unit_price, 0)),
+    terms,
+    valid_until: validUntil ? new Date(validUntil).toISOString() : null,
+    round,
+    is_counter: isCounter,
+  };
+}
+
+/**
+ * The total of any offer payload, structured or not (null if it has no price)
+ */
+function offerTotal(payload = {}) {
+  if (Array.isArray(payload.items) && payload.items.length) {
+    return cents(payload.items.reduce((sum, i) => sum + (parseAmount(i.quantity) ?? 1) * (parseAmount(i.unit_price) ?? 0), 0));
+  }
+  return parseAmount(payload.total) ?? parseAmount(payload.price) ?? parseAmount(payload.offer);
+}
+
+/**
+ * The same offer at a different total, with the unit prices scaled
+ * together. `rounding` (Math.floor for a buyer, Math.ceil for a seller)
+ * keeps rounded cents on our side of the total.
+ */
+function repriceOffer(offer, total, { rounding = Math.round, ...fields } = {}) {
+  const current = offerTotal(offer);
+  const items = offer.items?.length && current
+    ? offer.items.map(i => ({ ...i, unit_price: cents(i.unit_price * total / current, rounding) }))
+    : null;
+  return createOffer({ items, total: cents(total, rounding), description: offer.item || offer.description, currency: offer.currency || 'USD', terms: offer.terms || null, ...fields });
+}
+
+/**
+ * Offer lines for a human
+ */
+function formatOffer(payload) {
+  const total = offerTotal(payload);
+  const currency = payload.currency || 'USD';
+  const lines = (payload.items || []).map(i =>
+    `  • ${i.quantity ?? 1} × ${i.description || 'item'} @ ${i.unit_price} ${currency}`);
+  return [
+    ...lines,
+    total != null ? `**Total:** ${total} ${currency}` : `**Offer:** ${payload.offer || 'See details'}`,
+    payload.terms ? `**Terms:** ${payload.terms}` : '',
+    payload.valid_until ? `**Valid until:** ${new Date(payload.valid_until).toLocaleString()}` : '',
+  ].filter(Boolean).join('\n');
+}
+
+// ─── Strategy ───────────────────────────────────────────────────────────────
+
+/**
+ * What to do with their offer: counter it (with the total to offer) or ask
+ * the human, and why
+ * @param {object} negotiation - The negotiation record, their offer already in history
+ * @param {object} theirs - Their offer
+ * @param {number} now
+ * @returns {{ action: 'counter', total: number } | { action: 'ask', reason: string }}
+ */
+function nextMove(negotiation, theirs, now) {
+  const { role, bounds = {}, history, counters = 0 } = negotiation;
+  const buyer = role === 'buyer';
+  const limit = buyer ? bounds.ceiling : bounds.floor;
+  const price = offerTotal(theirs);
+  const maxRounds = bounds.maxRounds ?? DEFAULT_MAX_ROUNDS;
+
+  if (price == null) return { action: 'ask', reason: 'The offer has no price.' };
+  if (theirs.valid_until && Date.parse(theirs.valid_until) < now) return { action: 'ask', reason: 'The offer has expired.' };
+  if (limit == null) return { action: 'ask', reason: 'No price limit is set, so the agent won\'t negotiate.' };
+  if (buyer ? price <= limit : price >= limit) return { action: 'ask', reason: `Within your ${buyer ? 'ceiling' : 'floor'} of ${limit}. Accepting needs your OK.` };
+  if (bounds.deadline && Date.parse(bounds.deadline) < now) return { action: 'ask', reason: 'The negotiation deadline has passed.' };
+  if (counters >= maxRounds) return { action: 'ask', reason: `All ${maxRounds} counter-offers used.` };
+
+  const firstTheirs = offerTotal(history.find(o => o.from !== 'us')) ?? price;
+  const opening = bounds.opening ?? Math.max(0, 2 * limit - firstTheirs);
+  let total = opening + (limit - opening) * (counters + 1) / maxRounds;
+
+  // Never go back on a concession we've already made
+  const ourLast = offerTotal([...history].reverse().find(o => o.from === 'us'));
+  if (ourLast != null) total = buyer ? Math.max(total, ourLast) : Math.min(total, ourLast);
+  return { action: 'counter', total: buyer ? Math.min(total, limit) : Math.max(total, limit) };
+}
+
+// ─── Negotiator ─────────────────────────────────────────────────────────────
+
+/**
+ * A fresh negotiation record (requestQuote() stores one with the buyer's bounds)
+ */
+function newNegotiation({ role, counterpart = null, bounds = {} }) {
+  return {
+    role,
+    counterpart: counterpart || null,
+    bounds: { ...bounds, ...(bounds.deadline && { deadline: new Date(bounds.deadline).toISOString() }) },
+    history: [],
+    counters: 0,
+    status: 'open',
+    agreed: null,
+  };
+}
+
+/**
+ * Commerce negotiations for one agent
+ * @param {object} ctx - From createContext()
+ * @param {object} deps
+ * @param {object} deps.client - From createClient(ctx, config), for sending offers
+ */
+function createNegotiator(ctx, { client }) {
+  const conversations = createConversations(ctx);
+  const trust = createTrust(ctx);
+  const { logger } = ctx;
+  const self = client.CONFIG.agentName;
+
+  /**
+   * The conversation's negotiation record, created on first use. We're the
+   * buyer when we asked for the quote.
+   */
+  function getNegotiation(conversationId) {
+    const meta = conversations.getConversation(conversationId);
+    if (!meta) return null;
+    if (meta.negotiation) return meta.negotiation;
+    const buyer = meta.initiator?.agent === self && meta.intent === 'commerce.request';
+    return newNegotiation({
+      role: buyer ? 'buyer' : 'seller',
+      counterpart: buyer ? meta.recipient : meta.initiator,
+    });
+  }
+
+  const save = (conversationId, negotiation) => conversations.updateConversation(conversationId, { negotiation });
+
+  /**
+   * Set the limits the agent negotiates within
+   * @param {string} conversationId
+   * @param {object} bounds - { ceiling } (buyer) or { floor } (seller), { opening, maxRounds, deadline }
+   */
+  function setBounds(conversationId, bounds) {
+    const negotiation = getNegotiation(conversationId);
+    if (!negotiation) throw new Error(`Unknown conversation: ${conversationId}`);
+    negotiation.bounds = { ...negotiation.bounds, ...bounds };
+    if (negotiation.bounds.deadline) negotiation.bounds.deadline = new Date(negotiation.bounds.deadline).toISOString();
+    save(conversationId, negotiation);
+    return negotiation;
+  }
+
+  function counterpartEndpoint(negotiation) {
+    return trust.getContact(negotiation.counterpart?.agent)?.endpoint || null;
+  }
+
+  async function send(conversationId, negotiation, { type, intent, payload }) {
+    const endpoint = counterpartEndpoint(negotiation);
+    if (!endpoint) throw new Error(`No endpoint for ${negotiation.counterpart?.agent || 'the other party'}`);
+    const envelope = client.createEnvelope({ to: negotiation.counterpart, type, intent, conversationId, payload, requiresHumanApproval: true });
+    conversations.appendMessage(conversationId, envelope);
+    return client.sendMessage(endpoint, envelope);
+  }
+
+  /**
+   * Note an offer we sent some other way (e.g. a quote the human typed)
+   */
+  function recordOffer(conversationId, payload) {
+    const negotiation = getNegotiation(conversationId);
+    if (!negotiation) return null;
+    negotiation.history.push({ ...payload, from: 'us', at: new Date(ctx.clock()).toISOString() });
+    save(conversationId, negotiation);
+    return negotiation;
+  }
+
+  /**
+   * Send an offer (a quote or a counter-offer)
+   * @param {string} conversationId
+   * @param {object} fields - As for createOffer(), or { total } to reprice their last offer
+   */
+  async function sendOffer(conversationId, fields) {
+    const negotiation = getNegotiation(conversationId);
+    if (!negotiation) throw new Error(`Unknown conversation: ${conversationId}`);
+    const theirs = [...negotiation.history].reverse().find(o => o.from !== 'us');
+    const round = negotiation.history.length + 1;
+    const validUntil = fields.validUntil ?? negotiation.bounds.deadline;
+    const offer = theirs && !fields.items
+      ? repriceOffer(theirs, fields.total, { round, isCounter: true, validUntil, ...(fields.terms && { terms: fields.terms }) })
+      : createOffer({ ...fields, round, isCounter: Boolean(theirs), validUntil });
+    recordOffer(conversationId, offer);
+    const result = await send(conversationId, negotiation, { type: 'response', intent: 'commerce.offer', payload: offer });
+    return { offer, result };
+  }
+
+  /**
+   * Accept their latest offer. Only call this on the human's say-so.
+   * @param {string} conversationId
+   * @param {string} [offerId] - The offer the human saw; refused if they have sent a newer one since
+   */
+  async function acceptOffer(conversationId, offerId) {
+    const negotiation = getNegotiation(conversationId);
+    const theirs = negotiation && [...negotiation.history].reverse().find(o => o.from !== 'us');
+    if (!theirs) throw new Error('There is no offer to accept');
+    if (negotiation.status !== 'open') throw new Error(`The negotiation is already ${negotiation.status}`);
+    if (offerId && theirs.offer_id !== offerId) {
+      throw new Error(`That offer has been replaced by a newer one (${offerTotal(theirs)} ${theirs.currency || 'USD'}); answer that one instead`);
+    }
+
+    // Nothing is agreed until the acceptance is delivered or queued; if send() throws, the offer stays open
+    const result = await send(conversationId, negotiation, {
+      type: 'confirm',
+      intent: 'commerce.accept',
+      payload: { accepted: true, offer_id: theirs.offer_id || null, total: offerTotal(theirs), currency: theirs.currency || 'USD', message: 'Accepted' },
+    });
+    const agreed = getNegotiation(conversationId);
+    agreed.status = 'agreed';
+    agreed.agreed = theirs;
+    save(conversationId, agreed);
+    conversations.transitionState(conversationId, STATES.CONFIRMED);
+    logger.info('COMMERCE', `Accepted ${offerTotal(theirs)} ${theirs.currency || 'USD'} in ${conversationId}`);
+    return { offer: theirs, result };
+  }
+
+  /**
+   * Walk away
+   */
+  async function declineOffer(conversationId, reason = 'Declined') {
+    const negotiation = getNegotiation(conversationId);
+    if (!negotiation) throw new Error(`Unknown conversation: ${conversationId}`);
+    negotiation.status = 'ended';
+    save(conversationId, negotiation);
+    conversations.transitionState(conversationId, STATES.REJECTED);
+    return send(conversationId, negotiation, { type: 'reject', intent: 'commerce.reject', payload: { reason } });
+  }
+
+  function askHuman(envelope, negotiation, reason) {
+    const from = envelope.from?.human || envelope.from?.agent || 'Unknown';
+    const ours = [...negotiation.history].reverse().find(o => o.from === 'us');
+    conversations.savePendingApproval(envelope.id, {
+      envelope,
+      approvalMessage: [
+        `💰 **${envelope.payload?.is_counter ? 'Counter-offer' : 'Offer'}** from ${from}'s AI (round ${negotiation.history.length}):`,
+        ``,
+        formatOffer(envelope.payload),
+        ours ? `**Your last offer:** ${offerTotal(ours)} ${ours.currency || 'USD'}` : '',
+        ``,
+        reason,
+        `Reply "accept", "decline", or a price to counter.`,
+        `⚠️ This is a commerce offer — your approval is always required.`,
+      ].filter(Boolean).join('\n'),
+      handler: 'negotiation',
+      createdAt: new Date(ctx.clock()).toISOString(),
+    });
+  }
+
+  /**
+   * Take in a commerce reply from the other party
+   * @returns {{ action: 'counter'|'ask'|'noted', ... }|null} null when it's not a commerce reply
+   */
+  function receive(envelope) {
+    if (!['commerce.offer', 'commerce.accept', 'commerce.reject'].includes(envelope.intent)) return null;
+    const negotiation = getNegotiation(envelope.conversation);
+    if (!negotiation) return null;
+    negotiation.counterpart = envelope.from;
+    const conversationId = envelope.conversation;
+
+    if (envelope.intent !== 'commerce.offer') {
+      const accepted = envelope.intent === 'commerce.accept';
+      negotiation.status = accepted ? 'agreed' : 'ended';
+      if (accepted) {
+        negotiation.agreed = negotiation.history.find(o => o.offer_id && o.offer_id === envelope.payload?.offer_id)
+          || [...negotiation.history].reverse().find(o => o.from === 'us') || null;
+      }
+      save(conversationId, negotiation);
+      return { action: 'noted' };
+    }
+
+    const theirs = { ...envelope.payload, from: envelope.from?.agent, at: new Date(ctx.clock()).toISOString() };
+    negotiation.history.push(theirs);
+    const move = negotiation.status === 'open'
+      ? nextMove(negotiation, theirs, ctx.clock())
+      : { action: 'ask', reason: `The negotiation is already ${negotiation.status}.` };
+
+    if (move.action === 'counter' && counterpartEndpoint(negotiation)) {
+      const offer = repriceOffer(theirs, move.total, {
+        rounding: negotiation.role === 'buyer' ? Math.floor : Math.ceil,
+        round: negotiation.history.length + 1,
+        isCounter: true,
+        validUntil: negotiation.bounds.deadline,
+      });
+      negotiation.history.push({ ...offer, from: 'us', at: new Date(ctx.clock()).toISOString() });
+      negotiation.counters += 1;
+      save(conversationId, negotiation);
+      logger.info('COMMERCE', `Countered ${offerTotal(theirs)} with ${offer.total} in ${conversationId} (${negotiation.counters} of ${negotiation.bounds.maxRounds ?? DEFAULT_MAX_ROUNDS})`);
+      send(conversationId, negotiation, { type: 'response', intent: 'commerce.offer', payload: offer })
+        .catch(err => logger.error('COMMERCE', `Counter-offer in ${conversationId} failed: ${err.message}`));
+      return { action: 'counter', offer };
+    }
+
+    save(conversationId, negotiation);
+    const reason = move.action === 'counter' ? `No endpoint for ${envelope.from?.agent}, so the agent can't counter.` : move.reason;
+    askHuman(envelope, negotiation, reason);
+    return { action: 'ask', reason };
+  }
+
+  return {
+    getNegotiation,
+    setBounds,
+    recordOffer,
+    sendOffer,
+    acceptOffer,
+    declineOffer,
+    receive,
+  };
+}
+
+module.exports = {
+  createOffer,
+  offerTotal,
+  repriceOffer,
+  formatOffer,
+  parseAmount,
+  nextMove,
+  newNegotiation,
+  createNegotiator,
+};
@@ -0,0 +1,79 @@
+/**
+ * AI2AI Context — Per-agent data directory, storage, clock and logger
+ *
+ * The ai2ai-* modules take a context instead of writing next to their own
+ * source files, so several agents can run in one process with separate
+ * state. Layout under dataDir:
+ *
+ *   contacts.json   — known agents and trust levels
+ *   policy.json     — approval policy (optional)
+ *   profile.json    — answers for auto-approved questions (optional)
+ *   calendar/       — .ics files: busy time, and confirmed meetings
+ *   .keys/          — Ed25519 and X25519 key pairs
+ *   conversations/  — message history and conversation metadata
+ *   pending/        — messages waiting for human approval
+ *   agreements/     — signed records of confirmed meetings and deals
+ *   outbox/         — queued outgoing messages
+ *   logs/           — daily structured logs
+ *   .replay/        — seen message IDs and nonces (server)
+ *
+ * Contacts, the policy, the profile, conversations, pending approvals,
+ * agreements and the outbox go through the context's storage adapter (see
+ * storage.js); with the default 'file' adapter they keep the layout above.
+ * Keys, logs and replay state are always files.
+ *
+ * Usage:
+ *   const ctx = createContext({ dataDir: '/var/lib/ai2ai/alice' });
+ *   const trust = createTrust(ctx);
+ *   const conversations = createConversations(ctx);
+ */
+
+const path = require('path');
+const { createLogger } = require('./ai2ai-logger');
+const { createStorage } = require('./storage');
+const { createIcsCalendar, createMemoryCalendar } = require('./ai2ai-calendar');
+
+/**
+ * Create an agent context
+ * @param {object} [opts]
+ * @param {string} [opts.dataDir] - Where the agent's state lives (default: AI2AI_DATA_DIR or this directory)
+ * @param {Function} [opts.clock=Date.now] - Returns the current time in ms (tests can freeze or advance it)
+ * @param {object} [opts.logger] - Logger with the ai2ai-logger interface (default: one writing to <dataDir>/logs)
+ * @param {string} [opts.logLevel] - Level for the default logger
+ * @param {string} [opts.timezone] - The agent's IANA timezone (default: AI2AI_TIMEZONE or UTC); the
+ *   .ics calendar reads floating times and unknown TZIDs in it
+ * @param {string|object} [opts.storage='file'] - 'file', 'memory', 'log', or a storage adapter
+ * @param {string|object} [opts.calendar] - An .ics file or directory, or a calendar provider
+ *   (default: <dataDir>/calendar, or in memory with the 'memory' storage)
+ * @returns {{ dataDir: string, storage: object, clock: Function, logger: object, timezone: string, calendar: object }}
+ */
+function createContext(opts = {}) {
+  const dataDir = path.resolve(opts.dataDir || process.env.AI2AI_DATA_DIR || __dirname);
+  const storage = createStorage(opts.storage, dataDir);
+  const clock = opts.clock || Date.now;
+  const logger = opts.logger || createLogger({ dataDir, clock, logLevel: opts.logLevel });
+  const timezone = opts.timezone || process.env.AI2AI_TIMEZONE || 'UTC';
+  const calendarPath = typeof opts.calendar === 'string' ? path.resolve(opts.calendar) : path.join(dataDir, 'calendar');
+  const calendar = (opts.calendar && typeof opts.calendar === 'object') ? opts.calendar
+    : opts.storage === 'memory' && !opts.calendar ? createMemoryCalendar()
+    : createIcsCalendar(calendarPath, { timeZone: timezone, clock, logger });
+  return { dataDir, storage, clock, logger, timezone, calendar };
+}
+
+let defaultContext = null;
+
+/**
+ * The context the module-level functions use: this directory (or
+ * AI2AI_DATA_DIR), the real clock and the default logger
+ */
+function getDefaultContext() {
+  if (!defaultContext) {
+    defaultContext = createContext({ logger: require('./ai2ai-logger') });
+  }
+  return defaultContext;
+}
+
+module.exports = {
+  createContext,
+  getDefaultContext,
+};
@@ -7,20 +7,16 @@
  * - Conversation expiry (configurable, default 7 days)
  * - Pending approval cleanup (24hr timeout → auto-reject)
  * - Multi-agent group conversations
- * - Conversation state tracking
+ * - Conversation state tracking, with each transition recorded
+ * - History search by contact, intent, state, date and payload text
+ *
+ * createConversations(ctx) keeps conversations and pending approvals in the
+ * context's storage (conversations/ and pending/ under the data directory
+ * with the file adapter); the module-level functions use the default context.
  */
 
-const fs = require('fs');
 const path = require('path');
-const logger = require('./ai2ai-logger');
-
-const CONVERSATIONS_DIR = path.join(__dirname, 'conversations');
-const PENDING_DIR = path.join(__dirname, 'pending');
-
-// Ensure directories
-[CONVERSATIONS_DIR, PENDING_DIR].forEach(d => {
-  if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
-});
+const { getDefaultContext } = require('./ai2ai-context');
 
 // Conversation states
 const STATES = {
@@ -47,278 +43,342 @@ const DEFAULT_CONFIG = {
 };
 
 /**
- * Conversation metadata file path
+ * Conversation and pending-approval functions for one agent
+ * @param {object} [ctx] - From createContext() (default: the shared default context)
  */
-function metaPath(conversationId) {
-  return path.join(CONVERSATIONS_DIR, `${conversationId}.meta.json`);
-}
+function createConversations(ctx = getDefaultContext()) {
+  // Where the file adapter puts them
+  const CONVERSATIONS_DIR = path.join(ctx.dataDir, 'conversations');
+  const PENDING_DIR = path.join(ctx.dataDir, 'pending');
+  const { storage, logger } = ctx;
+  const now = () => new Date(ctx.clock());
+
+  // Metadata is stored as `<id>.meta` next to the `<id>` message log
+  const saveMeta = (meta) => storage.set('conversations', `${meta.id}.meta`, meta);
+
+  /**
+   * Get or create conversation metadata
+   */
+  function getConversation(conversationId) {
+    return storage.get('conversations', `${conversationId}.meta`);
+  }
 
-/**
- * Get or create conversation metadata
- */
-function getConversation(conversationId) {
-  const mp = metaPath(conversationId);
-  if (fs.existsSync(mp)) {
-    try {
-      return JSON.parse(fs.readFileSync(mp, 'utf-8'));
-    } catch { /* fall through */ }
+  /**
+   * Create a new conversation
+   */
+  function createConversation(conversationId, { intent, initiator, recipient, participants }) {
+    const meta = {
+      id: conversationId,
+      state: STATES.PROPOSED,
+      intent,
+      initiator, // { agent, human }
+      recipient, // { agent, human } — for 1:1
+      participants: participants || [initiator, recipient].filter(Boolean), // for group
+      createdAt: now().toISOString(),
+      updatedAt: now().toISOString(),
+      expiresAt: new Date(ctx.clock() + DEFAULT_CONFIG.conversationExpiryDays * 86400000).toISOString(),
+      messageCount: 0,
+    };
+
+    saveMeta(meta);
+    logger.info('CONV', `Created conversation ${conversationId}`, {
+      intent, state: 'proposed', participants: meta.participants,
+    });
+    return meta;
   }
-  return null;
-}
 
-/**
- * Create a new conversation
- */
-function createConversation(conversationId, { intent, initiator, recipient, participants }) {
-  const meta = {
-    id: conversationId,
-    state: STATES.PROPOSED,
-    intent,
-    initiator, // { agent, human }
-    recipient, // { agent, human } — for 1:1
-    participants: participants || [initiator, recipient].filter(Boolean), // for group
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-    expiresAt: new Date(Date.now() + DEFAULT_CONFIG.conversationExpiryDays * 86400000).toISOString(),
-    messageCount: 0,
-  };
+  /**
+   * Update conversation state with validation
+   */
+  function transitionState(conversationId, newState) {
+    const meta = getConversation(conversationId);
+    if (!meta) {
+      logger.warn('CONV', `Cannot transition unknown conversation ${conversationId}`);
+      return null;
+    }
 
-  fs.writeFileSync(metaPath(conversationId), JSON.stringify(meta, null, 2));
-  logger.info('CONV', `Created conversation ${conversationId}`, {
-    intent, state: 'proposed', participants: meta.participants,
-  });
-  return meta;
-}
+    const allowed = TRANSITIONS[meta.state];
+    if (!allowed || !allowed.includes(newState)) {
+      logger.warn('CONV', `Invalid transition: ${meta.state} → ${newState} for ${conversationId}`);
+      return null;
+    }
 
-/**
- * Update conversation state with validation
- */
-function transitionState(conversationId, newState) {
-  const meta = getConversation(conversationId);
-  if (!meta) {
-    logger.warn('CONV', `Cannot transition unknown conversation ${conversationId}`);
-    return null;
-  }
+    const oldState = meta.state;
+    meta.state = newState;
+    meta.updatedAt = now().toISOString();
+    meta.transitions = [...(meta.transitions || []), { from: oldState, to: newState, at: meta.updatedAt }];
 
-  const allowed = TRANSITIONS[meta.state];
-  if (!allowed || !allowed.includes(newState)) {
-    logger.warn('CONV', `Invalid transition: ${meta.state} → ${newState} for ${conversationId}`);
-    return null;
+    saveMeta(meta);
+    logger.info('CONV', `Conversation ${conversationId}: ${oldState} → ${newState}`);
+    return meta;
   }
 
-  const oldState = meta.state;
-  meta.state = newState;
-  meta.updatedAt = new Date().toISOString();
+  /**
+   * Update conversation metadata (increment message count, etc.)
+   */
+  function updateConversation(conversationId, updates) {
+    const meta = getConversation(conversationId);
+    if (!meta) return null;
 
-  fs.writeFileSync(metaPath(conversationId), JSON.stringify(meta, null, 2));
-  logger.info('CONV', `Conversation ${conversationId}: ${oldState} → ${newState}`);
-  return meta;
-}
+    Object.assign(meta, updates, { updatedAt: now().toISOString() });
+    saveMeta(meta);
+    return meta;
+  }
 
-/**
- * Update conversation metadata (increment message count, etc.)
- */
-function updateConversation(conversationId, updates) {
-  const meta = getConversation(conversationId);
-  if (!meta) return null;
+  /**
+   * Add a participant to a group conversation
+   */
+  function addParticipant(conversationId, participant) {
+    const meta = getConversation(conversationId);
+    if (!meta) return null;
+
+    if (!meta.participants) meta.participants = [];
+
+    const exists = meta.participants.find(p => p.agent === participant.agent);
+    if (!exists) {
+      meta.participants.push(participant);
+      meta.updatedAt = now().toISOString();
+      saveMeta(meta);
+      logger.info('CONV', `Added participant ${participant.agent} to ${conversationId}`);
+    }
+    return meta;
+  }
 
-  Object.assign(meta, updates, { updatedAt: new Date().toISOString() });
-  fs.writeFileSync(metaPath(conversationId), JSON.stringify(meta, null, 2));
-  return meta;
-}
+  /**
+   * List all conversations, optionally filtered by state
+   */
+  function listConversations(stateFilter = null) {
+    return storage.entries('conversations')
+      .filter(([key]) => key.endsWith('.meta'))
+      .map(([, meta]) => meta)
+      .filter(c => !stateFilter || c.state === stateFilter);
+  }
 
-/**
- * Add a participant to a group conversation
- */
-function addParticipant(conversationId, participant) {
-  const meta = getConversation(conversationId);
-  if (!meta) return null;
-
-  if (!meta.participants) meta.participants = [];
-
-  const exists = meta.participants.find(p => p.agent === participant.agent);
-  if (!exists) {
-    meta.participants.push(participant);
-    meta.updatedAt = new Date().toISOString();
-    fs.writeFileSync(metaPath(conversationId), JSON.stringify(meta, null, 2));
-    logger.info('CONV', `Added participant ${participant.agent} to ${conversationId}`);
+  /**
+   * Record a message in a conversation's history
+   */
+  function appendMessage(conversationId, envelope) {
+    storage.append('conversations', conversationId, envelope);
   }
-  return meta;
-}
 
-/**
- * List all conversations, optionally filtered by state
- */
-function listConversations(stateFilter = null) {
-  if (!fs.existsSync(CONVERSATIONS_DIR)) return [];
-
-  return fs.readdirSync(CONVERSATIONS_DIR)
-    .filter(f => f.endsWith('.meta.json'))
-    .map(f => {
-      try {
-        return JSON.parse(fs.readFileSync(path.join(CONVERSATIONS_DIR, f), 'utf-8'));
-      } catch { return null; }
-    })
-    .filter(Boolean)
-    .filter(c => !stateFilter || c.state === stateFilter);
-}
+  /**
+   * Messages in a conversation, oldest first
+   */
+  function getMessages(conversationId) {
+    return storage.read('conversations', conversationId);
+  }
 
-/**
- * Expire old conversations
- * Returns number of conversations expired
- */
-function expireConversations() {
-  const now = new Date();
-  let expired = 0;
+  /**
+   * Search conversation history, most recently active first
+   * (cli/lib/history.js runs the same query over ~/.ai2ai; change both together —
+   * test.js checks they agree)
+   * @param {object} [query]
+   * @param {string} [query.contact] - Agent ID or human name of someone in the conversation
+   * @param {string|string[]} [query.intent] - Intent(s); 'schedule.*' matches a namespace
+   * @param {string|string[]} [query.state]
+   * @param {string|number|Date} [query.since] - Active at or after this time
+   * @param {string|number|Date} [query.until] - Started at or before this time
+   * @param {string} [query.text] - Case-insensitive text to find in message payloads
+   * @param {number} [query.limit=20]
+   * @param {number} [query.offset=0]
+   * @returns {{ total: number, offset: number, limit: number, conversations: object[] }}
+   *   Each conversation is its metadata plus `matches`, the IDs of the messages containing `text`
+   * @throws {Error} If since or until is not a date
+   */
+  function queryConversations({ contact, intent, state, since, until, text, limit = 20, offset = 0 } = {}) {
+    const oneOf = (value, wanted) => [].concat(wanted).some(w => (w.endsWith('.*') ? value?.startsWith(w.slice(0, -1)) : value === w));
+    const who = contact?.toLowerCase();
+    const needle = text?.toLowerCase();
+    const time = (value, name) => {
+      const t = new Date(value).getTime();
+      if (Number.isNaN(t)) throw new Error(`Invalid date for ${name}: ${value}`);
+      return t;
+    };
+    const from = since != null ? time(since, 'since') : null;
+    const to = until != null ? time(until, 'until') : null;
+
+    const found = [];
+    for (const meta of listConversations()) {
+      if (intent && !oneOf(meta.intent, intent)) continue;
+      if (state && !oneOf(meta.state, state)) continue;
+      if (from != null && Date.parse(meta.updatedAt) < from) continue;
+      if (to != null && Date.parse(meta.createdAt) > to) continue;
+      if (who) {
+        const people = [meta.initiator, meta.recipient, ...(meta.participants || [])].filter(Boolean);
+        if (!people.some(p => p.agent?.toLowerCase() === who || p.human?.toLowerCase() === who)) continue;
+      }
 
-  for (const conv of listConversations()) {
-    if (conv.state === STATES.CONFIRMED || conv.state === STATES.REJECTED || conv.state === STATES.EXPIRED) {
-      continue; // Terminal states
+      let matches = [];
+      if (needle) {
+        matches = getMessages(meta.id)
+          .filter(m => JSON.stringify(m.payload ?? '').toLowerCase().includes(needle))
+          .map(m => m.id);
+        if (matches.length === 0) continue;
+      }
+      found.push({ ...meta, matches });
     }
 
-    const expiresAt = conv.expiresAt ? new Date(conv.expiresAt) : null;
-    if (expiresAt && now > expiresAt) {
-      transitionState(conv.id, STATES.EXPIRED);
-      expired++;
-    }
+    found.sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+    return { total: found.length, offset, limit, conversations: found.slice(offset, offset + limit) };
   }
 
-  if (expired > 0) {
-    logger.info('CONV', `Expired ${expired} conversations`);
+  /**
+   * Expire old conversations
+   * Returns number of conversations expired
+   */
+  function expireConversations() {
+    const current = now();
+    let expired = 0;
+
+    for (const conv of listConversations()) {
+      if (conv.state === STATES.CONFIRMED || conv.state === STATES.REJECTED || conv.state === STATES.EXPIRED) {
+        continue; // Terminal states
+      }
+
+      const expiresAt = conv.expiresAt ? new Date(conv.expiresAt) : null;
+      if (expiresAt && current > expiresAt) {
+        transitionState(conv.id, STATES.EXPIRED);
+        expired++;
+      }
+    }
+
+    if (expired > 0) {
+      logger.info('CONV', `Expired ${expired} conversations`);
+    }
+    return expired;
   }
-  return expired;
-}
 
-// ─── Pending Approval Management ────────────────────────────────────────────
+  // ─── Pending Approval Management ──────────────────────────────────────────
 
-/**
- * Get a pending approval
- */
-function getPendingApproval(approvalId) {
-  const pendingPath = path.join(PENDING_DIR, `${approvalId}.json`);
-  if (!fs.existsSync(pendingPath)) return null;
-  try {
-    return JSON.parse(fs.readFileSync(pendingPath, 'utf-8'));
-  } catch { return null; }
-}
+  /**
+   * Get a pending approval
+   */
+  function getPendingApproval(approvalId) {
+    return storage.get('pending', approvalId);
+  }
 
-/**
- * List all pending approvals
- */
-function listPendingApprovals() {
-  if (!fs.existsSync(PENDING_DIR)) return [];
-
-  return fs.readdirSync(PENDING_DIR)
-    .filter(f => f.endsWith('.json'))
-    .map(f => {
-      try {
-        const data = JSON.parse(fs.readFileSync(path.join(PENDING_DIR, f), 'utf-8'));
-        data._filename = f;
-        return data;
-      } catch { return null; }
-    })
-    .filter(Boolean);
-}
+  /**
+   * Save a pending approval (new or updated)
+   */
+  function savePendingApproval(approvalId, data) {
+    storage.set('pending', approvalId, data);
+  }
 
-/**
- * Resolve a pending approval (approve or reject)
- */
-function resolvePendingApproval(approvalId, approved, humanReply = null) {
-  const pendingPath = path.join(PENDING_DIR, `${approvalId}.json`);
-  if (!fs.existsSync(pendingPath)) return null;
+  /**
+   * List all pending approvals
+   */
+  function listPendingApprovals() {
+    return storage.entries('pending').map(([key, data]) => {
+      data._filename = `${key}.json`;
+      return data;
+    });
+  }
 
-  const pending = JSON.parse(fs.readFileSync(pendingPath, 'utf-8'));
-  pending.resolved = true;
-  pending.approved = approved;
-  pending.humanReply = humanReply;
-  pending.resolvedAt = new Date().toISOString();
+  /**
+   * Resolve a pending approval (approve or reject)
+   */
+  function resolvePendingApproval(approvalId, approved, humanReply = null) {
+    const pending = getPendingApproval(approvalId);
+    if (!pending) return null;
 
-  // Move to resolved (overwrite in place, or move to archive)
-  fs.writeFileSync(pendingPath, JSON.stringify(pending, null, 2));
+    pending.resolved = true;
+    pending.approved = approved;
+    pending.humanReply = humanReply;
+    pending.resolvedAt = now().toISOString();
 
-  logger.info('APPROVAL', `Approval ${approvalId}: ${approved ? 'APPROVED' : 'REJECTED'}`, {
-    humanReply: humanReply?.substring(0, 100),
-  });
+    // Move to resolved (overwrite in place, or move to archive)
+    savePendingApproval(approvalId, pending);
 
-  return pending;
-}
+    logger.info('APPROVAL', `Approval ${approvalId}: ${approved ? 'APPROVED' : 'REJECTED'}`, {
+      humanReply: humanReply?.substring(0, 100),
+    });
 
-/**
- * Remove a resolved pending approval
- */
-function removePendingApproval(approvalId) {
-  const pendingPath = path.join(PENDING_DIR, `${approvalId}.json`);
-  if (fs.existsSync(pendingPath)) {
-    fs.unlinkSync(pendingPath);
+    return pending;
   }
-}
 
-/**
- * Clean up old pending approvals (auto-reject after timeout)
- * @param {number} timeoutHours - Hours before auto-reject (default 24)
- * @returns {{ expired: number, rejected: object[] }}
- */
-function cleanupPendingApprovals(timeoutHours = DEFAULT_CONFIG.approvalTimeoutHours) {
-  const cutoff = Date.now() - timeoutHours * 3600000;
-  const results = { expired: 0, rejected: [] };
-
-  for (const pending of listPendingApprovals()) {
-    if (pending.resolved) {
-      // Clean up old resolved approvals (>7 days)
-      const resolvedAt = new Date(pending.resolvedAt || pending.createdAt).getTime();
-      if (resolvedAt < Date.now() - 7 * 86400000) {
-        removePendingApproval(pending.envelope?.id || pending._filename?.replace('.json', ''));
+  /**
+   * Remove a resolved pending approval
+   */
+  function removePendingApproval(approvalId) {
+    storage.delete('pending', approvalId);
+  }
+
+  /**
+   * Clean up old pending approvals (auto-reject after timeout)
+   * @param {number} timeoutHours - Hours before auto-reject (default 24)
+   * @returns {{ expired: number, rejected: object[] }}
+   */
+  function cleanupPendingApprovals(timeoutHours = DEFAULT_CONFIG.approvalTimeoutHours) {
+    const cutoff = ctx.clock() - timeoutHours * 3600000;
+    const results = { expired: 0, rejected: [] };
+
+    for (const pending of listPendingApprovals()) {
+      if (pending.resolved) {
+        // Clean up old resolved approvals (>7 days)
+        const resolvedAt = new Date(pending.resolvedAt || pending.createdAt).getTime();
+        if (resolvedAt < ctx.clock() - 7 * 86400000) {
+          removePendingApproval(pending.envelope?.id || pending._filename?.replace('.json', ''));
+        }
+        continue;
       }
-      continue;
-    }
 
-    const createdAt = new Date(pending.createdAt).getTime();
-    if (createdAt < cutoff) {
-      // Auto-reject expired approval
-      const id = pending.envelope?.id || pending._filename?.replace('.json', '');
-      resolvePendingApproval(id, false, 'Auto-rejected: approval timed out');
-      results.expired++;
-      results.rejected.push(pending);
+      const createdAt = new Date(pending.createdAt).getTime();
+      if (createdAt < cutoff) {
+        // Auto-reject expired approval
+        const id = pending.envelope?.id || pending._filename?.replace('.json', '');
+        resolvePendingApproval(id, false, 'Auto-rejected: approval timed out');
+        results.expired++;
+        results.rejected.push(pending);
 
-      logger.warn('APPROVAL', `Auto-rejected stale approval ${id} (created ${pending.createdAt})`);
+        logger.warn('APPROVAL', `Auto-rejected stale approval ${id} (created ${pending.createdAt})`);
+      }
     }
-  }
 
-  if (results.expired > 0) {
-    logger.info('APPROVAL', `Auto-rejected ${results.expired} stale approvals`);
+    if (results.expired > 0) {
+      logger.info('APPROVAL', `Auto-rejected ${results.expired} stale approvals`);
+    }
+    return results;
   }
-  return results;
-}
 
-/**
- * Run all maintenance tasks
- */
-function runMaintenance() {
-  const conversationsExpired = expireConversations();
-  const approvalResult = cleanupPendingApprovals();
+  /**
+   * Run all maintenance tasks
+   */
+  function runMaintenance() {
+    const conversationsExpired = expireConversations();
+    const approvalResult = cleanupPendingApprovals();
+
+    return {
+      conversationsExpired,
+      approvalsExpired: approvalResult.expired,
+    };
+  }
 
   return {
-    conversationsExpired,
-    approvalsExpired: approvalResult.expired,
+    STATES,
+    TRANSITIONS,
+    getConversation,
+    createConversation,
+    transitionState,
+    updateConversation,
+    addParticipant,
+    listConversations,
+    queryConversations,
+    appendMessage,
+    getMessages,
+    expireConversations,
+    getPendingApproval,
+    savePendingApproval,
+    listPendingApprovals,
+    resolvePendingApproval,
+    removePendingApproval,
+    cleanupPendingApprovals,
+    runMaintenance,
+    CONVERSATIONS_DIR,
+    PENDING_DIR,
   };
 }
 
 module.exports = {
-  STATES,
-  TRANSITIONS,
-  getConversation,
-  createConversation,
-  transitionState,
-  updateConversation,
-  addParticipant,
-  listConversations,
-  expireConversations,
-  getPendingApproval,
-  listPendingApprovals,
-  resolvePendingApproval,
-  removePendingApproval,
-  cleanupPendingApprovals,
-  runMaintenance,
-  CONVERSATIONS_DIR,
-  PENDING_DIR,
+  ...createConversations(),
+  createConversations,
 };
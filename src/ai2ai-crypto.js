@@ -6,8 +6,7 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-
-const KEYS_DIR = path.join(__dirname, '.keys');
+const { getDefaultContext } = require('./ai2ai-context');
 
 /**
  * Generate a new Ed25519 key pair for this agent
@@ -22,8 +21,10 @@ function generateKeyPair() {
 
 /**
  * Load or create key pair from disk
+ * @param {object} [ctx] - Agent context; keys live in <ctx.dataDir>/.keys
  */
-function loadOrCreateKeys() {
+function loadOrCreateKeys(ctx = getDefaultContext()) {
+  const KEYS_DIR = path.join(ctx.dataDir, '.keys');
   if (!fs.existsSync(KEYS_DIR)) {
     fs.mkdirSync(KEYS_DIR, { recursive: true });
   }
@@ -53,43 +54,80 @@ function getFingerprint(publicKeyPem) {
   return hash.match(/.{1,4}/g).slice(0, 8).join(':');
 }
 
+// Current signature scheme. Envelopes without sigVersion carry a legacy signature.
+const SIG_ALG = 'Ed25519';
+const SIG_VERSION = 2;
+
 /**
- * Sign a message envelope
+ * Canonical JSON (RFC 8785 style): object keys sorted by UTF-16 code units,
+ * no whitespace, ECMAScript number and string serialization. Any language
+ * can reproduce these bytes from the parsed envelope.
  */
-function signMessage(envelope, privateKeyPem) {
-  const payload = JSON.stringify({
-    id: envelope.id,
-    timestamp: envelope.timestamp,
-    from: envelope.from,
-    to: envelope.to,
-    conversation: envelope.conversation,
-    type: envelope.type,
-    intent: envelope.intent,
-    payload: envelope.payload,
-  });
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    if (typeof value === 'number' && !Number.isFinite(value)) throw new Error('Cannot canonicalize a non-finite number');
+    return JSON.stringify(value);
+  }
+  if (typeof value.toJSON === 'function') return canonicalize(value.toJSON());
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+}
+
+/**
+ * The bytes an envelope signature covers. Version 2 signs the whole envelope
+ * except `signature` and `_`-prefixed transport annotations (e.g. a relay's
+ * `_relay`); legacy signatures cover a fixed subset of fields.
+ */
+function signingInput(envelope) {
+  if (envelope.sigVersion === undefined) {
+    return JSON.stringify({
+      id: envelope.id,
+      timestamp: envelope.timestamp,
+      from: envelope.from,
+      to: envelope.to,
+      conversation: envelope.conversation,
+      type: envelope.type,
+      intent: envelope.intent,
+      payload: envelope.payload,
+    });
+  }
 
+  const signed = {};
+  for (const [key, value] of Object.entries(envelope)) {
+    if (key !== 'signature' && !key.startsWith('_')) signed[key] = value;
+  }
+  return canonicalize(signed);
+}
+
+/**
+ * Sign a message envelope. Stamps the envelope with the current
+ * sigAlg/sigVersion first, so they are covered by the signature too.
+ */
+function signMessage(envelope, privateKeyPem) {
+  envelope.sigAlg = SIG_ALG;
+  envelope.sigVersion = SIG_VERSION;
   const privateKey = crypto.createPrivateKey(privateKeyPem);
-  return crypto.sign(null, Buffer.from(payload), privateKey).toString('base64');
+  return crypto.sign(null, Buffer.from(signingInput(envelope)), privateKey).toString('base64');
 }
 
 /**
  * Verify a message signature
+ * @param {object} [opts]
+ * @param {boolean} [opts.allowLegacy=true] - Accept pre-sigVersion signatures (migration window)
  */
-function verifyMessage(envelope, signature, publicKeyPem) {
-  const payload = JSON.stringify({
-    id: envelope.id,
-    timestamp: envelope.timestamp,
-    from: envelope.from,
-    to: envelope.to,
-    conversation: envelope.conversation,
-    type: envelope.type,
-    intent: envelope.intent,
-    payload: envelope.payload,
-  });
+function verifyMessage(envelope, signature, publicKeyPem, opts = {}) {
+  if (envelope.sigVersion === undefined) {
+    if (opts.allowLegacy === false) return false;
+  } else if (envelope.sigVersion !== SIG_VERSION || envelope.sigAlg !== SIG_ALG) {
+    return false;
+  }
 
   try {
     const publicKey = crypto.createPublicKey(publicKeyPem);
-    return crypto.verify(null, Buffer.from(payload), publicKey, Buffer.from(signature, 'base64'));
+    return crypto.verify(null, Buffer.from(signingInput(envelope)), publicKey, Buffer.from(signature, 'base64'));
   } catch {
     return false;
   }
@@ -99,6 +137,10 @@ module.exports = {
   generateKeyPair,
   loadOrCreateKeys,
   getFingerprint,
+  canonicalize,
+  signingInput,
   signMessage,
   verifyMessage,
+  SIG_ALG,
+  SIG_VERSION,
 };
@@ -335,11 +335,12 @@ function fetchWellKnown(domain) {
 
 /**
  * Generate the .well-known/ai2ai.json content for this agent
+ * @param {object} config - { port, endpoint, agentName, humanName, timezone, context, intents }
  */
 function generateWellKnownJson(config) {
   const { loadOrCreateKeys, getFingerprint } = require('./ai2ai-crypto');
-  const { supportedIntents } = require('./ai2ai-handlers');
-  const keys = loadOrCreateKeys();
+  const { supportedIntents, intentVersions, intentSchemas } = config.intents || require('./ai2ai-handlers');
+  const keys = loadOrCreateKeys(config.context);
 
   return {
     ai2ai: '0.1',
@@ -349,6 +350,8 @@ function generateWellKnownJson(config) {
     publicKey: keys.publicKey,
     fingerprint: getFingerprint(keys.publicKey),
     capabilities: supportedIntents(),
+    intentVersions: intentVersions(),
+    schemas: intentSchemas(),
     timezone: config.timezone || process.env.AI2AI_TIMEZONE || 'UTC',
   };
 }
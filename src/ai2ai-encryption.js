@@ -13,6 +13,9 @@
  */
 
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getDefaultContext } = require('./ai2ai-context');
 
 /**
  * Convert an Ed25519 private key (PEM) to an X25519 private key (raw 32 bytes).
@@ -251,15 +254,16 @@ function generateX25519KeyPair() {
 
 /**
  * Load or create X25519 keypair from disk (alongside Ed25519 keys)
+ * @param {object} [ctx] - Agent context; keys live in <ctx.dataDir>/.keys
  */
-function loadOrCreateX25519Keys() {
-  const keysDir = require('path').join(__dirname, '.keys');
-  const pubPath = require('path').join(keysDir, 'x25519.pub.der');
-  const privPath = require('path').join(keysDir, 'x25519.key.der');
-
-  if (require('fs').existsSync(pubPath) && require('fs').existsSync(privPath)) {
-    const pubDer = require('fs').readFileSync(pubPath);
-    const privDer = require('fs').readFileSync(privPath);
+function loadOrCreateX25519Keys(ctx = getDefaultContext()) {
+  const keysDir = path.join(ctx.dataDir, '.keys');
+  const pubPath = path.join(keysDir, 'x25519.pub.der');
+  const privPath = path.join(keysDir, 'x25519.key.der');
+
+  if (fs.existsSync(pubPath) && fs.existsSync(privPath)) {
+    const pubDer = fs.readFileSync(pubPath);
+    const privDer = fs.readFileSync(privPath);
     return {
       publicKeyDer: pubDer.toString('base64'),
       publicKey: crypto.createPublicKey({ key: pubDer, format: 'der', type: 'spki' }),
@@ -267,15 +271,39 @@ function loadOrCreateX25519Keys() {
     };
   }
 
+  if (!fs.existsSync(keysDir)) fs.mkdirSync(keysDir, { recursive: true });
   const keys = generateX25519KeyPair();
   const pubDer = keys.publicKey.export({ type: 'spki', format: 'der' });
   const privDer = keys.privateKey.export({ type: 'pkcs8', format: 'der' });
-  require('fs').writeFileSync(pubPath, pubDer, { mode: 0o644 });
-  require('fs').writeFileSync(privPath, privDer, { mode: 0o600 });
+  fs.writeFileSync(pubPath, pubDer, { mode: 0o644 });
+  fs.writeFileSync(privPath, privDer, { mode: 0o600 });
 
   return keys;
 }
 
+// What an agent signs with its Ed25519 key to vouch for its X25519 key
+const x25519Binding = (agentId, x25519Key) => Buffer.from(`ai2ai-x25519:${agentId}:${x25519Key}`);
+
+/**
+ * Sign our X25519 public key with our Ed25519 key, for handshakes
+ * @returns {string} base64 signature
+ */
+function signX25519Binding(agentId, x25519Key, ed25519PrivatePem) {
+  return crypto.sign(null, x25519Binding(agentId, x25519Key), crypto.createPrivateKey(ed25519PrivatePem)).toString('base64');
+}
+
+/**
+ * Check that an agent's Ed25519 key vouches for an X25519 key
+ */
+function verifyX25519Binding(agentId, x25519Key, signature, ed25519PublicKey) {
+  if (!signature || !ed25519PublicKey) return false;
+  try {
+    return crypto.verify(null, x25519Binding(agentId, x25519Key), crypto.createPublicKey(ed25519PublicKey), Buffer.from(signature, 'base64'));
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Check if a payload is encrypted
  */
@@ -288,5 +316,7 @@ module.exports = {
   decryptPayloadX25519,
   generateX25519KeyPair,
   loadOrCreateX25519Keys,
+  signX25519Binding,
+  verifyX25519Binding,
   isEncrypted,
 };
@@ -0,0 +1,335 @@
+/**
+ * AI2AI Group Scheduling — Collect participants' replies and settle a time
+ *
+ * requestGroupMeeting() starts a group: the organiser's conversation meta
+ * gets a `group` record with the proposed times, the quorum (how many
+ * participants must be free at the same time, default all of them) and an
+ * optional deadline. The organiser's server hands each participant's reply
+ * to recordResponse() instead of queueing it for the human:
+ *
+ *   response { available_times: [...] } or { accepted_time }  → free then
+ *   response { counter_proposal }                             → noted
+ *   reject                                                    → declined
+ *
+ * Once everyone has answered, or the deadline passes, the organiser gets
+ * one pending approval (handler 'group') summarising the overlap. From
+ * there they confirmGroup() — a `confirm` to every participant — or
+ * proposeNewRound() with new times, or cancelGroup().
+ *
+ * group meta:
+ *   { subject, durationMinutes, location, round, proposedTimes, quorum,
+ *     deadline, status, participants: [agent], endpoints: { agent: url },
+ *     responses: { agent: { round, available, counterProposal, declined, at } } }
+ *
+ * status: collecting → decided (waiting for the organiser) → confirmed | cancelled
+ */
+
+const { createConversations, STATES } = require('./ai2ai-conversations');
+
+const sameTime = (a, b) => Date.parse(a) === Date.parse(b);
+
+/**
+ * The group record requestGroupMeeting() stores on the organiser's conversation
+ * @param {object} opts
+ * @param {{ agent: string, endpoint: string }[]} opts.endpoints - Everyone invited
+ * @param {string[]} opts.proposedTimes
+ * @param {number} [opts.quorum] - Participants who must be free together (default: all)
+ * @param {string} [opts.deadline] - ISO time after which the replies so far decide
+ */
+function groupState({ endpoints, proposedTimes, durationMinutes, subject, location, quorum, deadline }) {
+  const participants = endpoints.map(e => e.agent);
+  return {
+    subject: subject || null,
+    durationMinutes: durationMinutes || 60,
+    location: location || null,
+    round: 1,
+    proposedTimes,
+    quorum: Math.min(quorum || participants.length, participants.length),
+    deadline: deadline ? new Date(deadline).toISOString() : null,
+    status: 'collecting',
+    participants,
+    endpoints: Object.fromEntries(endpoints.map(e => [e.agent, e.endpoint])),
+    responses: {},
+  };
+}
+
+/**
+ * Who is free when, this round. Times the organiser's calendar is busy for
+ * can't be the best time; among the rest the most participants win, then
+ * the earliest.
+ * @param {object} group - The group meta
+ * @param {object[]} [organiser] - checkTimes() results for the proposed times
+ */
+function summarize(group, organiser = null) {
+  const current = Object.entries(group.responses).filter(([, r]) => r.round === group.round);
+  const times = group.proposedTimes.map((time, i) => {
+    const available = current.filter(([, r]) => r.available.some(t => sameTime(t, time))).map(([agent]) => agent);
+    return { time, available, count: available.length, organiserFree: organiser ? organiser[i].free : true };
+  });
+  const best = times
+    .filter(t => t.organiserFree && t.count > 0)
+    .sort((a, b) => b.count - a.count || Date.parse(a.time) - Date.parse(b.time))[0] || null;
+
+  return {
+    round: group.round,
+    times,
+    best,
+    quorumMet: Boolean(best && best.count >= group.quorum),
+    responded: current.map(([agent]) => agent),
+    waiting: group.participants.filter(a => !current.some(([agent]) => agent === a)),
+    declined: current.filter(([, r]) => r.declined).map(([agent]) => agent),
+    counterProposals: current.filter(([, r]) => r.counterProposal).map(([agent, r]) => ({ agent, text: r.counterProposal })),
+  };
+}
+
+/**
+ * What the organiser is asked
+ */
+function formatSummary(group, summary) {
+  const lines = summary.times.map((t, i) => {
+    const who = t.count ? t.available.join(', ') : 'nobody';
+    const busy = t.organiserFree ? '' : ' — ⚠️ you are busy';
+    const mark = summary.best === t ? ' (best)' : '';
+    return `  ${i + 1}. ${new Date(t.time).toLocaleString()} — ${who} (${t.count}/${group.participants.length})${busy}${mark}`;
+  });
+  return [
+    `📅 **Group Meeting** "${group.subject || 'No subject'}" — round ${group.round}`,
+    ``,
+    `**Replies:** ${summary.responded.length} of ${group.participants.length}` +
+      (summary.waiting.length ? ` (no answer from ${summary.waiting.join(', ')})` : ''),
+    summary.declined.length ? `**Declined:** ${summary.declined.join(', ')}` : null,
+    ...summary.counterProposals.map(c => `**${c.agent} suggests:** ${c.text}`),
+    ``,
+    ...lines,
+    ``,
+    summary.quorumMet
+      ? `Reply "confirm" for the best time, a number to pick another, "new round" to propose new times, or "cancel".`
+      : `No time works for ${group.quorum} of them. Reply "new round" to propose new times, a number to confirm anyway, or "cancel".`,
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Group scheduling for one organiser
+ * @param {object} ctx - From createContext()
+ * @param {object} deps
+ * @param {object} deps.client - From createClient(ctx, config), for broadcasting
+ * @param {object} deps.calendar - From createCalendar(ctx), for the organiser's own availability
+ */
+function createGroupCoordinator(ctx, { client, calendar }) {
+  const conversations = createConversations(ctx);
+  const { logger } = ctx;
+
+  const getGroup = (conversationId) => conversations.getConversation(conversationId)?.group || null;
+  const saveGroup = (conversationId, group) => conversations.updateConversation(conversationId, { group });
+  const latestRequest = (conversationId) => conversations.getMessages(conversationId).filter(m => m.type === 'request').pop();
+
+  function summaryOf(group) {
+    return summarize(group, calendar.checkTimes(group.proposedTimes, group.durationMinutes));
+  }
+
+  /**
+   * Hand the decision to the organiser: one pending approval per round
+   */
+  function decide(conversationId, group, reason) {
+    const summary = summaryOf(group);
+    group.status = 'decided';
+    saveGroup(conversationId, group);
+
+    const request = latestRequest(conversationId);
+    conversations.savePendingApproval(request.id, {
+      envelope: request,
+      approvalMessage: formatSummary(group, summary),
+      handler: 'group',
+      summary,
+      createdAt: new Date(ctx.clock()).toISOString(),
+    });
+    logger.info('GROUP', `Round ${group.round} of ${conversationId} ready for the organiser (${reason})`, {
+      best: summary.best?.time, quorumMet: summary.quorumMet,
+    });
+    return summary;
+  }
+
+  /**
+   * Record a participant's reply to a group we organise
+   * @returns {object|null} The round's summary, or null if the envelope isn't for one of our groups
+   */
+  function recordResponse(envelope) {
+    const group = getGroup(envelope.conversation);
+    const agentId = envelope.from?.agent;
+    if (!group || !group.participants.includes(agentId)) return null;
+    if (group.status !== 'collecting') {
+      logger.info('GROUP', `Late reply from ${agentId} to ${envelope.conversation} ignored`);
+      return summaryOf(group);
+    }
+
+    const payload = envelope.payload || {};
+    const offered = [].concat(payload.available_times || payload.accepted_time || []);
+    group.responses[agentId] = {
+      round: group.round,
+      available: offered.filter(t => group.proposedTimes.some(p => sameTime(p, t))),
+      counterProposal: payload.counter_proposal || null,
+      declined: envelope.type === 'reject',
+      at: new Date(ctx.clock()).toISOString(),
+    };
+    if (conversations.getConversation(envelope.conversation).state === STATES.PROPOSED) {
+      conversations.transitionState(envelope.conversation, STATES.NEGOTIATING);
+    }
+
+    const summary = summaryOf(group);
+    if (summary.waiting.length === 0) return decide(envelope.conversation, group, 'everyone replied');
+    saveGroup(envelope.conversation, group);
+    return summary;
+  }
+
+  /**
+   * Hand over groups whose deadline has passed
+   * @returns {string[]} Conversation IDs decided
+   */
+  function checkDeadlines() {
+    const decided = [];
+    for (const conv of conversations.listConversations()) {
+      const group = conv.group;
+      if (group?.status !== 'collecting' || !group.deadline || Date.parse(group.deadline) > ctx.clock()) continue;
+      decide(conv.id, group, 'deadline passed');
+      decided.push(conv.id);
+    }
+    return decided;
+  }
+
+  async function broadcast(conversationId, group, { type, payload }) {
+    const meta = conversations.getConversation(conversationId);
+    const envelope = client.createEnvelope({
+      to: group.participants.map(agent => ({ agent })),
+      type,
+      intent: 'schedule.group',
+      conversationId,
+      participants: meta.participants,
+      payload,
+    });
+    conversations.appendMessage(conversationId, envelope);
+    const endpoints = group.participants.map(agent => ({ agent, endpoint: group.endpoints[agent] }));
+    return client.sendToMultiple(endpoints, envelope);
+  }
+
+  /**
+   * A group the organiser can still act on: not yet confirmed or cancelled
+   */
+  function openGroup(conversationId) {
+    const group = getGroup(conversationId);
+    if (!group) throw new Error(`Not a group conversation: ${conversationId}`);
+    if (!['collecting', 'decided'].includes(group.status)) {
+      throw new Error(`Group meeting ${conversationId} is already ${group.status}`);
+    }
+    return group;
+  }
+
+  function closePending(conversationId) {
+    const request = latestRequest(conversationId);
+    if (request && conversations.getPendingApproval(request.id)) {
+      conversations.removePendingApproval(request.id);
+    }
+  }
+
+  /**
+   * Confirm a time with everyone and put it in the organiser's calendar
+   * @param {string} conversationId
+   * @param {object} [opts] - { time } (default: the best time this round)
+   * @returns {Promise<{ time: string, results: object }>}
+   */
+  async function confirmGroup(conversationId, { time } = {}) {
+    const group = openGroup(conversationId);
+    const acceptedTime = time || summaryOf(group).best?.time;
+    if (!acceptedTime) throw new Error('No time to confirm');
+
+    const request = latestRequest(conversationId);
+    closePending(conversationId);
+    // Settled before the broadcast, so participants asking us to sign find it agreed
+    group.status = 'confirmed';
+    saveGroup(conversationId, group);
+    conversations.transitionState(conversationId, STATES.CONFIRMED);
+    conversations.updateConversation(conversationId, { acceptedTime, durationMinutes: group.durationMinutes });
+    const results = await broadcast(conversationId, group, {
+      type: 'confirm',
+      payload: {
+        subject: group.subject,
+        accepted_time: acceptedTime,
+        duration_minutes: group.durationMinutes,
+        round: group.round,
+      },
+    });
+
+    calendar.recordMeeting(request, acceptedTime);
+    logger.info('GROUP', `Confirmed ${conversationId} for ${acceptedTime}`);
+    return { time: acceptedTime, results };
+  }
+
+  /**
+   * Start another round with new times (default: the organiser's next free slots)
+   * @param {string} conversationId
+   * @param {object} [opts] - { proposedTimes, slots, deadline }
+   */
+  async function proposeNewRound(conversationId, { proposedTimes, slots, deadline } = {}) {
+    const group = openGroup(conversationId);
+    const times = proposedTimes?.length
+      ? proposedTimes
+      : calendar.findFreeSlots({ durationMinutes: group.durationMinutes, ...slots })
+        .filter(t => !group.proposedTimes.some(p => sameTime(p, t)));
+    if (!times.length) throw new Error('No new times to propose');
+
+    closePending(conversationId);
+    group.round += 1;
+    group.proposedTimes = times;
+    group.status = 'collecting';
+    group.deadline = deadline ? new Date(deadline).toISOString() : null;
+    saveGroup(conversationId, group);
+
+    const meta = conversations.getConversation(conversationId);
+    const results = await broadcast(conversationId, group, {
+      type: 'request',
+      payload: {
+        subject: group.subject,
+        proposed_times: times,
+        duration_minutes: group.durationMinutes,
+        location_preference: group.location,
+        participants: meta.participants,
+        round: group.round,
+        deadline: group.deadline,
+      },
+    });
+    logger.info('GROUP', `Round ${group.round} of ${conversationId}: ${times.length} new times`);
+    return { round: group.round, proposedTimes: times, results };
+  }
+
+  /**
+   * Call the meeting off and tell everyone
+   */
+  async function cancelGroup(conversationId, reason = 'Cancelled by the organiser') {
+    const group = openGroup(conversationId);
+    closePending(conversationId);
+    const results = await broadcast(conversationId, group, { type: 'reject', payload: { reason } });
+    group.status = 'cancelled';
+    saveGroup(conversationId, group);
+    conversations.transitionState(conversationId, STATES.REJECTED);
+    return { results };
+  }
+
+  return {
+    getGroup,
+    summary: (conversationId) => {
+      const group = getGroup(conversationId);
+      return group ? summaryOf(group) : null;
+    },
+    recordResponse,
+    checkDeadlines,
+    confirmGroup,
+    proposeNewRound,
+    cancelGroup,
+  };
+}
+
+module.exports = {
+  groupState,
+  summarize,
+  formatSummary,
+  createGroupCoordinator,
+};
@@ -1,18 +1,60 @@
 /**
  * AI2AI Intent Handlers
  * Each handler processes a specific intent type and returns a response payload.
+ * Custom intents join the built-ins through registerIntent(); each agent has
+ * its own set from createIntents().
+ *
+ * Handlers are called as (payload, from, envelope, helpers), where the
+ * server's helpers are { isFree(time, durationMinutes), checkTimes(times,
+ * durationMinutes), answer(question) } — checkTimes() annotates proposed
+ * times against the agent's calendar (see ai2ai-calendar.js). Without
+ * helpers the times are listed unannotated.
+ *
+ * A handler returns { needsApproval, approvalMessage, formatResponse } and,
+ * when there is a sensible answer without a human, autoReply(helpers): the
+ * reply formatResponse() should get when the approval policy approves.
+ * Returning null leaves the decision to the human.
  */
 
+const { SCHEMAS } = require('./ai2ai-schemas');
+const { createOffer, repriceOffer, offerTotal, formatOffer, parseAmount } = require('./ai2ai-commerce');
+
+// A reply that is just a price: "120", "$1,200.50", "95 EUR"
+const PRICE_REPLY = /^\s*[$€£]?\s*\d[\d,]*(\.\d+)?\s*([a-z]{3})?\s*$/i;
+
+/**
+ * Numbered proposed times, each marked free (with its rank) or clashing
+ * when the calendar was checked
+ */
+function formatProposedTimes(times, availability) {
+  return times.map((t, i) => {
+    const line = `  ${i + 1}. ${new Date(t).toLocaleString()}`;
+    const a = availability?.[i];
+    if (!a) return line;
+    if (a.past) return `${line} — ⏱️ already passed`;
+    if (!a.free) return `${line} — ⚠️ clashes with ${a.conflicts.join(', ')}`;
+    return `${line} — ✅ free${a.rank === 1 ? ' (best)' : ` (choice ${a.rank})`}`;
+  }).join('\n');
+}
+
+/**
+ * The reply number of the best-ranked free time, or null if none is free
+ */
+function bestTime(times, durationMinutes, availability, helpers) {
+  const checked = availability || helpers.checkTimes(times, durationMinutes || 60);
+  const best = checked.find(a => a.rank === 1);
+  return best ? String(best.index + 1) : null;
+}
+
 /**
  * Handle schedule.meeting intent
  */
-function handleScheduleMeeting(payload, fromAgent) {
+function handleScheduleMeeting(payload, fromAgent, envelope, helpers) {
   const { subject, proposed_times, duration_minutes, location_preference, flexibility, notes } = payload;
+  const availability = helpers?.checkTimes ? helpers.checkTimes(proposed_times, duration_minutes || 60) : null;
 
   // Format for human approval
-  const timesFormatted = proposed_times
-    .map((t, i) => `  ${i + 1}. ${new Date(t).toLocaleString()}`)
-    .join('\n');
+  const timesFormatted = formatProposedTimes(proposed_times, availability);
 
   const approvalMessage = [
     `📅 **Meeting Request** from ${fromAgent.human}'s AI (${fromAgent.agent})`,
@@ -31,6 +73,8 @@ function handleScheduleMeeting(payload, fromAgent) {
   return {
     needsApproval: true,
     approvalMessage,
+    availability,
+    autoReply: (autoHelpers) => bestTime(proposed_times, duration_minutes, availability, autoHelpers),
     formatResponse: (humanReply) => {
       const num = parseInt(humanReply);
       if (num >= 1 && num <= proposed_times.length) {
@@ -105,6 +149,7 @@ function handleInfoRequest(payload, fromAgent) {
   return {
     needsApproval: true,
     approvalMessage,
+    autoReply: ({ answer }) => answer(question),
     formatResponse: (humanReply) => {
       if (humanReply.toLowerCase().trim() === 'decline') {
         return { type: 'reject', payload: { reason: 'Declined to answer' } };
@@ -120,11 +165,13 @@ function handleInfoRequest(payload, fromAgent) {
 /**
  * Handle schedule.call intent
  */
-function handleScheduleCall(payload, fromAgent) {
+function handleScheduleCall(payload, fromAgent, envelope, helpers) {
   // Reuse meeting logic with different framing
   return handleScheduleMeeting(
     { ...payload, subject: payload.subject || `Call with ${fromAgent.human}` },
-    fromAgent
+    fromAgent,
+    envelope,
+    helpers
   );
 }
 
@@ -167,6 +214,7 @@ function handleIntroduction(payload, fromAgent) {
   return {
     needsApproval: true,
     approvalMessage,
+    autoReply: () => 'accept',
     formatResponse: (humanReply) => {
       const accepted = humanReply.toLowerCase().trim() === 'accept';
       return {
@@ -210,6 +258,19 @@ function handleCommerceRequest(payload, fromAgent) {
       if (humanReply.toLowerCase().trim() === 'decline') {
         return { type: 'reject', intent: 'commerce.reject', payload: { reason: 'Not interested' } };
       }
+      if (PRICE_REPLY.test(humanReply)) {
+        // A quote for the whole request, split over the quantity asked for
+        const total = parseAmount(humanReply);
+        const units = Number(quantity) > 0 ? Number(quantity) : 1;
+        return {
+          type: 'response',
+          intent: 'commerce.offer',
+          payload: createOffer({
+            items: [{ description: item || description || null, quantity: units, unit_price: total / units }],
+            currency: (/[a-z]{3}\s*$/i.exec(humanReply)?.[0] || currency || 'USD').toUpperCase(),
+          }),
+        };
+      }
       return {
         type: 'response',
         intent: 'commerce.offer',
@@ -226,16 +287,19 @@ function handleCommerceRequest(payload, fromAgent) {
  * Handle commerce.offer — someone is making an offer
  */
 function handleCommerceOffer(payload, fromAgent) {
-  const { offer, price, currency, terms, expires, item } = payload;
+  const { offer, price, currency, terms, expires, item, items } = payload;
+  const structured = Array.isArray(items) && items.length > 0;
 
   const approvalMessage = [
     `💰 **Offer** from ${fromAgent.human}'s AI:`,
     ``,
-    item ? `**Item:** ${item}` : '',
-    `**Offer:** ${offer || 'See details'}`,
-    price ? `**Price:** ${price} ${currency || 'USD'}` : '',
-    terms ? `**Terms:** ${terms}` : '',
-    expires ? `**Expires:** ${new Date(expires).toLocaleString()}` : '',
+    ...(structured ? [formatOffer(payload)] : [
+      item ? `**Item:** ${item}` : '',
+      `**Offer:** ${offer || 'See details'}`,
+      price ? `**Price:** ${price} ${currency || 'USD'}` : '',
+      terms ? `**Terms:** ${terms}` : '',
+      expires ? `**Expires:** ${new Date(expires).toLocaleString()}` : '',
+    ]),
     ``,
     `Reply "accept" to accept, "decline" to reject, or make a counter-offer.`,
     `⚠️ This is a commerce offer — your approval is always required.`,
@@ -248,11 +312,22 @@ function handleCommerceOffer(payload, fromAgent) {
     formatResponse: (humanReply) => {
       const lower = humanReply.toLowerCase().trim();
       if (lower === 'accept') {
-        return { type: 'confirm', intent: 'commerce.accept', payload: { accepted: true, message: 'Accepted' } };
+        return {
+          type: 'confirm',
+          intent: 'commerce.accept',
+          payload: { accepted: true, offer_id: payload.offer_id || null, total: offerTotal(payload), currency: currency || 'USD', message: 'Accepted' },
+        };
       }
       if (lower === 'decline' || lower === 'reject') {
         return { type: 'reject', intent: 'commerce.reject', payload: { reason: 'Declined' } };
       }
+      if (PRICE_REPLY.test(humanReply) && offerTotal(payload) != null) {
+        return {
+          type: 'response',
+          intent: 'commerce.offer',
+          payload: repriceOffer(payload, parseAmount(humanReply), { round: (payload.round || 1) + 1, isCounter: true }),
+        };
+      }
       // Counter-offer
       return {
         type: 'response',
@@ -304,12 +379,11 @@ function handleCommerceReject(payload, fromAgent) {
 /**
  * Handle schedule.group — Find a time that works for everyone
  */
-function handleScheduleGroup(payload, fromAgent) {
-  const { subject, proposed_times, duration_minutes, participants, location_preference, notes } = payload;
+function handleScheduleGroup(payload, fromAgent, envelope, helpers) {
+  const { subject, proposed_times, duration_minutes, participants, location_preference, notes, round, deadline } = payload;
+  const availability = helpers?.checkTimes ? helpers.checkTimes(proposed_times || [], duration_minutes || 60) : null;
 
-  const timesFormatted = (proposed_times || [])
-    .map((t, i) => `  ${i + 1}. ${new Date(t).toLocaleString()}`)
-    .join('\n');
+  const timesFormatted = formatProposedTimes(proposed_times || [], availability);
 
   const participantList = (participants || [])
     .map(p => p.human || p.agent || 'Unknown')
@@ -325,20 +399,30 @@ function handleScheduleGroup(payload, fromAgent) {
     `**Duration:** ${duration_minutes || 60} minutes`,
     location_preference ? `**Location:** ${location_preference}` : '',
     notes ? `**Notes:** ${notes}` : '',
+    round > 1 ? `**Round:** ${round} (the earlier times didn't work for everyone)` : '',
+    deadline ? `**Reply by:** ${new Date(deadline).toLocaleString()}` : '',
     ``,
-    `Reply with a number to accept a time, or suggest an alternative.`,
+    `Reply with the numbers of every time that works (e.g. 1,3), or suggest an alternative.`,
   ].filter(Boolean).join('\n');
 
   return {
     needsApproval: true,
     approvalMessage,
+    availability,
+    // Every time we're free for, best first: the organiser looks for the overlap
+    autoReply: (autoHelpers) => {
+      const checked = availability || autoHelpers.checkTimes(proposed_times || [], duration_minutes || 60);
+      const free = checked.filter(a => a.free).sort((a, b) => a.rank - b.rank);
+      return free.length ? free.map(a => a.index + 1).join(',') : null;
+    },
     formatResponse: (humanReply) => {
-      const num = parseInt(humanReply);
-      if (num >= 1 && num <= (proposed_times || []).length) {
+      const picks = /^[\d\s,]+$/.test(humanReply) ? humanReply.split(/[\s,]+/).filter(Boolean).map(Number) : [];
+      if (picks.length && picks.every(n => n >= 1 && n <= (proposed_times || []).length)) {
         return {
           type: 'response',
           payload: {
-            accepted_time: proposed_times[num - 1],
+            accepted_time: proposed_times[picks[0] - 1],
+            available_times: picks.map(n => proposed_times[n - 1]),
             counter_proposal: null,
             participant: fromAgent,
           },
@@ -356,7 +440,7 @@ function handleScheduleGroup(payload, fromAgent) {
   };
 }
 
-// Registry of intent handlers
+// Built-in intent handlers
 const HANDLERS = {
   'schedule.meeting': handleScheduleMeeting,
   'schedule.call': handleScheduleCall,
@@ -371,22 +455,118 @@ const HANDLERS = {
   'commerce.reject': handleCommerceReject,
 };
 
+// ─── Intent Registry ────────────────────────────────────────────────────────
+
+// namespace.name, e.g. dev.claude_task or task.subtask
+const INTENT_NAME = /^[a-z][a-z0-9_-]*(\.[a-z][a-z0-9_-]*)+$/;
+const APPROVAL_MODES = ['always', 'trust', 'never'];
+
 /**
- * Get handler for an intent
+ * Check an intent definition and fill in defaults
+ * @param {string} name - Namespaced intent name
+ * @param {object} def
+ * @param {Function} def.handler - (payload, from, envelope) → result, may be async
+ * @param {object} [def.schema] - JSON Schema for the payload (see ai2ai-schemas.js)
+ * @param {string} [def.approval='trust'] - 'always', 'never', or 'trust' (ask unless the sender is trusted)
+ * @param {string} [def.version='1.0'] - Advertised alongside the intent
+ * @returns {{ name, handler, schema, approval, version }}
  */
-function getHandler(intent) {
-  return HANDLERS[intent] || null;
+function defineIntent(name, def = {}) {
+  if (typeof name !== 'string' || !INTENT_NAME.test(name)) {
+    throw new Error(`Intent names must be namespaced, like "dev.task": ${name}`);
+  }
+  if (typeof def.handler !== 'function') throw new Error(`Intent ${name} needs a handler function`);
+  const approval = def.approval || 'trust';
+  if (!APPROVAL_MODES.includes(approval)) {
+    throw new Error(`Intent ${name}: approval must be one of ${APPROVAL_MODES.join(', ')}`);
+  }
+  if (def.schema != null && typeof def.schema !== 'object') throw new Error(`Intent ${name}: schema must be an object`);
+
+  return { name, handler: def.handler, schema: def.schema || null, approval, version: String(def.version || '1.0') };
 }
 
 /**
- * List supported intents
+ * One agent's intents: the built-ins, plus whatever it registers
+ * @returns {{ registerIntent, getIntent, getHandler, supportedIntents, intentVersions, intentSchemas }}
  */
-function supportedIntents() {
-  return Object.keys(HANDLERS);
+function createIntents() {
+  const intents = new Map(
+    Object.entries(HANDLERS).map(([name, handler]) => [name, defineIntent(name, { handler, schema: SCHEMAS[name] })])
+  );
+
+  /**
+   * Register a custom intent
+   *
+   * The handler receives (payload, from, envelope) and returns what the
+   * built-in handlers return — { approvalMessage, needsApproval,
+   * alwaysRequiresApproval, formatResponse, autoReply } — plus an optional
+   * `payload` that is sent back to the requester when no approval is needed.
+   * It may return a promise.
+   *
+   * @param {string} name - Namespaced intent name, e.g. 'dev.claude_task'
+   * @param {object} def - { handler, schema, approval, version } as for defineIntent()
+   * @returns {object} The stored definition
+   */
+  function registerIntent(name, def) {
+    const intent = defineIntent(name, def);
+    if (intents.has(name)) throw new Error(`Intent already registered: ${name}`);
+    intents.set(name, intent);
+    return intent;
+  }
+
+  /**
+   * Get an intent's definition
+   * @returns {object|null} { name, handler, schema, approval, version }
+   */
+  function getIntent(intent) {
+    return intents.get(intent) || null;
+  }
+
+  /**
+   * Get handler for an intent
+   */
+  function getHandler(intent) {
+    return intents.get(intent)?.handler || null;
+  }
+
+  /**
+   * List supported intents
+   */
+  function supportedIntents() {
+    return [...intents.keys()];
+  }
+
+  /**
+   * Advertised intent versions, keyed by intent
+   */
+  function intentVersions() {
+    return Object.fromEntries([...intents.values()].map(i => [i.name, i.version]));
+  }
+
+  /**
+   * Payload schemas of intents that have one, keyed by intent
+   */
+  function intentSchemas() {
+    return Object.fromEntries([...intents.values()].filter(i => i.schema).map(i => [i.name, i.schema]));
+  }
+
+  return {
+    registerIntent,
+    getIntent,
+    getHandler,
+    supportedIntents,
+    intentVersions,
+    intentSchemas,
+  };
 }
 
+// The default agent's intents, behind the module-level functions
+const defaultIntents = createIntents();
+
 module.exports = {
-  getHandler,
-  supportedIntents,
+  ...defaultIntents,
+  defaultIntents,
+  createIntents,
+  defineIntent,
   HANDLERS,
 };
@@ -0,0 +1,344 @@
+/**
+ * AI2AI Approval Policy — Declarative rules for which inbound messages need a human
+ *
+ * The policy is a JSON document kept in the context's storage under
+ * ('', 'policy') — policy.json in the data directory with the file adapter.
+ * Rules are checked in order and the first whose `match` fits decides:
+ *
+ *   {
+ *     "default": "ask",
+ *     "rules": [
+ *       { "name": "trusted weekday meetings",
+ *         "match": { "intent": "schedule.meeting", "trustLevel": "trusted",
+ *                    "payload": { "proposed_times": { "days": ["mon", "tue", "wed", "thu", "fri"], "hours": "09:00-17:00" },
+ *                                 "duration_minutes": { "max": 60 } } },
+ *         "action": "approve" },
+ *       { "name": "addresses", "match": { "intent": "info.request", "payload": { "question": { "matches": "address" } } },
+ *         "action": "ask" }
+ *     ]
+ *   }
+ *
+ * Match keys (every key given must hold; a list means "any of"):
+ *   contact    — sender agent ID(s)
+ *   trustLevel — 'none' (also unknown senders), 'known' or 'trusted'
+ *   intent     — intent(s); 'commerce.*' matches a whole namespace
+ *   type       — message type(s)
+ *   days       — weekdays ('mon' … 'sun') the message arrives on
+ *   hours      — 'HH:MM-HH:MM' window the message arrives in
+ *   payload    — { 'field.path': condition }, see matchCondition()
+ *
+ * Days and hours are in the agent's timezone. Actions: 'approve' (no human
+ * needed), 'reject' (refuse the message) and 'ask' (the human decides).
+ * Without a policy file DEFAULT_POLICY applies, which is the trust level
+ * behaviour the protocol has always had.
+ *
+ * Dry run — which rule fires for an envelope:
+ *   node ai2ai-policy.js envelope.json [--data-dir DIR] [--timezone TZ] [--at ISO]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDefaultContext } = require('./ai2ai-context');
+const { FileStorage } = require('./storage');
+const { createTrust } = require('./ai2ai-trust');
+
+const ACTIONS = ['approve', 'reject', 'ask'];
+const MATCH_KEYS = ['contact', 'trustLevel', 'intent', 'type', 'days', 'hours', 'payload'];
+const CONDITION_KEYS = ['equals', 'in', 'matches', 'min', 'max', 'exists', 'days', 'hours'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const HOURS = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/;
+
+// Trust levels as they always worked: commerce always asks, unknown agents
+// always ask, known agents ask for requests, trusted agents don't ask
+const DEFAULT_POLICY = {
+  default: 'approve',
+  rules: [
+    { name: 'commerce always asks', match: { intent: ['commerce.*', 'task.delegate'] }, action: 'ask' },
+    { name: 'unknown contacts ask', match: { trustLevel: 'none' }, action: 'ask' },
+    { name: 'known contacts ask for requests', match: { trustLevel: 'known', type: 'request' }, action: 'ask' },
+  ],
+};
+
+// ─── Checking ───────────────────────────────────────────────────────────────
+
+/**
+ * Check a policy document
+ * @param {object} policy
+ * @returns {string[]} Problems, empty when the policy is usable
+ */
+function checkPolicy(policy) {
+  const problems = [];
+  if (!policy || typeof policy !== 'object') return ['policy must be an object'];
+  if (policy.default !== undefined && !ACTIONS.includes(policy.default)) {
+    problems.push(`default must be one of ${ACTIONS.join(', ')}`);
+  }
+  if (!Array.isArray(policy.rules)) return [...problems, 'rules must be an array'];
+
+  policy.rules.forEach((rule, i) => {
+    const at = `rules[${i}]`;
+    if (!ACTIONS.includes(rule?.action)) problems.push(`${at}.action must be one of ${ACTIONS.join(', ')}`);
+    const match = rule?.match || {};
+    for (const key of Object.keys(match)) {
+      if (!MATCH_KEYS.includes(key)) problems.push(`${at}.match.${key} is not a match key`);
+    }
+    if (match.hours !== undefined && !HOURS.test(match.hours)) problems.push(`${at}.match.hours must look like "09:00-17:00"`);
+    for (const day of [].concat(match.days || [])) {
+      if (!DAYS.includes(day)) problems.push(`${at}.match.days: unknown day "${day}"`);
+    }
+    for (const [field, cond] of Object.entries(match.payload || {})) {
+      if (!isOperatorObject(cond)) continue;
+      for (const key of Object.keys(cond)) {
+        if (!CONDITION_KEYS.includes(key)) problems.push(`${at}.match.payload.${field}.${key} is not a condition`);
+      }
+      if (cond.hours !== undefined && !HOURS.test(cond.hours)) problems.push(`${at}.match.payload.${field}.hours must look like "09:00-17:00"`);
+      if (cond.matches !== undefined) {
+        try { new RegExp(cond.matches); } catch { problems.push(`${at}.match.payload.${field}.matches is not a valid pattern`); }
+      }
+    }
+  });
+  return problems;
+}
+
+// ─── Matching ───────────────────────────────────────────────────────────────
+
+const isOperatorObject = (cond) => cond !== null && typeof cond === 'object' && !Array.isArray(cond);
+const list = (value) => [].concat(value);
+
+function matchesIntent(pattern, intent) {
+  if (pattern.endsWith('.*')) return typeof intent === 'string' && intent.startsWith(pattern.slice(0, -1));
+  return pattern === intent;
+}
+
+/**
+ * Weekday and minutes past midnight of a moment in a timezone
+ */
+function localTime(date, timeZone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  for (const { type, value } of format.formatToParts(date)) parts[type] = value;
+  return { day: parts.weekday.toLowerCase(), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// Start inclusive, end exclusive; windows like 22:00-06:00 wrap past midnight
+function inHours(window, minutes) {
+  const [, h1, m1, h2, m2] = HOURS.exec(window);
+  const start = Number(h1) * 60 + Number(m1);
+  const end = Number(h2) * 60 + Number(m2);
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// Amounts may arrive as strings like "100" or "$1,200"
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+  const cleaned = value.replace(/[^0-9.-]/g, '');
+  return cleaned ? Number(cleaned) : NaN;
+}
+
+function getField(payload, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), payload);
+}
+
+/**
+ * Check one payload value against a condition. A plain value must be equal;
+ * an object combines operators:
+ *   equals, in (list), matches (case-insensitive pattern), min, max (numbers
+ *   or numeric strings), exists (boolean), days and hours (date-time values)
+ * Conditions on an array value must hold for every element, and an empty
+ * array meets none but `exists`.
+ * @returns {string|null} Why it doesn't match, or null if it does
+ */
+function matchCondition(value, cond, timeZone) {
+  if (!isOperatorObject(cond)) {
+    return value === cond ? null : `is ${JSON.stringify(value)}, not ${JSON.stringify(cond)}`;
+  }
+  if (cond.exists !== undefined && (value !== undefined) !== cond.exists) {
+    return cond.exists ? 'is missing' : 'is present';
+  }
+  if (value === undefined) return Object.keys(cond).some(k => k !== 'exists') ? 'is missing' : null;
+  if (Array.isArray(value)) {
+    // Nothing in the list to check, so only `exists` can hold
+    if (value.length === 0 && Object.keys(cond).some(k => k !== 'exists')) return 'is empty';
+    for (const [i, item] of value.entries()) {
+      const why = matchCondition(item, cond, timeZone);
+      if (why) return `[${i}] ${why}`;
+    }
+    return null;
+  }
+
+  if (cond.equals !== undefined && value !== cond.equals) return `is ${JSON.stringify(value)}, not ${JSON.stringify(cond.equals)}`;
+  if (cond.in !== undefined && !list(cond.in).includes(value)) return `${JSON.stringify(value)} is not one of ${JSON.stringify(cond.in)}`;
+  if (cond.matches !== undefined) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (!new RegExp(cond.matches, 'i').test(text)) return `does not match /${cond.matches}/`;
+  }
+  if (cond.min !== undefined || cond.max !== undefined) {
+    const n = toNumber(value);
+    if (Number.isNaN(n)) return `${JSON.stringify(value)} is not a number`;
+    if (cond.min !== undefined && n < cond.min) return `${n} is below ${cond.min}`;
+    if (cond.max !== undefined && n > cond.max) return `${n} is above ${cond.max}`;
+  }
+  if (cond.days !== undefined || cond.hours !== undefined) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return `${JSON.stringify(value)} is not a date-time`;
+    const local = localTime(date, timeZone);
+    if (cond.days !== undefined && !list(cond.days).includes(local.day)) return `${value} is on a ${local.day}`;
+    if (cond.hours !== undefined && !inHours(cond.hours, local.minutes)) return `${value} is outside ${cond.hours}`;
+  }
+  return null;
+}
+
+/**
+ * Check a rule's match against the facts of one message
+ * @returns {string|null} The first condition that fails, or null if the rule matches
+ */
+function matchRule(match = {}, facts) {
+  if (match.contact !== undefined && !list(match.contact).includes(facts.contact)) return `contact is ${facts.contact}`;
+  if (match.trustLevel !== undefined && !list(match.trustLevel).includes(facts.trustLevel)) return `trust level is ${facts.trustLevel}`;
+  if (match.intent !== undefined && !list(match.intent).some(p => matchesIntent(p, facts.intent))) return `intent is ${facts.intent}`;
+  if (match.type !== undefined && !list(match.type).includes(facts.type)) return `type is ${facts.type}`;
+  if (match.days !== undefined || match.hours !== undefined) {
+    const local = localTime(facts.at, facts.timeZone);
+    if (match.days !== undefined && !list(match.days).includes(local.day)) return `it is ${local.day}`;
+    if (match.hours !== undefined && !inHours(match.hours, local.minutes)) return `it is outside ${match.hours}`;
+  }
+  for (const [field, cond] of Object.entries(match.payload || {})) {
+    const why = matchCondition(getField(facts.payload, field), cond, facts.timeZone);
+    if (why) return `payload.${field} ${why}`;
+  }
+  return null;
+}
+
+/**
+ * Run a policy over the facts of one message
+ * @param {object} policy - A checked policy document
+ * @param {object} facts - { contact, trustLevel, intent, type, payload, at: Date, timeZone }
+ * @returns {{ action: string, rule: string|null, trace: { rule: string, matched: boolean, reason: string|null }[] }}
+ */
+function evaluatePolicy(policy, facts) {
+  const trace = [];
+  for (const [i, rule] of policy.rules.entries()) {
+    const name = rule.name || `rule ${i + 1}`;
+    const reason = matchRule(rule.match, facts);
+    trace.push({ rule: name, matched: reason === null, reason });
+    if (reason === null) return { action: rule.action, rule: name, trace };
+  }
+  return { action: policy.default || 'ask', rule: null, trace };
+}
+
+// ─── Per-Agent Policy ───────────────────────────────────────────────────────
+
+/**
+ * Approval policy for one agent
+ * @param {object} [ctx] - From createContext() (default: the shared default context)
+ * @param {object} [opts]
+ * @param {string} [opts.timezone] - For days and hours (default: the context's timezone)
+ */
+function createPolicy(ctx = getDefaultContext(), opts = {}) {
+  const trust = createTrust(ctx);
+  const timeZone = opts.timezone || ctx.timezone || process.env.AI2AI_TIMEZONE || 'UTC';
+
+  /**
+   * The stored policy, or DEFAULT_POLICY if there is none
+   * @throws {SyntaxError} If policy.json is not valid JSON
+   */
+  function loadPolicy() {
+    // FileStorage reads a file it can't parse as missing, which here would
+    // quietly swap a hand-edited policy for the defaults
+    if (ctx.storage instanceof FileStorage) {
+      const file = path.join(ctx.storage.dir, 'policy.json');
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : DEFAULT_POLICY;
+    }
+    return ctx.storage.get('', 'policy') || DEFAULT_POLICY;
+  }
+
+  /**
+   * Replace the stored policy
+   * @throws {Error} If the policy has problems (see checkPolicy)
+   */
+  function savePolicy(policy) {
+    const problems = checkPolicy(policy);
+    if (problems.length) throw new Error(`Invalid policy: ${problems.join('; ')}`);
+    ctx.storage.set('', 'policy', policy);
+  }
+
+  /**
+   * Decide what happens to an inbound message
+   * @param {object} envelope
+   * @param {object} [evalOpts]
+   * @param {Date|string|number} [evalOpts.at] - When it arrived (default: the context clock)
+   * @returns {{ action: string, rule: string|null, trace: object[], problems?: string[] }}
+   */
+  function evaluate(envelope, evalOpts = {}) {
+    let policy;
+    let problems;
+    try {
+      policy = loadPolicy();
+      problems = checkPolicy(policy);
+    } catch (err) {
+      problems = [`policy.json is not valid JSON: ${err.message}`];
+    }
+    // A broken policy file must not wave messages through
+    if (problems.length) {
+      ctx.logger.error('POLICY', `Invalid policy, asking for every message: ${problems.join('; ')}`);
+      return { action: 'ask', rule: null, trace: [], problems };
+    }
+
+    const contact = envelope.from?.agent;
+    return evaluatePolicy(policy, {
+      contact,
+      trustLevel: trust.getContact(contact)?.trustLevel || 'none',
+      intent: envelope.intent,
+      type: envelope.type,
+      payload: envelope.payload || {},
+      at: new Date(evalOpts.at ?? ctx.clock()),
+      timeZone,
+    });
+  }
+
+  return {
+    loadPolicy,
+    savePolicy,
+    evaluate,
+  };
+}
+
+/**
+ * Explain a decision for people, one line per rule tried
+ * @param {object} decision - From evaluate()
+ * @returns {string}
+ */
+function formatDecision(decision) {
+  const lines = [];
+  for (const problem of decision.problems || []) lines.push(`  ! ${problem}`);
+  for (const step of decision.trace) {
+    lines.push(step.matched ? `  ✓ ${step.rule}` : `  ✗ ${step.rule} — ${step.reason}`);
+  }
+  lines.push(`→ ${decision.action} (${decision.rule ? `rule "${decision.rule}"` : decision.problems ? 'invalid policy' : 'no rule matched, default'})`);
+  return lines.join('\n');
+}
+
+// Dry run: node ai2ai-policy.js envelope.json [--data-dir DIR] [--timezone TZ] [--at ISO]
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const flag = (name) => { const i = argv.indexOf(name); return i >= 0 ? argv[i + 1] : undefined; };
+  const file = argv.find((a, i) => !a.startsWith('--') && !argv[i - 1]?.startsWith('--'));
+  if (!file) {
+    console.error('Usage: node ai2ai-policy.js <envelope.json> [--data-dir DIR] [--timezone TZ] [--at ISO]');
+    process.exit(1);
+  }
+  const { createContext } = require('./ai2ai-context');
+  const ctx = flag('--data-dir') ? createContext({ dataDir: flag('--data-dir') }) : getDefaultContext();
+  const envelope = JSON.parse(fs.readFileSync(file === '-' ? 0 : file, 'utf-8'));
+  console.log(formatDecision(createPolicy(ctx, { timezone: flag('--timezone') }).evaluate(envelope, { at: flag('--at') })));
+}
+
+module.exports = {
+  ...createPolicy(),
+  createPolicy,
+  evaluatePolicy,
+  checkPolicy,
+  matchCondition,
+  formatDecision,
+  DEFAULT_POLICY,
+};
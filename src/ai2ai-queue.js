@@ -1,8 +1,8 @@
 /**
- * AI2AI Message Queue — Disk-backed queue with exponential backoff retry
+ * AI2AI Message Queue — Persistent queue with exponential backoff retry
  *
- * When the recipient agent is offline, messages are queued to the outbox/
- * directory and retried with exponential backoff.
+ * When the recipient agent is offline, messages are queued to the outbox
+ * and retried with exponential backoff.
  *
  * Retry schedule (configurable):
  *   Attempt 1: 1 minute
@@ -12,18 +12,14 @@
  *   Attempt 5: 12 hours
  *
  * After max retries, the human is notified of delivery failure.
+ *
+ * createQueue(ctx) keeps the outbox in the context's storage (outbox/ under
+ * the data directory with the file adapter) and has its own retry timers;
+ * the module-level functions use the default context.
  */
 
-const fs = require('fs');
 const path = require('path');
-const logger = require('./ai2ai-logger');
-
-const OUTBOX_DIR = path.join(__dirname, 'outbox');
-
-// Ensure outbox directory exists
-if (!fs.existsSync(OUTBOX_DIR)) {
-  fs.mkdirSync(OUTBOX_DIR, { recursive: true });
-}
+const { getDefaultContext } = require('./ai2ai-context');
 
 // Default retry delays in milliseconds
 const DEFAULT_RETRY_DELAYS = [
@@ -34,248 +30,254 @@ const DEFAULT_RETRY_DELAYS = [
   12 * 60 * 60 * 1000,  // 12 hours
 ];
 
-// In-memory timer map for active retries
-const retryTimers = new Map(); // queueId → timeoutId
+// One queue per context, so the client and server of an agent share retry timers
+const queues = new WeakMap();
 
 /**
- * Queue a message for delivery
- *
- * @param {string} endpoint - Target endpoint URL
- * @param {object} envelope - AI2AI envelope to send
- * @param {object} options - { maxRetries, retryDelays, onFailure }
- * @returns {string} - Queue ID
+ * Outbox functions for one agent
+ * @param {object} [ctx] - From createContext() (default: the shared default context)
  */
-function enqueue(endpoint, envelope, options = {}) {
-  const queueId = envelope.id || require('crypto').randomUUID();
-
-  const queueEntry = {
-    id: queueId,
-    endpoint,
-    envelope,
-    createdAt: new Date().toISOString(),
-    attempt: 0,
-    maxRetries: options.maxRetries ?? DEFAULT_RETRY_DELAYS.length,
-    retryDelays: options.retryDelays || DEFAULT_RETRY_DELAYS,
-    lastAttempt: null,
-    lastError: null,
-    status: 'queued', // queued | retrying | delivered | failed
-  };
-
-  const entryPath = path.join(OUTBOX_DIR, `${queueId}.json`);
-  fs.writeFileSync(entryPath, JSON.stringify(queueEntry, null, 2));
-
-  logger.info('QUEUE', `Message queued: ${queueId} → ${endpoint}`, {
-    id: queueId,
-    intent: envelope.intent,
-    to: envelope.to?.agent,
-  });
-
-  return queueId;
+function createQueue(ctx = getDefaultContext()) {
+  if (!queues.has(ctx)) queues.set(ctx, buildQueue(ctx));
+  return queues.get(ctx);
 }
 
-/**
- * Update a queue entry on disk
- */
-function updateEntry(queueId, updates) {
-  const entryPath = path.join(OUTBOX_DIR, `${queueId}.json`);
-  if (!fs.existsSync(entryPath)) return null;
-
-  const entry = JSON.parse(fs.readFileSync(entryPath, 'utf-8'));
-  Object.assign(entry, updates);
-  fs.writeFileSync(entryPath, JSON.stringify(entry, null, 2));
-  return entry;
-}
+function buildQueue(ctx) {
+  // Where the file adapter puts it
+  const OUTBOX_DIR = path.join(ctx.dataDir, 'outbox');
+  const { storage, logger } = ctx;
+
+  // In-memory timer map for active retries
+  const retryTimers = new Map(); // queueId → timeoutId
+
+  /**
+   * Queue a message for delivery
+   *
+   * @param {string} endpoint - Target endpoint URL
+   * @param {object} envelope - AI2AI envelope to send
+   * @param {object} options - { maxRetries, retryDelays, onFailure }
+   * @returns {string} - Queue ID
+   */
+  function enqueue(endpoint, envelope, options = {}) {
+    const queueId = envelope.id || require('crypto').randomUUID();
+
+    const queueEntry = {
+      id: queueId,
+      endpoint,
+      envelope,
+      createdAt: new Date(ctx.clock()).toISOString(),
+      attempt: 0,
+      maxRetries: options.maxRetries ?? DEFAULT_RETRY_DELAYS.length,
+      retryDelays: options.retryDelays || DEFAULT_RETRY_DELAYS,
+      lastAttempt: null,
+      lastError: null,
+      status: 'queued', // queued | retrying | delivered | failed
+    };
+
+    storage.set('outbox', queueId, queueEntry);
+
+    logger.info('QUEUE', `Message queued: ${queueId} → ${endpoint}`, {
+      id: queueId,
+      intent: envelope.intent,
+      to: envelope.to?.agent,
+    });
+
+    return queueId;
+  }
 
-/**
- * Load a queue entry from disk
- */
-function loadEntry(queueId) {
-  const entryPath = path.join(OUTBOX_DIR, `${queueId}.json`);
-  if (!fs.existsSync(entryPath)) return null;
-  try {
-    return JSON.parse(fs.readFileSync(entryPath, 'utf-8'));
-  } catch { return null; }
-}
+  /**
+   * Update a stored queue entry
+   */
+  function updateEntry(queueId, updates) {
+    const entry = loadEntry(queueId);
+    if (!entry) return null;
 
-/**
- * Remove a queue entry (after successful delivery or permanent failure)
- */
-function removeEntry(queueId) {
-  const entryPath = path.join(OUTBOX_DIR, `${queueId}.json`);
-  if (fs.existsSync(entryPath)) {
-    fs.unlinkSync(entryPath);
+    Object.assign(entry, updates);
+    storage.set('outbox', queueId, entry);
+    return entry;
   }
-  if (retryTimers.has(queueId)) {
-    clearTimeout(retryTimers.get(queueId));
-    retryTimers.delete(queueId);
-  }
-}
 
-/**
- * Attempt to deliver a queued message
- *
- * @param {string} queueId - Queue entry ID
- * @param {Function} sendFn - async function(endpoint, envelope) → response
- * @param {Function} onFailure - callback(entry) when all retries exhausted
- * @returns {Promise<boolean>} - true if delivered
- */
-async function attemptDelivery(queueId, sendFn, onFailure) {
-  const entry = loadEntry(queueId);
-  if (!entry || entry.status === 'delivered' || entry.status === 'failed') {
-    return false;
+  /**
+   * Load a queue entry from storage
+   */
+  function loadEntry(queueId) {
+    return storage.get('outbox', queueId);
   }
 
-  entry.attempt += 1;
-  entry.lastAttempt = new Date().toISOString();
-  entry.status = 'retrying';
+  /**
+   * Remove a queue entry (after successful delivery or permanent failure)
+   */
+  function removeEntry(queueId) {
+    storage.delete('outbox', queueId);
+    if (retryTimers.has(queueId)) {
+      clearTimeout(retryTimers.get(queueId));
+      retryTimers.delete(queueId);
+    }
+  }
 
-  logger.info('QUEUE', `Delivery attempt ${entry.attempt}/${entry.maxRetries} for ${queueId}`, {
-    endpoint: entry.endpoint,
-    attempt: entry.attempt,
-  });
+  /**
+   * Attempt to deliver a queued message
+   *
+   * @param {string} queueId - Queue entry ID
+   * @param {Function} sendFn - async function(endpoint, envelope) → response
+   * @param {Function} onFailure - callback(entry) when all retries exhausted
+   * @returns {Promise<boolean>} - true if delivered
+   */
+  async function attemptDelivery(queueId, sendFn, onFailure) {
+    const entry = loadEntry(queueId);
+    if (!entry || entry.status === 'delivered' || entry.status === 'failed') {
+      return false;
+    }
 
-  try {
-    const response = await sendFn(entry.endpoint, entry.envelope);
+    entry.attempt += 1;
+    entry.lastAttempt = new Date(ctx.clock()).toISOString();
+    entry.status = 'retrying';
 
-    // Success!
-    entry.status = 'delivered';
-    entry.deliveredAt = new Date().toISOString();
-    updateEntry(queueId, entry);
-    removeEntry(queueId);
+    logger.info('QUEUE', `Delivery attempt ${entry.attempt}/${entry.maxRetries} for ${queueId}`, {
+      endpoint: entry.endpoint,
+      attempt: entry.attempt,
+    });
 
-    logger.info('QUEUE', `Message delivered: ${queueId}`, { attempt: entry.attempt });
-    return true;
-  } catch (err) {
-    entry.lastError = err.message;
-    updateEntry(queueId, entry);
+    try {
+      const response = await sendFn(entry.endpoint, entry.envelope);
 
-    logger.logDeliveryFailure(entry.endpoint, entry.envelope?.to?.agent, err.message, entry.attempt);
+      // Success!
+      entry.status = 'delivered';
+      entry.deliveredAt = new Date(ctx.clock()).toISOString();
+      updateEntry(queueId, entry);
+      removeEntry(queueId);
 
-    if (entry.attempt >= entry.maxRetries) {
-      // All retries exhausted
-      entry.status = 'failed';
+      logger.info('QUEUE', `Message delivered: ${queueId}`, { attempt: entry.attempt });
+      return true;
+    } catch (err) {
+      entry.lastError = err.message;
       updateEntry(queueId, entry);
 
-      logger.error('QUEUE', `All retries exhausted for ${queueId}. Delivery failed.`, {
-        endpoint: entry.endpoint,
-        to: entry.envelope?.to?.agent,
-        totalAttempts: entry.attempt,
-      });
+      logger.logDeliveryFailure(entry.endpoint, entry.envelope?.to?.agent, err.message, entry.attempt);
 
-      if (onFailure) onFailure(entry);
-      return false;
-    }
+      if (entry.attempt >= entry.maxRetries) {
+        // All retries exhausted
+        entry.status = 'failed';
+        updateEntry(queueId, entry);
 
-    // Schedule next retry
-    const delay = entry.retryDelays[entry.attempt - 1] || entry.retryDelays[entry.retryDelays.length - 1];
-    const delayMin = Math.round(delay / 60000);
-    logger.info('QUEUE', `Scheduling retry for ${queueId} in ${delayMin} minutes`);
+        logger.error('QUEUE', `All retries exhausted for ${queueId}. Delivery failed.`, {
+          endpoint: entry.endpoint,
+          to: entry.envelope?.to?.agent,
+          totalAttempts: entry.attempt,
+        });
 
-    const timer = setTimeout(() => {
-      retryTimers.delete(queueId);
-      attemptDelivery(queueId, sendFn, onFailure);
-    }, delay);
-
-    retryTimers.set(queueId, timer);
-    return false;
-  }
-}
+        if (onFailure) onFailure(entry);
+        return false;
+      }
 
-/**
- * Queue a message and immediately attempt first delivery.
- * If it fails, automatic retries are scheduled.
- *
- * @param {string} endpoint - Target endpoint
- * @param {object} envelope - AI2AI envelope
- * @param {Function} sendFn - async function(endpoint, envelope)
- * @param {object} options - { maxRetries, retryDelays, onFailure }
- * @returns {Promise<{queued: boolean, delivered: boolean, queueId: string}>}
- */
-async function queueAndSend(endpoint, envelope, sendFn, options = {}) {
-  const queueId = enqueue(endpoint, envelope, options);
-  const delivered = await attemptDelivery(queueId, sendFn, options.onFailure);
-  return { queued: !delivered, delivered, queueId };
-}
+      // Schedule next retry
+      const delay = entry.retryDelays[entry.attempt - 1] || entry.retryDelays[entry.retryDelays.length - 1];
+      const delayMin = Math.round(delay / 60000);
+      logger.info('QUEUE', `Scheduling retry for ${queueId} in ${delayMin} minutes`);
 
-/**
- * List all queued messages
- */
-function listQueue() {
-  if (!fs.existsSync(OUTBOX_DIR)) return [];
-  return fs.readdirSync(OUTBOX_DIR)
-    .filter(f => f.endsWith('.json'))
-    .map(f => {
-      try {
-        return JSON.parse(fs.readFileSync(path.join(OUTBOX_DIR, f), 'utf-8'));
-      } catch { return null; }
-    })
-    .filter(Boolean);
-}
+      const timer = setTimeout(() => {
+        retryTimers.delete(queueId);
+        attemptDelivery(queueId, sendFn, onFailure);
+      }, delay);
 
-/**
- * Resume retries for all pending queued messages (call on startup)
- *
- * @param {Function} sendFn - async function(endpoint, envelope)
- * @param {Function} onFailure - callback when all retries exhausted
- */
-function resumeQueue(sendFn, onFailure) {
-  const pending = listQueue().filter(e => e.status === 'queued' || e.status === 'retrying');
+      retryTimers.set(queueId, timer);
+      return false;
+    }
+  }
 
-  if (pending.length === 0) return;
+  /**
+   * Queue a message and immediately attempt first delivery.
+   * If it fails, automatic retries are scheduled.
+   *
+   * @param {string} endpoint - Target endpoint
+   * @param {object} envelope - AI2AI envelope
+   * @param {Function} sendFn - async function(endpoint, envelope)
+   * @param {object} options - { maxRetries, retryDelays, onFailure }
+   * @returns {Promise<{queued: boolean, delivered: boolean, queueId: string}>}
+   */
+  async function queueAndSend(endpoint, envelope, sendFn, options = {}) {
+    const queueId = enqueue(endpoint, envelope, options);
+    const delivered = await attemptDelivery(queueId, sendFn, options.onFailure);
+    return { queued: !delivered, delivered, queueId };
+  }
 
-  logger.info('QUEUE', `Resuming ${pending.length} queued messages`);
+  /**
+   * List all queued messages
+   */
+  function listQueue() {
+    return storage.entries('outbox').map(([, entry]) => entry);
+  }
 
-  for (const entry of pending) {
-    // Stagger retries slightly to avoid thundering herd
-    const jitter = Math.random() * 5000;
-    setTimeout(() => {
-      attemptDelivery(entry.id, sendFn, onFailure);
-    }, jitter);
+  /**
+   * Resume retries for all pending queued messages (call on startup)
+   *
+   * @param {Function} sendFn - async function(endpoint, envelope)
+   * @param {Function} onFailure - callback when all retries exhausted
+   */
+  function resumeQueue(sendFn, onFailure) {
+    const pending = listQueue().filter(e => e.status === 'queued' || e.status === 'retrying');
+
+    if (pending.length === 0) return;
+
+    logger.info('QUEUE', `Resuming ${pending.length} queued messages`);
+
+    for (const entry of pending) {
+      // Stagger retries slightly to avoid thundering herd
+      const jitter = Math.random() * 5000;
+      setTimeout(() => {
+        attemptDelivery(entry.id, sendFn, onFailure);
+      }, jitter);
+    }
   }
-}
 
-/**
- * Clean up delivered/failed entries older than N days
- */
-function cleanQueue(retainDays = 7) {
-  const cutoff = Date.now() - retainDays * 86400000;
-  let cleaned = 0;
-
-  for (const entry of listQueue()) {
-    if (entry.status === 'delivered' || entry.status === 'failed') {
-      const createdAt = new Date(entry.createdAt).getTime();
-      if (createdAt < cutoff) {
-        removeEntry(entry.id);
-        cleaned++;
+  /**
+   * Clean up delivered/failed entries older than N days
+   */
+  function cleanQueue(retainDays = 7) {
+    const cutoff = ctx.clock() - retainDays * 86400000;
+    let cleaned = 0;
+
+    for (const entry of listQueue()) {
+      if (entry.status === 'delivered' || entry.status === 'failed') {
+        const createdAt = new Date(entry.createdAt).getTime();
+        if (createdAt < cutoff) {
+          removeEntry(entry.id);
+          cleaned++;
+        }
       }
     }
-  }
 
-  if (cleaned > 0) {
-    logger.info('QUEUE', `Cleaned ${cleaned} old queue entries`);
+    if (cleaned > 0) {
+      logger.info('QUEUE', `Cleaned ${cleaned} old queue entries`);
+    }
+    return cleaned;
   }
-  return cleaned;
-}
 
-/**
- * Cancel all active retry timers (for shutdown)
- */
-function cancelAllRetries() {
-  for (const [id, timer] of retryTimers) {
-    clearTimeout(timer);
+  /**
+   * Cancel all active retry timers (for shutdown)
+   */
+  function cancelAllRetries() {
+    for (const [id, timer] of retryTimers) {
+      clearTimeout(timer);
+    }
+    retryTimers.clear();
   }
-  retryTimers.clear();
+
+  return {
+    enqueue,
+    attemptDelivery,
+    queueAndSend,
+    listQueue,
+    resumeQueue,
+    cleanQueue,
+    removeEntry,
+    cancelAllRetries,
+    loadEntry,
+    OUTBOX_DIR,
+  };
 }
 
 module.exports = {
-  enqueue,
-  attemptDelivery,
-  queueAndSend,
-  listQueue,
-  resumeQueue,
-  cleanQueue,
-  removeEntry,
-  cancelAllRetries,
-  loadEntry,
-  OUTBOX_DIR,
+  ...createQueue(),
+  createQueue,
 };
@@ -0,0 +1,245 @@
+/**
+ * AI2AI Intent Schemas — Payload schemas for the built-in intents
+ *
+ * Schemas are plain JSON Schema objects, published from the health and
+ * well-known endpoints so senders can check payloads before sending. The
+ * validator below covers the subset they use: type (including type lists),
+ * required, properties, additionalProperties, items, enum, minLength,
+ * maxLength, minimum, maximum, minItems, maxItems and format "date-time".
+ *
+ * Errors carry JSON Pointer paths (RFC 6901) into the payload:
+ *   [{ path: '/proposed_times/1', message: 'must be a date-time string' }]
+ */
+
+const optionalString = { type: ['string', 'null'] };
+const dateTime = { type: 'string', format: 'date-time' };
+const party = {
+  type: 'object',
+  required: ['agent'],
+  properties: { agent: { type: 'string', minLength: 1 }, human: optionalString },
+};
+
+const meetingProperties = {
+  subject: optionalString,
+  proposed_times: { type: 'array', minItems: 1, items: dateTime },
+  duration_minutes: { type: ['integer', 'null'], minimum: 1 },
+  location_preference: optionalString,
+  notes: optionalString,
+  flexibility: optionalString,
+};
+
+const SCHEMAS = {
+  'schedule.meeting': {
+    type: 'object',
+    required: ['proposed_times'],
+    properties: meetingProperties,
+  },
+  'schedule.call': {
+    type: 'object',
+    required: ['proposed_times'],
+    properties: meetingProperties,
+  },
+  'schedule.group': {
+    type: 'object',
+    required: ['proposed_times'],
+    properties: {
+      ...meetingProperties,
+      participants: { type: 'array', items: party },
+      round: { type: 'integer', minimum: 1 },
+      deadline: { type: ['string', 'null'], format: 'date-time' },
+    },
+  },
+  'message.relay': {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string', minLength: 1 },
+      urgency: { type: ['string', 'null'], enum: ['low', 'medium', 'high', null] },
+      reply_requested: { type: 'boolean' },
+    },
+  },
+  'info.request': {
+    type: 'object',
+    required: ['question'],
+    properties: {
+      question: { type: 'string', minLength: 1 },
+      context: optionalString,
+    },
+  },
+  'info.share': {
+    type: 'object',
+    properties: {
+      topic: optionalString,
+      content: optionalString,
+    },
+  },
+  'social.introduction': {
+    type: 'object',
+    required: ['person_name'],
+    properties: {
+      person_name: { type: 'string', minLength: 1 },
+      context: optionalString,
+      their_agent_address: optionalString,
+    },
+  },
+  'commerce.request': {
+    type: 'object',
+    properties: {
+      item: optionalString,
+      description: optionalString,
+      quantity: { type: ['number', 'string', 'null'] },
+      budget: { type: ['number', 'string', 'null'] },
+      currency: optionalString,
+      notes: optionalString,
+    },
+  },
+  'commerce.offer': {
+    type: 'object',
+    properties: {
+      offer_id: optionalString,
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['unit_price'],
+          properties: {
+            description: optionalString,
+            quantity: { type: 'number', minimum: 0 },
+            unit_price: { type: 'number', minimum: 0 },
+          },
+        },
+      },
+      total: { type: ['number', 'null'], minimum: 0 },
+      valid_until: { type: ['string', 'null'], format: 'date-time' },
+      round: { type: 'integer', minimum: 1 },
+      is_counter: { type: 'boolean' },
+      item: optionalString,
+      offer: optionalString,
+      price: { type: ['number', 'string', 'null'] },
+      currency: optionalString,
+      terms: optionalString,
+      expires: { type: ['string', 'null'], format: 'date-time' },
+    },
+  },
+  'commerce.accept': {
+    type: 'object',
+    properties: {
+      offer_id: optionalString,
+      total: { type: ['number', 'null'] },
+      currency: optionalString,
+      message: optionalString,
+    },
+  },
+  'commerce.reject': {
+    type: 'object',
+    properties: { reason: optionalString },
+  },
+};
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function pointer(base, key) {
+  return `${base}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path=''] - JSON Pointer of `value` (for recursion)
+ * @returns {{ path: string, message: string }[]} Empty when valid
+ */
+function validate(schema, value, path = '') {
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      fail(`must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) fail(`must have at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) fail(`must have at most ${schema.maxLength} characters`);
+    if (schema.format === 'date-time' && (!DATE_TIME.test(value) || isNaN(Date.parse(value)))) fail('must be a date-time string');
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, pointer(path, i))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail('is required', pointer(path, key));
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const propSchema = schema.properties?.[key];
+      if (propSchema) {
+        errors.push(...validate(propSchema, child, pointer(path, key)));
+      } else if (schema.additionalProperties === false) {
+        fail('is not allowed', pointer(path, key));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an intent payload against its schema
+ * @param {string} intent
+ * @param {*} payload
+ * @returns {{ path: string, message: string }[]} Empty when valid or the intent has no schema
+ */
+function validatePayload(intent, payload) {
+  const schema = SCHEMAS[intent];
+  return schema ? validate(schema, payload) : [];
+}
+
+/**
+ * Schemas for the given intents, keyed by intent (for publishing)
+ */
+function getSchemas(intents = Object.keys(SCHEMAS)) {
+  const out = {};
+  for (const intent of intents) {
+    if (SCHEMAS[intent]) out[intent] = SCHEMAS[intent];
+  }
+  return out;
+}
+
+module.exports = {
+  SCHEMAS,
+  validate,
+  validatePayload,
+  getSchemas,
+};
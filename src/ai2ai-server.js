@@ -4,70 +4,132 @@
  * Runs as a lightweight HTTP server alongside OpenClaw.
  * Incoming messages are validated, verified, decrypted, and routed to intent handlers.
  * Serves /.well-known/ai2ai.json for web-based discovery.
+ *
+ * Each server works for one agent: startServer(port, { context }) keeps its
+ * contacts, conversations, pending approvals, outbox and logs under the
+ * context's data directory, so several agents can run in one process.
  */
 
 const http = require('http');
-const fs = require('fs');
 const path = require('path');
 const { loadOrCreateKeys, verifyMessage, getFingerprint } = require('./ai2ai-crypto');
-const { getHandler, supportedIntents } = require('./ai2ai-handlers');
-const { getContact, upsertContact, isBlocked, requiresApproval } = require('./ai2ai-trust');
-const { decryptPayloadX25519, loadOrCreateX25519Keys, isEncrypted } = require('./ai2ai-encryption');
-const { createConversation, getConversation, updateConversation, transitionState, STATES } = require('./ai2ai-conversations');
+const { createIntents, defaultIntents } = require('./ai2ai-handlers');
+const { validate } = require('./ai2ai-schemas');
+const { createTrust } = require('./ai2ai-trust');
+const { createPolicy } = require('./ai2ai-policy');
+const { createCalendar, createIcsCalendar } = require('./ai2ai-calendar');
+const { createGroupCoordinator } = require('./ai2ai-group');
+const { createNegotiator } = require('./ai2ai-commerce');
+const { createAgreements } = require('./ai2ai-agreement');
+const { decryptPayloadX25519, loadOrCreateX25519Keys, signX25519Binding, verifyX25519Binding, isEncrypted } = require('./ai2ai-encryption');
+const { createConversations, STATES } = require('./ai2ai-conversations');
 const { generateWellKnownJson } = require('./ai2ai-discovery');
-const { resumeQueue, rawSend } = require('./ai2ai-queue');
-const logger = require('./ai2ai-logger');
+const { createQueue } = require('./ai2ai-queue');
+const { createClient } = require('./ai2ai-client');
+const { getDefaultContext } = require('./ai2ai-context');
+const { WS_PATH, handleUpgrade, acceptSession } = require('./websocket');
+const { verifyKeyRotation, checkMessageTime, replayHorizon, NonceTracker } = require('./security');
+const { Deduplicator } = require('./reliability');
 
 const PORT = parseInt(process.env.AI2AI_PORT) || 18800;
-const CONVERSATIONS_DIR = path.join(__dirname, 'conversations');
-const PENDING_DIR = path.join(__dirname, 'pending');
+// How long a contact's retired key still verifies after a key_rotation
+const KEY_GRACE_PERIOD = parseInt(process.env.AI2AI_KEY_GRACE_MS) || 7 * 24 * 60 * 60 * 1000;
+// Accept pre-sigVersion signatures while peers migrate
+const ALLOW_LEGACY_SIGNATURES = process.env.AI2AI_LEGACY_SIGNATURES !== 'false';
+// How far ahead of our clock a sender's timestamp may be, and the oldest message accepted
+const MAX_CLOCK_SKEW = parseInt(process.env.AI2AI_MAX_CLOCK_SKEW_MS) || 5 * 60 * 1000;
+const MAX_MESSAGE_AGE = 24 * 60 * 60 * 1000;
+
+// One-to-one scheduling, where the other side accepting a time settles it
+const MEETING_INTENTS = ['schedule.meeting', 'schedule.call'];
 
-// Ensure directories exist
-[CONVERSATIONS_DIR, PENDING_DIR].forEach(dir => {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-});
+// Commerce offers and answers travel as responses, confirms and rejects, and their schemas describe those
+const REPLY_SCHEMA_INTENTS = ['commerce.offer', 'commerce.accept', 'commerce.reject'];
+
+// How often group meetings are checked for a passed reply deadline
+const GROUP_DEADLINE_CHECK = 60 * 1000;
 
-// Rate limiting: simple in-memory tracker
-const rateLimiter = new Map();
 const RATE_LIMIT = 20; // messages per minute per agent
 const RATE_WINDOW = 60000; // 1 minute
 
-function checkRateLimit(agentId) {
-  const now = Date.now();
-  const window = rateLimiter.get(agentId) || [];
+/**
+ * Everything one agent's server works with: its context, per-agent stores
+ * and in-memory rate limit state
+ * @param {object} [opts]
+ * @param {object} [opts.context] - From createContext() (default: the shared default context)
+ * @param {string} [opts.agentName] - Defaults to AI2AI_AGENT_NAME
+ * @param {string} [opts.humanName] - Defaults to AI2AI_HUMAN_NAME
+ * @param {string} [opts.timezone] - Defaults to the context's timezone; the context's .ics calendar
+ *   is reopened in it when they differ
+ * @param {object} [opts.intents] - From createIntents() (default: a fresh set of the built-ins)
+ */
+function createAgent(opts = {}) {
+  let ctx = opts.context || getDefaultContext();
+  if (opts.timezone && opts.timezone !== ctx.timezone) {
+    // Floating times and unknown TZIDs in the .ics files are the agent's local time
+    const calendar = ctx.calendar.location
+      ? createIcsCalendar(ctx.calendar.location, { timeZone: opts.timezone, clock: ctx.clock, logger: ctx.logger })
+      : ctx.calendar;
+    ctx = { ...ctx, timezone: opts.timezone, calendar };
+  }
+  const config = {};
+  for (const key of ['agentName', 'humanName', 'timezone']) {
+    if (opts[key]) config[key] = opts[key];
+  }
+  const intents = opts.intents || createIntents();
+  const client = createClient(ctx, { ...config, intents });
+  const calendar = createCalendar(ctx, { timezone: client.CONFIG.timezone });
+  const replayDir = path.join(ctx.dataDir, '.replay');
+
+  return {
+    ctx,
+    logger: ctx.logger,
+    config: client.CONFIG,
+    client,
+    intents,
+    trust: createTrust(ctx),
+    policy: createPolicy(ctx, { timezone: client.CONFIG.timezone }),
+    calendar,
+    groups: createGroupCoordinator(ctx, { client, calendar }),
+    negotiations: createNegotiator(ctx, { client }),
+    agreements: createAgreements(ctx, { client }),
+    conversations: createConversations(ctx),
+    queue: createQueue(ctx),
+    // Replay protection: seen message IDs and nonces survive restarts until the messages expire
+    seenMessages: new Deduplicator({ path: path.join(replayDir, 'message-ids.jsonl') }),
+    seenNonces: new NonceTracker({ path: path.join(replayDir, 'nonces.jsonl') }),
+    // Rate limiting: simple in-memory tracker
+    rateLimiter: new Map(),
+  };
+}
+
+let defaultAgent = null;
+function getDefaultAgent() {
+  if (!defaultAgent) defaultAgent = createAgent({ intents: defaultIntents });
+  return defaultAgent;
+}
+
+function checkRateLimit(agent, agentId) {
+  const now = agent.ctx.clock();
+  const window = agent.rateLimiter.get(agentId) || [];
   const recent = window.filter(t => now - t < RATE_WINDOW);
 
   if (recent.length >= RATE_LIMIT) return false;
 
   recent.push(now);
-  rateLimiter.set(agentId, recent);
+  agent.rateLimiter.set(agentId, recent);
   return true;
 }
 
-/**
- * Save a message to conversation history
- */
-function saveToConversation(conversationId, message) {
-  const convPath = path.join(CONVERSATIONS_DIR, `${conversationId}.jsonl`);
-  fs.appendFileSync(convPath, JSON.stringify(message) + '\n');
-}
-
-/**
- * Save a pending approval request
- */
-function savePendingApproval(id, data) {
-  const pendingPath = path.join(PENDING_DIR, `${id}.json`);
-  fs.writeFileSync(pendingPath, JSON.stringify(data, null, 2));
-}
-
 /**
  * Try to decrypt payload if encrypted
  */
-function maybeDecryptPayload(envelope) {
+function maybeDecryptPayload(agent, envelope) {
+  const { logger } = agent;
   if (!isEncrypted(envelope.payload)) return envelope;
 
   try {
-    const x25519Keys = loadOrCreateX25519Keys();
+    const x25519Keys = loadOrCreateX25519Keys(agent.ctx);
     const decrypted = decryptPayloadX25519(envelope.payload, x25519Keys.privateKey);
 
     if (decrypted) {
@@ -89,43 +151,92 @@ function maybeDecryptPayload(envelope) {
 /**
  * Process an incoming AI2AI message
  */
-async function processMessage(envelope) {
+async function processMessage(envelope, agent = getDefaultAgent()) {
+  const { logger, trust } = agent;
   const fromAgentId = envelope.from?.agent;
 
   logger.logIncoming(envelope);
 
   // 1. Check blocked
-  if (isBlocked(fromAgentId)) {
+  if (trust.isBlocked(fromAgentId)) {
     logger.warn('SERVER', `Blocked message from ${fromAgentId}`);
     return { status: 'rejected', reason: 'blocked' };
   }
 
   // 2. Rate limit
-  if (!checkRateLimit(fromAgentId)) {
+  if (!checkRateLimit(agent, fromAgentId)) {
     logger.warn('SERVER', `Rate limited ${fromAgentId}`);
     return { status: 'rejected', reason: 'rate_limited' };
   }
 
-  // 3. Verify signature if contact has a known public key
-  const contact = getContact(fromAgentId);
+  // 3. Reject stale, future-dated (beyond clock skew) and expired messages
+  const timeOpts = { maxAge: MAX_MESSAGE_AGE, maxSkew: MAX_CLOCK_SKEW };
+  const timeError = checkMessageTime(envelope, timeOpts);
+  if (timeError) {
+    logger.warn('SERVER', `Rejected ${envelope.id} from ${fromAgentId}: ${timeError}`);
+    return { status: 'rejected', reason: timeError, serverTime: new Date(agent.ctx.clock()).toISOString() };
+  }
+
+  // 4. Verify signature if contact has a known public key (or a recently retired one).
+  // Once we hold a key, only pings may come unsigned: anyone can claim a name.
+  const contact = trust.getContact(fromAgentId);
+  if (contact?.publicKey && !envelope.signature && envelope.type !== 'ping') {
+    logger.warn('CRYPTO', `Unsigned ${envelope.type} claiming to be ${fromAgentId}`);
+    return { status: 'rejected', reason: 'invalid_signature' };
+  }
   if (contact?.publicKey && envelope.signature) {
-    const valid = verifyMessage(envelope, envelope.signature, contact.publicKey);
+    const cutoff = agent.ctx.clock() - KEY_GRACE_PERIOD;
+    const sigOpts = { allowLegacy: ALLOW_LEGACY_SIGNATURES };
+    const valid = verifyMessage(envelope, envelope.signature, contact.publicKey, sigOpts)
+      || (contact.previousKeys || []).some(k => new Date(k.retiredAt).getTime() > cutoff && verifyMessage(envelope, envelope.signature, k.publicKey, sigOpts));
     if (!valid) {
       logger.warn('CRYPTO', `Invalid signature from ${fromAgentId}`);
       return { status: 'rejected', reason: 'invalid_signature' };
     }
+    envelope._verified = true;
+  }
+
+  // 5. Replays and duplicates
+  const seenUntil = replayHorizon(envelope, timeOpts);
+  if (envelope.nonce && agent.seenNonces.isReplay(envelope.nonce, seenUntil)) {
+    logger.warn('SERVER', `Replayed nonce from ${fromAgentId}`);
+    return { status: 'rejected', reason: 'replay_detected' };
+  }
+  if (envelope.id && agent.seenMessages.isDuplicate(`${fromAgentId}:${envelope.id}`, seenUntil)) {
+    return { status: 'duplicate', id: envelope.id };
   }
 
-  // 4. Decrypt payload if encrypted
-  const decryptResult = maybeDecryptPayload(envelope);
+  // 6. Decrypt payload if encrypted
+  const decryptResult = maybeDecryptPayload(agent, envelope);
   if (decryptResult === null) {
     return { status: 'error', reason: 'decryption_failed' };
   }
 
-  // 5. Save to conversation
-  saveToConversation(envelope.conversation, envelope);
+  // 7. Requests, notifications and commerce replies must match their intent's payload schema
+  if (envelope.type === 'request' || envelope.type === 'inform' || REPLY_SCHEMA_INTENTS.includes(envelope.intent)) {
+    const schema = agent.intents.getIntent(envelope.intent)?.schema;
+    const errors = schema ? validate(schema, envelope.payload) : [];
+    if (errors.length > 0) {
+      logger.warn('SERVER', `Invalid ${envelope.intent} payload from ${fromAgentId}`, { errors });
+      return { status: 'rejected', reason: 'invalid_payload', errors };
+    }
+  }
+
+  // Key announcements update the contact and never reach a conversation
+  if (envelope.intent === 'key_rotation') {
+    return handleKeyRotation(agent, envelope);
+  }
+
+  // Agreement signatures are filed with the agreement, not the conversation
+  if (envelope.intent === 'agreement.sign') {
+    return agent.agreements.receive(envelope);
+  }
+
+  // 8. Save to conversation
+  agent.conversations.appendMessage(envelope.conversation, envelope);
 
-  // 6. Track conversation metadata
+  // 9. Track conversation metadata
+  const { getConversation, createConversation, updateConversation } = agent.conversations;
   if (!getConversation(envelope.conversation)) {
     createConversation(envelope.conversation, {
       intent: envelope.intent,
@@ -137,21 +248,21 @@ async function processMessage(envelope) {
     updateConversation(envelope.conversation, { messageCount: (getConversation(envelope.conversation).messageCount || 0) + 1 });
   }
 
-  // 7. Handle by type
+  // 10. Handle by type
   switch (envelope.type) {
     case 'ping':
-      return handlePing(envelope);
+      return handlePing(agent, envelope);
 
     case 'request':
-      return handleRequest(envelope);
+      return handleRequest(agent, envelope);
 
     case 'response':
     case 'confirm':
     case 'reject':
-      return handleReply(envelope);
+      return handleReply(agent, envelope);
 
     case 'inform':
-      return handleInform(envelope);
+      return handleInform(agent, envelope);
 
     default:
       logger.warn('SERVER', `Unknown message type: ${envelope.type}`);
@@ -159,29 +270,66 @@ async function processMessage(envelope) {
   }
 }
 
+/**
+ * Handle a contact's key_rotation announcement: both keys must have signed
+ * it, and the previous key must be the one on file
+ */
+function handleKeyRotation(agent, envelope) {
+  const { logger, trust } = agent;
+  const fromAgentId = envelope.from?.agent;
+  const contact = trust.getContact(fromAgentId);
+  const payload = envelope.payload;
+
+  if ((contact?.publicKey && contact.publicKey !== payload?.previousPublicKey) || !verifyKeyRotation(fromAgentId, payload)) {
+    logger.warn('CRYPTO', `Rejected key rotation from ${fromAgentId}`);
+    return { status: 'rejected', reason: 'invalid_key_rotation' };
+  }
+
+  const previousKeys = [...(contact?.previousKeys || []), { publicKey: payload.previousPublicKey, retiredAt: new Date(agent.ctx.clock()).toISOString() }];
+  trust.upsertContact(fromAgentId, { publicKey: payload.newPublicKey, previousKeys: previousKeys.slice(-3) });
+  logger.info('CRYPTO', `Key rotated for ${fromAgentId}`);
+  return { status: 'ok', type: 'key_rotation' };
+}
+
 /**
  * Handle ping/handshake
  */
-function handlePing(envelope) {
-  const keys = loadOrCreateKeys();
-  const x25519Keys = loadOrCreateX25519Keys();
+function handlePing(agent, envelope) {
+  const { logger, trust } = agent;
+  const keys = loadOrCreateKeys(agent.ctx);
+  const x25519Keys = loadOrCreateX25519Keys(agent.ctx);
   const fromAgentId = envelope.from?.agent;
 
   // Store their info (including X25519 key if provided)
+  const known = trust.getContact(fromAgentId);
   const contactUpdate = {
     humanName: envelope.from?.human,
     node: envelope.from?.node,
     capabilities: envelope.payload?.capabilities,
-    publicKey: envelope.payload?.public_key,
     timezone: envelope.payload?.timezone,
-    trustLevel: getContact(fromAgentId)?.trustLevel || 'none',
+    trustLevel: known?.trustLevel || 'none',
   };
 
-  if (envelope.payload?.x25519_public_key) {
-    contactUpdate.x25519PublicKey = envelope.payload.x25519_public_key;
+  // Pings need not be signed, so one may introduce a key but never replace it;
+  // changing a known key goes through a signed key_rotation
+  if (envelope.payload?.public_key && !known?.publicKey) {
+    contactUpdate.publicKey = envelope.payload.public_key;
   }
 
-  upsertContact(fromAgentId, contactUpdate);
+  // The same goes for the X25519 key, which must also be signed by their Ed25519 key:
+  // otherwise anyone could have our replies encrypted to a key of their own
+  const x25519 = envelope.payload?.x25519_public_key;
+  if (x25519 && x25519 !== known?.x25519PublicKey) {
+    if (known?.x25519PublicKey) {
+      logger.warn('CRYPTO', `Ping from ${fromAgentId} offered a different X25519 key; ignored`);
+    } else if (verifyX25519Binding(fromAgentId, x25519, envelope.payload.x25519_signature, known?.publicKey || contactUpdate.publicKey)) {
+      contactUpdate.x25519PublicKey = x25519;
+    } else {
+      logger.warn('CRYPTO', `Ping from ${fromAgentId} offered an X25519 key its Ed25519 key hasn't signed; ignored`);
+    }
+  }
+
+  trust.upsertContact(fromAgentId, contactUpdate);
 
   logger.info('SERVER', `Handshake with ${fromAgentId} (${envelope.from?.human})`);
 
@@ -190,14 +338,16 @@ function handlePing(envelope) {
     status: 'ok',
     type: 'ping',
     payload: {
-      capabilities: supportedIntents(),
+      capabilities: agent.intents.supportedIntents(),
+      intent_versions: agent.intents.intentVersions(),
       languages: ['en'],
-      timezone: process.env.AI2AI_TIMEZONE || 'UTC',
+      timezone: agent.config.timezone,
       model_info: 'local',
       protocol_versions: ['0.1'],
       public_key: keys.publicKey,
       fingerprint: getFingerprint(keys.publicKey),
       x25519_public_key: x25519Keys.publicKeyDer,
+      x25519_signature: signX25519Binding(agent.config.agentName, x25519Keys.publicKeyDer, keys.privateKey),
     },
   };
 }
@@ -205,65 +355,216 @@ function handlePing(envelope) {
 /**
  * Handle incoming request — route to intent handler
  */
-function handleRequest(envelope) {
-  const handler = getHandler(envelope.intent);
-  if (!handler) {
+async function handleRequest(agent, envelope) {
+  const intent = agent.intents.getIntent(envelope.intent);
+  if (!intent) {
     return {
       status: 'error',
       reason: `Unsupported intent: ${envelope.intent}`,
-      supported_intents: supportedIntents(),
+      supported_intents: agent.intents.supportedIntents(),
     };
   }
 
-  const result = handler(envelope.payload, envelope.from);
+  // The approval policy decides unless the intent was registered with approval: 'never'
+  const decision = intent.approval === 'never' ? null : agent.policy.evaluate(envelope);
+  const policy = decision && { action: decision.action, rule: decision.rule };
+  if (decision?.action === 'reject') {
+    agent.logger.info('POLICY', `Rejected ${envelope.intent} from ${envelope.from?.agent} (${decision.rule || 'default'})`);
+    agent.conversations.transitionState(envelope.conversation, STATES.REJECTED);
+    return { status: 'rejected', reason: 'policy_rejected', conversation: envelope.conversation };
+  }
+
+  const helpers = handlerHelpers(agent);
+  const result = (await intent.handler(envelope.payload, envelope.from, envelope, helpers)) || {};
 
-  // Commerce always requires approval
-  const alwaysApprove = result.alwaysRequiresApproval || false;
+  // Commerce always requires approval, as do intents registered with approval: 'always'.
+  // Handlers may ask for a human by default; a policy rule that approves overrides that.
+  const alwaysApprove = intent.approval === 'always' || result.alwaysRequiresApproval || false;
+  const ruleApproves = decision?.action === 'approve' && decision.rule !== null;
+  // Trust is only as good as the signature: a sender we couldn't verify is never approved automatically
+  const unverified = decision?.action === 'approve' && !envelope._verified;
+  if (unverified) agent.logger.info('POLICY', `${envelope.intent} from ${envelope.from?.agent} is unsigned or unverified; asking the human`);
+  const needsHuman = decision?.action === 'ask' || unverified || (result.needsApproval && !ruleApproves);
 
-  if (alwaysApprove || result.needsApproval || requiresApproval(envelope.from?.agent, envelope.intent, envelope.type)) {
+  const askHuman = () => {
     // Save as pending — human needs to approve
-    savePendingApproval(envelope.id, {
+    agent.conversations.savePendingApproval(envelope.id, {
       envelope,
-      approvalMessage: result.approvalMessage,
+      approvalMessage: result.approvalMessage || formatRequestForHuman(envelope),
       handler: envelope.intent,
-      createdAt: new Date().toISOString(),
+      policy,
+      createdAt: new Date(agent.ctx.clock()).toISOString(),
     });
 
     // Update conversation state
-    transitionState(envelope.conversation, STATES.NEGOTIATING);
+    agent.conversations.transitionState(envelope.conversation, STATES.NEGOTIATING);
 
     return {
       status: 'pending_approval',
       message: 'Message received. Waiting for human approval.',
       conversation: envelope.conversation,
     };
+  };
+
+  if (alwaysApprove || needsHuman) return askHuman();
+
+  // Approved: answer with the handler's default decision. Without one (no
+  // free time, nothing in the profile) the human still has to answer.
+  let autoReply = null;
+  if (result.formatResponse) {
+    const defaultReply = result.autoReply ? await result.autoReply(helpers) : null;
+    if (defaultReply != null) autoReply = sendAutoReply(agent, envelope, result.formatResponse(defaultReply));
+    if (!autoReply) return askHuman();
   }
 
+  if (decision) agent.logger.info('POLICY', `Approved ${envelope.intent} from ${envelope.from?.agent} (${decision.rule || 'default'})`);
   return {
     status: 'ok',
-    message: 'Message received and processed.',
+    message: autoReply ? 'Message received and answered.' : 'Message received and processed.',
     conversation: envelope.conversation,
+    ...(autoReply && { auto_reply: { id: autoReply.id, type: autoReply.type } }),
+    ...(result.payload !== undefined && { payload: result.payload }),
+  };
+}
+
+// ─── Automatic Replies ──────────────────────────────────────────────────────
+
+/**
+ * What handlers may ask about the agent: availability against its calendar
+ * (past times are never free) and the answer to a question from its
+ * profile. The profile is profile.json in the data directory (storage
+ * ('', 'profile')):
+ *   { "answers": [{ "matches": "time ?zone", "answer": "Europe/London" }] }
+ */
+function handlerHelpers(agent) {
+  const { calendar, ctx } = agent;
+  return {
+    isFree: calendar.isFree,
+    checkTimes: calendar.checkTimes,
+    answer(question) {
+      const profile = ctx.storage.get('', 'profile') || {};
+      for (const entry of profile.answers || []) {
+        try {
+          if (new RegExp(entry.matches, 'i').test(question)) return entry.answer;
+        } catch { /* a bad pattern only disables its own entry */ }
+      }
+      return null;
+    },
   };
 }
 
+/**
+ * Where a reply leaves the conversation. Accepting a one-to-one meeting
+ * time settles it; a group meeting waits for the organizer's confirm.
+ */
+function replyState(request, reply) {
+  if (reply.type === 'confirm') return STATES.CONFIRMED;
+  if (reply.type === 'reject') return STATES.REJECTED;
+  if (reply.payload?.accepted_time && MEETING_INTENTS.includes(request.intent)) return STATES.CONFIRMED;
+  return STATES.NEGOTIATING;
+}
+
+/**
+ * Sign, encrypt and queue a reply to a request, and move the conversation on
+ * @returns {object|null} The reply envelope, or null if we can't reach the sender
+ */
+function sendAutoReply(agent, envelope, formatted) {
+  const { client, conversations, logger } = agent;
+  const endpoint = agent.trust.getContact(envelope.from?.agent)?.endpoint;
+  if (!endpoint) {
+    logger.warn('SERVER', `No endpoint for ${envelope.from?.agent}, can't answer ${envelope.id} automatically`);
+    return null;
+  }
+
+  const reply = client.createEnvelope({
+    to: envelope.from,
+    type: formatted.type || 'response',
+    intent: formatted.intent || envelope.intent,
+    conversationId: envelope.conversation,
+    inReplyTo: envelope.id,
+    payload: formatted.payload,
+    requiresHumanApproval: false,
+  });
+  const plainPayload = reply.payload;
+  client.maybeEncryptEnvelope(reply);
+  logger.logOutgoing(reply);
+  conversations.appendMessage(envelope.conversation, { ...reply, payload: plainPayload });
+
+  // Queued first, so it survives a restart if the first attempt fails
+  agent.queue.queueAndSend(endpoint, reply, client.rawSend, {
+    onFailure: () => logger.error('SERVER', `Automatic reply ${reply.id} to ${envelope.from?.agent} was never delivered`),
+  }).catch(err => logger.error('SERVER', `Automatic reply ${reply.id} failed: ${err.message}`));
+
+  const state = replyState(envelope, { type: reply.type, payload: plainPayload });
+  conversations.transitionState(envelope.conversation, state);
+  if (state === STATES.CONFIRMED && plainPayload?.accepted_time) recordAcceptedTime(agent, envelope, plainPayload.accepted_time);
+  logger.info('SERVER', `Answered ${envelope.intent} from ${envelope.from?.agent} automatically (${reply.type})`);
+  return reply;
+}
+
+/**
+ * Note an agreed meeting time on the conversation and in the calendar
+ * @param {object} request - The schedule.* request envelope, with its plain payload
+ */
+function recordAcceptedTime(agent, request, acceptedTime) {
+  agent.conversations.updateConversation(request.conversation, {
+    acceptedTime,
+    durationMinutes: request.payload?.duration_minutes || 60,
+  });
+  try {
+    agent.calendar.recordMeeting(request, acceptedTime);
+  } catch (err) {
+    agent.logger.error('CALENDAR', `Couldn't save the meeting for ${request.conversation}: ${err.message}`);
+  }
+}
+
 /**
  * Handle response/confirm/reject — these are replies to our outgoing messages
  */
-function handleReply(envelope) {
-  // Update conversation state based on reply type
-  if (envelope.type === 'confirm') {
-    transitionState(envelope.conversation, STATES.CONFIRMED);
-  } else if (envelope.type === 'reject') {
-    transitionState(envelope.conversation, STATES.REJECTED);
+function handleReply(agent, envelope) {
+  const { transitionState, getConversation, getMessages } = agent.conversations;
+
+  // Replies to a group meeting we organise are collected, not shown one by one
+  if (agent.groups.recordResponse(envelope)) {
+    return { status: 'ok', message: 'Group reply recorded.', conversation: envelope.conversation };
+  }
+
+  // Offers are countered within the human's bounds, or put to the human
+  const move = agent.negotiations.receive(envelope);
+  if (move?.action === 'counter') {
+    return { status: 'ok', message: 'Offer received; counter-offer sent.', conversation: envelope.conversation };
+  }
+  if (move?.action === 'ask') {
+    return { status: 'ok', message: 'Offer received. Waiting for human approval.', conversation: envelope.conversation };
   }
-  // 'response' keeps it in NEGOTIATING
+
+  // Update conversation state based on reply type; a plain 'response' keeps it in NEGOTIATING
+  let state = replyState({ intent: getConversation(envelope.conversation)?.intent }, envelope);
+  const request = getMessages(envelope.conversation).filter(m => m.type === 'request').pop();
+  const acceptedTime = envelope.payload?.accepted_time;
+  const offTheList = state === STATES.CONFIRMED && acceptedTime
+    && !(request?.payload?.proposed_times || []).some(t => Date.parse(t) === Date.parse(acceptedTime));
+  if (offTheList) {
+    // A time we never offered isn't agreed until the human says so
+    agent.logger.warn('SERVER', `${envelope.from?.agent} accepted ${acceptedTime}, which wasn't proposed in ${envelope.conversation}`);
+    state = STATES.NEGOTIATING;
+  }
+  if (state !== STATES.NEGOTIATING) transitionState(envelope.conversation, state);
+
+  // They took one of the times we proposed: the meeting is on
+  if (state === STATES.CONFIRMED && acceptedTime && request) recordAcceptedTime(agent, request, acceptedTime);
+
+  // Both sides sign what was agreed
+  if (state === STATES.CONFIRMED) agent.agreements.propose(envelope);
 
   // Save to conversation and notify human
-  savePendingApproval(envelope.id, {
+  agent.conversations.savePendingApproval(envelope.id, {
     envelope,
-    approvalMessage: formatReplyForHuman(envelope),
+    approvalMessage: offTheList
+      ? `⚠️ ${formatReplyForHuman(envelope)}\n\n${acceptedTime} is not one of the times you proposed — agree to it or suggest another.`
+      : formatReplyForHuman(envelope),
     handler: 'reply',
-    createdAt: new Date().toISOString(),
+    createdAt: new Date(agent.ctx.clock()).toISOString(),
   });
 
   return {
@@ -276,16 +577,16 @@ function handleReply(envelope) {
 /**
  * Handle inform — one-way notification
  */
-function handleInform(envelope) {
-  const handler = getHandler(envelope.intent);
-  if (handler) {
-    const result = handler(envelope.payload, envelope.from);
-    savePendingApproval(envelope.id, {
+async function handleInform(agent, envelope) {
+  const intent = agent.intents.getIntent(envelope.intent);
+  if (intent) {
+    const result = (await intent.handler(envelope.payload, envelope.from, envelope)) || {};
+    agent.conversations.savePendingApproval(envelope.id, {
       envelope,
-      approvalMessage: result.approvalMessage,
+      approvalMessage: result.approvalMessage || formatRequestForHuman(envelope),
       handler: envelope.intent,
       isInform: true,
-      createdAt: new Date().toISOString(),
+      createdAt: new Date(agent.ctx.clock()).toISOString(),
     });
   }
 
@@ -295,6 +596,14 @@ function handleInform(envelope) {
   };
 }
 
+/**
+ * Format a request for human display, for handlers that don't write their own
+ */
+function formatRequestForHuman(envelope) {
+  const from = envelope.from?.human || envelope.from?.agent || 'Unknown';
+  return `📨 **${envelope.intent}** from ${from}'s AI:\n${JSON.stringify(envelope.payload, null, 2)}`;
+}
+
 /**
  * Format a reply for human display
  */
@@ -312,10 +621,36 @@ function formatReplyForHuman(envelope) {
   return `💬 **Response** from ${from}'s AI:\n${JSON.stringify(envelope.payload, null, 2)}`;
 }
 
+/**
+ * Validate and process an envelope, returning the HTTP-style result.
+ * Used by both POST /ai2ai and WebSocket sessions.
+ */
+async function handleEnvelope(agent, envelope) {
+  if (!envelope || !envelope.ai2ai || !envelope.type || !envelope.from) {
+    return { statusCode: 400, body: { error: 'Invalid AI2AI envelope' } };
+  }
+
+  try {
+    const result = await processMessage(envelope, agent);
+    if (result.status !== 'rejected') return { statusCode: 200, body: result };
+    return { statusCode: result.reason === 'invalid_payload' ? 400 : 403, body: result };
+  } catch (err) {
+    // Details stay in the log; they can describe our internals
+    agent.logger.error('SERVER', `Unhandled error: ${err.message}`, { stack: err.stack });
+    return { statusCode: 500, body: { error: 'Internal error', reason: 'internal_error' } };
+  }
+}
+
 /**
  * Start the AI2AI HTTP server
+ * @param {number} [port] - Defaults to AI2AI_PORT or 18800
+ * @param {object} [opts] - { context, agentName, humanName, timezone, intents } as for createAgent()
+ * @returns {http.Server}
  */
-function startServer(port = PORT) {
+function startServer(port = PORT, opts = {}) {
+  const agent = Object.keys(opts).length ? createAgent(opts) : getDefaultAgent();
+  const { supportedIntents, intentVersions, intentSchemas } = agent.intents;
+  const { logger, config } = agent;
   const server = http.createServer(async (req, res) => {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -339,13 +674,15 @@ function startServer(port = PORT) {
           protocol: 'ai2ai',
           version: '0.1',
           intents: supportedIntents(),
+          versions: intentVersions(),
+          schemas: intentSchemas(),
         }));
         return;
       }
 
       // .well-known/ai2ai.json — web-based discovery
       if (req.url === '/.well-known/ai2ai.json') {
-        const wellKnown = generateWellKnownJson({ port });
+        const wellKnown = generateWellKnownJson({ port, ...config, context: agent.ctx });
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(wellKnown, null, 2));
         return;
@@ -384,24 +721,46 @@ function startServer(port = PORT) {
       return;
     }
 
-    // Validate envelope
-    if (!envelope.ai2ai || !envelope.type || !envelope.from) {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Invalid AI2AI envelope' }));
+    const { statusCode, body: result } = await handleEnvelope(agent, envelope);
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+
+  // ─── WebSocket /ai2ai/ws ─────────────────────────────────────────
+
+  server.on('upgrade', async (req, socket, head) => {
+    if (req.url !== WS_PATH) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
       return;
     }
+    const ws = handleUpgrade(req, socket, head);
+    if (!ws) return;
 
-    // Process
+    let session;
     try {
-      const result = await processMessage(envelope);
-      const statusCode = result.status === 'rejected' ? 403 : 200;
-      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(result));
+      session = await acceptSession(ws, {
+        agentId: config.agentName,
+        privateKey: loadOrCreateKeys(agent.ctx).privateKey,
+        resolvePublicKey: async (agentId) => agent.trust.getContact(agentId)?.publicKey || null,
+        onEnvelope: async (envelope, s) => {
+          // A session may only carry envelopes from the agent that authenticated it
+          if (envelope?.from?.agent !== s.peer) {
+            return { statusCode: 403, body: { status: 'rejected', reason: 'sender_mismatch' } };
+          }
+          return handleEnvelope(agent, envelope);
+        },
+      });
     } catch (err) {
-      logger.error('SERVER', `Unhandled error: ${err.message}`, { stack: err.stack });
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Internal error', message: err.message }));
+      logger.warn('SERVER', `WebSocket handshake failed: ${err.message}`);
+      return;
     }
+
+    if (agent.trust.isBlocked(session.peer)) {
+      session.close(4003, 'blocked');
+      return;
+    }
+    logger.info('SERVER', `WebSocket session opened with ${session.peer}`);
+    session.on('close', () => logger.info('SERVER', `WebSocket session with ${session.peer} closed`));
   });
 
   server.listen(port, () => {
@@ -409,15 +768,21 @@ function startServer(port = PORT) {
     console.log(`🦞 AI2AI server listening on port ${port}`);
     console.log(`   Endpoint:    http://localhost:${port}/ai2ai`);
     console.log(`   Health:      http://localhost:${port}/ai2ai/health`);
+    console.log(`   WebSocket:   ws://localhost:${port}${WS_PATH}`);
     console.log(`   Well-known:  http://localhost:${port}/.well-known/ai2ai.json`);
     console.log(`   Intents:     ${supportedIntents().join(', ')}`);
   });
 
   // Resume queued messages on startup
-  try {
-    const { rawSend } = require('./ai2ai-client');
-    resumeQueue(rawSend);
-  } catch { /* client may not be loaded yet */ }
+  agent.queue.resumeQueue(agent.client.rawSend);
+
+  // Group meetings whose deadline passes without every reply go to the organiser
+  const deadlineTimer = setInterval(() => agent.groups.checkDeadlines(), GROUP_DEADLINE_CHECK);
+  deadlineTimer.unref();
+  server.on('close', () => {
+    agent.queue.cancelAllRetries();
+    clearInterval(deadlineTimer);
+  });
 
   return server;
 }
@@ -429,5 +794,8 @@ if (require.main === module) {
 
 module.exports = {
   startServer,
+  createAgent,
+  createIntents,
   processMessage,
+  registerIntent: defaultIntents.registerIntent,
 };
@@ -1,12 +1,13 @@
 /**
  * AI2AI Trust — Contact and trust level management
  * Manages known agents, trust levels, and human approval flow.
+ *
+ * createTrust(ctx) keeps contacts in the context's storage (contacts.json in
+ * the data directory with the file adapter); the module-level functions use
+ * the default context.
  */
 
-const fs = require('fs');
-const path = require('path');
-
-const CONTACTS_PATH = path.join(__dirname, 'contacts.json');
+const { getDefaultContext } = require('./ai2ai-context');
 
 const TRUST_LEVELS = {
   NONE: 'none',       // Unknown agent — human approves everything
@@ -14,124 +15,106 @@ const TRUST_LEVELS = {
   TRUSTED: 'trusted', // Human approved auto-negotiation for routine tasks
 };
 
-// Actions that ALWAYS require human approval regardless of trust
-const ALWAYS_APPROVE = [
-  'commerce.request',
-  'commerce.offer',
-  'commerce.accept',
-  'commerce.reject',
-  'task.delegate',
-];
-
-/**
- * Load contacts from disk
- */
-function loadContacts() {
-  if (!fs.existsSync(CONTACTS_PATH)) {
-    return {};
-  }
-  try {
-    return JSON.parse(fs.readFileSync(CONTACTS_PATH, 'utf-8'));
-  } catch {
-    return {};
-  }
-}
-
-/**
- * Save contacts to disk
- */
-function saveContacts(contacts) {
-  fs.writeFileSync(CONTACTS_PATH, JSON.stringify(contacts, null, 2));
-}
-
 /**
- * Get or create a contact entry
+ * Contact and trust functions for one agent
+ * @param {object} [ctx] - From createContext() (default: the shared default context)
  */
-function getContact(agentId) {
-  const contacts = loadContacts();
-  return contacts[agentId] || null;
-}
+function createTrust(ctx = getDefaultContext()) {
 
-/**
- * Add or update a contact
- */
-function upsertContact(agentId, info) {
-  const contacts = loadContacts();
-  contacts[agentId] = {
-    ...contacts[agentId],
-    ...info,
-    lastSeen: new Date().toISOString(),
-  };
-  saveContacts(contacts);
-  return contacts[agentId];
-}
+  /**
+   * Load contacts from storage
+   */
+  function loadContacts() {
+    return ctx.storage.get('', 'contacts') || {};
+  }
 
-/**
- * Set trust level for a contact
- */
-function setTrustLevel(agentId, level) {
-  if (!Object.values(TRUST_LEVELS).includes(level)) {
-    throw new Error(`Invalid trust level: ${level}`);
+  /**
+   * Save contacts to storage
+   */
+  function saveContacts(contacts) {
+    ctx.storage.set('', 'contacts', contacts);
   }
-  return upsertContact(agentId, { trustLevel: level });
-}
 
-/**
- * Check if an action requires human approval
- */
-function requiresApproval(agentId, intent, type) {
-  // Always approve certain intents
-  if (ALWAYS_APPROVE.includes(intent)) return true;
+  /**
+   * Get or create a contact entry
+   */
+  function getContact(agentId) {
+    const contacts = loadContacts();
+    return contacts[agentId] || null;
+  }
 
-  const contact = getContact(agentId);
-  if (!contact) return true; // Unknown agent
+  /**
+   * Add or update a contact
+   */
+  function upsertContact(agentId, info) {
+    const contacts = loadContacts();
+    contacts[agentId] = {
+      ...contacts[agentId],
+      ...info,
+      lastSeen: new Date(ctx.clock()).toISOString(),
+    };
+    saveContacts(contacts);
+    return contacts[agentId];
+  }
 
-  switch (contact.trustLevel) {
-    case TRUST_LEVELS.TRUSTED:
-      // Trusted agents: only approve high-risk actions
-      return ALWAYS_APPROVE.includes(intent);
+  /**
+   * Set trust level for a contact
+   */
+  function setTrustLevel(agentId, level) {
+    if (!Object.values(TRUST_LEVELS).includes(level)) {
+      throw new Error(`Invalid trust level: ${level}`);
+    }
+    return upsertContact(agentId, { trustLevel: level });
+  }
 
-    case TRUST_LEVELS.KNOWN:
-      // Known agents: approve actions, auto-approve info requests
-      return type === 'request';
+  /**
+   * Check if an action requires human approval. Answered by the agent's
+   * approval policy (see ai2ai-policy.js), which defaults to the trust
+   * levels above; the server evaluates the policy against whole envelopes.
+   */
+  function requiresApproval(agentId, intent, type) {
+    const { createPolicy } = require('./ai2ai-policy');
+    const decision = createPolicy(ctx).evaluate({ from: { agent: agentId }, intent, type, payload: {} });
+    return decision.action !== 'approve';
+  }
 
-    case TRUST_LEVELS.NONE:
-    default:
-      // Unknown: approve everything
-      return true;
+  /**
+   * Block an agent
+   */
+  function blockAgent(agentId) {
+    return upsertContact(agentId, { blocked: true });
   }
-}
 
-/**
- * Block an agent
- */
-function blockAgent(agentId) {
-  return upsertContact(agentId, { blocked: true });
-}
+  /**
+   * Check if an agent is blocked
+   */
+  function isBlocked(agentId) {
+    const contact = getContact(agentId);
+    return contact?.blocked === true;
+  }
 
-/**
- * Check if an agent is blocked
- */
-function isBlocked(agentId) {
-  const contact = getContact(agentId);
-  return contact?.blocked === true;
-}
+  /**
+   * List all contacts
+   */
+  function listContacts() {
+    return loadContacts();
+  }
 
-/**
- * List all contacts
- */
-function listContacts() {
-  return loadContacts();
+  return {
+    TRUST_LEVELS,
+    loadContacts,
+    saveContacts,
+    getContact,
+    upsertContact,
+    setTrustLevel,
+    requiresApproval,
+    blockAgent,
+    isBlocked,
+    listContacts,
+  };
 }
 
 module.exports = {
-  TRUST_LEVELS,
-  loadContacts,
-  getContact,
-  upsertContact,
-  setTrustLevel,
-  requiresApproval,
-  blockAgent,
-  isBlocked,
-  listContacts,
+  ...createTrust(),
+  createTrust,
 };
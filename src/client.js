@@ -24,8 +24,17 @@ const fs = require('fs');
 const path = require('path');
 
 const { retryWithBackoff, CircuitBreaker, Deduplicator, DeliveryTracker, DeadLetterQueue, PersistentQueue } = require('./reliability');
-const { RateLimiter, NonceTracker, isMessageExpired, isMessageTTLExpired, Blocklist } = require('./security');
+const { createStorage } = require('./storage');
+const { KeyRotation, verifyKeyRotation, RateLimiter, NonceTracker, checkMessageTime, replayHorizon, Blocklist, VerificationCache } = require('./security');
 const { RegistryClient } = require('./registry');
+const { encryptPayloadX25519, decryptPayloadX25519, generateX25519KeyPair, signX25519Binding, verifyX25519Binding, isEncrypted } = require('./ai2ai-encryption');
+const { signingInput, SIG_ALG, SIG_VERSION } = require('./ai2ai-crypto');
+const { defineIntent } = require('./ai2ai-handlers');
+const { validate } = require('./ai2ai-schemas');
+const { RelayTransport } = require('./relay-transport');
+const { WS_PATH, handleUpgrade, wsUrlFor, acceptSession, openSession } = require('./websocket');
+
+const DEFAULT_CAPABILITIES = ['message.relay', 'info.request', 'schedule.meeting'];
 
 class AI2AI extends EventEmitter {
   /**
@@ -34,10 +43,23 @@ class AI2AI extends EventEmitter {
    * @param {string} [opts.keyPath] - Path to key directory
    * @param {string} [opts.humanName] - Human operator name
    * @param {string} [opts.registry] - Registry URL
+   * @param {string|object} [opts.relay] - Relay URL, or { url, pollWait, pollInterval, stream } for agents without a reachable endpoint
    * @param {number} [opts.port=18800] - Server port
    * @param {number} [opts.timeout=30000] - Default request timeout
    * @param {number} [opts.messageTTL=86400000] - Default message TTL (24h)
+   * @param {number} [opts.maxClockSkew=300000] - How far ahead a sender's timestamp may be (5 min)
    * @param {string} [opts.dataDir] - Data directory for queues/DLQ
+   * @param {string|object} [opts.storage='file'] - Where the queue and DLQ live: 'file', 'memory', 'log', or a storage adapter
+   * @param {boolean} [opts.strictSignatures=false] - Reject unsigned messages and senders with no known key
+   * @param {boolean} [opts.legacySignatures=true] - Still accept signatures made before sigVersion 2
+   * @param {boolean} [opts.encryption=true] - Encrypt payloads when the recipient's X25519 key is known
+   * @param {number} [opts.keepalive=30000] - WebSocket ping interval (0 disables)
+   * @param {number} [opts.keyRotationInterval=0] - Rotate the signing key this often in ms (0 = only on rotateKeys())
+   * @param {number} [opts.keyGracePeriod=604800000] - How long a contact's retired key still verifies (7 days)
+   * @param {number} [opts.queueDrainInterval=5000] - How often queued messages are retried (0 = only on drainQueue())
+   * @param {number} [opts.maxDeliveryAttempts=5] - Queue retries before a message goes to the dead letter queue
+   * @param {number} [opts.queueBaseDelay=5000] - First backoff after an endpoint fails; doubles per failure
+   * @param {number} [opts.queueMaxDelay=600000] - Longest backoff for an endpoint (10 min)
    */
   constructor(opts = {}) {
     super();
@@ -46,34 +68,86 @@ class AI2AI extends EventEmitter {
     this.port = opts.port || 18800;
     this.timeout = opts.timeout || 30000;
     this.messageTTL = opts.messageTTL || 86400000;
+    this.maxClockSkew = opts.maxClockSkew ?? 300000;
     this.dataDir = opts.dataDir || path.join(process.cwd(), '.ai2ai-data');
 
     // Key management
     this.keyPath = opts.keyPath || path.join(this.dataDir, '.keys');
     if (!fs.existsSync(this.keyPath)) fs.mkdirSync(this.keyPath, { recursive: true });
     this._keys = this._loadOrCreateKeys();
+    this._x25519Keys = this._loadOrCreateX25519Keys();
+    this.keyRotationInterval = opts.keyRotationInterval || 0;
+    this.keyGracePeriod = opts.keyGracePeriod ?? 7 * 86400000;
+    this.keyRotation = new KeyRotation({
+      keysDir: this.keyPath,
+      generateKeyPair: () => crypto.generateKeyPairSync('ed25519', {
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      }),
+      rotationIntervalMs: this.keyRotationInterval || undefined,
+    });
+    this._rotationTimer = null;
 
     // Reliability
-    this.deduplicator = new Deduplicator();
+    this.deduplicator = new Deduplicator({ path: path.join(this.dataDir, 'replay', 'message-ids.jsonl') });
     this.deliveryTracker = new DeliveryTracker();
-    this.dlq = new DeadLetterQueue(path.join(this.dataDir, 'dlq'));
-    this.queue = new PersistentQueue(path.join(this.dataDir, 'queue'));
+    this.storage = createStorage(opts.storage, this.dataDir);
+    this.dlq = new DeadLetterQueue({ storage: this.storage, collection: 'dlq' });
+    this.queue = new PersistentQueue({ storage: this.storage, collection: 'queue' });
     this.circuits = new Map(); // endpoint → CircuitBreaker
+    this.queueDrainInterval = opts.queueDrainInterval ?? 5000;
+    this.maxDeliveryAttempts = opts.maxDeliveryAttempts || 5;
+    this.queueBaseDelay = opts.queueBaseDelay ?? 5000;
+    this.queueMaxDelay = opts.queueMaxDelay ?? 600000;
+    this._endpointBackoff = new Map(); // endpoint → { failures, retryAt }
+    this._drainTimer = null;
+    this._draining = null;
 
     // Security
     this.rateLimiter = new RateLimiter({ maxRequests: opts.rateLimit || 20 });
-    this.nonceTracker = new NonceTracker();
+    this.nonceTracker = new NonceTracker({ path: path.join(this.dataDir, 'replay', 'nonces.jsonl') });
+    this.clockOffsets = new Map(); // endpoint → peer clock minus ours (ms), from response Date headers
     this.blocklist = new Blocklist(path.join(this.dataDir, 'blocklist.json'));
+    this.verificationCache = new VerificationCache();
+    this.strictSignatures = opts.strictSignatures === true;
+    this.legacySignatures = opts.legacySignatures !== false;
+    this.encryption = opts.encryption !== false;
 
     // Registry
     this.registryClient = opts.registry ? new RegistryClient({
       registryUrl: opts.registry,
       agentId: this.name,
+      privateKey: this._keys.privateKey,
     }) : null;
 
-    // Contacts: agentId → { endpoint, publicKey, ... }
+    // Relay: inbound mail is pulled from the relay, sends without a direct endpoint go through it
+    const relay = typeof opts.relay === 'string' ? { url: opts.relay } : opts.relay;
+    this.relay = relay?.url ? new RelayTransport({
+      relayUrl: relay.url,
+      agentId: this.name,
+      humanName: this.humanName,
+      publicKey: this._keys.publicKey,
+      privateKey: this._keys.privateKey,
+      pollWait: relay.pollWait,
+      pollInterval: relay.pollInterval,
+      stream: relay.stream,
+      timeout: this.timeout,
+    }) : null;
+
+    // Contacts: agentId → { endpoint, publicKey, trustLevel, ... }
     this.contacts = new Map();
 
+    // Custom intents: name → { handler, schema, approval, version }
+    this.intents = new Map();
+
+    // WebSocket sessions: agentId → AgentSession
+    this.sockets = new Map();
+    this.keepalive = opts.keepalive ?? 30000;
+    this._reconnects = new Map(); // agentId → { attempt, timer }
+
+    // Requests awaiting a reply: request id → { conversation, resolve, reject, timer }
+    this._pendingReplies = new Map();
+
     // Server
     this.server = null;
     this._started = false;
@@ -88,20 +162,43 @@ class AI2AI extends EventEmitter {
    */
   async start(port) {
     if (port) this.port = port;
-    return new Promise((resolve) => {
+    await new Promise((resolve) => {
       this.server = http.createServer((req, res) => this._handleRequest(req, res));
-      this.server.listen(this.port, () => {
-        this._started = true;
-        this.emit('started', { port: this.port });
-        resolve();
-      });
+      this.server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+      this.server.listen(this.port, resolve);
     });
+
+    // Relayed envelopes go through the same pipeline as POST /ai2ai
+    if (this.relay) {
+      await this.relay.start(async (envelope) => {
+        const { statusCode, body } = await this._processEnvelope(envelope);
+        if (statusCode >= 500) throw new Error(body.error || `Processing failed (${statusCode})`);
+      });
+    }
+
+    this._started = true;
+    if (this.keyRotationInterval) this._scheduleKeyRotation();
+    if (this.queueDrainInterval) this._scheduleDrain(0);
+    this.emit('started', { port: this.port });
   }
 
   /**
    * Stop the agent
    */
   async stop() {
+    clearTimeout(this._rotationTimer);
+    this._rotationTimer = null;
+    clearTimeout(this._drainTimer);
+    this._drainTimer = null;
+    this._started = false;
+    if (this._draining) await this._draining;
+    for (const [id, pending] of this._pendingReplies) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Agent stopped'));
+      this._pendingReplies.delete(id);
+    }
+    for (const agentId of [...this._reconnects.keys(), ...this.sockets.keys()]) this.disconnect(agentId);
+    if (this.relay) await this.relay.stop();
     if (this.registryClient) {
       try { await this.registryClient.deregister(); } catch { /* ignore */ }
       this.registryClient.destroy();
@@ -126,17 +223,161 @@ class AI2AI extends EventEmitter {
    */
   async register(registryUrl) {
     if (registryUrl) {
-      this.registryClient = new RegistryClient({ registryUrl, agentId: this.name });
+      this.registryClient = new RegistryClient({ registryUrl, agentId: this.name, privateKey: this._keys.privateKey });
     }
     if (!this.registryClient) throw new Error('No registry URL configured');
 
-    return this.registryClient.register({
+    return this.registryClient.register(this._registrationInfo());
+  }
+
+  _registrationInfo() {
+    return {
       endpoint: `http://localhost:${this.port}/ai2ai`,
       name: this.name,
       humanName: this.humanName,
       publicKey: this._keys.publicKey,
-      capabilities: ['message.relay', 'info.request', 'schedule.meeting'],
+      x25519PublicKey: this._x25519Keys.publicKeyDer,
+      capabilities: this._capabilities(),
+      metadata: this.relay ? { relay: this.relay.relayUrl } : undefined,
+    };
+  }
+
+  // ─── Intents ────────────────────────────────────────────────────────────
+
+  /**
+   * Handle a custom intent. Requests for it are checked against `schema`
+   * (400 invalid_payload otherwise), then `handler(payload, from, envelope)`
+   * runs and whatever it returns (or resolves to) is sent back as the
+   * 'response' payload; a throwing handler sends a 'reject'. The intent is
+   * advertised in pings and registry registrations.
+   *
+   * With approval 'always' — or 'trust' when the sender's contact isn't
+   * `trustLevel: 'trusted'` — the handler waits for the 'approval' event's
+   * `approve()`; `decline(reason)` rejects instead.
+   *
+   * @param {string} name - Namespaced intent name, e.g. 'dev.claude_task'
+   * @param {object} def
+   * @param {Function} def.handler - (payload, from, envelope) → response payload, may be async
+   * @param {object} [def.schema] - JSON Schema for request payloads
+   * @param {string} [def.approval='trust'] - 'always', 'never' or 'trust'
+   * @param {string} [def.version='1.0'] - Advertised alongside the intent
+   * @returns {this}
+   */
+  registerIntent(name, def) {
+    const intent = defineIntent(name, def);
+    if (this.intents.has(name)) throw new Error(`Intent already registered: ${name}`);
+    this.intents.set(name, intent);
+    return this;
+  }
+
+  _capabilities() {
+    return [...new Set([...DEFAULT_CAPABILITIES, ...this.intents.keys()])];
+  }
+
+  _needsApproval(intent, fromAgent) {
+    if (intent.approval === 'trust') return this.contacts.get(fromAgent)?.trustLevel !== 'trusted';
+    return intent.approval === 'always';
+  }
+
+  /**
+   * Run a custom intent's handler and reply with its result
+   */
+  async _runIntent(intent, envelope) {
+    let payload;
+    try {
+      payload = await intent.handler(envelope.payload, envelope.from, envelope);
+    } catch (err) {
+      this.emit('intent:failed', err, envelope);
+      return this._replyQuietly(envelope, 'reject', { reason: 'handler_failed' });
+    }
+    return this._replyQuietly(envelope, 'response', payload ?? {});
+  }
+
+  async _replyQuietly(envelope, type, payload) {
+    try {
+      return await this.reply(envelope, type, payload);
+    } catch (err) {
+      this.emit('intent:failed', err, envelope);
+      return null;
+    }
+  }
+
+  // ─── Key Rotation ───────────────────────────────────────────────────────
+
+  /**
+   * Replace the signing key and announce the new one. Contacts get a
+   * key_rotation message signed by both keys; the registry and relay pins
+   * move with a request signed by the old key and countersigned by the new.
+   * @returns {Promise<object>} { publicKey, previousPublicKey, announced, failed }
+   */
+  async rotateKeys() {
+    const previous = this._keys;
+    const rotated = this.keyRotation.rotate();
+    const { payload } = this.keyRotation.createAnnouncement(rotated.publicKey, previous.publicKey, {
+      agentId: this.name,
+      previousPrivateKey: previous.privateKey,
+      newPrivateKey: rotated.privateKey,
+    });
+    this._keys = { publicKey: rotated.publicKey, privateKey: rotated.privateKey };
+
+    const announced = [];
+    const failed = [];
+    const record = (target, work) => work.then(
+      () => announced.push(target),
+      (err) => failed.push({ target, error: err.message })
+    );
+
+    const jobs = [...this.contacts.keys()].map((agentId) => {
+      // Signed with the old key, which is the one contacts know
+      const envelope = this._createEnvelope(agentId, 'message', 'key_rotation', payload, {
+        requiresApproval: false,
+        signingKey: previous.privateKey,
+      });
+      return record(agentId, this._deliver(agentId, envelope));
     });
+    if (this.registryClient?._registered) {
+      jobs.push(record('registry', this.registryClient.register({ ...this._registrationInfo(), newPrivateKey: rotated.privateKey })));
+    } else if (this.registryClient) {
+      this.registryClient.privateKey = rotated.privateKey;
+    }
+    if (this.relay) jobs.push(record('relay', this.relay.rotateKey(rotated.publicKey, rotated.privateKey)));
+    await Promise.all(jobs);
+
+    const result = { publicKey: rotated.publicKey, previousPublicKey: previous.publicKey, announced, failed };
+    this.emit('key:rotated', result);
+    return result;
+  }
+
+  /**
+   * Rotate when keyRotationInterval has passed since the last rotation
+   */
+  _scheduleKeyRotation() {
+    clearTimeout(this._rotationTimer);
+    // setTimeout can't wait longer than ~24.8 days; longer waits are re-checked when it fires
+    const delay = Math.min(this.keyRotation.timeUntilRotation(), 0x7fffffff);
+    this._rotationTimer = setTimeout(async () => {
+      if (this.keyRotation.timeUntilRotation() === 0) {
+        try { await this.rotateKeys(); } catch (err) { this.emit('key:rotation-failed', err); }
+      }
+      if (this._started) this._scheduleKeyRotation();
+    }, delay);
+    if (this._rotationTimer.unref) this._rotationTimer.unref();
+  }
+
+  /**
+   * Apply a contact's key_rotation announcement. Their previous key must be
+   * the one on file (if any), and both keys must have signed it.
+   * @returns {boolean}
+   */
+  _applyKeyRotation(agentId, payload) {
+    const contact = this.contacts.get(agentId);
+    if (contact?.publicKey && contact.publicKey !== payload?.previousPublicKey) return false;
+    if (!verifyKeyRotation(agentId, payload)) return false;
+
+    const previousKeys = [...(contact?.previousKeys || []), { publicKey: payload.previousPublicKey, retiredAt: new Date().toISOString() }];
+    this.addContact(agentId, { publicKey: payload.newPublicKey, previousKeys: previousKeys.slice(-3) });
+    this.emit('contact:rotated', agentId, payload);
+    return true;
   }
 
   // ─── Messaging ──────────────────────────────────────────────────────────
@@ -154,7 +395,7 @@ class AI2AI extends EventEmitter {
       urgency: opts.urgency || 'normal',
     }, opts);
 
-    return this._deliver(targetId, envelope);
+    return this._deliver(targetId, envelope, { priority: opts.priority });
   }
 
   /**
@@ -162,12 +403,56 @@ class AI2AI extends EventEmitter {
    * @param {string} targetId - Target agent ID
    * @param {string} intent - Intent type
    * @param {object} payload - Request payload
-   * @param {object} [opts] - { ttl, timeout }
-   * @returns {Promise<object>}
+   * @param {object} [opts] - { ttl, priority, timeout, awaitReply }
+   * @returns {Promise<object>} Delivery result, or the reply envelope when awaitReply is set
    */
   async request(targetId, intent, payload, opts = {}) {
     const envelope = this._createEnvelope(targetId, 'request', intent, payload, opts);
-    return this._deliver(targetId, envelope);
+    if (!opts.awaitReply) return this._deliver(targetId, envelope, { priority: opts.priority });
+
+    const reply = this._waitForReply(envelope, opts.timeout || this.timeout);
+    try {
+      await this._deliver(targetId, envelope, { priority: opts.priority });
+    } catch (err) {
+      this._cancelReply(envelope.id);
+      throw err;
+    }
+    return reply;
+  }
+
+  /**
+   * Reply to a received request in the same conversation
+   * @param {object} envelope - The envelope being replied to
+   * @param {string} type - response | confirm | reject
+   * @param {object} payload - Reply payload
+   * @param {object} [opts] - { ttl, priority }
+   * @returns {Promise<object>}
+   */
+  async reply(envelope, type, payload, opts = {}) {
+    // Senders on another relay are reachable at the agent@relay-host address their relay stamped
+    const sender = envelope.from?.agent;
+    const targetId = envelope._relay?.replyTo && !this.contacts.get(sender)?.endpoint ? envelope._relay.replyTo : sender;
+    const replyEnvelope = this._createEnvelope(targetId, type, envelope.intent, payload, {
+      ...opts,
+      conversationId: envelope.conversation,
+      inReplyTo: envelope.id,
+    });
+    return this._deliver(targetId, replyEnvelope, { priority: opts.priority });
+  }
+
+  /**
+   * Handshake with another agent — exchanges Ed25519 and X25519 public keys.
+   * Pings are sent once and never queued.
+   * @param {string} targetId - Target agent ID
+   * @returns {Promise<object>} The remote agent's ping payload
+   */
+  async ping(targetId) {
+    const endpoint = await this._resolveRoute(targetId);
+    const envelope = this._createEnvelope(targetId, 'ping', null, this._handshakePayload(), { requiresApproval: false });
+    const session = this.sockets.get(targetId);
+    const result = session?.isOpen ? await this._socketSend(session, envelope) : await this._rawSend(endpoint, envelope);
+    if (result?.payload) this._learnKeys(targetId, result.payload);
+    return result?.payload || null;
   }
 
   /**
@@ -180,12 +465,197 @@ class AI2AI extends EventEmitter {
     return this.registryClient.search(query);
   }
 
+  // ─── Outbound Queue ─────────────────────────────────────────────────────
+
+  /**
+   * Retry queued messages now. Entries go out highest priority first;
+   * endpoints that are backing off are skipped, expired messages and those
+   * out of attempts (or refused with a 4xx) move to the dead letter queue.
+   * Runs every queueDrainInterval while the agent is started.
+   * @returns {Promise<{ delivered: number, failed: number, deadLettered: number }>}
+   */
+  async drainQueue() {
+    if (!this._draining) {
+      this._draining = this._drainOnce().finally(() => { this._draining = null; });
+    }
+    return this._draining;
+  }
+
+  /**
+   * Remove a message from the outbound queue before it is delivered
+   * @param {string} id - Envelope ID
+   * @returns {boolean} false if it was not queued
+   */
+  cancelQueued(id) {
+    if (!this.queue.load(id)) return false;
+    this.queue.complete(id);
+    this.deliveryTracker.markFailed(id, 'cancelled');
+    return true;
+  }
+
+  /**
+   * Move dead letters back into the outbound queue with fresh attempts.
+   * Messages that have expired meanwhile are re-stamped and re-signed.
+   * @param {string[]} [ids] - Only these entries (default: all)
+   * @returns {Promise<string[]>} IDs re-queued
+   */
+  async retryDeadLetters(ids) {
+    const requeued = [];
+    for (const entry of this.dlq.list()) {
+      if (ids && !ids.includes(entry.id)) continue;
+      const envelope = entry.envelope;
+      let endpoint = entry.endpoint;
+      try {
+        if (!endpoint) endpoint = await this._resolveRoute(envelope.to?.agent);
+      } catch {
+        continue; // still nowhere to send it
+      }
+
+      if (envelope.expiresAt && new Date(envelope.expiresAt).getTime() <= Date.now()) {
+        envelope.timestamp = new Date().toISOString();
+        envelope.nonce = this.nonceTracker.generate();
+        envelope.expiresAt = new Date(Date.now() + this.messageTTL).toISOString();
+        envelope.signature = this._sign(envelope);
+      }
+
+      this.queue.enqueue(envelope, endpoint, { expiresAt: envelope.expiresAt });
+      this.dlq.remove(entry.id);
+      this._endpointBackoff.delete(endpoint);
+      requeued.push(entry.id);
+    }
+    if (requeued.length && this._started && this.queueDrainInterval) this._scheduleDrain(0);
+    return requeued;
+  }
+
+  async _drainOnce() {
+    const stats = { delivered: 0, failed: 0, deadLettered: 0 };
+    const failedThisPass = new Set();
+
+    for (const entry of this.queue.pending()) {
+      if (entry.expiresAt && new Date(entry.expiresAt).getTime() <= Date.now()) {
+        this._deadLetter(entry, 'Message expired in queue');
+        stats.deadLettered++;
+        continue;
+      }
+      const backoff = this._endpointBackoff.get(entry.endpoint);
+      if (failedThisPass.has(entry.endpoint) || backoff?.retryAt > Date.now()) continue;
+      if (!this.queue.load(entry.id)) continue; // cancelled while we were busy
+
+      const target = entry.envelope.to?.agent;
+      const session = this.sockets.get(target);
+      try {
+        const result = session?.isOpen
+          ? await this._socketSend(session, entry.envelope)
+          : await this._rawSend(entry.endpoint, entry.envelope);
+        this.queue.complete(entry.id);
+        this._endpointBackoff.delete(entry.endpoint);
+        this.deliveryTracker.markDelivered(entry.id);
+        this.emit('delivered', { id: entry.id, target, endpoint: entry.endpoint, attempts: entry.attempts + 1, result });
+        stats.delivered++;
+      } catch (err) {
+        // A 4xx other than timeout/rate limit means this message will never be accepted
+        const refused = err.statusCode >= 400 && err.statusCode < 500 && err.statusCode !== 408 && err.statusCode !== 429;
+        if (refused || entry.attempts + 1 >= this.maxDeliveryAttempts) {
+          this._deadLetter({ ...entry, attempts: entry.attempts + 1 }, err.message);
+          stats.deadLettered++;
+        } else {
+          this.queue.fail(entry.id, err.message);
+          stats.failed++;
+        }
+        if (!refused) {
+          this._backOff(entry.endpoint);
+          failedThisPass.add(entry.endpoint);
+        }
+      }
+    }
+    return stats;
+  }
+
+  _scheduleDrain(delay = this.queueDrainInterval) {
+    clearTimeout(this._drainTimer);
+    this._drainTimer = setTimeout(async () => {
+      try { await this.drainQueue(); } catch (err) { this.emit('queue:drain-failed', err); }
+      if (this._started) this._scheduleDrain();
+    }, delay);
+    if (this._drainTimer.unref) this._drainTimer.unref();
+  }
+
+  _deadLetter(entry, error) {
+    this.queue.complete(entry.id);
+    const dead = this.dlq.add(entry.envelope, error, entry.attempts, entry.endpoint);
+    this.deliveryTracker.markFailed(entry.id, error);
+    this.emit('dead-letter', dead);
+  }
+
+  /**
+   * Hold off an endpoint after a failure: queueBaseDelay, doubling per
+   * consecutive failure up to queueMaxDelay
+   */
+  _backOff(endpoint) {
+    const state = this._endpointBackoff.get(endpoint) || { failures: 0, retryAt: 0 };
+    state.failures++;
+    state.retryAt = Date.now() + Math.min(this.queueBaseDelay * 2 ** (state.failures - 1), this.queueMaxDelay);
+    this._endpointBackoff.set(endpoint, state);
+  }
+
+  // ─── WebSocket Sessions ─────────────────────────────────────────────────
+
+  /**
+   * Open a persistent WebSocket session to another agent. Messages to that
+   * agent go over the socket while it is open, and the session reconnects
+   * with backoff if it drops, until disconnect() is called.
+   * @param {string} targetId - Target agent ID
+   * @returns {Promise<void>}
+   */
+  async connect(targetId) {
+    const endpoint = await this._resolveEndpoint(targetId);
+    if (!this._reconnects.has(targetId)) this._reconnects.set(targetId, { attempt: 0, timer: null });
+
+    const session = await openSession(wsUrlFor(endpoint), {
+      agentId: this.name,
+      privateKey: this._keys.privateKey,
+      peerId: targetId,
+      peerPublicKey: this.contacts.get(targetId)?.publicKey,
+      onEnvelope: (envelope, s) => this._processSocketEnvelope(envelope, s),
+      timeout: this.timeout,
+      pingInterval: this.keepalive,
+    });
+    this._reconnects.get(targetId).attempt = 0;
+    this._attachSession(session);
+  }
+
+  /**
+   * Close the WebSocket session to an agent and stop reconnecting
+   * @param {string} targetId
+   */
+  disconnect(targetId) {
+    const pending = this._reconnects.get(targetId);
+    if (pending) clearTimeout(pending.timer);
+    this._reconnects.delete(targetId);
+
+    const session = this.sockets.get(targetId);
+    if (session) {
+      this.sockets.delete(targetId);
+      session.close(1000, 'disconnect');
+      session.ws.terminate();
+    }
+  }
+
+  /**
+   * Check whether a WebSocket session to an agent is open
+   * @param {string} agentId
+   * @returns {boolean}
+   */
+  isConnected(agentId) {
+    return this.sockets.get(agentId)?.isOpen === true;
+  }
+
   // ─── Contact Management ─────────────────────────────────────────────────
 
   /**
    * Add or update a contact
    * @param {string} agentId
-   * @param {object} info - { endpoint, publicKey, humanName }
+   * @param {object} info - { endpoint, publicKey, x25519PublicKey, humanName, requireEncryption }
    */
   addContact(agentId, info) {
     this.contacts.set(agentId, { ...this.contacts.get(agentId), ...info, updatedAt: new Date().toISOString() });
@@ -217,30 +687,124 @@ class AI2AI extends EventEmitter {
       requires_human_approval: opts.requiresApproval !== false,
     };
 
+    if (opts.inReplyTo) envelope.inReplyTo = opts.inReplyTo;
+
     if (opts.ttl || this.messageTTL) {
       envelope.expiresAt = new Date(Date.now() + (opts.ttl || this.messageTTL)).toISOString();
     }
 
     // Sign
-    envelope.signature = this._sign(envelope);
+    envelope.signature = this._sign(envelope, opts.signingKey);
     return envelope;
   }
 
-  async _deliver(targetId, envelope) {
-    // Resolve endpoint
+  _waitForReply(envelope, timeout) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pendingReplies.delete(envelope.id);
+        reject(new Error(`Timed out waiting for reply to ${envelope.id}`));
+      }, timeout);
+      this._pendingReplies.set(envelope.id, { conversation: envelope.conversation, to: envelope.to.agent, resolve, reject, timer });
+    });
+  }
+
+  _cancelReply(requestId) {
+    const pending = this._pendingReplies.get(requestId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this._pendingReplies.delete(requestId);
+  }
+
+  /**
+   * Settle an awaited request if this envelope answers it
+   * @returns {boolean} true if a pending request was resolved
+   */
+  _settleReply(envelope) {
+    const pending = envelope.inReplyTo && this._pendingReplies.get(envelope.inReplyTo);
+    if (!pending || pending.conversation !== envelope.conversation) return false;
+    // Only the agent we asked can answer; agent@relay-host addresses reply as plain agent
+    const sender = envelope.from?.agent;
+    if (!sender || (sender !== pending.to && sender !== pending.to.split('@')[0])) return false;
+    this._cancelReply(envelope.inReplyTo);
+    pending.resolve(envelope);
+    return true;
+  }
+
+  async _resolveEndpoint(targetId) {
     let endpoint = this.contacts.get(targetId)?.endpoint;
     if (!endpoint && this.registryClient) {
       const resolved = await this.registryClient.resolve(targetId);
       if (resolved?.endpoint) {
         endpoint = resolved.endpoint;
-        this.addContact(targetId, { endpoint: resolved.endpoint, publicKey: resolved.publicKey });
+        this.addContact(targetId, {
+          endpoint: resolved.endpoint,
+          publicKey: resolved.publicKey,
+          x25519PublicKey: resolved.x25519PublicKey,
+        });
       }
     }
     if (!endpoint) throw new Error(`Cannot resolve endpoint for ${targetId}`);
+    return endpoint;
+  }
+
+  /**
+   * Where to POST an envelope: the agent's own endpoint, or our relay
+   * when it has none
+   */
+  async _resolveRoute(targetId) {
+    try {
+      return await this._resolveEndpoint(targetId);
+    } catch (err) {
+      if (!this.relay) throw err;
+      return this.relay.sendEndpoint;
+    }
+  }
 
+  /**
+   * Encrypt the envelope payload for the recipient when their X25519 key is known,
+   * then re-sign so the signature covers the payload as sent.
+   * Contacts with requireEncryption never fall back to plaintext.
+   */
+  _maybeEncrypt(targetId, envelope) {
+    // Key announcements only carry public keys, and re-signing would swap in the new key
+    if (envelope.intent === 'key_rotation') return envelope;
+
+    const contact = this.contacts.get(targetId);
+    if (!this.encryption || !contact?.x25519PublicKey) {
+      if (contact?.requireEncryption) throw new Error(`Encryption required for ${targetId} but no X25519 key is known`);
+      return envelope;
+    }
+
+    const encrypted = encryptPayloadX25519(envelope.payload, contact.x25519PublicKey);
+    if (!encrypted) {
+      if (contact.requireEncryption) throw new Error(`Failed to encrypt payload for ${targetId}`);
+      return envelope;
+    }
+    envelope.payload = encrypted;
+    envelope.signature = this._sign(envelope);
+    return envelope;
+  }
+
+  async _deliver(targetId, envelope, queueOpts = {}) {
     // Check blocklist
     if (this.blocklist.isBlocked(targetId)) throw new Error(`Agent ${targetId} is blocked`);
 
+    // Prefer an open WebSocket session whose peer proved its key; fall back to HTTP if it fails
+    const session = this.sockets.get(targetId);
+    const viaSocket = session?.isOpen === true && session.verified;
+    if (viaSocket) {
+      this._maybeEncrypt(targetId, envelope);
+      this.deliveryTracker.trackSent(envelope.id);
+      try {
+        const result = await this._socketSend(session, envelope);
+        this.deliveryTracker.markDelivered(envelope.id);
+        return result;
+      } catch { /* fall through to HTTP */ }
+    }
+
+    const endpoint = await this._resolveRoute(targetId);
+    if (!viaSocket) this._maybeEncrypt(targetId, envelope);
+
     // Circuit breaker
     let circuit = this.circuits.get(endpoint);
     if (!circuit) {
@@ -261,8 +825,9 @@ class AI2AI extends EventEmitter {
       return result;
     } catch (err) {
       this.deliveryTracker.markFailed(envelope.id, err.message);
-      // Queue for later
-      this.queue.enqueue(envelope, endpoint, { ttl: this.messageTTL });
+      // Queue for the drain worker, which waits out this endpoint's backoff first
+      this.queue.enqueue(envelope, endpoint, { ttl: this.messageTTL, expiresAt: envelope.expiresAt, priority: queueOpts.priority });
+      this._backOff(endpoint);
       return { status: 'queued', id: envelope.id, error: err.message };
     }
   }
@@ -284,14 +849,18 @@ class AI2AI extends EventEmitter {
         timeout: this.timeout,
       };
 
+      const sentAt = Date.now();
       const req = http.request(opts, (res) => {
+        this._noteClockOffset(endpoint, res.headers.date, sentAt);
         let data = '';
         res.on('data', chunk => { data += chunk; });
         res.on('end', () => {
           if (res.statusCode >= 200 && res.statusCode < 300) {
             try { resolve(JSON.parse(data)); } catch { resolve(data); }
           } else {
-            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+            const err = new Error(`HTTP ${res.statusCode}: ${data}`);
+            err.statusCode = res.statusCode;
+            reject(err);
           }
         });
       });
@@ -302,6 +871,105 @@ class AI2AI extends EventEmitter {
     });
   }
 
+  /**
+   * Compare a peer's Date header with our clock. Emits 'clock:drift' when
+   * the difference eats more than half of the accepted skew, since our
+   * messages are then close to being rejected as clock_skew or expired.
+   */
+  _noteClockOffset(endpoint, dateHeader, sentAt) {
+    const peerTime = new Date(dateHeader).getTime();
+    if (!dateHeader || isNaN(peerTime)) return;
+    // Date has one-second resolution, so measure against the middle of that second
+    const offset = peerTime + 500 - Math.round((sentAt + Date.now()) / 2);
+    this.clockOffsets.set(endpoint, offset);
+    if (Math.abs(offset) > this.maxClockSkew / 2) {
+      this.emit('clock:drift', { endpoint, offset });
+    }
+  }
+
+  async _socketSend(session, envelope) {
+    const { statusCode, body } = await session.send(envelope, this.timeout);
+    if (statusCode >= 200 && statusCode < 300) return body;
+    throw new Error(`HTTP ${statusCode}: ${JSON.stringify(body)}`);
+  }
+
+  async _handleUpgrade(req, socket, head) {
+    if (!req.url.startsWith(WS_PATH)) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    const ws = handleUpgrade(req, socket, head, { pingInterval: this.keepalive });
+    if (!ws) return;
+
+    let session;
+    try {
+      session = await acceptSession(ws, {
+        agentId: this.name,
+        privateKey: this._keys.privateKey,
+        resolvePublicKey: (agentId) => this._resolvePublicKey(agentId),
+        strict: this.strictSignatures,
+        onEnvelope: (envelope, s) => this._processSocketEnvelope(envelope, s),
+        timeout: this.timeout,
+      });
+    } catch {
+      return; // handshake failed; the socket is already closed
+    }
+
+    if (this.blocklist.isBlocked(session.peer)) {
+      session.close(4003, 'blocked');
+      return;
+    }
+    this._attachSession(session);
+  }
+
+  _attachSession(session) {
+    const agentId = session.peer;
+    const previous = this.sockets.get(agentId);
+    // Anyone can claim an ID we have no key for; they don't get to take over a session that proved its key
+    if (previous?.isOpen && previous.verified && !session.verified) {
+      session.close(4001, 'invalid_signature');
+      return;
+    }
+    this.sockets.set(agentId, session);
+    if (previous && previous !== session) previous.close(1000, 'replaced');
+    this.emit('connected', agentId);
+
+    session.on('close', () => {
+      if (this.sockets.get(agentId) !== session) return;
+      this.sockets.delete(agentId);
+      this.emit('disconnected', agentId);
+      this._scheduleReconnect(agentId);
+    });
+  }
+
+  _scheduleReconnect(agentId) {
+    const state = this._reconnects.get(agentId);
+    if (!state || state.timer) return;
+
+    const delay = Math.min(1000 * Math.pow(2, state.attempt), 30000);
+    state.attempt++;
+    state.timer = setTimeout(async () => {
+      state.timer = null;
+      if (this._reconnects.get(agentId) !== state) return;
+      try {
+        await this.connect(agentId);
+      } catch {
+        this._scheduleReconnect(agentId);
+      }
+    }, delay);
+    if (state.timer.unref) state.timer.unref();
+  }
+
+  /**
+   * Envelopes on a session must come from the agent that authenticated it
+   */
+  async _processSocketEnvelope(envelope, session) {
+    if (envelope?.from?.agent !== session.peer) {
+      return { statusCode: 403, body: { status: 'rejected', reason: 'sender_mismatch' } };
+    }
+    return this._processEnvelope(envelope);
+  }
+
   async _handleRequest(req, res) {
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -312,7 +980,13 @@ class AI2AI extends EventEmitter {
 
     if (req.method === 'GET' && req.url === '/ai2ai/health') {
       res.writeHead(200);
-      res.end(JSON.stringify({ status: 'online', agent: this.name, protocol: '1.0' }));
+      res.end(JSON.stringify({
+        status: 'online',
+        agent: this.name,
+        protocol: '1.0',
+        publicKey: this._keys.publicKey,
+        x25519PublicKey: this._x25519Keys.publicKeyDer,
+      }));
       return;
     }
 
@@ -328,44 +1002,85 @@ class AI2AI extends EventEmitter {
     let envelope;
     try { envelope = JSON.parse(body); } catch { res.writeHead(400); res.end(JSON.stringify({ error: 'Invalid JSON' })); return; }
 
-    if (!envelope.ai2ai || !envelope.type || !envelope.from) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ error: 'Invalid AI2AI envelope' }));
-      return;
+    const { statusCode, body: result } = await this._processEnvelope(envelope);
+    res.writeHead(statusCode);
+    res.end(JSON.stringify(result));
+  }
+
+  /**
+   * Run an inbound envelope through the security and dispatch pipeline.
+   * Shared by the HTTP endpoint and WebSocket sessions.
+   * @param {object} envelope
+   * @returns {Promise<{ statusCode: number, body: object }>}
+   */
+  async _processEnvelope(envelope) {
+    const reply = (statusCode, body) => ({ statusCode, body });
+
+    if (!envelope || !envelope.ai2ai || !envelope.type || !envelope.from) {
+      return reply(400, { error: 'Invalid AI2AI envelope' });
     }
 
     const fromAgent = envelope.from?.agent;
 
     // Security checks
     if (this.blocklist.isBlocked(fromAgent)) {
-      res.writeHead(403);
-      res.end(JSON.stringify({ status: 'rejected', reason: 'blocked' }));
-      return;
+      return reply(403, { status: 'rejected', reason: 'blocked' });
     }
 
     if (!this.rateLimiter.allow(fromAgent)) {
-      res.writeHead(429);
-      res.end(JSON.stringify({ status: 'rejected', reason: 'rate_limited' }));
-      return;
+      return reply(429, { status: 'rejected', reason: 'rate_limited' });
     }
 
-    if (isMessageExpired(envelope, this.messageTTL)) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ status: 'rejected', reason: 'message_expired' }));
-      return;
+    const timeOpts = { maxAge: this.messageTTL, maxSkew: this.maxClockSkew };
+    const timeError = checkMessageTime(envelope, timeOpts);
+    if (timeError) {
+      return reply(400, { status: 'rejected', reason: timeError, serverTime: new Date().toISOString() });
     }
 
-    if (envelope.nonce && this.nonceTracker.isReplay(envelope.nonce)) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ status: 'rejected', reason: 'replay_detected' }));
-      return;
+    const verified = await this._verifyInbound(envelope);
+    if (!verified) {
+      return reply(403, { status: 'rejected', reason: 'invalid_signature' });
+    }
+
+    // Remembered (on disk) until the message would be rejected as expired anyway
+    const seenUntil = replayHorizon(envelope, timeOpts);
+    if (envelope.nonce && this.nonceTracker.isReplay(envelope.nonce, seenUntil)) {
+      return reply(400, { status: 'rejected', reason: 'replay_detected' });
     }
 
     // Deduplication
-    if (this.deduplicator.isDuplicate(envelope.id)) {
-      res.writeHead(200);
-      res.end(JSON.stringify({ status: 'duplicate', id: envelope.id }));
-      return;
+    if (this.deduplicator.isDuplicate(envelope.id, seenUntil)) {
+      return reply(200, { status: 'duplicate', id: envelope.id });
+    }
+
+    // Decrypt payload (signature covers the payload as sent, so verify first)
+    if (isEncrypted(envelope.payload)) {
+      const decrypted = decryptPayloadX25519(envelope.payload, this._x25519Keys.privateKey);
+      if (!decrypted) {
+        return reply(400, { status: 'rejected', reason: 'decryption_failed' });
+      }
+      envelope.payload = decrypted;
+      envelope._wasEncrypted = true;
+    }
+
+    // Handshake — learn their keys, answer with ours
+    if (envelope.type === 'ping') {
+      this._learnKeys(fromAgent, envelope.payload);
+      return reply(200, { status: 'ok', type: 'ping', agent: this.name, payload: this._handshakePayload() });
+    }
+
+    if (envelope.intent === 'key_rotation') {
+      if (!this._applyKeyRotation(fromAgent, envelope.payload)) {
+        return reply(403, { status: 'rejected', reason: 'invalid_key_rotation' });
+      }
+      return reply(200, { status: 'ok', id: envelope.id, agent: this.name });
+    }
+
+    // Custom intents check their payload before anyone sees it
+    const intent = envelope.type === 'request' ? this.intents.get(envelope.intent) : null;
+    const errors = intent?.schema ? validate(intent.schema, envelope.payload) : [];
+    if (errors.length > 0) {
+      return reply(400, { status: 'rejected', reason: 'invalid_payload', errors });
     }
 
     // Emit events
@@ -375,6 +1090,10 @@ class AI2AI extends EventEmitter {
     if (envelope.type === 'request') {
       this.emit('request', envelope.intent, envelope.payload, envelope.from, envelope);
     }
+    if (envelope.type === 'response' || envelope.type === 'confirm' || envelope.type === 'reject') {
+      this._settleReply(envelope);
+      this.emit('reply', envelope.payload, envelope.from, envelope);
+    }
     if (envelope.type === 'receipt') {
       const { messageId, status } = envelope.payload || {};
       if (messageId && status === 'delivered') this.deliveryTracker.markDelivered(messageId);
@@ -387,12 +1106,59 @@ class AI2AI extends EventEmitter {
       this.emit('receipt:send', envelope.id, envelope.from);
     }
 
-    res.writeHead(200);
-    res.end(JSON.stringify({
+    // Handlers run after we answer; their result goes back as a reply envelope
+    if (intent && this._needsApproval(intent, fromAgent)) {
+      this.emit('approval', {
+        intent: intent.name,
+        payload: envelope.payload,
+        from: envelope.from,
+        envelope,
+        approve: () => this._runIntent(intent, envelope),
+        decline: (reason = 'declined') => this._replyQuietly(envelope, 'reject', { reason }),
+      });
+      return reply(200, { status: 'pending_approval', id: envelope.id, agent: this.name });
+    }
+    if (intent) this._runIntent(intent, envelope);
+
+    return reply(200, {
       status: 'ok',
       id: envelope.id,
       agent: this.name,
-    }));
+    });
+  }
+
+  _handshakePayload() {
+    return {
+      capabilities: this._capabilities(),
+      intent_versions: Object.fromEntries([...this.intents.values()].map(i => [i.name, i.version])),
+      protocol_versions: ['1.0'],
+      public_key: this._keys.publicKey,
+      x25519_public_key: this._x25519Keys.publicKeyDer,
+      x25519_signature: signX25519Binding(this.name, this._x25519Keys.publicKeyDer, this._keys.privateKey),
+    };
+  }
+
+  /**
+   * Record keys from a handshake payload. Keys already on file are never
+   * replaced this way — key changes go through rotation. An X25519 key is
+   * only taken when the contact's Ed25519 key has signed it.
+   */
+  _learnKeys(agentId, payload) {
+    if (!agentId || !payload) return;
+    const contact = this.contacts.get(agentId);
+    const signingKey = contact?.publicKey || payload.public_key;
+    const update = {};
+    if (payload.public_key && !contact?.publicKey) update.publicKey = payload.public_key;
+
+    const x25519 = payload.x25519_public_key;
+    if (x25519 && x25519 !== contact?.x25519PublicKey) {
+      if (contact?.x25519PublicKey) {
+        this.emit('contact:key-mismatch', agentId, { x25519PublicKey: x25519 });
+      } else if (verifyX25519Binding(agentId, x25519, payload.x25519_signature, signingKey)) {
+        update.x25519PublicKey = x25519;
+      }
+    }
+    if (Object.keys(update).length) this.addContact(agentId, update);
   }
 
   _loadOrCreateKeys() {
@@ -415,8 +1181,90 @@ class AI2AI extends EventEmitter {
     return { publicKey, privateKey };
   }
 
-  _sign(envelope) {
-    const payload = JSON.stringify({
+  _loadOrCreateX25519Keys() {
+    const pubPath = path.join(this.keyPath, 'x25519.pub.der');
+    const privPath = path.join(this.keyPath, 'x25519.key.der');
+
+    if (fs.existsSync(pubPath) && fs.existsSync(privPath)) {
+      const pubDer = fs.readFileSync(pubPath);
+      return {
+        publicKeyDer: pubDer.toString('base64'),
+        publicKey: crypto.createPublicKey({ key: pubDer, format: 'der', type: 'spki' }),
+        privateKey: crypto.createPrivateKey({ key: fs.readFileSync(privPath), format: 'der', type: 'pkcs8' }),
+      };
+    }
+
+    const keys = generateX25519KeyPair();
+    fs.writeFileSync(pubPath, keys.publicKey.export({ type: 'spki', format: 'der' }), { mode: 0o644 });
+    fs.writeFileSync(privPath, keys.privateKey.export({ type: 'pkcs8', format: 'der' }), { mode: 0o600 });
+    return keys;
+  }
+
+  /**
+   * Look up the sender's public key from contacts, falling back to the registry
+   * @param {string} agentId
+   * @returns {Promise<string|null>}
+   */
+  async _resolvePublicKey(agentId) {
+    const known = this.contacts.get(agentId)?.publicKey;
+    if (known) return known;
+    if (!this.registryClient) return null;
+
+    const resolved = await this.registryClient.resolve(agentId);
+    if (!resolved?.publicKey) return null;
+    this.addContact(agentId, { endpoint: resolved.endpoint, publicKey: resolved.publicKey });
+    return resolved.publicKey;
+  }
+
+  /**
+   * Check an inbound envelope's signature against the sender's known key.
+   * Senders with no known key are accepted unsigned unless strictSignatures is set.
+   * Keys the sender rotated away from still verify for keyGracePeriod, so
+   * messages already in flight or queued are not lost.
+   * @param {object} envelope
+   * @returns {Promise<boolean>}
+   */
+  async _verifyInbound(envelope) {
+    const publicKey = await this._resolvePublicKey(envelope.from?.agent);
+    if (!publicKey) return !this.strictSignatures;
+    if (!envelope.signature) return false;
+    if (this._verify(envelope, envelope.signature, publicKey)) return true;
+
+    const cutoff = Date.now() - this.keyGracePeriod;
+    const previousKeys = this.contacts.get(envelope.from?.agent)?.previousKeys || [];
+    return previousKeys.some(k => new Date(k.retiredAt).getTime() > cutoff && this._verify(envelope, envelope.signature, k.publicKey));
+  }
+
+  _verify(envelope, signature, publicKey) {
+    if (envelope.sigVersion === undefined) {
+      if (!this.legacySignatures) return false;
+    } else if (envelope.sigVersion !== SIG_VERSION || envelope.sigAlg !== SIG_ALG) {
+      return false;
+    }
+
+    const data = this._signingPayload(envelope);
+    // Cache on the signed bytes too, so a valid signature can't be replayed over a different body
+    const cacheKey = `${signature}:${crypto.createHash('sha256').update(data).digest('hex')}`;
+    const cached = this.verificationCache.get(cacheKey, publicKey);
+    if (cached !== null) return cached;
+
+    let valid;
+    try {
+      valid = crypto.verify(null, Buffer.from(data), crypto.createPublicKey(publicKey), Buffer.from(signature, 'base64'));
+    } catch {
+      valid = false;
+    }
+    this.verificationCache.set(cacheKey, publicKey, valid);
+    return valid;
+  }
+
+  /**
+   * Bytes covered by the signature: canonical JSON of the whole envelope for
+   * sigVersion 2 (see ai2ai-crypto.signingInput), the legacy field subset otherwise
+   */
+  _signingPayload(envelope) {
+    if (envelope.sigVersion !== undefined) return signingInput(envelope);
+    return JSON.stringify({
       id: envelope.id,
       timestamp: envelope.timestamp,
       from: envelope.from,
@@ -425,9 +1273,16 @@ class AI2AI extends EventEmitter {
       type: envelope.type,
       intent: envelope.intent,
       payload: envelope.payload,
+      // Dropped by JSON.stringify when absent, so signatures without it are unchanged
+      inReplyTo: envelope.inReplyTo,
     });
-    const privateKey = crypto.createPrivateKey(this._keys.privateKey);
-    return crypto.sign(null, Buffer.from(payload), privateKey).toString('base64');
+  }
+
+  _sign(envelope, signingKey = this._keys.privateKey) {
+    envelope.sigAlg = SIG_ALG;
+    envelope.sigVersion = SIG_VERSION;
+    const privateKey = crypto.createPrivateKey(signingKey);
+    return crypto.sign(null, Buffer.from(this._signingPayload(envelope)), privateKey).toString('base64');
   }
 }
 
@@ -13,13 +13,16 @@
  *   // Or process pending: ai2ai.handleHumanReply(approvalId, "Thursday works");
  */
 
-const path = require('path');
-const { ping, requestMeeting, relayMessage, requestInfo, requestQuote, requestGroupMeeting } = require('./ai2ai-client');
-const { listContacts, getContact, setTrustLevel, blockAgent } = require('./ai2ai-trust');
-const { listPendingApprovals, resolvePendingApproval, removePendingApproval, runMaintenance } = require('./ai2ai-conversations');
-const { listQueue } = require('./ai2ai-queue');
+const { createClient } = require('./ai2ai-client');
+const { createTrust } = require('./ai2ai-trust');
+const { createConversations, STATES } = require('./ai2ai-conversations');
+const { createCalendar } = require('./ai2ai-calendar');
+const { createGroupCoordinator } = require('./ai2ai-group');
+const { createNegotiator, parseAmount, offerTotal } = require('./ai2ai-commerce');
+const { createQueue } = require('./ai2ai-queue');
+const { getDefaultContext } = require('./ai2ai-context');
+const { defaultIntents } = require('./ai2ai-handlers');
 const { discover, startMdnsDiscovery } = require('./ai2ai-discovery');
-const logger = require('./ai2ai-logger');
 
 // ─── Natural Language → Intent Mapping ──────────────────────────────────────
 
@@ -100,365 +103,471 @@ function parseCommand(text) {
   return { action: null, error: 'Could not understand AI2AI command. Try: "schedule X with Y", "send Y a message: ...", "show contacts"' };
 }
 
-// ─── Command Execution ──────────────────────────────────────────────────────
+// ─── Per-Agent Integration ──────────────────────────────────────────────────
 
 /**
- * Resolve a contact name to their endpoint.
- * Searches contacts by agent name or human name.
+ * Command execution and approval handling for one agent
+ * @param {object} [ctx] - From createContext() (default: the shared default context)
+ * @param {object} [config] - Client config overrides (agentName, humanName, timezone),
+ *   and the agent's `intents` (from createIntents(); default: the default agent's)
  */
-function resolveContact(name) {
-  const contacts = listContacts();
-  const lower = name.toLowerCase();
-
-  for (const [agentId, contact] of Object.entries(contacts)) {
-    if (
-      agentId.toLowerCase().includes(lower) ||
-      (contact.humanName && contact.humanName.toLowerCase().includes(lower))
-    ) {
-      return { agentId, contact };
+function createIntegration(ctx = getDefaultContext(), config = {}) {
+  const logger = ctx.logger;
+  const intents = config.intents || defaultIntents;
+  const client = createClient(ctx, { ...config, intents });
+  const { ping, requestMeeting, relayMessage, requestInfo, requestQuote, requestGroupMeeting, createEnvelope, sendMessage } = client;
+  const { listContacts, getContact, setTrustLevel, blockAgent } = createTrust(ctx);
+  const conversations = createConversations(ctx);
+  const { listPendingApprovals, resolvePendingApproval, removePendingApproval, runMaintenance } = conversations;
+  const { listQueue } = createQueue(ctx);
+  const calendar = createCalendar(ctx, config);
+  const groups = createGroupCoordinator(ctx, { client, calendar });
+  const negotiations = createNegotiator(ctx, { client });
+
+  // ─── Command Execution ──────────────────────────────────────────────────────
+
+  /**
+   * Resolve a contact name to their endpoint.
+   * Searches contacts by agent name or human name.
+   */
+  function resolveContact(name) {
+    const contacts = listContacts();
+    const lower = name.toLowerCase();
+
+    for (const [agentId, contact] of Object.entries(contacts)) {
+      if (
+        agentId.toLowerCase().includes(lower) ||
+        (contact.humanName && contact.humanName.toLowerCase().includes(lower))
+      ) {
+        return { agentId, contact };
+      }
     }
-  }
-  return null;
-}
-
-/**
- * Execute a parsed AI2AI command.
- *
- * @param {object} parsed - Output of parseCommand()
- * @returns {Promise<{success: boolean, message: string, data?: any}>}
- */
-async function executeCommand(parsed) {
-  if (!parsed.action) {
-    return { success: false, message: parsed.error };
+    return null;
   }
 
-  try {
-    switch (parsed.action) {
-      case 'ping': {
-        const { name, endpoint } = parsed.params;
-        const result = await ping(endpoint);
-        return {
-          success: true,
-          message: `✅ Connected to ${name}'s AI at ${endpoint}.\nCapabilities: ${result.payload?.capabilities?.join(', ') || 'unknown'}`,
-          data: result,
-        };
-      }
+  /**
+   * Execute a parsed AI2AI command.
+   *
+   * @param {object} parsed - Output of parseCommand()
+   * @returns {Promise<{success: boolean, message: string, data?: any}>}
+   */
+  async function executeCommand(parsed) {
+    if (!parsed.action) {
+      return { success: false, message: parsed.error };
+    }
 
-      case 'schedule': {
-        const { subject, name, timeHint } = parsed.params;
-        const resolved = resolveContact(name);
-        if (!resolved) {
-          return { success: false, message: `❌ I don't know ${name}'s AI. Use "talk to ${name}'s AI at <endpoint>" first.` };
-        }
-        if (!resolved.contact.endpoint) {
-          return { success: false, message: `❌ I know ${name}'s AI but don't have their endpoint. Re-connect with "talk to ${name}'s AI at <endpoint>".` };
+    try {
+      switch (parsed.action) {
+        case 'ping': {
+          const { name, endpoint } = parsed.params;
+          const result = await ping(endpoint);
+          return {
+            success: true,
+            message: `✅ Connected to ${name}'s AI at ${endpoint}.\nCapabilities: ${result.payload?.capabilities?.join(', ') || 'unknown'}`,
+            data: result,
+          };
         }
 
-        // Generate some proposed times (basic heuristic from timeHint)
-        const proposedTimes = generateProposedTimes(timeHint);
+        case 'schedule': {
+          const { subject, name, timeHint } = parsed.params;
+          const resolved = resolveContact(name);
+          if (!resolved) {
+            return { success: false, message: `❌ I don't know ${name}'s AI. Use "talk to ${name}'s AI at <endpoint>" first.` };
+          }
+          if (!resolved.contact.endpoint) {
+            return { success: false, message: `❌ I know ${name}'s AI but don't have their endpoint. Re-connect with "talk to ${name}'s AI at <endpoint>".` };
+          }
+
+          // Generate some proposed times (basic heuristic from timeHint)
+          const proposedTimes = generateProposedTimes(timeHint);
+
+          const result = await requestMeeting(resolved.contact.endpoint, {
+            subject,
+            proposedTimes,
+            to: { agent: resolved.agentId, human: resolved.contact.humanName },
+          });
 
-        const result = await requestMeeting(resolved.contact.endpoint, {
-          subject,
-          proposedTimes,
-          to: { agent: resolved.agentId, human: resolved.contact.humanName },
-        });
+          return {
+            success: true,
+            message: `📅 Meeting request sent to ${name}'s AI: "${subject}"\nStatus: ${result.status}${result.conversation ? `\nConversation: ${result.conversation}` : ''}`,
+            data: result,
+          };
+        }
 
-        return {
-          success: true,
-          message: `📅 Meeting request sent to ${name}'s AI: "${subject}"\nStatus: ${result.status}${result.conversation ? `\nConversation: ${result.conversation}` : ''}`,
-          data: result,
-        };
-      }
+        case 'message': {
+          const { name, message } = parsed.params;
+          const resolved = resolveContact(name);
+          if (!resolved) {
+            return { success: false, message: `❌ I don't know ${name}'s AI. Connect first.` };
+          }
+          if (!resolved.contact.endpoint) {
+            return { success: false, message: `❌ No endpoint for ${name}'s AI.` };
+          }
+
+          const result = await relayMessage(resolved.contact.endpoint, {
+            message,
+            to: { agent: resolved.agentId, human: resolved.contact.humanName },
+          });
 
-      case 'message': {
-        const { name, message } = parsed.params;
-        const resolved = resolveContact(name);
-        if (!resolved) {
-          return { success: false, message: `❌ I don't know ${name}'s AI. Connect first.` };
-        }
-        if (!resolved.contact.endpoint) {
-          return { success: false, message: `❌ No endpoint for ${name}'s AI.` };
+          return {
+            success: true,
+            message: `💬 Message sent to ${name} via their AI.\nStatus: ${result.status}`,
+            data: result,
+          };
         }
 
-        const result = await relayMessage(resolved.contact.endpoint, {
-          message,
-          to: { agent: resolved.agentId, human: resolved.contact.humanName },
-        });
+        case 'info': {
+          const { name, question } = parsed.params;
+          const resolved = resolveContact(name);
+          if (!resolved?.contact?.endpoint) {
+            return { success: false, message: `❌ Can't reach ${name}'s AI.` };
+          }
 
-        return {
-          success: true,
-          message: `💬 Message sent to ${name} via their AI.\nStatus: ${result.status}`,
-          data: result,
-        };
-      }
+          const result = await requestInfo(resolved.contact.endpoint, {
+            question,
+            to: { agent: resolved.agentId, human: resolved.contact.humanName },
+          });
 
-      case 'info': {
-        const { name, question } = parsed.params;
-        const resolved = resolveContact(name);
-        if (!resolved?.contact?.endpoint) {
-          return { success: false, message: `❌ Can't reach ${name}'s AI.` };
+          return {
+            success: true,
+            message: `❓ Question sent to ${name}'s AI: "${question}"\nStatus: ${result.status}`,
+            data: result,
+          };
         }
 
-        const result = await requestInfo(resolved.contact.endpoint, {
-          question,
-          to: { agent: resolved.agentId, human: resolved.contact.humanName },
-        });
+        case 'commerce': {
+          const { name, item } = parsed.params;
+          const resolved = resolveContact(name);
+          if (!resolved?.contact?.endpoint) {
+            return { success: false, message: `❌ Can't reach ${name}'s AI.` };
+          }
 
-        return {
-          success: true,
-          message: `❓ Question sent to ${name}'s AI: "${question}"\nStatus: ${result.status}`,
-          data: result,
-        };
-      }
+          const result = await requestQuote(resolved.contact.endpoint, {
+            item,
+            to: { agent: resolved.agentId, human: resolved.contact.humanName },
+          });
 
-      case 'commerce': {
-        const { name, item } = parsed.params;
-        const resolved = resolveContact(name);
-        if (!resolved?.contact?.endpoint) {
-          return { success: false, message: `❌ Can't reach ${name}'s AI.` };
+          return {
+            success: true,
+            message: `🛒 Quote request sent to ${name}'s AI for: "${item}"\nStatus: ${result.status}`,
+            data: result,
+          };
         }
 
-        const result = await requestQuote(resolved.contact.endpoint, {
-          item,
-          to: { agent: resolved.agentId, human: resolved.contact.humanName },
-        });
-
-        return {
-          success: true,
-          message: `🛒 Quote request sent to ${name}'s AI for: "${item}"\nStatus: ${result.status}`,
-          data: result,
-        };
-      }
-
-      case 'trust': {
-        const { name, level } = parsed.params;
-        const resolved = resolveContact(name);
-        if (!resolved) {
-          return { success: false, message: `❌ Unknown contact: ${name}` };
+        case 'trust': {
+          const { name, level } = parsed.params;
+          const resolved = resolveContact(name);
+          if (!resolved) {
+            return { success: false, message: `❌ Unknown contact: ${name}` };
+          }
+          const oldLevel = resolved.contact.trustLevel || 'none';
+          setTrustLevel(resolved.agentId, level);
+          logger.logTrustChange(resolved.agentId, oldLevel, level, 'manual');
+          return { success: true, message: `✅ ${name}'s AI trust level: ${oldLevel} → ${level}` };
         }
-        const oldLevel = resolved.contact.trustLevel || 'none';
-        setTrustLevel(resolved.agentId, level);
-        logger.logTrustChange(resolved.agentId, oldLevel, level, 'manual');
-        return { success: true, message: `✅ ${name}'s AI trust level: ${oldLevel} → ${level}` };
-      }
 
-      case 'block': {
-        const { name } = parsed.params;
-        const resolved = resolveContact(name);
-        if (!resolved) {
-          return { success: false, message: `❌ Unknown contact: ${name}` };
+        case 'block': {
+          const { name } = parsed.params;
+          const resolved = resolveContact(name);
+          if (!resolved) {
+            return { success: false, message: `❌ Unknown contact: ${name}` };
+          }
+          blockAgent(resolved.agentId);
+          logger.logBlock(resolved.agentId, true);
+          return { success: true, message: `🚫 ${name}'s AI has been blocked.` };
         }
-        blockAgent(resolved.agentId);
-        logger.logBlock(resolved.agentId, true);
-        return { success: true, message: `🚫 ${name}'s AI has been blocked.` };
-      }
 
-      case 'discover': {
-        const { domain } = parsed.params;
-        const result = await discover(domain);
-        if (!result) {
-          return { success: false, message: `❌ No AI2AI endpoint found for ${domain}` };
+        case 'discover': {
+          const { domain } = parsed.params;
+          const result = await discover(domain);
+          if (!result) {
+            return { success: false, message: `❌ No AI2AI endpoint found for ${domain}` };
+          }
+          return {
+            success: true,
+            message: `🔍 Found AI2AI endpoint for ${domain}:\n  Method: ${result.method}\n  Endpoint: ${result.endpoint}`,
+            data: result,
+          };
         }
-        return {
-          success: true,
-          message: `🔍 Found AI2AI endpoint for ${domain}:\n  Method: ${result.method}\n  Endpoint: ${result.endpoint}`,
-          data: result,
-        };
-      }
 
-      case 'contacts': {
-        const contacts = listContacts();
-        const entries = Object.entries(contacts);
-        if (entries.length === 0) {
-          return { success: true, message: '📋 No AI2AI contacts yet.' };
+        case 'contacts': {
+          const contacts = listContacts();
+          const entries = Object.entries(contacts);
+          if (entries.length === 0) {
+            return { success: true, message: '📋 No AI2AI contacts yet.' };
+          }
+          const lines = entries.map(([id, c]) =>
+            `• **${c.humanName || id}** (${id}) — trust: ${c.trustLevel || 'none'}${c.blocked ? ' 🚫BLOCKED' : ''}${c.endpoint ? `\n  endpoint: ${c.endpoint}` : ''}`
+          );
+          return { success: true, message: `📋 **AI2AI Contacts:**\n\n${lines.join('\n')}` };
         }
-        const lines = entries.map(([id, c]) =>
-          `• **${c.humanName || id}** (${id}) — trust: ${c.trustLevel || 'none'}${c.blocked ? ' 🚫BLOCKED' : ''}${c.endpoint ? `\n  endpoint: ${c.endpoint}` : ''}`
-        );
-        return { success: true, message: `📋 **AI2AI Contacts:**\n\n${lines.join('\n')}` };
-      }
 
-      case 'status': {
-        const contacts = listContacts();
-        const pending = listPendingApprovals().filter(p => !p.resolved);
-        const queued = listQueue().filter(q => q.status !== 'delivered');
-
-        return {
-          success: true,
-          message: [
-            '🦞 **AI2AI Status**',
-            `  Contacts: ${Object.keys(contacts).length}`,
-            `  Pending approvals: ${pending.length}`,
-            `  Queued messages: ${queued.length}`,
-          ].join('\n'),
-        };
-      }
+        case 'status': {
+          const contacts = listContacts();
+          const pending = listPendingApprovals().filter(p => !p.resolved);
+          const queued = listQueue().filter(q => q.status !== 'delivered');
 
-      case 'pending': {
-        const pending = listPendingApprovals().filter(p => !p.resolved);
-        if (pending.length === 0) {
-          return { success: true, message: '✅ No pending approvals.' };
+          return {
+            success: true,
+            message: [
+              '🦞 **AI2AI Status**',
+              `  Contacts: ${Object.keys(contacts).length}`,
+              `  Pending approvals: ${pending.length}`,
+              `  Queued messages: ${queued.length}`,
+            ].join('\n'),
+          };
         }
-        const lines = pending.map((p, i) =>
-          `${i + 1}. [${p.envelope?.id?.substring(0, 8)}] ${p.approvalMessage?.substring(0, 120)}...`
-        );
-        return {
-          success: true,
-          message: `📋 **Pending Approvals (${pending.length}):**\n\n${lines.join('\n\n')}`,
-          data: pending,
-        };
-      }
 
-      case 'queue': {
-        const queued = listQueue();
-        if (queued.length === 0) {
-          return { success: true, message: '✅ Message queue is empty.' };
+        case 'pending': {
+          const pending = listPendingApprovals().filter(p => !p.resolved);
+          if (pending.length === 0) {
+            return { success: true, message: '✅ No pending approvals.' };
+          }
+          const lines = pending.map((p, i) =>
+            `${i + 1}. [${p.envelope?.id?.substring(0, 8)}] ${p.approvalMessage?.substring(0, 120)}...`
+          );
+          return {
+            success: true,
+            message: `📋 **Pending Approvals (${pending.length}):**\n\n${lines.join('\n\n')}`,
+            data: pending,
+          };
         }
-        const lines = queued.map((q) =>
-          `• [${q.id?.substring(0, 8)}] → ${q.endpoint} — ${q.status} (attempt ${q.attempt})`
-        );
-        return {
-          success: true,
-          message: `📬 **Message Queue (${queued.length}):**\n\n${lines.join('\n')}`,
-        };
-      }
 
-      default:
-        return { success: false, message: `Unknown action: ${parsed.action}` };
+        case 'queue': {
+          const queued = listQueue();
+          if (queued.length === 0) {
+            return { success: true, message: '✅ Message queue is empty.' };
+          }
+          const lines = queued.map((q) =>
+            `• [${q.id?.substring(0, 8)}] → ${q.endpoint} — ${q.status} (attempt ${q.attempt})`
+          );
+          return {
+            success: true,
+            message: `📬 **Message Queue (${queued.length}):**\n\n${lines.join('\n')}`,
+          };
+        }
+
+        default:
+          return { success: false, message: `Unknown action: ${parsed.action}` };
+      }
+    } catch (err) {
+      logger.error('INTEGRATION', `Command failed: ${err.message}`, { action: parsed.action });
+      return { success: false, message: `❌ Error: ${err.message}` };
     }
-  } catch (err) {
-    logger.error('INTEGRATION', `Command failed: ${err.message}`, { action: parsed.action });
-    return { success: false, message: `❌ Error: ${err.message}` };
   }
-}
-
-/**
- * High-level: parse and execute a natural language AI2AI command.
- */
-async function handleCommand(text) {
-  const parsed = parseCommand(text);
-  logger.info('INTEGRATION', `Command: "${text}" → action=${parsed.action || 'unknown'}`);
-  return executeCommand(parsed);
-}
-
-// ─── Human Reply Handling ───────────────────────────────────────────────────
 
-/**
- * Handle a human's reply to a pending approval.
- *
- * @param {string} approvalId - The pending approval ID
- * @param {string} humanReply - The human's response text
- * @returns {Promise<{success: boolean, message: string, responseEnvelope?: object}>}
- */
-async function handleHumanReply(approvalId, humanReply) {
-  const pending = listPendingApprovals().find(p =>
-    (p.envelope?.id === approvalId || p._filename === `${approvalId}.json`) && !p.resolved
-  );
-
-  if (!pending) {
-    return { success: false, message: 'Approval not found or already resolved.' };
+  /**
+   * High-level: parse and execute a natural language AI2AI command.
+   */
+  async function handleCommand(text) {
+    const parsed = parseCommand(text);
+    logger.info('INTEGRATION', `Command: "${text}" → action=${parsed.action || 'unknown'}`);
+    return executeCommand(parsed);
   }
 
-  const isApproved = !['decline', 'reject', 'no', 'deny'].includes(humanReply.toLowerCase().trim());
-
-  // Resolve the approval
-  resolvePendingApproval(pending.envelope?.id || approvalId, isApproved, humanReply);
-
-  if (!isApproved) {
-    // Send rejection back
-    const { createEnvelope, sendMessage } = require('./ai2ai-client');
-    const contact = getContact(pending.envelope?.from?.agent);
-
-    if (contact?.endpoint) {
-      const rejectEnvelope = createEnvelope({
-        to: pending.envelope.from,
-        type: 'reject',
-        intent: pending.envelope.intent,
-        conversationId: pending.envelope.conversation,
-        payload: { reason: humanReply },
-      });
-
-      try {
-        await sendMessage(contact.endpoint, rejectEnvelope);
-      } catch (err) {
-        logger.warn('INTEGRATION', `Failed to send rejection: ${err.message}`);
-      }
+  // ─── Human Reply Handling ───────────────────────────────────────────────────
+
+  /**
+   * Handle a human's reply to a pending approval.
+   *
+   * @param {string} approvalId - The pending approval ID
+   * @param {string} humanReply - The human's response text
+   * @returns {Promise<{success: boolean, message: string, responseEnvelope?: object}>}
+   */
+  async function handleHumanReply(approvalId, humanReply) {
+    const pending = listPendingApprovals().find(p =>
+      (p.envelope?.id === approvalId || p._filename === `${approvalId}.json`) && !p.resolved
+    );
+
+    if (!pending) {
+      return { success: false, message: 'Approval not found or already resolved.' };
     }
 
-    return { success: true, message: '❌ Declined and notified the other agent.' };
-  }
+    // The organiser settling a group meeting
+    if (pending.handler === 'group') return decideGroup(pending, humanReply);
+    // An offer the agent couldn't settle within the human's bounds
+    if (pending.handler === 'negotiation') return decideOffer(pending, humanReply);
+
+    const isApproved = !['decline', 'reject', 'no', 'deny'].includes(humanReply.toLowerCase().trim());
 
-  // If the handler has a formatResponse, use it to build the AI2AI response
-  const handler = require('./ai2ai-handlers').getHandler(pending.handler);
-  if (handler && pending.handler !== 'reply') {
-    const result = handler(pending.envelope.payload, pending.envelope.from);
-    if (result.formatResponse) {
-      const formatted = result.formatResponse(humanReply);
+    // Resolve the approval
+    resolvePendingApproval(pending.envelope?.id || approvalId, isApproved, humanReply);
 
-      const { createEnvelope, sendMessage } = require('./ai2ai-client');
+    if (!isApproved) {
+      // Send rejection back
       const contact = getContact(pending.envelope?.from?.agent);
 
       if (contact?.endpoint) {
-        const responseEnvelope = createEnvelope({
+        const rejectEnvelope = createEnvelope({
           to: pending.envelope.from,
-          type: formatted.type || 'response',
-          intent: formatted.intent || pending.envelope.intent,
+          type: 'reject',
+          intent: pending.envelope.intent,
           conversationId: pending.envelope.conversation,
-          payload: formatted.payload,
+          inReplyTo: pending.envelope.id,
+          payload: { reason: humanReply },
         });
 
         try {
-          const sendResult = await sendMessage(contact.endpoint, responseEnvelope);
-          return {
-            success: true,
-            message: `✅ Your reply has been sent to ${pending.envelope.from?.human}'s AI.`,
-            data: sendResult,
-          };
+          await sendMessage(contact.endpoint, rejectEnvelope);
         } catch (err) {
-          return { success: false, message: `❌ Couldn't send reply: ${err.message}` };
+          logger.warn('INTEGRATION', `Failed to send rejection: ${err.message}`);
         }
       }
+
+      return { success: true, message: '❌ Declined and notified the other agent.' };
     }
+
+    // If the handler has a formatResponse, use it to build the AI2AI response
+    const handler = intents.getHandler(pending.handler);
+    if (handler && pending.handler !== 'reply') {
+      const result = await handler(pending.envelope.payload, pending.envelope.from, pending.envelope);
+      if (result?.formatResponse) {
+        const formatted = result.formatResponse(humanReply);
+
+        // A time the human picked goes in their calendar
+        const acceptedTime = formatted.payload?.accepted_time;
+        if (acceptedTime && ['schedule.meeting', 'schedule.call'].includes(pending.envelope.intent)) {
+          conversations.transitionState(pending.envelope.conversation, STATES.CONFIRMED);
+          conversations.updateConversation(pending.envelope.conversation, {
+            acceptedTime,
+            durationMinutes: pending.envelope.payload?.duration_minutes || 60,
+          });
+          calendar.recordMeeting(pending.envelope, acceptedTime);
+        }
+        // A quote or counter the human typed is part of the negotiation
+        if (formatted.intent === 'commerce.offer' && formatted.payload?.offer_id) {
+          negotiations.recordOffer(pending.envelope.conversation, formatted.payload);
+        }
+
+        const contact = getContact(pending.envelope?.from?.agent);
+
+        if (contact?.endpoint) {
+          const responseEnvelope = createEnvelope({
+            to: pending.envelope.from,
+            type: formatted.type || 'response',
+            intent: formatted.intent || pending.envelope.intent,
+            conversationId: pending.envelope.conversation,
+            inReplyTo: pending.envelope.id,
+            payload: formatted.payload,
+          });
+
+          try {
+            const sendResult = await sendMessage(contact.endpoint, responseEnvelope);
+            return {
+              success: true,
+              message: `✅ Your reply has been sent to ${pending.envelope.from?.human}'s AI.`,
+              data: sendResult,
+            };
+          } catch (err) {
+            return { success: false, message: `❌ Couldn't send reply: ${err.message}` };
+          }
+        }
+      }
+    }
+
+    return { success: true, message: '✅ Approved.' };
   }
 
-  return { success: true, message: '✅ Approved.' };
-}
+  /**
+   * Act on the organiser's answer to a group meeting summary:
+   * "confirm", a time's number, "new round" or "cancel"
+   */
+  async function decideGroup(pending, humanReply) {
+    const conversationId = pending.envelope.conversation;
+    const reply = humanReply.toLowerCase().trim();
+    const num = parseInt(reply);
+    try {
+      if (['cancel', 'decline', 'reject', 'no'].includes(reply)) {
+        await groups.cancelGroup(conversationId);
+        return { success: true, message: '❌ Group meeting called off; everyone has been told.' };
+      }
+      if (/^new( round)?$/.test(reply)) {
+        const { proposedTimes } = await groups.proposeNewRound(conversationId);
+        return { success: true, message: `🔁 Sent ${proposedTimes.length} new times to everyone.` };
+      }
+      if (num >= 1 || ['confirm', 'yes', 'ok'].includes(reply)) {
+        const time = num >= 1 ? pending.summary?.times[num - 1]?.time : undefined;
+        if (num >= 1 && !time) return { success: false, message: `❌ There is no time ${num}.` };
+        const { time: confirmed, results } = await groups.confirmGroup(conversationId, { time });
+        return { success: true, message: `✅ Confirmed ${new Date(confirmed).toLocaleString()} with everyone.`, data: results };
+      }
+    } catch (err) {
+      return { success: false, message: `❌ ${err.message}` };
+    }
+    return { success: false, message: 'Reply "confirm", a number, "new round" or "cancel".' };
+  }
 
-// ─── Incoming Message Forwarding ────────────────────────────────────────────
+  /**
+   * Act on the human's answer to an offer: "accept", "decline" or a price to counter
+   */
+  async function decideOffer(pending, humanReply) {
+    const conversationId = pending.envelope.conversation;
+    const reply = humanReply.toLowerCase().trim();
+    const price = parseAmount(reply);
+    try {
+      if (['accept', 'yes', 'ok', 'deal'].includes(reply)) {
+        // Resolved only once the acceptance is out, so the human can try again if it isn't
+        const { offer } = await negotiations.acceptOffer(conversationId, pending.envelope.payload?.offer_id);
+        resolvePendingApproval(pending.envelope.id, true, humanReply);
+        return { success: true, message: `✅ Accepted ${offerTotal(offer)} ${offer.currency || 'USD'}; ${pending.envelope.from?.human}'s AI has been told.` };
+      }
+      if (['decline', 'reject', 'no', 'deny'].includes(reply)) {
+        resolvePendingApproval(pending.envelope.id, false, humanReply);
+        await negotiations.declineOffer(conversationId);
+        return { success: true, message: '❌ Declined and notified the other agent.' };
+      }
+      if (price != null && price >= 0) {
+        resolvePendingApproval(pending.envelope.id, true, humanReply);
+        const { offer } = await negotiations.sendOffer(conversationId, { total: price });
+        return { success: true, message: `💰 Countered with ${offer.total} ${offer.currency || 'USD'}.` };
+      }
+    } catch (err) {
+      return { success: false, message: `❌ ${err.message}` };
+    }
+    return { success: false, message: 'Reply "accept", "decline", or a price to counter.' };
+  }
 
-/**
- * Get all unresolved pending approvals formatted for the human.
- * Call this periodically or on incoming messages to notify the human.
- */
-function getNewNotifications() {
-  return listPendingApprovals()
-    .filter(p => !p.resolved && !p._notified)
-    .map(p => ({
-      id: p.envelope?.id,
-      message: p.approvalMessage,
-      from: p.envelope?.from?.human || p.envelope?.from?.agent,
-      intent: p.envelope?.intent || p.handler,
-      createdAt: p.createdAt,
-      isInform: p.isInform || false,
-    }));
-}
+  // ─── Incoming Message Forwarding ────────────────────────────────────────────
+
+  /**
+   * Get all unresolved pending approvals formatted for the human.
+   * Call this periodically or on incoming messages to notify the human.
+   */
+  function getNewNotifications() {
+    return listPendingApprovals()
+      .filter(p => !p.resolved && !p._notified)
+      .map(p => ({
+        id: p.envelope?.id,
+        message: p.approvalMessage,
+        from: p.envelope?.from?.human || p.envelope?.from?.agent,
+        intent: p.envelope?.intent || p.handler,
+        createdAt: p.createdAt,
+        isInform: p.isInform || false,
+      }));
+  }
 
-/**
- * Mark notifications as sent to human
- */
-function markNotified(approvalIds) {
-  const fs = require('fs');
-  const pendingDir = path.join(__dirname, 'pending');
-
-  for (const id of approvalIds) {
-    const filePath = path.join(pendingDir, `${id}.json`);
-    if (fs.existsSync(filePath)) {
-      const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-      data._notified = true;
-      data._notifiedAt = new Date().toISOString();
-      fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  /**
+   * Mark notifications as sent to human
+   */
+  function markNotified(approvalIds) {
+    for (const id of approvalIds) {
+      const data = conversations.getPendingApproval(id);
+      if (data) {
+        data._notified = true;
+        data._notifiedAt = new Date(ctx.clock()).toISOString();
+        conversations.savePendingApproval(id, data);
+      }
     }
   }
+
+  return {
+    executeCommand,
+    handleCommand,
+    handleHumanReply,
+    getNewNotifications,
+    markNotified,
+    resolveContact,
+  };
 }
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
@@ -529,12 +638,8 @@ function generateProposedTimes(timeHint) {
 }
 
 module.exports = {
+  ...createIntegration(),
   parseCommand,
-  executeCommand,
-  handleCommand,
-  handleHumanReply,
-  getNewNotifications,
-  markNotified,
-  resolveContact,
   generateProposedTimes,
+  createIntegration,
 };
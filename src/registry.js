@@ -3,6 +3,8 @@
  * 
  * Provides:
  * - Central registry client (register, search, resolve)
+ * - Embeddable registry server with optional on-disk persistence
+ * - Signed registration: agents prove they hold the key they register
  * - DNS TXT record discovery (_ai2ai.<domain>)
  * - mDNS/Bonjour for local network discovery
  * - Heartbeat/keepalive
@@ -12,6 +14,8 @@
  * @author Mikoshi Ltd <mikoshiuk@gmail.com>
  */
 
+const fs = require('fs');
+const path = require('path');
 const http = require('http');
 const https = require('https');
 const dgram = require('dgram');
@@ -19,6 +23,16 @@ const dns = require('dns');
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
 
+const MAX_SKEW = 5 * 60 * 1000; // accepted clock difference for signed requests
+
+/**
+ * The string an agent signs for a registry request
+ */
+function registryString(method, urlPath, agentId, timestamp, body) {
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  return `${method}\n${urlPath}\n${agentId}\n${timestamp}\n${bodyHash}`;
+}
+
 // ─── Registry Client ────────────────────────────────────────────────────────
 
 class RegistryClient extends EventEmitter {
@@ -26,6 +40,7 @@ class RegistryClient extends EventEmitter {
    * @param {object} opts
    * @param {string} opts.registryUrl - Base URL of the registry server
    * @param {string} opts.agentId - This agent's unique ID
+   * @param {string} [opts.privateKey] - Ed25519 private key (PEM); signs register, heartbeat and deregister
    * @param {number} [opts.heartbeatInterval=30000] - Heartbeat interval in ms
    * @param {number} [opts.timeout=10000] - HTTP request timeout in ms
    */
@@ -33,15 +48,19 @@ class RegistryClient extends EventEmitter {
     super();
     this.registryUrl = opts.registryUrl;
     this.agentId = opts.agentId;
+    this.privateKey = opts.privateKey || null;
     this.heartbeatInterval = opts.heartbeatInterval || 30000;
     this.timeout = opts.timeout || 10000;
     this._heartbeatTimer = null;
     this._registered = false;
+    this._resolveCache = new Map(); // agentId → { etag, agent }
   }
 
   /**
-   * Register this agent with the registry
-   * @param {object} agentInfo - { endpoint, name, humanName, publicKey, capabilities, metadata }
+   * Register this agent with the registry. The registry pins the first
+   * publicKey it sees for an ID; to change it, pass the new key's private
+   * half as agentInfo.newPrivateKey while still signing with the old one.
+   * @param {object} agentInfo - { endpoint, name, humanName, publicKey, x25519PublicKey, capabilities, metadata, newPrivateKey }
    * @returns {Promise<object>}
    */
   async register(agentInfo) {
@@ -51,12 +70,24 @@ class RegistryClient extends EventEmitter {
       name: agentInfo.name || this.agentId,
       humanName: agentInfo.humanName,
       publicKey: agentInfo.publicKey,
+      x25519PublicKey: agentInfo.x25519PublicKey,
       capabilities: agentInfo.capabilities || [],
       metadata: agentInfo.metadata || {},
       registeredAt: new Date().toISOString(),
     };
 
-    const result = await this._request('POST', '/agents', body);
+    const raw = JSON.stringify(body);
+    const headers = this._signHeaders('POST', '/agents', raw);
+    if (agentInfo.newPrivateKey) {
+      headers['X-AI2AI-New-Key-Signature'] = crypto.sign(
+        null,
+        Buffer.from(registryString('POST', '/agents', this.agentId, headers['X-AI2AI-Timestamp'], raw)),
+        crypto.createPrivateKey(agentInfo.newPrivateKey)
+      ).toString('base64');
+    }
+
+    const result = await this._request('POST', '/agents', body, { headers });
+    if (agentInfo.newPrivateKey) this.privateKey = agentInfo.newPrivateKey;
     this._registered = true;
     this._startHeartbeat(agentInfo);
     this.emit('registered', result);
@@ -65,7 +96,8 @@ class RegistryClient extends EventEmitter {
 
   /**
    * Search for agents matching a query
-   * @param {object} query - { capability, name, metadata }
+   * @param {object} query - { capability, name, metadata, sort, limit, offset }
+   *   metadata matches fields exactly; sort: 'lastHeartbeat' lists the most recently seen first
    * @returns {Promise<object[]>}
    */
   async search(query = {}) {
@@ -73,19 +105,31 @@ class RegistryClient extends EventEmitter {
     if (query.capability) params.set('capability', query.capability);
     if (query.name) params.set('name', query.name);
     if (query.metadata) params.set('metadata', JSON.stringify(query.metadata));
+    if (query.sort) params.set('sort', query.sort);
+    if (query.limit !== undefined) params.set('limit', String(query.limit));
+    if (query.offset !== undefined) params.set('offset', String(query.offset));
     const qs = params.toString();
     return this._request('GET', `/agents${qs ? '?' + qs : ''}`);
   }
 
   /**
-   * Resolve a specific agent by ID
+   * Resolve a specific agent by ID. Answers are cached and revalidated
+   * with If-None-Match, so an unchanged record costs a 304.
    * @param {string} agentId
    * @returns {Promise<object|null>}
    */
   async resolve(agentId) {
+    const cached = this._resolveCache.get(agentId);
     try {
-      return await this._request('GET', `/agents/${encodeURIComponent(agentId)}`);
+      const res = await this._request('GET', `/agents/${encodeURIComponent(agentId)}`, undefined, {
+        headers: cached ? { 'If-None-Match': cached.etag } : {},
+        full: true,
+      });
+      if (res.statusCode === 304 && cached) return cached.agent;
+      if (res.headers.etag) this._resolveCache.set(agentId, { etag: res.headers.etag, agent: res.body });
+      return res.body;
     } catch {
+      this._resolveCache.delete(agentId);
       return null;
     }
   }
@@ -97,16 +141,17 @@ class RegistryClient extends EventEmitter {
   async deregister() {
     this._stopHeartbeat();
     this._registered = false;
-    return this._request('DELETE', `/agents/${encodeURIComponent(this.agentId)}`);
+    const urlPath = `/agents/${encodeURIComponent(this.agentId)}`;
+    return this._request('DELETE', urlPath, undefined, { headers: this._signHeaders('DELETE', urlPath, '') });
   }
 
   /**
    * Send heartbeat to prove agent is online
    */
   async heartbeat() {
-    return this._request('POST', `/agents/${encodeURIComponent(this.agentId)}/heartbeat`, {
-      timestamp: new Date().toISOString(),
-    });
+    const urlPath = `/agents/${encodeURIComponent(this.agentId)}/heartbeat`;
+    const body = { timestamp: new Date().toISOString() };
+    return this._request('POST', urlPath, body, { headers: this._signHeaders('POST', urlPath, JSON.stringify(body)) });
   }
 
   _startHeartbeat(agentInfo) {
@@ -131,10 +176,25 @@ class RegistryClient extends EventEmitter {
     }
   }
 
+  /**
+   * Timestamp and signature headers for a request (none without a private key)
+   */
+  _signHeaders(method, urlPath, raw) {
+    if (!this.privateKey) return {};
+    const timestamp = new Date().toISOString();
+    const signature = crypto.sign(
+      null,
+      Buffer.from(registryString(method, urlPath, this.agentId, timestamp, raw)),
+      crypto.createPrivateKey(this.privateKey)
+    ).toString('base64');
+    return { 'X-AI2AI-Timestamp': timestamp, 'X-AI2AI-Signature': signature };
+  }
+
   /**
    * Make an HTTP request to the registry
+   * @param {object} [reqOpts] - { headers, full } — full resolves { statusCode, headers, body } and accepts 304
    */
-  async _request(method, path, body) {
+  async _request(method, path, body, reqOpts = {}) {
     return new Promise((resolve, reject) => {
       const url = new URL(path, this.registryUrl);
       const client = url.protocol === 'https:' ? https : http;
@@ -144,7 +204,7 @@ class RegistryClient extends EventEmitter {
         hostname: url.hostname,
         port: url.port,
         path: url.pathname + url.search,
-        headers: { 'Content-Type': 'application/json', 'X-AI2AI-Agent': this.agentId },
+        headers: { 'Content-Type': 'application/json', 'X-AI2AI-Agent': this.agentId, ...reqOpts.headers },
         timeout: this.timeout,
       };
 
@@ -152,10 +212,14 @@ class RegistryClient extends EventEmitter {
         let data = '';
         res.on('data', chunk => { data += chunk; });
         res.on('end', () => {
+          if (reqOpts.full && res.statusCode === 304) {
+            resolve({ statusCode: 304, headers: res.headers, body: null });
+            return;
+          }
           try {
             const parsed = JSON.parse(data);
             if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve(parsed);
+              resolve(reqOpts.full ? { statusCode: res.statusCode, headers: res.headers, body: parsed } : parsed);
             } else {
               reject(new Error(`Registry ${res.statusCode}: ${parsed.error || data}`));
             }
@@ -183,13 +247,25 @@ class RegistryClient extends EventEmitter {
   }
 }
 
-// ─── Registry Server (minimal, embeddable) ──────────────────────────────────
+// ─── Registry Server (embeddable) ───────────────────────────────────────────
 
 class RegistryServer {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.staleTimeout=120000] - Drop agents with no heartbeat for this long (ms)
+   * @param {string} [opts.dataDir] - Keep agents and key pins in registry.json here (default: memory only)
+   * @param {number} [opts.flushInterval=30000] - How often heartbeat times are written to registry.json (ms)
+   */
   constructor(opts = {}) {
     this.agents = new Map(); // agentId → agentInfo
+    this.pins = new Map();   // agentId → publicKey (outlives stale cleanup, so IDs can't be taken over)
     this.staleTimeout = opts.staleTimeout || 120000; // 2 minutes
+    this.filePath = opts.dataDir ? path.join(opts.dataDir, 'registry.json') : null;
+    this.flushInterval = opts.flushInterval || 30000;
     this.server = null;
+    this._dirty = false; // heartbeats not yet written out
+    this._seen = new Map(); // signature → expiresAt (replay protection)
+    this._load();
   }
 
   /**
@@ -203,6 +279,8 @@ class RegistryServer {
       this.server.listen(port, () => {
         this._cleanupTimer = setInterval(() => this._cleanupStale(), this.staleTimeout);
         if (this._cleanupTimer.unref) this._cleanupTimer.unref();
+        this._flushTimer = setInterval(() => this._flush(), this.flushInterval);
+        if (this._flushTimer.unref) this._flushTimer.unref();
         resolve(this.server);
       });
     });
@@ -210,6 +288,8 @@ class RegistryServer {
 
   stop() {
     if (this._cleanupTimer) clearInterval(this._cleanupTimer);
+    if (this._flushTimer) clearInterval(this._flushTimer);
+    this._flush();
     if (this.server) this.server.close();
   }
 
@@ -217,7 +297,8 @@ class RegistryServer {
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-AI2AI-Agent');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match, X-AI2AI-Agent, X-AI2AI-Timestamp, X-AI2AI-Signature, X-AI2AI-New-Key-Signature');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Total-Count');
 
     if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
 
@@ -225,16 +306,47 @@ class RegistryServer {
     const pathParts = url.pathname.split('/').filter(Boolean);
 
     try {
-      // POST /agents — register
+      // POST /agents — register or update (signed by the pinned key)
       if (req.method === 'POST' && pathParts.length === 1 && pathParts[0] === 'agents') {
-        const body = await this._readBody(req);
-        if (!body.id || !body.endpoint) {
+        const raw = await this._readBody(req);
+        const body = this._parse(raw);
+        if (!body || !body.id || !body.endpoint) {
           res.writeHead(400);
           res.end(JSON.stringify({ error: 'Missing id or endpoint' }));
           return;
         }
+        if (!body.publicKey) {
+          res.writeHead(400);
+          res.end(JSON.stringify({ error: 'Missing publicKey' }));
+          return;
+        }
+
+        // First registration proves ownership of the submitted key; later ones of the pinned key
+        const pinned = this.pins.get(body.id);
+        const authError = this._verify(req, raw, body.id, pinned || body.publicKey);
+        if (authError) { res.writeHead(401); res.end(JSON.stringify({ error: authError })); return; }
+
+        if (pinned && pinned !== body.publicKey) {
+          const newKeySignature = req.headers['x-ai2ai-new-key-signature'];
+          if (!newKeySignature) {
+            res.writeHead(401);
+            res.end(JSON.stringify({ error: 'new_key_signature_required' }));
+            return;
+          }
+          const data = registryString(req.method, req.url, body.id, req.headers['x-ai2ai-timestamp'], raw);
+          if (!verifySignature(data, newKeySignature, body.publicKey)) {
+            res.writeHead(401);
+            res.end(JSON.stringify({ error: 'invalid_new_key_signature' }));
+            return;
+          }
+        }
+
+        const previous = this.agents.get(body.id);
+        body.registeredAt = previous ? previous.registeredAt : new Date().toISOString();
         body.lastHeartbeat = new Date().toISOString();
         this.agents.set(body.id, body);
+        this.pins.set(body.id, body.publicKey);
+        this._save();
         res.writeHead(201);
         res.end(JSON.stringify({ status: 'registered', id: body.id }));
         return;
@@ -243,10 +355,14 @@ class RegistryServer {
       // POST /agents/:id/heartbeat
       if (req.method === 'POST' && pathParts.length === 3 && pathParts[0] === 'agents' && pathParts[2] === 'heartbeat') {
         const id = decodeURIComponent(pathParts[1]);
+        const raw = await this._readBody(req);
         const agent = this.agents.get(id);
         if (!agent) { res.writeHead(404); res.end(JSON.stringify({ error: 'Agent not found' })); return; }
+        const authError = this._verify(req, raw, id, this.pins.get(id));
+        if (authError) { res.writeHead(401); res.end(JSON.stringify({ error: authError })); return; }
+        // Heartbeats arrive every few seconds per agent; write them out on the flush timer
         agent.lastHeartbeat = new Date().toISOString();
-        this.agents.set(id, agent);
+        this._dirty = true;
         res.writeHead(200);
         res.end(JSON.stringify({ status: 'ok' }));
         return;
@@ -254,30 +370,53 @@ class RegistryServer {
 
       // GET /agents — search
       if (req.method === 'GET' && pathParts.length === 1 && pathParts[0] === 'agents') {
-        const capability = url.searchParams.get('capability');
-        const name = url.searchParams.get('name');
+        const query = this._parseQuery(url.searchParams);
+        if (query.error) { res.writeHead(400); res.end(JSON.stringify({ error: query.error })); return; }
+
         let results = Array.from(this.agents.values());
-        if (capability) results = results.filter(a => a.capabilities && a.capabilities.includes(capability));
-        if (name) results = results.filter(a => (a.name || a.id).toLowerCase().includes(name.toLowerCase()));
+        if (query.capability) results = results.filter(a => a.capabilities && a.capabilities.includes(query.capability));
+        if (query.name) results = results.filter(a => (a.name || a.id).toLowerCase().includes(query.name.toLowerCase()));
+        if (query.metadata) results = results.filter(a => matchesMetadata(a.metadata, query.metadata));
+        if (query.sort === 'lastHeartbeat') {
+          results.sort((a, b) => new Date(b.lastHeartbeat).getTime() - new Date(a.lastHeartbeat).getTime());
+        }
+
+        res.setHeader('X-Total-Count', String(results.length));
+        const end = query.limit === undefined ? undefined : query.offset + query.limit;
         res.writeHead(200);
-        res.end(JSON.stringify(results));
+        res.end(JSON.stringify(results.slice(query.offset, end)));
         return;
       }
 
-      // GET /agents/:id — resolve
+      // GET /agents/:id — resolve (cacheable via ETag)
       if (req.method === 'GET' && pathParts.length === 2 && pathParts[0] === 'agents') {
         const id = decodeURIComponent(pathParts[1]);
         const agent = this.agents.get(id);
         if (!agent) { res.writeHead(404); res.end(JSON.stringify({ error: 'Agent not found' })); return; }
+        const etag = etagFor(agent);
+        res.setHeader('ETag', etag);
+        const ifNoneMatch = req.headers['if-none-match'];
+        if (ifNoneMatch && (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(t => t.trim() === etag))) {
+          res.writeHead(304);
+          res.end();
+          return;
+        }
         res.writeHead(200);
         res.end(JSON.stringify(agent));
         return;
       }
 
-      // DELETE /agents/:id — deregister
+      // DELETE /agents/:id — deregister (signed by the pinned key; releases the pin)
       if (req.method === 'DELETE' && pathParts.length === 2 && pathParts[0] === 'agents') {
         const id = decodeURIComponent(pathParts[1]);
+        const raw = await this._readBody(req);
+        if (this.pins.has(id)) {
+          const authError = this._verify(req, raw, id, this.pins.get(id));
+          if (authError) { res.writeHead(401); res.end(JSON.stringify({ error: authError })); return; }
+        }
         this.agents.delete(id);
+        this.pins.delete(id);
+        this._save();
         res.writeHead(200);
         res.end(JSON.stringify({ status: 'deregistered', id }));
         return;
@@ -291,23 +430,143 @@ class RegistryServer {
     }
   }
 
+  /**
+   * Check a signed request. Returns an error code, or null if it is valid.
+   */
+  _verify(req, raw, agentId, publicKey) {
+    const timestamp = req.headers['x-ai2ai-timestamp'];
+    const signature = req.headers['x-ai2ai-signature'];
+    if (!timestamp || !signature) return 'signature_required';
+
+    const time = new Date(timestamp).getTime();
+    if (isNaN(time) || Math.abs(Date.now() - time) > MAX_SKEW) return 'stale_request';
+    if (!verifySignature(registryString(req.method, req.url, agentId, timestamp, raw), signature, publicKey)) {
+      return 'invalid_signature';
+    }
+
+    // A captured request can't be played back while its timestamp is still fresh
+    const now = Date.now();
+    for (const [sig, exp] of this._seen) if (exp <= now) this._seen.delete(sig);
+    if (this._seen.has(signature)) return 'replayed_request';
+    this._seen.set(signature, now + 2 * MAX_SKEW);
+    return null;
+  }
+
+  /**
+   * Read search parameters: capability, name, metadata (JSON), sort, limit, offset
+   */
+  _parseQuery(params) {
+    const query = {
+      capability: params.get('capability'),
+      name: params.get('name'),
+      sort: params.get('sort'),
+      offset: 0,
+    };
+
+    if (params.has('metadata')) {
+      query.metadata = this._parse(params.get('metadata'));
+      if (!query.metadata || typeof query.metadata !== 'object' || Array.isArray(query.metadata)) {
+        return { error: 'metadata must be a JSON object' };
+      }
+    }
+    if (query.sort && query.sort !== 'lastHeartbeat') return { error: `Unsupported sort: ${query.sort}` };
+    if (params.has('limit')) {
+      query.limit = parseInt(params.get('limit'), 10);
+      if (!(query.limit > 0)) return { error: 'limit must be a positive integer' };
+    }
+    if (params.has('offset')) {
+      query.offset = parseInt(params.get('offset'), 10);
+      if (!(query.offset >= 0)) return { error: 'offset must be a non-negative integer' };
+    }
+    return query;
+  }
+
+  _parse(raw) {
+    try { return JSON.parse(raw); } catch { return null; }
+  }
+
   async _readBody(req) {
     return new Promise((resolve, reject) => {
       let data = '';
       req.on('data', chunk => { data += chunk; if (data.length > 102400) reject(new Error('Too large')); });
-      req.on('end', () => { try { resolve(JSON.parse(data)); } catch { reject(new Error('Invalid JSON')); } });
+      req.on('end', () => resolve(data));
       req.on('error', reject);
     });
   }
 
   _cleanupStale() {
     const cutoff = Date.now() - this.staleTimeout;
+    let removed = false;
     for (const [id, agent] of this.agents) {
       if (new Date(agent.lastHeartbeat).getTime() < cutoff) {
         this.agents.delete(id);
+        removed = true;
       }
     }
+    if (removed) this._save();
+  }
+
+  _load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      for (const [id, agent] of Object.entries(data.agents || {})) this.agents.set(id, agent);
+      for (const [id, key] of Object.entries(data.pins || {})) this.pins.set(id, key);
+    } catch (err) {
+      console.error(`⚠️  Could not read ${this.filePath}: ${err.message}`);
+    }
+    // Agents registered before key pinning existed keep the key they registered with
+    for (const [id, agent] of this.agents) {
+      if (agent.publicKey && !this.pins.has(id)) this.pins.set(id, agent.publicKey);
+    }
   }
+
+  _flush() {
+    if (this._dirty) this._save();
+  }
+
+  _save() {
+    this._dirty = false;
+    if (!this.filePath) return;
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = this.filePath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({
+      agents: Object.fromEntries(this.agents),
+      pins: Object.fromEntries(this.pins),
+    }, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+function verifySignature(data, signature, publicKey) {
+  try {
+    return crypto.verify(null, Buffer.from(data), crypto.createPublicKey(publicKey), Buffer.from(signature, 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Every filter field must equal the agent's metadata field
+ * (or be one of its values, if that field is a list)
+ */
+function matchesMetadata(metadata, filter) {
+  if (!metadata) return false;
+  return Object.entries(filter).every(([key, expected]) => {
+    const actual = metadata[key];
+    if (Array.isArray(actual) && !Array.isArray(expected)) return actual.includes(expected);
+    return JSON.stringify(actual) === JSON.stringify(expected);
+  });
+}
+
+/**
+ * Weak validator for a registry record. Heartbeats alone don't change it,
+ * so clients only refetch when the registration itself changed.
+ */
+function etagFor(agent) {
+  const { lastHeartbeat, ...record } = agent;
+  return `W/"${crypto.createHash('sha256').update(JSON.stringify(record)).digest('hex').slice(0, 32)}"`;
 }
 
 // ─── DNS TXT Discovery ─────────────────────────────────────────────────────
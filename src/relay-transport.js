@@ -0,0 +1,393 @@
+/**
+ * AI2AI Relay Transport — reach agents behind NAT through relay/server.js
+ *
+ * Provides:
+ * - Signed registration (Ed25519 challenge-response, see relay/README.md)
+ * - Sending envelopes through POST /relay
+ * - Long-polling or streaming (SSE) the mailbox and acknowledging processed messages
+ *
+ * Zero external dependencies — Node.js built-ins only.
+ *
+ * @author Mikoshi Ltd <mikoshiuk@gmail.com>
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+class RelayTransport extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {string} opts.relayUrl - Base URL of the relay server
+   * @param {string} opts.agentId - This agent's ID
+   * @param {string} opts.publicKey - Ed25519 public key (PEM), pinned by the relay
+   * @param {string} opts.privateKey - Ed25519 private key (PEM), signs relay requests
+   * @param {string} [opts.humanName] - Human operator name
+   * @param {string} [opts.endpoint] - Direct endpoint the relay may forward to (none = mailbox only)
+   * @param {number} [opts.pollWait=30] - Seconds the relay may hold a mailbox request open
+   * @param {number} [opts.pollInterval=1000] - Delay after an empty mailbox response in ms
+   * @param {boolean} [opts.stream=false] - Use the SSE stream instead of long-polling
+   * @param {number} [opts.timeout=10000] - HTTP request timeout in ms (on top of pollWait)
+   */
+  constructor(opts = {}) {
+    super();
+    this.relayUrl = opts.relayUrl;
+    this.agentId = opts.agentId;
+    this.publicKey = opts.publicKey;
+    this.privateKey = opts.privateKey;
+    this.humanName = opts.humanName;
+    this.endpoint = opts.endpoint || null;
+    this.pollWait = opts.pollWait ?? 30;
+    this.pollInterval = opts.pollInterval ?? 1000;
+    this.stream = opts.stream === true;
+    this.timeout = opts.timeout || 10000;
+    this._running = false;
+    this._pollReq = null;
+    this._wake = null;
+    this._lastEventId = undefined;
+  }
+
+  /**
+   * URL that accepts envelopes for any agent on this relay
+   * @returns {string}
+   */
+  get sendEndpoint() {
+    return new URL('/relay', this.relayUrl).toString();
+  }
+
+  /**
+   * Register (or re-register) this agent with the relay
+   * @returns {Promise<object>}
+   */
+  async register() {
+    const result = await this._signedRequest('POST', '/register', {
+      agentId: this.agentId,
+      humanName: this.humanName,
+      publicKey: this.publicKey,
+      endpoint: this.endpoint,
+    });
+    this.emit('registered', result);
+    return result;
+  }
+
+  /**
+   * Move the relay's key pin to a new key. The request is signed by the
+   * current key and countersigned by the new one.
+   * @param {string} publicKey - New Ed25519 public key (PEM)
+   * @param {string} privateKey - New Ed25519 private key (PEM)
+   * @returns {Promise<object>}
+   */
+  async rotateKey(publicKey, privateKey) {
+    const body = { agentId: this.agentId, humanName: this.humanName, publicKey, endpoint: this.endpoint };
+    const raw = JSON.stringify(body);
+    const headers = await this._signHeaders('POST', '/register', raw);
+    const bodyHash = crypto.createHash('sha256').update(raw).digest('hex');
+    headers['X-AI2AI-New-Key-Signature'] = crypto.sign(
+      null,
+      Buffer.from(`POST\n/register\n${headers['X-AI2AI-Challenge']}\n${bodyHash}`),
+      crypto.createPrivateKey(privateKey)
+    ).toString('base64');
+
+    const result = await this._request('POST', '/register', body, { headers });
+    this.publicKey = publicKey;
+    this.privateKey = privateKey;
+    this.emit('registered', result);
+    return result;
+  }
+
+  /**
+   * Remove this agent (and its mailbox) from the relay
+   * @returns {Promise<object>}
+   */
+  async unregister() {
+    return this._signedRequest('DELETE', `/agent/${encodeURIComponent(this.agentId)}`);
+  }
+
+  /**
+   * Send an envelope through the relay
+   * @param {object} envelope
+   * @returns {Promise<object>} { status: 'forwarded' | 'queued', target }
+   */
+  async send(envelope) {
+    return this._request('POST', '/relay', envelope);
+  }
+
+  /**
+   * Look up an agent registered on the relay
+   * @param {string} agentId
+   * @returns {Promise<object|null>}
+   */
+  async lookup(agentId) {
+    try {
+      return await this._request('GET', `/agent/${encodeURIComponent(agentId)}`);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Lease waiting messages (held open up to pollWait seconds)
+   * @returns {Promise<object[]>}
+   */
+  async fetchMailbox() {
+    const result = await this._signedRequest('GET', `/mailbox/${encodeURIComponent(this.agentId)}?wait=${this.pollWait}`, undefined, {
+      timeout: this.timeout + this.pollWait * 1000,
+      track: true,
+    });
+    return result.messages || [];
+  }
+
+  /**
+   * Acknowledge processed messages so the relay deletes them
+   * @param {string[]} ids - Relay message IDs (envelope._relay.relayId)
+   * @returns {Promise<object>}
+   */
+  async ack(ids) {
+    return this._signedRequest('POST', `/mailbox/${encodeURIComponent(this.agentId)}/ack`, { ids });
+  }
+
+  /**
+   * Open the SSE mailbox stream. Resolves when the stream ends; each
+   * message is handled and acked in arrival order.
+   * @returns {Promise<void>}
+   */
+  async openStream() {
+    const path = `/mailbox/${encodeURIComponent(this.agentId)}/stream`;
+    const headers = await this._signHeaders('GET', path, '');
+    if (this._lastEventId) headers['Last-Event-ID'] = this._lastEventId;
+
+    return new Promise((resolve, reject) => {
+      const url = new URL(path, this.relayUrl);
+      const client = url.protocol === 'https:' ? https : http;
+      let chain = Promise.resolve();
+
+      const req = client.request({
+        method: 'GET',
+        hostname: url.hostname,
+        port: url.port,
+        path: url.pathname,
+        headers: { Accept: 'text/event-stream', 'X-AI2AI-Version': '1.0', ...headers },
+      }, (res) => {
+        if (res.statusCode !== 200) {
+          let data = '';
+          res.on('data', chunk => { data += chunk; });
+          res.on('end', () => {
+            let parsed;
+            try { parsed = JSON.parse(data); } catch { parsed = data; }
+            const err = new Error(`Relay ${res.statusCode}: ${parsed?.error || data}`);
+            err.statusCode = res.statusCode;
+            reject(err);
+          });
+          return;
+        }
+
+        this.emit('stream-open');
+        res.setEncoding('utf-8');
+        let buffer = '';
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          let boundary;
+          while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const event = parseEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (event.event !== 'message' || !event.data) continue;
+            let envelope;
+            try { envelope = JSON.parse(event.data); } catch { continue; }
+            if (event.id) this._lastEventId = event.id;
+            chain = chain.then(() => this._handle([envelope]));
+          }
+        });
+        // 'close' fires however the stream ends, including a destroy from stop()
+        res.on('close', () => chain.then(() => resolve()));
+      });
+
+      this._pollReq = req;
+      req.on('error', reject);
+      req.on('close', () => { if (this._pollReq === req) this._pollReq = null; });
+      req.end();
+    });
+  }
+
+  /**
+   * Register and start pulling the mailbox. Each envelope is passed to
+   * onEnvelope and acknowledged once it returns; if it throws, the message
+   * is left for redelivery after the relay's lease expires.
+   * @param {Function} onEnvelope - async (envelope) => any
+   */
+  async start(onEnvelope) {
+    await this.register();
+    this._running = true;
+    this._onEnvelope = onEnvelope;
+    this._loop = this.stream ? this._streamLoop() : this._poll();
+  }
+
+  /**
+   * Stop polling. The registration is kept so messages keep queuing.
+   */
+  async stop() {
+    this._running = false;
+    if (this._pollReq) this._pollReq.destroy();
+    if (this._wake) this._wake();
+    if (this._loop) await this._loop;
+  }
+
+  async _poll() {
+    let failures = 0;
+    while (this._running) {
+      let messages;
+      try {
+        messages = await this.fetchMailbox();
+        failures = 0;
+      } catch (err) {
+        if (!this._running) break;
+        this.emit('poll-error', err);
+        // Relay lost our registration (e.g. expired) — register again
+        if (err.statusCode === 404) {
+          try { await this.register(); } catch { /* retry next round */ }
+        }
+        await this._sleep(Math.min(1000 * Math.pow(2, failures++), 30000));
+        continue;
+      }
+
+      if (messages.length === 0) {
+        await this._sleep(this.pollInterval);
+        continue;
+      }
+
+      await this._handle(messages);
+    }
+  }
+
+  async _streamLoop() {
+    let failures = 0;
+    while (this._running) {
+      try {
+        await this.openStream();
+        failures = 0;
+      } catch (err) {
+        if (!this._running) break;
+        this.emit('poll-error', err);
+        if (err.statusCode === 404) {
+          try { await this.register(); } catch { /* retry next round */ }
+        }
+        failures++;
+      }
+      if (this._running) await this._sleep(Math.min(1000 * Math.pow(2, failures), 30000));
+    }
+  }
+
+  /**
+   * Process messages, then ack the ones that were handled
+   */
+  async _handle(messages) {
+    const processed = [];
+    for (const envelope of messages) {
+      try {
+        await this._onEnvelope(envelope);
+        if (envelope._relay?.relayId) processed.push(envelope._relay.relayId);
+      } catch (err) {
+        this.emit('message-error', err, envelope);
+      }
+    }
+    if (processed.length) {
+      try { await this.ack(processed); } catch (err) { this.emit('poll-error', err); }
+    }
+  }
+
+  _sleep(ms) {
+    return new Promise((resolve) => {
+      if (!this._running) { resolve(); return; }
+      const timer = setTimeout(() => { this._wake = null; resolve(); }, ms);
+      this._wake = () => { clearTimeout(timer); this._wake = null; resolve(); };
+    });
+  }
+
+  /**
+   * Make a request signed over a fresh relay challenge
+   */
+  async _signedRequest(method, path, body, opts = {}) {
+    const raw = body === undefined ? '' : JSON.stringify(body);
+    const headers = await this._signHeaders(method, path, raw);
+    return this._request(method, path, body, { ...opts, headers });
+  }
+
+  async _signHeaders(method, path, raw) {
+    const { challenge } = await this._request('GET', `/challenge/${encodeURIComponent(this.agentId)}`);
+    const bodyHash = crypto.createHash('sha256').update(raw).digest('hex');
+    const signature = crypto.sign(
+      null,
+      Buffer.from(`${method}\n${path}\n${challenge}\n${bodyHash}`),
+      crypto.createPrivateKey(this.privateKey)
+    ).toString('base64');
+    return { 'X-AI2AI-Challenge': challenge, 'X-AI2AI-Signature': signature };
+  }
+
+  /**
+   * Make an HTTP request to the relay
+   */
+  async _request(method, path, body, opts = {}) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(path, this.relayUrl);
+      const client = url.protocol === 'https:' ? https : http;
+      const data = body === undefined ? '' : JSON.stringify(body);
+
+      const req = client.request({
+        method,
+        hostname: url.hostname,
+        port: url.port,
+        path: url.pathname + url.search,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(data),
+          'X-AI2AI-Version': '1.0',
+          ...opts.headers,
+        },
+        timeout: opts.timeout || this.timeout,
+      }, (res) => {
+        let chunks = '';
+        res.on('data', chunk => { chunks += chunk; });
+        res.on('end', () => {
+          if (opts.track) this._pollReq = null;
+          let parsed;
+          try { parsed = JSON.parse(chunks); } catch { parsed = chunks; }
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(parsed);
+          } else {
+            const err = new Error(`Relay ${res.statusCode}: ${parsed?.error || chunks}`);
+            err.statusCode = res.statusCode;
+            err.body = parsed;
+            reject(err);
+          }
+        });
+      });
+
+      if (opts.track) this._pollReq = req;
+      req.on('error', (err) => { if (opts.track) this._pollReq = null; reject(err); });
+      req.on('timeout', () => { req.destroy(); reject(new Error('Relay request timeout')); });
+      if (data) req.write(data);
+      req.end();
+    });
+  }
+}
+
+/**
+ * Parse one Server-Sent Events block into { id, event, data }
+ */
+function parseEvent(block) {
+  const event = { event: 'message', data: '' };
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'data') data.push(value);
+    else if (field === 'id') event.id = value;
+    else if (field === 'event') event.event = value;
+  }
+  event.data = data.join('\n');
+  return event;
+}
+
+module.exports = { RelayTransport };
@@ -4,10 +4,10 @@
  * Provides:
  * - Retry with exponential backoff
  * - Circuit breaker
- * - Message deduplication (idempotency keys)
+ * - Message deduplication (idempotency keys), optionally persisted
  * - Delivery receipts
  * - Dead letter queue
- * - Persistent queue (disk-backed)
+ * - Persistent queue (disk-backed, or any storage adapter)
  * 
  * Zero external dependencies — Node.js built-ins only.
  * 
@@ -18,6 +18,8 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { SeenLog } = require('./security');
+const { FileStorage } = require('./storage');
 
 // ─── Retry with Exponential Backoff ─────────────────────────────────────────
 
@@ -152,24 +154,26 @@ class CircuitBreaker extends EventEmitter {
 class Deduplicator {
   /**
    * @param {object} opts
-   * @param {number} [opts.ttl=3600000] - TTL for seen IDs (default 1 hour)
-   * @param {number} [opts.maxSize=10000] - Max tracked IDs
+   * @param {number} [opts.ttl=3600000] - How long an ID is remembered when no expiry is given (default 1 hour)
+   * @param {number} [opts.maxSize=10000] - Size above which expired IDs are pruned right away
+   * @param {string} [opts.path] - Persist seen IDs here so restarts don't redeliver duplicates
    */
   constructor(opts = {}) {
     this.ttl = opts.ttl ?? 3600000;
     this.maxSize = opts.maxSize ?? 10000;
-    this.seen = new Map(); // id → timestamp
+    this.seen = new SeenLog(opts.path); // id → expiresAt
   }
 
   /**
    * Check if a message ID has been seen. If not, mark it as seen.
    * @param {string} messageId
+   * @param {number} [expiresAt] - Remember the ID until then (epoch ms; default now + ttl)
    * @returns {boolean} true if duplicate
    */
-  isDuplicate(messageId) {
-    this._cleanup();
+  isDuplicate(messageId, expiresAt) {
+    this.seen.prune(this.seen.size > this.maxSize);
     if (this.seen.has(messageId)) return true;
-    this.seen.set(messageId, Date.now());
+    this.seen.add(messageId, expiresAt ?? Date.now() + this.ttl);
     return false;
   }
 
@@ -183,14 +187,6 @@ class Deduplicator {
     return crypto.createHash('sha256').update(data).digest('hex').substring(0, 16);
   }
 
-  _cleanup() {
-    if (this.seen.size <= this.maxSize) return;
-    const cutoff = Date.now() - this.ttl;
-    for (const [id, ts] of this.seen) {
-      if (ts < cutoff) this.seen.delete(id);
-    }
-  }
-
   clear() { this.seen.clear(); }
   get size() { return this.seen.size; }
 }
@@ -284,11 +280,11 @@ class DeliveryTracker extends EventEmitter {
 
 class DeadLetterQueue {
   /**
-   * @param {string} dir - Directory path for persistence
+   * @param {string|object} [dir] - Directory path for persistence, or
+   *   { storage, collection } to keep entries in a storage adapter
    */
   constructor(dir) {
-    this.dir = dir || path.join(process.cwd(), '.ai2ai-dlq');
-    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+    ({ storage: this.storage, collection: this.collection, dir: this.dir } = openStore(dir, 'dlq', '.ai2ai-dlq'));
   }
 
   /**
@@ -296,19 +292,18 @@ class DeadLetterQueue {
    * @param {object} envelope - The failed message
    * @param {string} error - Error description
    * @param {number} attempts - Number of delivery attempts
+   * @param {string} [endpoint] - Where delivery was attempted, for retries
    */
-  add(envelope, error, attempts) {
+  add(envelope, error, attempts, endpoint) {
     const entry = {
       id: envelope.id || crypto.randomUUID(),
       envelope,
+      endpoint: endpoint || null,
       error,
       attempts,
       failedAt: new Date().toISOString(),
     };
-    fs.writeFileSync(
-      path.join(this.dir, `${entry.id}.json`),
-      JSON.stringify(entry, null, 2)
-    );
+    this.storage.set(this.collection, entry.id, entry);
     return entry;
   }
 
@@ -317,14 +312,7 @@ class DeadLetterQueue {
    * @returns {object[]}
    */
   list() {
-    if (!fs.existsSync(this.dir)) return [];
-    return fs.readdirSync(this.dir)
-      .filter(f => f.endsWith('.json'))
-      .map(f => {
-        try { return JSON.parse(fs.readFileSync(path.join(this.dir, f), 'utf-8')); }
-        catch { return null; }
-      })
-      .filter(Boolean);
+    return this.storage.entries(this.collection).map(([, entry]) => entry);
   }
 
   /**
@@ -332,8 +320,7 @@ class DeadLetterQueue {
    * @param {string} id
    */
   remove(id) {
-    const p = path.join(this.dir, `${id}.json`);
-    if (fs.existsSync(p)) fs.unlinkSync(p);
+    this.storage.delete(this.collection, id);
   }
 
   /**
@@ -361,22 +348,24 @@ class DeadLetterQueue {
 
 class PersistentQueue {
   /**
-   * @param {string} dir - Directory for queue persistence
+   * @param {string|object} [dir] - Directory for queue persistence, or
+   *   { storage, collection } to keep entries in a storage adapter
    */
   constructor(dir) {
-    this.dir = dir || path.join(process.cwd(), '.ai2ai-queue');
-    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+    ({ storage: this.storage, collection: this.collection, dir: this.dir } = openStore(dir, 'queue', '.ai2ai-queue'));
   }
 
   /**
    * Enqueue a message
    * @param {object} envelope
    * @param {string} endpoint
-   * @param {object} [opts] - { ttl, priority }
+   * @param {object} [opts] - { ttl, priority, expiresAt }; an explicit expiresAt wins over ttl
    * @returns {string} entry ID
    */
   enqueue(envelope, endpoint, opts = {}) {
     const id = envelope.id || crypto.randomUUID();
+    let expiresAt = opts.ttl ? new Date(Date.now() + opts.ttl).toISOString() : null;
+    if (opts.expiresAt) expiresAt = new Date(opts.expiresAt).toISOString();
     const entry = {
       id,
       envelope,
@@ -384,12 +373,12 @@ class PersistentQueue {
       priority: opts.priority || 0,
       ttl: opts.ttl || null,
       createdAt: new Date().toISOString(),
-      expiresAt: opts.ttl ? new Date(Date.now() + opts.ttl).toISOString() : null,
+      expiresAt,
       attempts: 0,
       lastAttempt: null,
       status: 'pending',
     };
-    fs.writeFileSync(path.join(this.dir, `${id}.json`), JSON.stringify(entry, null, 2));
+    this.storage.set(this.collection, id, entry);
     return id;
   }
 
@@ -412,12 +401,23 @@ class PersistentQueue {
     return valid[0] || null;
   }
 
+  /**
+   * Pending entries in delivery order: highest priority first, oldest
+   * first within a priority. Expired entries are included; callers decide
+   * what to do with them.
+   * @returns {object[]}
+   */
+  pending() {
+    return this._loadAll()
+      .filter(e => e.status === 'pending')
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.createdAt.localeCompare(b.createdAt));
+  }
+
   /**
    * Mark an entry as complete
    */
   complete(id) {
-    const p = path.join(this.dir, `${id}.json`);
-    if (fs.existsSync(p)) fs.unlinkSync(p);
+    this.storage.delete(this.collection, id);
   }
 
   /**
@@ -434,25 +434,32 @@ class PersistentQueue {
   }
 
   load(id) {
-    const p = path.join(this.dir, `${id}.json`);
-    if (!fs.existsSync(p)) return null;
-    try { return JSON.parse(fs.readFileSync(p, 'utf-8')); } catch { return null; }
+    return this.storage.get(this.collection, id);
   }
 
   list() { return this._loadAll(); }
   get size() { return this._loadAll().length; }
 
   _loadAll() {
-    if (!fs.existsSync(this.dir)) return [];
-    return fs.readdirSync(this.dir)
-      .filter(f => f.endsWith('.json'))
-      .map(f => { try { return JSON.parse(fs.readFileSync(path.join(this.dir, f), 'utf-8')); } catch { return null; } })
-      .filter(Boolean);
+    return this.storage.entries(this.collection).map(([, entry]) => entry);
   }
 
   _save(entry) {
-    fs.writeFileSync(path.join(this.dir, `${entry.id}.json`), JSON.stringify(entry, null, 2));
+    this.storage.set(this.collection, entry.id, entry);
+  }
+}
+
+/**
+ * Resolve a queue's backing store: a directory keeps the original
+ * one-file-per-entry layout, { storage, collection } uses an adapter
+ */
+function openStore(dir, defaultCollection, defaultDir) {
+  if (dir && typeof dir === 'object') {
+    return { storage: dir.storage, collection: dir.collection || defaultCollection, dir: null };
   }
+  const resolved = dir || path.join(process.cwd(), defaultDir);
+  if (!fs.existsSync(resolved)) fs.mkdirSync(resolved, { recursive: true });
+  return { storage: new FileStorage(resolved), collection: '', dir: resolved };
 }
 
 module.exports = {
@@ -7,7 +7,8 @@
  * - Message expiry (TTL enforcement)
  * - Agent blocklist
  * - Signature verification caching
- * - Nonce tracking (replay attack prevention)
+ * - Nonce tracking (replay attack prevention), optionally persisted until expiry
+ * - Clock-skew and expiresAt checks for inbound messages
  * 
  * Zero external dependencies — Node.js built-ins only.
  * 
@@ -45,6 +46,20 @@ class KeyRotation {
     return Date.now() - new Date(meta.lastRotation).getTime() > this.rotationInterval;
   }
 
+  /**
+   * Milliseconds until the next scheduled rotation (0 if overdue).
+   * Keys that were never rotated count from when they were created.
+   * @returns {number}
+   */
+  timeUntilRotation() {
+    const meta = this._loadMeta();
+    const pubPath = path.join(this.keysDir, 'agent.pub');
+    let since = Date.now();
+    if (meta.lastRotation) since = new Date(meta.lastRotation).getTime();
+    else if (fs.existsSync(pubPath)) since = fs.statSync(pubPath).mtimeMs;
+    return Math.max(0, since + this.rotationInterval - Date.now());
+  }
+
   /**
    * Rotate keys — generates new keypair, archives old one
    * @returns {{ publicKey: string, privateKey: string, previousPublicKey: string }}
@@ -87,18 +102,25 @@ class KeyRotation {
   /**
    * Create a key rotation announcement envelope payload
    * @param {string} newPublicKey
-   * @param {string} oldPrivateKey - Sign with old key to prove ownership
+   * @param {string} oldPublicKey
+   * @param {object} [signing] - { agentId, previousPrivateKey, newPrivateKey } — sign the
+   *   announcement with both keys, so receivers can check it with verifyKeyRotation()
    * @returns {object}
    */
-  createAnnouncement(newPublicKey, oldPublicKey) {
-    return {
-      type: 'key_rotation',
-      payload: {
-        newPublicKey,
-        previousPublicKey: oldPublicKey,
-        rotatedAt: new Date().toISOString(),
-      },
+  createAnnouncement(newPublicKey, oldPublicKey, signing) {
+    const payload = {
+      newPublicKey,
+      previousPublicKey: oldPublicKey,
+      rotatedAt: new Date().toISOString(),
     };
+    if (signing) {
+      const statement = Buffer.from(keyRotationStatement(signing.agentId, payload));
+      payload.signatures = {
+        previous: crypto.sign(null, statement, crypto.createPrivateKey(signing.previousPrivateKey)).toString('base64'),
+        new: crypto.sign(null, statement, crypto.createPrivateKey(signing.newPrivateKey)).toString('base64'),
+      };
+    }
+    return { type: 'key_rotation', payload };
   }
 
   /**
@@ -121,6 +143,31 @@ class KeyRotation {
   }
 }
 
+/**
+ * What both keys sign in a key rotation announcement
+ */
+function keyRotationStatement(agentId, payload) {
+  return `ai2ai-key-rotation:${agentId}:${payload.rotatedAt}:${payload.previousPublicKey}:${payload.newPublicKey}`;
+}
+
+/**
+ * Check a key_rotation payload: the previous key vouches for the new one and
+ * the new key proves it is held by the same agent
+ * @param {string} agentId - The announcing agent
+ * @param {object} payload - { newPublicKey, previousPublicKey, rotatedAt, signatures: { previous, new } }
+ * @returns {boolean}
+ */
+function verifyKeyRotation(agentId, payload) {
+  if (!payload?.newPublicKey || !payload.previousPublicKey || !payload.signatures) return false;
+  const statement = Buffer.from(keyRotationStatement(agentId, payload));
+  try {
+    return crypto.verify(null, statement, crypto.createPublicKey(payload.previousPublicKey), Buffer.from(payload.signatures.previous || '', 'base64'))
+      && crypto.verify(null, statement, crypto.createPublicKey(payload.newPublicKey), Buffer.from(payload.signatures.new || '', 'base64'));
+  } catch {
+    return false;
+  }
+}
+
 // ─── Rate Limiter ───────────────────────────────────────────────────────────
 
 class RateLimiter {
@@ -215,6 +262,135 @@ function isMessageTTLExpired(envelope) {
   return new Date() > new Date(envelope.expiresAt);
 }
 
+/**
+ * Check an inbound message's timestamp and expiresAt against the local clock
+ * @param {object} envelope
+ * @param {object} [opts]
+ * @param {number} [opts.maxAge=86400000] - Oldest accepted timestamp (ms)
+ * @param {number} [opts.maxSkew=300000] - How far the sender's clock may run ahead (ms);
+ *   also tolerated past expiresAt
+ * @returns {string|null} 'invalid_timestamp' | 'clock_skew' | 'message_expired', or null if acceptable
+ */
+function checkMessageTime(envelope, opts = {}) {
+  const maxAge = opts.maxAge ?? 86400000;
+  const maxSkew = opts.maxSkew ?? 300000;
+  const now = Date.now();
+
+  if (envelope.timestamp !== undefined) {
+    const sentAt = new Date(envelope.timestamp).getTime();
+    if (isNaN(sentAt)) return 'invalid_timestamp';
+    if (sentAt - now > maxSkew) return 'clock_skew';
+    if (now - sentAt > maxAge) return 'message_expired';
+  }
+
+  if (envelope.expiresAt !== undefined) {
+    const expiresAt = new Date(envelope.expiresAt).getTime();
+    if (isNaN(expiresAt)) return 'invalid_timestamp';
+    if (now - maxSkew > expiresAt) return 'message_expired';
+  }
+  return null;
+}
+
+/**
+ * When a message stops being acceptable anyway (by age or expiresAt), plus
+ * skew — the point after which its nonce and ID no longer need remembering
+ * @param {object} envelope
+ * @param {object} [opts] - { maxAge, maxSkew } as for checkMessageTime()
+ * @returns {number} Epoch ms
+ */
+function replayHorizon(envelope, opts = {}) {
+  const maxAge = opts.maxAge ?? 86400000;
+  const maxSkew = opts.maxSkew ?? 300000;
+  const sentAt = new Date(envelope.timestamp).getTime();
+  let until = (isNaN(sentAt) ? Date.now() : sentAt) + maxAge;
+  const expiresAt = new Date(envelope.expiresAt).getTime();
+  if (!isNaN(expiresAt)) until = Math.min(until, expiresAt);
+  return until + maxSkew;
+}
+
+// ─── Seen Log (persistent replay window) ────────────────────────────────────
+
+/**
+ * A set of keys that each expire at their own time, optionally kept in an
+ * append-only JSON-lines file so the replay window survives restarts.
+ * Expired entries are dropped on load and the file is rewritten when it is
+ * mostly dead records.
+ */
+class SeenLog {
+  /**
+   * @param {string} [filePath] - Path to persist to (omit for memory only)
+   */
+  constructor(filePath) {
+    this.filePath = filePath || null;
+    this.entries = new Map(); // key → expiresAt (epoch ms)
+    this._records = 0;
+    this._lastPrune = Date.now();
+    this._load();
+  }
+
+  has(key) {
+    const expiresAt = this.entries.get(key);
+    if (expiresAt === undefined) return false;
+    if (expiresAt > Date.now()) return true;
+    this.entries.delete(key);
+    return false;
+  }
+
+  add(key, expiresAt) {
+    this.entries.set(key, expiresAt);
+    if (this.filePath) {
+      fs.appendFileSync(this.filePath, JSON.stringify({ k: key, e: expiresAt }) + '\n');
+      this._records++;
+    }
+  }
+
+  /**
+   * Drop expired keys (at most once a minute unless forced)
+   */
+  prune(force = false) {
+    const now = Date.now();
+    if (!force && now - this._lastPrune < 60000) return;
+    this._lastPrune = now;
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt <= now) this.entries.delete(key);
+    }
+    if (this.filePath && this._records >= 1000 && this._records >= 2 * this.entries.size) this._compact();
+  }
+
+  clear() {
+    this.entries.clear();
+    if (this.filePath) this._compact();
+  }
+
+  get size() { return this.entries.size; }
+
+  _load() {
+    if (!this.filePath) return;
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    if (!fs.existsSync(this.filePath)) return;
+
+    const now = Date.now();
+    for (const line of fs.readFileSync(this.filePath, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try { record = JSON.parse(line); } catch { continue; } // torn write from a crash
+      this._records++;
+      if (record.e > now) this.entries.set(record.k, record.e);
+    }
+    if (this._records > this.entries.size) this._compact();
+  }
+
+  _compact() {
+    const lines = [];
+    for (const [key, expiresAt] of this.entries) lines.push(JSON.stringify({ k: key, e: expiresAt }));
+    const tmp = this.filePath + '.tmp';
+    fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmp, this.filePath);
+    this._records = lines.length;
+  }
+}
+
 // ─── Agent Blocklist ────────────────────────────────────────────────────────
 
 class Blocklist {
@@ -333,13 +509,14 @@ class VerificationCache {
 class NonceTracker {
   /**
    * @param {object} opts
-   * @param {number} [opts.maxAge=3600000] - Max nonce age (default 1 hour)
-   * @param {number} [opts.maxSize=10000] - Max tracked nonces
+   * @param {number} [opts.maxAge=3600000] - How long a nonce is remembered when no expiry is given (default 1 hour)
+   * @param {number} [opts.maxSize=10000] - Size above which expired nonces are pruned right away
+   * @param {string} [opts.path] - Persist seen nonces here so restarts don't reopen the replay window
    */
   constructor(opts = {}) {
     this.maxAge = opts.maxAge ?? 3600000;
     this.maxSize = opts.maxSize ?? 10000;
-    this.nonces = new Map(); // nonce → timestamp
+    this.nonces = new SeenLog(opts.path); // nonce → expiresAt
   }
 
   /**
@@ -353,33 +530,30 @@ class NonceTracker {
   /**
    * Check if a nonce has been used. If not, mark it as used.
    * @param {string} nonce
+   * @param {number} [expiresAt] - Remember the nonce until then (epoch ms; default now + maxAge)
    * @returns {boolean} true if nonce was already used (replay attack)
    */
-  isReplay(nonce) {
-    this._cleanup();
+  isReplay(nonce, expiresAt) {
+    this.nonces.prune(this.nonces.size > this.maxSize);
     if (this.nonces.has(nonce)) return true;
-    this.nonces.set(nonce, Date.now());
+    this.nonces.add(nonce, expiresAt ?? Date.now() + this.maxAge);
     return false;
   }
 
-  _cleanup() {
-    if (this.nonces.size <= this.maxSize) return;
-    const cutoff = Date.now() - this.maxAge;
-    for (const [nonce, ts] of this.nonces) {
-      if (ts < cutoff) this.nonces.delete(nonce);
-    }
-  }
-
   clear() { this.nonces.clear(); }
   get size() { return this.nonces.size; }
 }
 
 module.exports = {
   KeyRotation,
+  verifyKeyRotation,
   RateLimiter,
   isMessageExpired,
   addMessageTTL,
   isMessageTTLExpired,
+  checkMessageTime,
+  replayHorizon,
+  SeenLog,
   Blocklist,
   VerificationCache,
   NonceTracker,
@@ -0,0 +1,264 @@
+/**
+ * AI2AI Storage Adapters
+ *
+ * One interface for every store in the project — contacts, conversations,
+ * pending approvals, outboxes, the dead letter queue and the persistent
+ * queue — so embedders can swap the backing store without touching the
+ * modules that use it.
+ *
+ * An adapter holds JSON documents by (collection, key) and append-only
+ * record logs by (collection, key):
+ *
+ *   get(collection, key)           → document or null
+ *   set(collection, key, value)
+ *   delete(collection, key)        → true if something was removed
+ *   entries(collection)            → [[key, document], ...]
+ *   append(collection, key, record)
+ *   read(collection, key)          → [record, ...] (empty if none)
+ *
+ * Calls are synchronous, like the file-based stores they replace. Values
+ * are copied in and out, so callers can't mutate stored state by accident.
+ *
+ * Implementations:
+ * - FileStorage   — one file per document under a directory (the layout
+ *                   the modules have always used)
+ * - MemoryStorage — nothing touches disk; for tests and short-lived agents
+ * - LogStorage    — a single append-only JSONL file, replayed on startup
+ *                   and compacted when mostly dead
+ *
+ * Zero external dependencies — Node.js built-ins only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// ─── File Storage ───────────────────────────────────────────────────────────
+
+/**
+ * Documents are `<dir>/<collection>/<key>.json`, logs are
+ * `<dir>/<collection>/<key>.jsonl`. The empty collection '' is the
+ * directory itself (e.g. `contacts.json`).
+ */
+class FileStorage {
+  /**
+   * @param {string} dir - Root directory
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  get(collection, key) {
+    const p = this._path(collection, key, '.json');
+    if (!fs.existsSync(p)) return null;
+    try { return JSON.parse(fs.readFileSync(p, 'utf-8')); } catch { return null; }
+  }
+
+  set(collection, key, value) {
+    this._ensure(collection);
+    fs.writeFileSync(this._path(collection, key, '.json'), JSON.stringify(value, null, 2));
+  }
+
+  delete(collection, key) {
+    const p = this._path(collection, key, '.json');
+    if (!fs.existsSync(p)) return false;
+    fs.unlinkSync(p);
+    return true;
+  }
+
+  entries(collection) {
+    const dir = path.join(this.dir, collection);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => {
+        try { return [decodeURIComponent(f.slice(0, -5)), JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8'))]; }
+        catch { return null; }
+      })
+      .filter(Boolean);
+  }
+
+  append(collection, key, record) {
+    this._ensure(collection);
+    fs.appendFileSync(this._path(collection, key, '.jsonl'), JSON.stringify(record) + '\n');
+  }
+
+  read(collection, key) {
+    const p = this._path(collection, key, '.jsonl');
+    if (!fs.existsSync(p)) return [];
+    const records = [];
+    for (const line of fs.readFileSync(p, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try { records.push(JSON.parse(line)); } catch { /* torn write from a crash */ }
+    }
+    return records;
+  }
+
+  // Keys come from the network (message IDs), so they must not escape the directory
+  _path(collection, key, ext) {
+    return path.join(this.dir, collection, encodeURIComponent(key) + ext);
+  }
+
+  _ensure(collection) {
+    const dir = path.join(this.dir, collection);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+// ─── Memory Storage ─────────────────────────────────────────────────────────
+
+class MemoryStorage {
+  constructor() {
+    this.docs = new Map(); // collection → Map(key → document)
+    this.logs = new Map(); // collection → Map(key → records[])
+  }
+
+  get(collection, key) {
+    const value = this.docs.get(collection)?.get(key);
+    return value === undefined ? null : copy(value);
+  }
+
+  set(collection, key, value) {
+    this._bucket(this.docs, collection).set(key, copy(value));
+  }
+
+  delete(collection, key) {
+    return this.docs.get(collection)?.delete(key) || false;
+  }
+
+  entries(collection) {
+    return [...(this.docs.get(collection) || [])].map(([key, value]) => [key, copy(value)]);
+  }
+
+  append(collection, key, record) {
+    const bucket = this._bucket(this.logs, collection);
+    if (!bucket.has(key)) bucket.set(key, []);
+    bucket.get(key).push(copy(record));
+  }
+
+  read(collection, key) {
+    return copy(this.logs.get(collection)?.get(key) || []);
+  }
+
+  _bucket(map, collection) {
+    if (!map.has(collection)) map.set(collection, new Map());
+    return map.get(collection);
+  }
+}
+
+// ─── Append-Only Log Storage ────────────────────────────────────────────────
+
+/**
+ * Every change is one `set` / `del` / `append` line in a JSONL file; state
+ * is rebuilt from it on startup. Overwritten and deleted documents are dead
+ * records, and the file is rewritten with only live state once they
+ * dominate.
+ */
+class LogStorage extends MemoryStorage {
+  /**
+   * @param {string} filePath - The log file
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this._deadRecords = 0;
+    this._load();
+  }
+
+  set(collection, key, value) {
+    if (this.docs.get(collection)?.has(key)) this._deadRecords++;
+    super.set(collection, key, value);
+    this._append({ op: 'set', c: collection, k: key, v: value });
+    this._maybeCompact();
+  }
+
+  delete(collection, key) {
+    if (!super.delete(collection, key)) return false;
+    this._append({ op: 'del', c: collection, k: key });
+    this._deadRecords += 2;
+    this._maybeCompact();
+    return true;
+  }
+
+  append(collection, key, record) {
+    super.append(collection, key, record);
+    this._append({ op: 'append', c: collection, k: key, v: record });
+  }
+
+  _append(record) {
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+  }
+
+  _load() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    if (!fs.existsSync(this.filePath)) return;
+
+    for (const line of fs.readFileSync(this.filePath, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try { record = JSON.parse(line); } catch { continue; } // torn write from a crash
+
+      if (record.op === 'set') {
+        if (this.docs.get(record.c)?.has(record.k)) this._deadRecords++;
+        super.set(record.c, record.k, record.v);
+      } else if (record.op === 'del') {
+        if (super.delete(record.c, record.k)) this._deadRecords += 2;
+      } else if (record.op === 'append') {
+        super.append(record.c, record.k, record.v);
+      }
+    }
+    this._maybeCompact();
+  }
+
+  _liveRecords() {
+    let live = 0;
+    for (const bucket of this.docs.values()) live += bucket.size;
+    for (const bucket of this.logs.values()) for (const records of bucket.values()) live += records.length;
+    return live;
+  }
+
+  _maybeCompact() {
+    if (this._deadRecords < 1000 || this._deadRecords < this._liveRecords()) return;
+
+    const lines = [];
+    for (const [c, bucket] of this.docs) {
+      for (const [k, v] of bucket) lines.push(JSON.stringify({ op: 'set', c, k, v }));
+    }
+    for (const [c, bucket] of this.logs) {
+      for (const [k, records] of bucket) {
+        for (const v of records) lines.push(JSON.stringify({ op: 'append', c, k, v }));
+      }
+    }
+    const tmp = this.filePath + '.tmp';
+    fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmp, this.filePath);
+    this._deadRecords = 0;
+  }
+}
+
+// ─── Selection ──────────────────────────────────────────────────────────────
+
+/**
+ * Pick a storage adapter
+ * @param {string|object} [kind='file'] - 'file', 'memory', 'log', or an adapter instance
+ * @param {string} dir - Data directory for the file and log adapters
+ * @returns {object} Adapter
+ */
+function createStorage(kind = 'file', dir) {
+  if (kind && typeof kind === 'object') return kind;
+  switch (kind) {
+    case 'file': return new FileStorage(dir);
+    case 'memory': return new MemoryStorage();
+    case 'log': return new LogStorage(path.join(dir, 'store.jsonl'));
+    default: throw new Error(`Unknown storage: ${kind}`);
+  }
+}
+
+module.exports = {
+  FileStorage,
+  MemoryStorage,
+  LogStorage,
+  createStorage,
+};
@@ -40,27 +40,35 @@ async function runTests() {
   // ─── 1. Registry ──────────────────────────────────────────────────────
   console.log('━━━ 1. Registry ━━━');
   const { RegistryClient, RegistryServer } = require('./registry');
+  const registryKeys = () => require('crypto').generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
   {
     const server = new RegistryServer({ staleTimeout: 5000 });
     await server.start(18899);
 
-    const client = new RegistryClient({ registryUrl: 'http://localhost:18899', agentId: 'test-agent-1' });
+    const keys1 = registryKeys();
+    const client = new RegistryClient({ registryUrl: 'http://localhost:18899', agentId: 'test-agent-1', privateKey: keys1.privateKey });
 
     // Register
     const regResult = await client.register({
       endpoint: 'http://localhost:18800/ai2ai',
       name: 'test-agent-1',
       humanName: 'Test Human',
+      publicKey: keys1.publicKey,
       capabilities: ['schedule.meeting', 'message.relay'],
     });
     assert(regResult.status === 'registered', 'Register agent');
 
     // Register a second agent
-    const client2 = new RegistryClient({ registryUrl: 'http://localhost:18899', agentId: 'test-agent-2' });
+    const keys2 = registryKeys();
+    const client2 = new RegistryClient({ registryUrl: 'http://localhost:18899', agentId: 'test-agent-2', privateKey: keys2.privateKey });
     await client2.register({
       endpoint: 'http://localhost:18801/ai2ai',
       name: 'test-agent-2',
       humanName: 'Test Human 2',
+      publicKey: keys2.publicKey,
       capabilities: ['message.relay'],
     });
 
@@ -228,6 +236,7 @@ async function runTests() {
     assert(list.length === 1, 'DLQ list returns entries');
     assert(list[0].error === 'Connection refused', 'DLQ entry has error');
     assert(list[0].attempts === 3, 'DLQ entry has attempt count');
+    assert(list[0].endpoint === null, 'DLQ entry endpoint defaults to null');
 
     dlq.remove('failed-1');
     assert(dlq.size === 0, 'DLQ remove works');
@@ -246,6 +255,7 @@ async function runTests() {
 
     const next = pq.dequeue();
     assert(next.id === 'queued-2', 'Dequeue returns highest priority');
+    assert(pq.pending().map(e => e.id).join() === 'queued-2,queued-1', 'pending() lists entries in delivery order');
 
     pq.complete('queued-2');
     assert(pq.size === 1, 'Complete removes entry');
@@ -260,7 +270,7 @@ async function runTests() {
 
   // ─── 8. Security — Rate Limiter ───────────────────────────────────────
   console.log('\n━━━ 8. Rate Limiter ━━━');
-  const { RateLimiter, NonceTracker, isMessageExpired, addMessageTTL, isMessageTTLExpired, Blocklist, VerificationCache, KeyRotation } = require('./security');
+  const { RateLimiter, NonceTracker, isMessageExpired, addMessageTTL, isMessageTTLExpired, checkMessageTime, replayHorizon, Blocklist, VerificationCache, KeyRotation, verifyKeyRotation } = require('./security');
   {
     const rl = new RateLimiter({ maxRequests: 3, windowMs: 1000 });
     assert(rl.allow('agent-a') === true, 'First request allowed');
@@ -297,6 +307,19 @@ async function runTests() {
     assert(isMessageTTLExpired(expiredTTL) === true, 'Expired TTL detected');
 
     assert(isMessageExpired({}) === false, 'No timestamp → not expired');
+
+    // Clock skew and expiresAt on receive
+    const ahead = (ms) => new Date(Date.now() + ms).toISOString();
+    assert(checkMessageTime({ timestamp: ahead(0), expiresAt: ahead(60000) }) === null, 'checkMessageTime accepts a current message');
+    assert(checkMessageTime({ timestamp: ahead(60000) }) === null, 'Timestamp within skew accepted');
+    assert(checkMessageTime({ timestamp: ahead(600000) }) === 'clock_skew', 'Timestamp beyond skew → clock_skew');
+    assert(checkMessageTime({ timestamp: ahead(600000) }, { maxSkew: 900000 }) === null, 'Skew is configurable');
+    assert(checkMessageTime(old) === 'message_expired', 'Old timestamp → message_expired');
+    assert(checkMessageTime({ timestamp: ahead(0), expiresAt: ahead(-600000) }) === 'message_expired', 'Past expiresAt → message_expired');
+    assert(checkMessageTime({ timestamp: ahead(0), expiresAt: ahead(-60000) }) === null, 'expiresAt gets the same skew tolerance');
+    assert(checkMessageTime({ timestamp: 'yesterday-ish' }) === 'invalid_timestamp', 'Unparseable timestamp rejected');
+    const horizon = replayHorizon({ timestamp: ahead(0), expiresAt: ahead(60000) }, { maxSkew: 1000 });
+    assert(horizon > Date.now() + 60000 && horizon <= Date.now() + 61000, 'Replay horizon is expiresAt plus skew');
   }
 
   // ─── 10. Security — Nonce Tracking ────────────────────────────────────
@@ -314,6 +337,19 @@ async function runTests() {
     assert(nonce2 !== nonce1, 'Each nonce is unique');
     nt.clear();
     assert(nt.size === 0, 'Clear removes all nonces');
+
+    // Persisted nonces outlive the tracker, but only until they expire
+    const noncePath = '/tmp/ai2ai-test-nonces/nonces.jsonl';
+    cleanDir(path.dirname(noncePath));
+    const persisted = new NonceTracker({ path: noncePath });
+    persisted.isReplay('kept', Date.now() + 60000);
+    persisted.isReplay('short-lived', Date.now() + 50);
+    await sleep(100);
+    const reopened = new NonceTracker({ path: noncePath });
+    assert(reopened.isReplay('kept') === true, 'Nonce still known after reopening');
+    assert(reopened.isReplay('short-lived') === false, 'Expired nonce forgotten on reload');
+    assert(fs.readFileSync(noncePath, 'utf-8').trim().split('\n').length === 2, 'Expired records compacted out of the file');
+    cleanDir(path.dirname(noncePath));
   }
 
   // ─── 11. Security — Blocklist ─────────────────────────────────────────
@@ -390,6 +426,13 @@ async function runTests() {
     assert(prevKeys.length >= 1, 'Previous keys stored');
     assert(prevKeys[0] === publicKey, 'Previous key matches original');
 
+    const signed = kr.createAnnouncement(rotated.publicKey, publicKey, {
+      agentId: 'rot-agent', previousPrivateKey: privateKey, newPrivateKey: rotated.privateKey,
+    });
+    assert(verifyKeyRotation('rot-agent', signed.payload), 'Announcement signed by both keys verifies');
+    assert(!verifyKeyRotation('other-agent', signed.payload), 'Announcement is bound to the announcing agent');
+    assert(!verifyKeyRotation('rot-agent', { ...signed.payload, signatures: { ...signed.payload.signatures, new: signed.payload.signatures.previous } }), 'Announcement without the new key signature fails');
+
     cleanDir(testDir);
   }
 
@@ -519,6 +562,1069 @@ async function runTests() {
     assert(true, 'Middleware executes without crash');
   }
 
+  // ─── 18. Inbound Signature Verification ───────────────────────────────
+  console.log('\n━━━ 18. Inbound Signature Verification ━━━');
+  const { encryptPayloadX25519 } = require('./ai2ai-encryption');
+  {
+    cleanDir('/tmp/ai2ai-test-sig1');
+    cleanDir('/tmp/ai2ai-test-sig2');
+    const sender = new AI2AI({ name: 'sig-sender', port: 18893, dataDir: '/tmp/ai2ai-test-sig1' });
+    const receiver = new AI2AI({ name: 'sig-receiver', port: 18894, dataDir: '/tmp/ai2ai-test-sig2' });
+    await receiver.start();
+
+    const post = async (envelope) => {
+      const res = await fetch('http://localhost:18894/ai2ai', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(envelope),
+      });
+      return { status: res.status, body: await res.json() };
+    };
+
+    receiver.addContact('sig-sender', { publicKey: sender._keys.publicKey });
+
+    const good = sender._createEnvelope('sig-receiver', 'message', 'message.relay', { message: 'signed' });
+    const goodRes = await post(good);
+    assert(goodRes.status === 200 && goodRes.body.status === 'ok', 'Valid signature accepted');
+
+    const tampered = sender._createEnvelope('sig-receiver', 'message', 'message.relay', { message: 'original' });
+    tampered.payload = { message: 'tampered' };
+    const tamperedRes = await post(tampered);
+    assert(tamperedRes.status === 403 && tamperedRes.body.reason === 'invalid_signature', 'Tampered payload rejected');
+
+    const unsigned = sender._createEnvelope('sig-receiver', 'message', 'message.relay', { message: 'unsigned' });
+    delete unsigned.signature;
+    const unsignedRes = await post(unsigned);
+    assert(unsignedRes.body.reason === 'invalid_signature', 'Unsigned message from known sender rejected');
+
+    const impostor = new AI2AI({ name: 'sig-sender', port: 18895, dataDir: '/tmp/ai2ai-test-client1' });
+    const forged = impostor._createEnvelope('sig-receiver', 'message', 'message.relay', { message: 'forged' });
+    const forgedRes = await post(forged);
+    assert(forgedRes.body.reason === 'invalid_signature', 'Impersonation with a different key rejected');
+
+    const stranger = sender._createEnvelope('sig-receiver', 'message', 'message.relay', { message: 'hi' });
+    stranger.from = { agent: 'unknown-sender' };
+    stranger.signature = sender._sign(stranger);
+    assert((await post(stranger)).body.status === 'ok', 'Unknown sender accepted in non-strict mode');
+
+    receiver.strictSignatures = true;
+    const strictEnv = sender._createEnvelope('sig-receiver', 'message', 'message.relay', { message: 'hi' });
+    strictEnv.from = { agent: 'another-unknown' };
+    strictEnv.signature = sender._sign(strictEnv);
+    assert((await post(strictEnv)).body.reason === 'invalid_signature', 'Unknown sender rejected in strict mode');
+    receiver.strictSignatures = false;
+
+    // Encrypted payload — signed as sent, decrypted on receipt
+    let decrypted = null;
+    receiver.on('message', (payload, from, envelope) => { if (envelope._wasEncrypted) decrypted = payload; });
+    const enc = sender._createEnvelope('sig-receiver', 'message', 'message.relay', {});
+    enc.payload = encryptPayloadX25519({ message: 'secret' }, receiver._x25519Keys.publicKeyDer);
+    enc.signature = sender._sign(enc);
+    const encRes = await post(enc);
+    assert(encRes.body.status === 'ok', 'Encrypted message accepted');
+    assert(decrypted && decrypted.message === 'secret', 'Encrypted payload decrypted before emit');
+
+    const badEnc = sender._createEnvelope('sig-receiver', 'message', 'message.relay', {});
+    badEnc.payload = encryptPayloadX25519({ message: 'wrong key' }, sender._x25519Keys.publicKeyDer);
+    badEnc.signature = sender._sign(badEnc);
+    const badEncRes = await post(badEnc);
+    assert(badEncRes.status === 400 && badEncRes.body.reason === 'decryption_failed', 'Undecryptable payload rejected');
+
+    // sigVersion 2 covers the whole envelope, not just the original field subset
+    const noNonce = sender._createEnvelope('sig-receiver', 'message', 'message.relay', { message: 'hi' });
+    delete noNonce.nonce;
+    assert((await post(noNonce)).body.reason === 'invalid_signature', 'Stripped nonce breaks the signature');
+    const extended = sender._createEnvelope('sig-receiver', 'message', 'message.relay', { message: 'hi' });
+    extended.expiresAt = new Date(Date.now() + 7 * 86400000).toISOString();
+    assert((await post(extended)).body.reason === 'invalid_signature', 'Extended expiry breaks the signature');
+    const annotated = sender._createEnvelope('sig-receiver', 'message', 'message.relay', { message: 'hi' });
+    annotated._relay = { relayId: 'r1', receivedAt: new Date().toISOString() };
+    assert((await post(annotated)).body.status === 'ok', 'Transport annotations are not signed');
+    const unknownVersion = sender._createEnvelope('sig-receiver', 'message', 'message.relay', { message: 'hi' });
+    unknownVersion.sigVersion = 99;
+    assert((await post(unknownVersion)).body.reason === 'invalid_signature', 'Unknown sigVersion rejected');
+
+    const legacy = sender._createEnvelope('sig-receiver', 'message', 'message.relay', { message: 'legacy' });
+    delete legacy.sigAlg;
+    delete legacy.sigVersion;
+    legacy.signature = require('crypto').sign(null, Buffer.from(sender._signingPayload(legacy)), require('crypto').createPrivateKey(sender._keys.privateKey)).toString('base64');
+    assert((await post(legacy)).body.status === 'ok', 'Legacy signature accepted during migration');
+    receiver.legacySignatures = false;
+    const legacy2 = { ...legacy, id: require('crypto').randomUUID(), nonce: 'legacy-nonce-2' };
+    legacy2.signature = require('crypto').sign(null, Buffer.from(sender._signingPayload(legacy2)), require('crypto').createPrivateKey(sender._keys.privateKey)).toString('base64');
+    assert((await post(legacy2)).body.reason === 'invalid_signature', 'Legacy signature refused once migration ends');
+    receiver.legacySignatures = true;
+
+    assert(receiver.verificationCache.size > 0, 'Verification results cached');
+
+    await receiver.stop();
+  }
+
+  // ─── 19. End-to-End Payload Encryption ───────────────────────────────
+  console.log('\n━━━ 19. End-to-End Payload Encryption ━━━');
+  {
+    const alice = new AI2AI({ name: 'enc-alice', port: 18885, dataDir: '/tmp/ai2ai-test-sig1' });
+    const bob = new AI2AI({ name: 'enc-bob', port: 18886, dataDir: '/tmp/ai2ai-test-sig2' });
+    await alice.start();
+    await bob.start();
+
+    const health = await (await fetch('http://localhost:18886/ai2ai/health')).json();
+    assert(health.x25519PublicKey === bob._x25519Keys.publicKeyDer, 'Health advertises X25519 key');
+
+    alice.addContact('enc-bob', { endpoint: 'http://localhost:18886/ai2ai' });
+    const pong = await alice.ping('enc-bob');
+    assert(pong.x25519_public_key === bob._x25519Keys.publicKeyDer, 'Ping returns X25519 key');
+    assert(alice.getContact('enc-bob').x25519PublicKey === bob._x25519Keys.publicKeyDer, 'Ping stores X25519 key on contact');
+    assert(bob.getContact('enc-alice').publicKey === alice._keys.publicKey, 'Ping shares sender keys with recipient');
+
+    // A man in the middle can't swap in their own X25519 key
+    const mitm = require('./ai2ai-encryption').generateX25519KeyPair();
+    alice._learnKeys('enc-bob', { ...pong, x25519_public_key: mitm.publicKeyDer });
+    assert(alice.getContact('enc-bob').x25519PublicKey === bob._x25519Keys.publicKeyDer, 'Known X25519 key is not replaced by a ping');
+    alice._learnKeys('enc-mallory', { public_key: pong.public_key, x25519_public_key: mitm.publicKeyDer, x25519_signature: pong.x25519_signature });
+    assert(!alice.getContact('enc-mallory')?.x25519PublicKey, 'X25519 key not signed by the Ed25519 key is ignored');
+
+    let received = null;
+    bob.on('request', (intent, payload, from, envelope) => { received = { payload, envelope }; });
+    const wire = [];
+    const origRawSend = alice._rawSend.bind(alice);
+    alice._rawSend = (endpoint, envelope) => { wire.push(JSON.parse(JSON.stringify(envelope))); return origRawSend(endpoint, envelope); };
+
+    const result = await alice.request('enc-bob', 'info.request', { question: 'Favourite colour?' });
+    assert(result.status === 'ok', 'Encrypted request delivered');
+    assert(wire[0].payload._encrypted === true && !JSON.stringify(wire[0]).includes('Favourite'), 'Payload encrypted on the wire');
+    await sleep(50);
+    assert(received && received.payload.question === 'Favourite colour?', 'Recipient decrypts payload');
+    assert(received.envelope._wasEncrypted === true, 'Envelope marked as encrypted');
+
+    alice.addContact('enc-plain', { endpoint: 'http://localhost:18886/ai2ai', requireEncryption: true });
+    let requireErr = null;
+    try { await alice.send('enc-plain', 'no key'); } catch (e) { requireErr = e; }
+    assert(requireErr && requireErr.message.includes('Encryption required'), 'requireEncryption refuses plaintext');
+
+    const regServer = new RegistryServer();
+    await regServer.start(18884);
+    await bob.register('http://localhost:18884');
+    const carol = new AI2AI({ name: 'enc-carol', port: 18887, registry: 'http://localhost:18884', dataDir: '/tmp/ai2ai-test-client1' });
+    await carol._resolveEndpoint('enc-bob');
+    assert(carol.getContact('enc-bob').x25519PublicKey === bob._x25519Keys.publicKeyDer, 'X25519 key resolved via registry');
+
+    carol.registryClient.destroy();
+    await alice.stop();
+    await bob.stop();
+    regServer.stop();
+  }
+
+  // ─── 20. Request/Reply Correlation ───────────────────────────────────
+  console.log('\n━━━ 20. Request/Reply Correlation ━━━');
+  {
+    const asker = new AI2AI({ name: 'reply-asker', port: 18881, timeout: 2000, dataDir: '/tmp/ai2ai-test-sig1' });
+    const answerer = new AI2AI({ name: 'reply-answerer', port: 18882, dataDir: '/tmp/ai2ai-test-sig2' });
+    const imposter = new AI2AI({ name: 'reply-imposter', port: 18883, dataDir: '/tmp/ai2ai-test-sig3' });
+    await asker.start();
+    await answerer.start();
+    await imposter.start();
+    asker.addContact('reply-answerer', { endpoint: 'http://localhost:18882/ai2ai' });
+    asker.addContact('reply-imposter', { endpoint: 'http://localhost:18883/ai2ai' });
+    answerer.addContact('reply-asker', { endpoint: 'http://localhost:18881/ai2ai' });
+    imposter.addContact('reply-asker', { endpoint: 'http://localhost:18881/ai2ai' });
+
+    answerer.on('request', async (intent, payload, from, envelope) => {
+      if (intent === 'info.request') {
+        // A reply to the right request from another agent must not settle it either
+        await imposter.reply(envelope, 'response', { answer: 'imposter' });
+        // An unrelated reply in the same conversation must not settle the request
+        await answerer.reply({ ...envelope, id: 'some-other-request' }, 'response', { answer: 'wrong' });
+        await answerer.reply(envelope, 'response', { answer: `Echo: ${payload.question}` });
+      }
+      if (intent === 'schedule.meeting') await answerer.reply(envelope, 'reject', { reason: 'Busy' });
+    });
+
+    let replyEvents = 0;
+    asker.on('reply', () => { replyEvents++; });
+
+    const reply = await asker.request('reply-answerer', 'info.request', { question: 'ping?' }, { awaitReply: true });
+    assert(reply.type === 'response', 'awaitReply resolves with reply envelope');
+    assert(reply.payload.answer === 'Echo: ping?', 'Reply payload matches request');
+    assert(reply.inReplyTo && reply.conversation, 'Reply carries inReplyTo and conversation');
+    assert(replyEvents === 3, 'Every reply emits a reply event');
+
+    const rejected = await asker.request('reply-answerer', 'schedule.meeting', { subject: 'Lunch' }, { awaitReply: true });
+    assert(rejected.type === 'reject' && rejected.payload.reason === 'Busy', 'Reject replies settle the request');
+
+    let timeoutErr = null;
+    try { await asker.request('reply-answerer', 'message.relay', { message: 'no reply' }, { awaitReply: true, timeout: 200 }); }
+    catch (e) { timeoutErr = e; }
+    assert(timeoutErr && timeoutErr.message.includes('Timed out'), 'awaitReply rejects on timeout');
+    assert(asker._pendingReplies.size === 0, 'No pending replies left behind');
+
+    const plain = await asker.request('reply-answerer', 'message.relay', { message: 'fire and forget' });
+    assert(plain.status === 'ok', 'Request without awaitReply returns delivery result');
+
+    await asker.stop();
+    await answerer.stop();
+    await imposter.stop();
+  }
+
+  // ─── 21. WebSocket Transport ──────────────────────────────────────────
+  console.log('\n━━━ 21. WebSocket Transport ━━━');
+  const { acceptKey } = require('./websocket');
+  {
+    assert(acceptKey('dGhlIHNhbXBsZSBub25jZQ==') === 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=', 'Sec-WebSocket-Accept matches RFC 6455 example');
+
+    for (const d of ['/tmp/ai2ai-test-ws1', '/tmp/ai2ai-test-ws2', '/tmp/ai2ai-test-ws3', '/tmp/ai2ai-test-ws4', '/tmp/ai2ai-test-ws5']) cleanDir(d);
+    const alice = new AI2AI({ name: 'ws-alice', port: 18878, keepalive: 100, dataDir: '/tmp/ai2ai-test-ws1' });
+    const bob = new AI2AI({ name: 'ws-bob', port: 18879, dataDir: '/tmp/ai2ai-test-ws2' });
+    await alice.start();
+    await bob.start();
+    alice.addContact('ws-bob', { endpoint: 'http://localhost:18879/ai2ai', publicKey: bob._keys.publicKey });
+    // Bob has no reachable HTTP endpoint for Alice — only the socket works
+    bob.addContact('ws-alice', { endpoint: 'http://localhost:1/ai2ai', publicKey: alice._keys.publicKey });
+
+    let httpPosts = 0;
+    const handleRequest = bob._handleRequest.bind(bob);
+    bob._handleRequest = (req, res) => { if (req.method === 'POST') httpPosts++; return handleRequest(req, res); };
+
+    await alice.connect('ws-bob');
+    await sleep(50);
+    assert(alice.isConnected('ws-bob'), 'Client session open after handshake');
+    assert(bob.isConnected('ws-alice'), 'Server registers authenticated peer');
+
+    let received = null;
+    bob.on('message', (payload) => { received = payload; });
+    const sent = await alice.send('ws-bob', 'over the socket');
+    assert(sent.status === 'ok' && received?.message === 'over the socket', 'Message delivered over WebSocket');
+    assert(httpPosts === 0, 'Open socket preferred over HTTP');
+
+    const back = await bob.send('ws-alice', 'server push');
+    assert(back.status === 'ok', 'Server can push to client over the same socket');
+
+    bob.on('request', (intent, payload, from, envelope) => bob.reply(envelope, 'response', { ok: true }));
+    const reply = await alice.request('ws-bob', 'info.request', { question: '?' }, { awaitReply: true });
+    assert(reply.payload.ok === true, 'Request/reply round trip over WebSocket');
+
+    let pongs = 0;
+    alice.sockets.get('ws-bob').ws.on('pong', () => { pongs++; });
+    await sleep(250);
+    assert(pongs >= 1, 'Keepalive pings answered with pongs');
+
+    // Impostor claiming Alice's name with a different key
+    const mallory = new AI2AI({ name: 'ws-alice', dataDir: '/tmp/ai2ai-test-ws3' });
+    mallory.addContact('ws-bob', { endpoint: 'http://localhost:18879/ai2ai' });
+    let impostorErr = null;
+    try { await mallory.connect('ws-bob'); } catch (e) { impostorErr = e; }
+    assert(impostorErr && impostorErr.message.includes('invalid_signature'), 'Hello with wrong key rejected');
+    mallory.disconnect('ws-bob');
+
+    // Without a key on file anyone may claim a name, but that never takes over or receives a verified peer's traffic
+    const aliceSession = bob.sockets.get('ws-alice');
+    bob.addContact('ws-alice', { publicKey: null });
+    await mallory.connect('ws-bob');
+    await sleep(50);
+    assert(bob.sockets.get('ws-alice') === aliceSession && aliceSession.isOpen, 'Unverified session does not replace a verified one');
+    mallory.disconnect('ws-bob');
+    bob.addContact('ws-alice', { publicKey: alice._keys.publicKey });
+
+    const dave = new AI2AI({ name: 'ws-dave', port: 18884, dataDir: '/tmp/ai2ai-test-ws4' });
+    await dave.start();
+    bob.addContact('ws-dave', { endpoint: 'http://localhost:18884/ai2ai' });
+    const fakeDave = new AI2AI({ name: 'ws-dave', dataDir: '/tmp/ai2ai-test-ws5' });
+    fakeDave.addContact('ws-bob', { endpoint: 'http://localhost:18879/ai2ai' });
+    let forDave = null;
+    let stolen = null;
+    dave.on('message', (payload) => { forDave = payload; });
+    fakeDave.on('message', (payload) => { stolen = payload; });
+    await fakeDave.connect('ws-bob');
+    await sleep(50);
+    await bob.send('ws-dave', 'for dave only');
+    assert(forDave?.message === 'for dave only' && !stolen, 'Unverified session is not used for delivery');
+    fakeDave.disconnect('ws-bob');
+    await dave.stop();
+
+    // Dropped connection reconnects
+    alice.sockets.get('ws-bob').ws.terminate();
+    await sleep(50);
+    assert(!alice.isConnected('ws-bob'), 'Dropped socket detected');
+    await sleep(1200);
+    assert(alice.isConnected('ws-bob'), 'Client reconnects after drop');
+
+    alice.disconnect('ws-bob');
+    await sleep(50);
+    assert(!alice.isConnected('ws-bob') && !bob.isConnected('ws-alice'), 'disconnect() closes both ends');
+
+    const fallback = await alice.send('ws-bob', 'via http');
+    assert(fallback.status === 'ok' && httpPosts === 1, 'Falls back to HTTP without a socket');
+
+    // A bad frame before the session handshake drops that connection, not the server
+    const raw = require('net').connect(18879, 'localhost');
+    await new Promise((resolve) => raw.once('connect', resolve));
+    raw.on('error', () => {});
+    raw.resume();
+    const rawClosed = new Promise((resolve) => raw.once('close', resolve));
+    raw.write([
+      'GET /ai2ai/ws HTTP/1.1', 'Host: localhost', 'Connection: Upgrade', 'Upgrade: websocket',
+      `Sec-WebSocket-Key: ${require('crypto').randomBytes(16).toString('base64')}`, 'Sec-WebSocket-Version: 13', '', '',
+    ].join('\r\n'));
+    raw.write(Buffer.from([0x81, 0x02, 0x68, 0x69])); // unmasked client frame
+    const dropped = await Promise.race([rawClosed.then(() => true), sleep(2000).then(() => false)]);
+    assert(dropped, 'Bad frame during handshake closes the connection');
+    const afterBadFrame = await alice.send('ws-bob', 'still up');
+    assert(afterBadFrame.status === 'ok', 'Server survives a bad frame during handshake');
+
+    await alice.stop();
+    await bob.stop();
+  }
+
+  // ─── 22. Relay Transport ──────────────────────────────────────────────
+  console.log('\n━━━ 22. Relay Transport ━━━');
+  {
+    const { spawn } = require('child_process');
+    for (const d of ['/tmp/ai2ai-test-relay', '/tmp/ai2ai-test-relay1', '/tmp/ai2ai-test-relay2', '/tmp/ai2ai-test-relay3']) cleanDir(d);
+    const relayProc = spawn(process.execPath, [path.join(__dirname, '..', 'relay', 'server.js')], {
+      env: { ...process.env, PORT: '18871', RELAY_DATA_DIR: '/tmp/ai2ai-test-relay' },
+      stdio: 'ignore',
+    });
+    const killRelay = () => relayProc.kill();
+    process.on('exit', killRelay);
+    for (let i = 0; i < 50; i++) {
+      try { await fetch('http://localhost:18871/health'); break; } catch { await sleep(100); }
+    }
+
+    const relayOpts = { url: 'http://localhost:18871', pollWait: 1, pollInterval: 50 };
+    const natA = new AI2AI({ name: 'nat-a', port: 18872, relay: relayOpts, dataDir: '/tmp/ai2ai-test-relay1' });
+    const natB = new AI2AI({ name: 'nat-b', port: 18873, relay: relayOpts, dataDir: '/tmp/ai2ai-test-relay2' });
+    await natA.start();
+    await natB.start();
+    natA.addContact('nat-b', { publicKey: natB._keys.publicKey });
+    natB.addContact('nat-a', { publicKey: natA._keys.publicKey });
+
+    const directory = await (await fetch('http://localhost:18871/directory')).json();
+    assert(directory.agents.some(a => a.agentId === 'nat-a') && directory.agents.some(a => a.agentId === 'nat-b'), 'Agents register with the relay on start');
+
+    let relayed = null;
+    natB.on('message', (payload, from, envelope) => { relayed = envelope; });
+    const sent = await natA.send('nat-b', 'through the relay');
+    assert(sent.status === 'queued' && sent.target === 'nat-b', 'Send without endpoint goes through /relay');
+    for (let i = 0; i < 40 && !relayed; i++) await sleep(50);
+    assert(relayed?.payload?.message === 'through the relay', 'Mailbox message delivered through the inbound pipeline');
+    assert(typeof relayed?._relay?.relayId === 'string', 'Relay metadata kept on delivered envelope');
+
+    natB.on('request', (intent, payload, from, envelope) => natB.reply(envelope, 'response', { via: 'relay' }));
+    const reply = await natA.request('nat-b', 'info.request', { question: '?' }, { awaitReply: true, timeout: 5000 });
+    assert(reply.payload.via === 'relay', 'Request/reply round trip over the relay');
+
+    await sleep(100);
+    const health = await (await fetch('http://localhost:18871/health')).json();
+    assert(health.queued === 0, 'Processed messages are acknowledged');
+
+    const mallory = await fetch('http://localhost:18871/mailbox/nat-b');
+    assert(mallory.status === 401, 'Unsigned mailbox pickup rejected');
+
+    // Long-poll: an empty mailbox holds the request until mail arrives
+    const { RelayTransport } = require('./relay-transport');
+    const lpKeys = require('crypto').generateKeyPairSync('ed25519', {
+      publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    });
+    const lp = new RelayTransport({ relayUrl: 'http://localhost:18871', agentId: 'nat-lp', pollWait: 5, ...lpKeys });
+    await lp.register();
+    const lpStart = Date.now();
+    const pending = lp.fetchMailbox();
+    setTimeout(() => natA.send('nat-lp', 'wake up'), 200);
+    const woke = await pending;
+    assert(woke.length === 1 && woke[0].to.agent === 'nat-lp', 'Long-poll returns the message that arrived');
+    assert(Date.now() - lpStart < 3000, 'Long-poll answers on arrival, not at the wait timeout');
+
+    // Fetching more challenges doesn't crowd out an earlier one; each is single use
+    const lpHeaders = await lp._signHeaders('GET', '/mailbox/nat-lp', '');
+    for (let i = 0; i < 20; i++) await fetch('http://localhost:18871/challenge/nat-lp');
+    const firstUse = await fetch('http://localhost:18871/mailbox/nat-lp', { headers: lpHeaders });
+    assert(firstUse.status === 200, 'Challenge survives others being issued');
+    const reuse = await fetch('http://localhost:18871/mailbox/nat-lp', { headers: lpHeaders });
+    assert(reuse.status === 401 && (await reuse.json()).error === 'invalid_challenge', 'Challenge is single use');
+
+    // SSE stream, including mail queued while the stream was down
+    const natC = new AI2AI({ name: 'nat-c', port: 18874, relay: { url: 'http://localhost:18871', stream: true }, dataDir: '/tmp/ai2ai-test-relay3' });
+    await natC.start();
+    const streamed = [];
+    natC.on('message', (payload) => streamed.push(payload.message));
+    await natA.send('nat-c', 'streamed 1');
+    for (let i = 0; i < 40 && streamed.length < 1; i++) await sleep(50);
+    assert(streamed[0] === 'streamed 1', 'SSE stream pushes messages');
+    assert(natC.relay._lastEventId, 'Stream tracks Last-Event-ID');
+
+    await natC.relay.stop();
+    await natA.send('nat-c', 'streamed 2');
+    natC.relay._running = true;
+    natC.relay._loop = natC.relay._streamLoop();
+    for (let i = 0; i < 40 && streamed.length < 2; i++) await sleep(50);
+    assert(streamed[1] === 'streamed 2', 'Stream resumes with mail queued while offline');
+    await natC.stop();
+
+    // Over the size quota the sender is told, rather than the message dropped
+    const full = new RelayTransport({ relayUrl: 'http://localhost:18871', agentId: 'nat-full', ...lpKeys });
+    await full.register();
+    const relayBulky = () => fetch('http://localhost:18871/relay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ to: { agent: 'nat-full' }, payload: { text: 'x'.repeat(600 * 1024) } }),
+    });
+    assert((await relayBulky()).status === 200, 'Message under the quota is queued');
+    const overQuota = await relayBulky();
+    const overQuotaBody = await overQuota.json();
+    assert(overQuota.status === 507 && overQuotaBody.error === 'mailbox_full' && overQuotaBody.quota.messages === 1, 'Relay answers 507 mailbox_full over the byte quota');
+
+    await natA.stop();
+    await natB.stop();
+    killRelay();
+    process.removeListener('exit', killRelay);
+
+    // Mailbox polls update last-seen in memory; agents.json is rewritten on flush
+    const { RelayStore } = require('../relay/store');
+    cleanDir('/tmp/ai2ai-test-relay-store');
+    const store = new RelayStore('/tmp/ai2ai-test-relay-store', { flushMs: 0 });
+    store.setAgent('poller', { registeredAt: '2020-01-01T00:00:00.000Z', lastSeen: '2020-01-01T00:00:00.000Z' });
+    const lastSeenOnDisk = () => JSON.parse(fs.readFileSync('/tmp/ai2ai-test-relay-store/agents.json', 'utf-8')).poller.lastSeen;
+    store.touchAgent('poller');
+    assert(lastSeenOnDisk() === '2020-01-01T00:00:00.000Z', 'Polling does not rewrite agents.json');
+    store.close();
+    assert(lastSeenOnDisk() === store.getAgent('poller').lastSeen, 'Last-seen times are written on flush');
+
+    // Quotas, leases and acks
+    cleanDir('/tmp/ai2ai-test-relay-mailbox');
+    const boxOpts = { flushMs: 0, maxMessages: 2, maxBytes: 200, leaseMs: 100 };
+    const boxes = new RelayStore('/tmp/ai2ai-test-relay-mailbox', boxOpts);
+    assert(boxes.put('box', 'm1', { n: 1 }).stored && boxes.put('box', 'm2', { n: 2 }).stored, 'Messages under the quota are stored');
+    const overCount = boxes.put('box', 'm3', { n: 3 });
+    assert(!overCount.stored && overCount.reason === 'mailbox_full' && overCount.quota.messages === 2, 'Message quota refuses the next message');
+    const overBytes = boxes.put('roomy', 'b1', { text: 'x'.repeat(300) });
+    assert(!overBytes.stored && overBytes.reason === 'mailbox_full' && boxes.usage('roomy').messages === 0, 'Byte quota refuses an oversized message');
+
+    assert(boxes.lease('box').messages.length === 2, 'Lease hands out waiting messages');
+    assert(boxes.lease('box').messages.length === 0, 'Leased messages are hidden from the next pickup');
+    await sleep(150);
+    assert(boxes.lease('box').messages.length === 2, 'Unacked messages come back once the lease runs out');
+    assert(boxes.ack('box', ['m1']) === 1 && boxes.ack('box', ['m1']) === 0, 'Ack removes a message once');
+    await sleep(150);
+    const afterAck = boxes.lease('box').messages;
+    assert(afterAck.length === 1 && afterAck[0].n === 2, 'Acked message stays gone after the lease');
+
+    const reopened = new RelayStore('/tmp/ai2ai-test-relay-mailbox', boxOpts);
+    const replayed = reopened.lease('box').messages;
+    assert(replayed.length === 1 && replayed[0].n === 2, 'Mailbox survives a restart without the acked message');
+
+    // Compaction once dead records dominate the log
+    const logLines = () => fs.readFileSync('/tmp/ai2ai-test-relay-mailbox/mailbox.jsonl', 'utf-8').split('\n').filter(Boolean).length;
+    const bulk = new RelayStore('/tmp/ai2ai-test-relay-mailbox', { ...boxOpts, maxMessages: 1000, maxBytes: 1024 * 1024 });
+    const ids = [];
+    for (let i = 0; i < 500; i++) { ids.push(`bulk-${i}`); bulk.put('bulk', `bulk-${i}`, { i }); }
+    assert(logLines() > 500, 'Puts are appended to the log');
+    bulk.ack('bulk', ids);
+    assert(logLines() === 1 && bulk._deadRecords === 0, 'Log is compacted to the live messages');
+    const compacted = new RelayStore('/tmp/ai2ai-test-relay-mailbox', boxOpts);
+    assert(compacted.totalQueued() === 1 && compacted.lease('box').messages[0]?.n === 2, 'Compacted log replays the same mailboxes');
+
+    // Key pinning: only the pinned key can act for an ID, across restarts
+    cleanDir('/tmp/ai2ai-test-relay-pins');
+    const startPinRelay = async () => {
+      const proc = spawn(process.execPath, [path.join(__dirname, '..', 'relay', 'server.js')], {
+        env: { ...process.env, PORT: '18875', RELAY_DATA_DIR: '/tmp/ai2ai-test-relay-pins' },
+        stdio: 'ignore',
+      });
+      for (let i = 0; i < 50; i++) {
+        try { await fetch('http://localhost:18875/health'); break; } catch { await sleep(100); }
+      }
+      return proc;
+    };
+    const stopPinRelay = (proc) => new Promise(resolve => { proc.once('exit', resolve); proc.kill(); });
+    const edKeys = () => require('crypto').generateKeyPairSync('ed25519', {
+      publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    });
+    let pinRelay = await startPinRelay();
+    const killPinRelay = () => pinRelay.kill();
+    process.on('exit', killPinRelay);
+
+    const ownerKeys = edKeys();
+    const intruderKeys = edKeys();
+    const owner = new RelayTransport({ relayUrl: 'http://localhost:18875', agentId: 'pinned', ...ownerKeys });
+    await owner.register();
+
+    // Claims the owner's key but signs with its own
+    const forger = new RelayTransport({ relayUrl: 'http://localhost:18875', agentId: 'pinned', publicKey: ownerKeys.publicKey, privateKey: intruderKeys.privateKey });
+    const forgedErr = await forger.register().catch(err => err);
+    assert(forgedErr.statusCode === 401 && forgedErr.body.error === 'invalid_signature', 'Request signed by the wrong key rejected');
+    const forgedPickup = await forger.fetchMailbox().catch(err => err);
+    assert(forgedPickup.statusCode === 401, 'Mailbox pickup signed by the wrong key rejected');
+
+    const squatter = new RelayTransport({ relayUrl: 'http://localhost:18875', agentId: 'pinned', ...intruderKeys });
+    const squatErr = await squatter.register().catch(err => err);
+    assert(squatErr.statusCode === 401 && squatErr.body.error === 'invalid_signature', 'Re-registering a pinned ID with another key fails');
+    const pinnedKey = async () => (await (await fetch('http://localhost:18875/agent/pinned')).json()).publicKey;
+    assert(await pinnedKey() === ownerKeys.publicKey, 'Pinned key unchanged after the attempt');
+
+    await stopPinRelay(pinRelay);
+    pinRelay = await startPinRelay();
+    const squatAfterRestart = await squatter.register().catch(err => err);
+    assert(squatAfterRestart.statusCode === 401 && await pinnedKey() === ownerKeys.publicKey, 'Pins survive a relay restart');
+
+    const unregisterErr = await squatter.unregister().catch(err => err);
+    assert(unregisterErr.statusCode === 401 && await pinnedKey() === ownerKeys.publicKey, 'Unregister needs the owner\'s signature');
+    assert((await owner.unregister()).status === 'unregistered', 'Owner unregisters');
+    assert((await squatter.register()).status === 'registered', 'Unregistering releases the ID');
+
+    await stopPinRelay(pinRelay);
+    process.removeListener('exit', killPinRelay);
+  }
+
+  // ─── 23. Relay Federation ─────────────────────────────────────────────
+  console.log('\n━━━ 23. Relay Federation ━━━');
+  {
+    const { spawn } = require('child_process');
+    const crypto = require('crypto');
+    const relays = {
+      'relay-a': { port: 18861, dir: '/tmp/ai2ai-test-fed-ra' },
+      'relay-b': { port: 18862, dir: '/tmp/ai2ai-test-fed-rb' },
+    };
+    for (const r of Object.values(relays)) {
+      cleanDir(r.dir);
+      fs.mkdirSync(r.dir, { recursive: true });
+      const keys = crypto.generateKeyPairSync('ed25519', {
+        publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      });
+      fs.writeFileSync(path.join(r.dir, 'relay.pub'), keys.publicKey);
+      fs.writeFileSync(path.join(r.dir, 'relay.key'), keys.privateKey);
+      r.publicKey = keys.publicKey;
+    }
+    const procs = [];
+    for (const [host, r] of Object.entries(relays)) {
+      const peers = Object.entries(relays).filter(([h]) => h !== host)
+        .map(([h, p]) => ({ host: h, url: `http://localhost:${p.port}`, publicKey: p.publicKey }));
+      fs.writeFileSync(path.join(r.dir, 'peers.json'), JSON.stringify({ peers }));
+      procs.push(spawn(process.execPath, [path.join(__dirname, '..', 'relay', 'server.js')], {
+        env: { ...process.env, PORT: String(r.port), RELAY_DATA_DIR: r.dir, RELAY_HOST: host },
+        stdio: 'ignore',
+      }));
+    }
+    const killRelays = () => procs.forEach(p => p.kill());
+    process.on('exit', killRelays);
+    for (const r of Object.values(relays)) {
+      for (let i = 0; i < 50; i++) {
+        try { await fetch(`http://localhost:${r.port}/health`); break; } catch { await sleep(100); }
+      }
+    }
+
+    for (const d of ['/tmp/ai2ai-test-fed1', '/tmp/ai2ai-test-fed2']) cleanDir(d);
+    const fedA = new AI2AI({ name: 'fed-a', port: 18863, relay: { url: 'http://localhost:18861', pollWait: 1, pollInterval: 50 }, dataDir: '/tmp/ai2ai-test-fed1' });
+    const fedB = new AI2AI({ name: 'fed-b', port: 18864, relay: { url: 'http://localhost:18862', pollWait: 1, pollInterval: 50 }, dataDir: '/tmp/ai2ai-test-fed2' });
+    await fedA.start();
+    await fedB.start();
+    fedA.addContact('fed-b', { publicKey: fedB._keys.publicKey });
+    fedB.addContact('fed-a', { publicKey: fedA._keys.publicKey });
+
+    const inboxB = [];
+    fedB.on('message', (payload, from, envelope) => inboxB.push(envelope));
+    const sent = await fedA.send('fed-b@relay-b', 'across relays');
+    assert(sent.status === 'queued' && sent.via === 'relay-b', 'agent@host is forwarded to the peer relay');
+    for (let i = 0; i < 40 && !inboxB.length; i++) await sleep(50);
+    assert(inboxB[0]?.payload?.message === 'across relays', 'Federated message delivered');
+    assert(inboxB[0]?._relay?.replyTo === 'fed-a@relay-a' && inboxB[0]?._relay?.via === 'relay-a', 'Relays stamp reply address and origin');
+
+    fedB.on('request', (intent, payload, from, envelope) => fedB.reply(envelope, 'response', { from: 'relay-b' }));
+    const reply = await fedA.request('fed-b@relay-b', 'info.request', { question: '?' }, { awaitReply: true, timeout: 5000 });
+    assert(reply.payload.from === 'relay-b', 'Reply finds its way back through replyTo');
+
+    const inboxA = [];
+    fedA.on('message', (payload) => inboxA.push(payload.message));
+    const bare = await fedB.send('fed-a', 'bare id');
+    assert(bare.via === 'relay-a', 'Bare IDs unknown locally are looked up on peers');
+    for (let i = 0; i < 40 && !inboxA.length; i++) await sleep(50);
+    assert(inboxA.includes('bare id'), 'Looked-up route delivers');
+
+    const forged = await fetch('http://localhost:18862/federation/relay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-AI2AI-Relay-Host': 'relay-a', 'X-AI2AI-Relay-Date': new Date().toISOString(), 'X-AI2AI-Relay-Signature': 'AAAA' },
+      body: JSON.stringify({ to: { agent: 'fed-b' }, _relay: { relayId: 'forged' } }),
+    });
+    assert(forged.status === 401, 'Unsigned relay-to-relay traffic rejected');
+
+    const nowhere = await fetch('http://localhost:18861/relay', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ to: { agent: 'fed-b@relay-z' }, from: { agent: 'fed-a' } }),
+    });
+    assert(nowhere.status === 404, 'Unknown relay hosts are refused');
+
+    await fedA.stop();
+    await fedB.stop();
+    killRelays();
+    process.removeListener('exit', killRelays);
+  }
+
+  // ─── 24. Durable Registry ─────────────────────────────────────────────
+  console.log('\n━━━ 24. Durable Registry ━━━');
+  {
+    const regDir = '/tmp/ai2ai-test-registry';
+    cleanDir(regDir);
+    const url = 'http://localhost:18857';
+    let server = new RegistryServer({ dataDir: regDir });
+    await server.start(18857);
+
+    const owner = registryKeys();
+    const client = new RegistryClient({ registryUrl: url, agentId: 'durable-agent', privateKey: owner.privateKey });
+    const info = { endpoint: 'http://localhost:18850/ai2ai', publicKey: owner.publicKey, metadata: { region: 'eu', languages: ['en', 'fr'] } };
+    await client.register(info);
+
+    const unsigned = await fetch(`${url}/agents`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: 'squatter', endpoint: 'http://evil/ai2ai', publicKey: owner.publicKey }),
+    });
+    assert(unsigned.status === 401 && (await unsigned.json()).error === 'signature_required', 'Unsigned registration rejected');
+
+    const intruder = registryKeys();
+    const hijack = new RegistryClient({ registryUrl: url, agentId: 'durable-agent', privateKey: intruder.privateKey });
+    let hijackErr = null;
+    try { await hijack.register({ ...info, endpoint: 'http://evil/ai2ai', publicKey: intruder.publicKey }); } catch (e) { hijackErr = e; }
+    assert(hijackErr && hijackErr.message.includes('invalid_signature'), 'Registration under a pinned ID needs the owner key');
+    let deleteErr = null;
+    try { await hijack.deregister(); } catch (e) { deleteErr = e; }
+    assert(deleteErr && deleteErr.message.includes('401'), 'Only the owner can deregister');
+
+    const hbPath = '/agents/durable-agent/heartbeat';
+    const hbBody = JSON.stringify({ timestamp: new Date().toISOString() });
+    const hbHeaders = { 'Content-Type': 'application/json', ...client._signHeaders('POST', hbPath, hbBody) };
+    const first = await fetch(url + hbPath, { method: 'POST', headers: hbHeaders, body: hbBody });
+    const replayed = await fetch(url + hbPath, { method: 'POST', headers: hbHeaders, body: hbBody });
+    assert(first.status === 200 && replayed.status === 401, 'Replayed signed request rejected');
+
+    // Key change: old key signs, new key countersigns
+    const rotated = registryKeys();
+    let noCounterErr = null;
+    try { await client.register({ ...info, publicKey: rotated.publicKey }); } catch (e) { noCounterErr = e; }
+    assert(noCounterErr && noCounterErr.message.includes('new_key_signature_required'), 'Key change needs the new key signature');
+    await client.register({ ...info, publicKey: rotated.publicKey, newPrivateKey: rotated.privateKey });
+    assert(server.pins.get('durable-agent') === rotated.publicKey && client.privateKey === rotated.privateKey, 'Key change accepted with both signatures');
+
+    // Restart from disk
+    server.stop();
+    await sleep(50);
+    server = new RegistryServer({ dataDir: regDir });
+    await server.start(18857);
+    const reader = new RegistryClient({ registryUrl: url, agentId: 'reader' });
+    const resolved = await reader.resolve('durable-agent');
+    assert(resolved && resolved.publicKey === rotated.publicKey, 'Registrations survive a restart');
+    assert(server.pins.get('durable-agent') === rotated.publicKey, 'Key pins survive a restart');
+
+    // ETag revalidation
+    const res1 = await fetch(`${url}/agents/durable-agent`);
+    const etag = res1.headers.get('etag');
+    await client.heartbeat();
+    const res2 = await fetch(`${url}/agents/durable-agent`, { headers: { 'If-None-Match': etag } });
+    assert(etag && res2.status === 304, 'Unchanged record answers If-None-Match with 304');
+    assert((await reader.resolve('durable-agent')).id === 'durable-agent', 'Client serves 304 from its cache');
+    await client.register({ ...info, publicKey: rotated.publicKey, endpoint: 'http://localhost:18851/ai2ai' });
+    const res3 = await fetch(`${url}/agents/durable-agent`, { headers: { 'If-None-Match': etag } });
+    assert(res3.status === 200 && (await reader.resolve('durable-agent')).endpoint === 'http://localhost:18851/ai2ai', 'Changed record invalidates the ETag');
+
+    // Metadata filters, sorting and pagination
+    const others = [];
+    for (const [id, region] of [['durable-b', 'us'], ['durable-c', 'eu']]) {
+      const keys = registryKeys();
+      const other = new RegistryClient({ registryUrl: url, agentId: id, privateKey: keys.privateKey });
+      await other.register({ endpoint: `http://localhost/${id}`, publicKey: keys.publicKey, metadata: { region } });
+      others.push(other);
+      await sleep(5);
+    }
+    const eu = await reader.search({ metadata: { region: 'eu' } });
+    assert(eu.length === 2 && eu.every(a => a.metadata.region === 'eu'), 'Search filters on metadata fields');
+    const french = await reader.search({ metadata: { languages: 'fr' } });
+    assert(french.length === 1 && french[0].id === 'durable-agent', 'Metadata filter matches list values');
+
+    const recent = await reader.search({ sort: 'lastHeartbeat' });
+    assert(recent.map(a => a.id).join() === 'durable-c,durable-b,durable-agent', 'Sort by last heartbeat, newest first');
+    const page = await fetch(`${url}/agents?sort=lastHeartbeat&limit=1&offset=1`);
+    const pageBody = await page.json();
+    assert(pageBody.length === 1 && pageBody[0].id === 'durable-b' && page.headers.get('x-total-count') === '3', 'Pagination with total count');
+    const badQuery = await fetch(`${url}/agents?metadata=notjson`);
+    assert(badQuery.status === 400, 'Malformed metadata filter rejected');
+
+    await client.deregister();
+    assert(!server.pins.has('durable-agent') && (await reader.resolve('durable-agent')) === null, 'Owner deregister releases the ID');
+
+    // Heartbeats stay in memory until the flush
+    const heartbeatOnDisk = () => JSON.parse(fs.readFileSync(path.join(regDir, 'registry.json'), 'utf-8')).agents['durable-b'].lastHeartbeat;
+    const beforeHeartbeat = heartbeatOnDisk();
+    await sleep(5);
+    await others[0].heartbeat();
+    assert(heartbeatOnDisk() === beforeHeartbeat, 'Heartbeat does not rewrite registry.json');
+    server.stop();
+    assert(heartbeatOnDisk() === server.agents.get('durable-b').lastHeartbeat && heartbeatOnDisk() !== beforeHeartbeat, 'Heartbeats are written out on stop');
+
+    // A registry.json from before key pinning gets pins from the registered keys
+    const legacy = JSON.parse(fs.readFileSync(path.join(regDir, 'registry.json'), 'utf-8'));
+    fs.writeFileSync(path.join(regDir, 'registry.json'), JSON.stringify({ agents: legacy.agents }));
+    const backfilled = new RegistryServer({ dataDir: regDir });
+    assert(backfilled.pins.get('durable-b') === legacy.agents['durable-b'].publicKey, 'Pins backfilled from registered keys');
+
+    for (const c of [client, hijack, reader, ...others]) c.destroy();
+    cleanDir(regDir);
+  }
+
+  // ─── 25. Key Rotation Announcements ───────────────────────────────────
+  console.log('\n━━━ 25. Key Rotation Announcements ━━━');
+  {
+    for (const d of ['/tmp/ai2ai-test-rot1', '/tmp/ai2ai-test-rot2', '/tmp/ai2ai-test-rot3']) cleanDir(d);
+    const regServer = new RegistryServer();
+    await regServer.start(18845);
+    const alice = new AI2AI({ name: 'rot-alice', port: 18846, registry: 'http://localhost:18845', dataDir: '/tmp/ai2ai-test-rot1' });
+    const bob = new AI2AI({ name: 'rot-bob', port: 18847, dataDir: '/tmp/ai2ai-test-rot2' });
+    await alice.start();
+    await bob.start();
+    await alice.register();
+
+    const oldKey = alice._keys.publicKey;
+    alice.addContact('rot-bob', { endpoint: 'http://localhost:18847/ai2ai' });
+    bob.addContact('rot-alice', { endpoint: 'http://localhost:18846/ai2ai', publicKey: oldKey });
+    const inflight = alice._createEnvelope('rot-bob', 'message', 'message.relay', { message: 'in flight' });
+    const lateInflight = alice._createEnvelope('rot-bob', 'message', 'message.relay', { message: 'too late' });
+
+    let rotatedEvent = null;
+    bob.on('contact:rotated', (agentId, payload) => { rotatedEvent = { agentId, payload }; });
+    const result = await alice.rotateKeys();
+    assert(result.publicKey !== oldKey && result.previousPublicKey === oldKey, 'rotateKeys replaces the signing key');
+    assert(result.announced.includes('rot-bob') && result.announced.includes('registry') && result.failed.length === 0, 'New key announced to contacts and registry');
+    assert(fs.readFileSync(path.join(alice.keyPath, 'agent.pub'), 'utf-8') === result.publicKey, 'New key written to the key directory');
+
+    const contact = bob.getContact('rot-alice');
+    assert(contact.publicKey === result.publicKey && contact.previousKeys[0].publicKey === oldKey, 'Receiver updates the contact key and archives the old one');
+    assert(rotatedEvent?.agentId === 'rot-alice', 'Receiver emits contact:rotated');
+    const reader = new RegistryClient({ registryUrl: 'http://localhost:18845', agentId: 'rot-reader' });
+    assert((await reader.resolve('rot-alice')).publicKey === result.publicKey, 'Registry moved to the new key');
+
+    const inbox = [];
+    bob.on('message', (payload) => inbox.push(payload.message));
+    await alice.send('rot-bob', 'signed with new key');
+    await alice._rawSend('http://localhost:18847/ai2ai', inflight);
+    assert(inbox.includes('signed with new key') && inbox.includes('in flight'), 'New key and in-grace old key both verify');
+
+    bob.keyGracePeriod = 0;
+    let lateErr = null;
+    try { await alice._rawSend('http://localhost:18847/ai2ai', lateInflight); } catch (e) { lateErr = e; }
+    assert(lateErr && lateErr.message.includes('invalid_signature'), 'Old key rejected once the grace period is over');
+
+    const forged = alice.keyRotation.createAnnouncement(registryKeys().publicKey, result.publicKey).payload;
+    let forgedErr = null;
+    try { await alice._rawSend('http://localhost:18847/ai2ai', alice._createEnvelope('rot-bob', 'message', 'key_rotation', forged)); } catch (e) { forgedErr = e; }
+    assert(forgedErr && forgedErr.message.includes('invalid_key_rotation') && bob.getContact('rot-alice').publicKey === result.publicKey, 'Announcement without both signatures rejected');
+
+    const carol = new AI2AI({ name: 'rot-carol', port: 18848, keyRotationInterval: 300, dataDir: '/tmp/ai2ai-test-rot3' });
+    const carolKey = carol._keys.publicKey;
+    const scheduled = new Promise(resolve => carol.once('key:rotated', resolve));
+    await carol.start();
+    const carolResult = await Promise.race([scheduled, sleep(3000)]);
+    assert(carolResult && carolResult.previousPublicKey === carolKey && carol._keys.publicKey !== carolKey, 'Scheduled rotation runs after keyRotationInterval');
+
+    reader.destroy();
+    await carol.stop();
+    await alice.stop();
+    await bob.stop();
+    regServer.stop();
+  }
+
+  // ─── 26. Persistent Replay Protection & Clock Skew ───────────────────
+  console.log('\n━━━ 26. Persistent Replay Protection & Clock Skew ━━━');
+  {
+    for (const d of ['/tmp/ai2ai-test-replay1', '/tmp/ai2ai-test-replay2']) cleanDir(d);
+    const alice = new AI2AI({ name: 'replay-alice', port: 18840, dataDir: '/tmp/ai2ai-test-replay1' });
+    let bob = new AI2AI({ name: 'replay-bob', port: 18841, dataDir: '/tmp/ai2ai-test-replay2' });
+    await alice.start();
+    await bob.start();
+    alice.addContact('replay-bob', { endpoint: 'http://localhost:18841/ai2ai', publicKey: bob._keys.publicKey });
+    bob.addContact('replay-alice', { endpoint: 'http://localhost:18840/ai2ai', publicKey: alice._keys.publicKey });
+    const bobEndpoint = 'http://localhost:18841/ai2ai';
+    const rejection = async (envelope) => {
+      try { await alice._rawSend(bobEndpoint, envelope); return null; } catch (e) { return e.message; }
+    };
+
+    const original = alice._createEnvelope('replay-bob', 'message', 'message.relay', { message: 'once' });
+    await alice._rawSend(bobEndpoint, original);
+    await bob.stop();
+    await sleep(100); // let alice's pooled keep-alive socket see the close
+    bob = new AI2AI({ name: 'replay-bob', port: 18841, dataDir: '/tmp/ai2ai-test-replay2' });
+    await bob.start();
+    let redelivered = false;
+    bob.on('message', () => { redelivered = true; });
+    const replayErr = await rejection(original);
+    assert(replayErr && replayErr.includes('replay_detected') && !redelivered, 'Replay rejected after the receiver restarts');
+    assert(bob.deduplicator.seen.has(original.id), 'Seen message IDs reloaded from disk');
+
+    const future = alice._createEnvelope('replay-bob', 'message', 'message.relay', { message: 'from the future' });
+    future.timestamp = new Date(Date.now() + 10 * 60000).toISOString();
+    future.signature = alice._sign(future);
+    const skewErr = await rejection(future);
+    assert(skewErr && skewErr.includes('clock_skew') && skewErr.includes('serverTime'), 'Far-future timestamp rejected as clock_skew with serverTime');
+
+    const lapsed = alice._createEnvelope('replay-bob', 'message', 'message.relay', { message: 'too late' });
+    lapsed.expiresAt = new Date(Date.now() - 10 * 60000).toISOString();
+    lapsed.signature = alice._sign(lapsed);
+    const lapsedErr = await rejection(lapsed);
+    assert(lapsedErr && lapsedErr.includes('message_expired'), 'Past expiresAt rejected on receive');
+
+    const healthRes = await fetch('http://localhost:18841/ai2ai/health');
+    assert(!isNaN(new Date(healthRes.headers.get('date')).getTime()), 'Server sends a Date header');
+    await alice.send('replay-bob', 'clocks agree');
+    assert(Math.abs(alice.clockOffsets.get(bobEndpoint)) < 2000, 'Clock offset to an in-sync peer is near zero');
+
+    // A peer whose clock is an hour ahead of ours
+    const http = require('http');
+    const skewed = http.createServer((req, res) => {
+      req.resume();
+      res.setHeader('Date', new Date(Date.now() + 3600000).toUTCString());
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"status":"delivered"}');
+    });
+    await new Promise(r => skewed.listen(18842, r));
+    let drift = null;
+    alice.on('clock:drift', (info) => { drift = info; });
+    await alice._rawSend('http://localhost:18842/ai2ai', alice._createEnvelope('skewed', 'message', 'message.relay', {}));
+    assert(drift && drift.endpoint === 'http://localhost:18842/ai2ai' && Math.abs(drift.offset - 3600000) < 2000, 'clock:drift emitted with the measured offset');
+
+    skewed.close();
+    await alice.stop();
+    await bob.stop();
+  }
+
+  // ─── 27. Outbound Queue Drain & Dead Letters ──────────────────────────
+  console.log('\n━━━ 27. Outbound Queue Drain & Dead Letters ━━━');
+  {
+    for (const d of ['/tmp/ai2ai-test-drain1', '/tmp/ai2ai-test-drain2']) cleanDir(d);
+    const alice = new AI2AI({
+      name: 'drain-alice', port: 18836, dataDir: '/tmp/ai2ai-test-drain1',
+      queueDrainInterval: 0, maxDeliveryAttempts: 2, queueBaseDelay: 50,
+    });
+    const bob = new AI2AI({ name: 'drain-bob', port: 18837, dataDir: '/tmp/ai2ai-test-drain2' });
+    await alice.start();
+    const bobEndpoint = 'http://localhost:18837/ai2ai';
+    alice.addContact('drain-bob', { endpoint: bobEndpoint });
+    const queueFor = (message, opts = {}) => {
+      const envelope = alice._createEnvelope('drain-bob', 'message', 'message.relay', { message }, opts);
+      alice.deliveryTracker.trackSent(envelope.id);
+      alice.queue.enqueue(envelope, bobEndpoint, { expiresAt: envelope.expiresAt, priority: opts.priority });
+      return envelope;
+    };
+
+    // Bob is down: the endpoint backs off instead of being hammered
+    const low = queueFor('low priority');
+    const high = queueFor('high priority', { priority: 5 });
+    const down = await alice.drainQueue();
+    assert(down.failed === 1 && alice.queue.size === 2, 'Failed endpoint is tried once per pass');
+    assert(alice._endpointBackoff.get(bobEndpoint).retryAt > Date.now(), 'Endpoint backs off after a failure');
+    assert((await alice.drainQueue()).failed === 0, 'Backing-off endpoint is skipped');
+
+    // Bob comes up: queued messages arrive, highest priority first
+    await bob.start();
+    const inbox = [];
+    bob.on('message', (payload) => inbox.push(payload.message));
+    const delivered = [];
+    alice.on('delivered', (info) => delivered.push(info));
+    await sleep(120);
+    const up = await alice.drainQueue();
+    assert(up.delivered === 2 && alice.queue.size === 0, 'Queue drains once the endpoint is back');
+    assert(inbox[0] === 'high priority' && inbox[1] === 'low priority', 'Higher priority delivered first');
+    assert(delivered[0]?.id === high.id && delivered[1]?.id === low.id && delivered[0].target === 'drain-bob', 'delivered events carry the message ID');
+    assert(alice.deliveryTracker.getReceipt(low.id).status === 'delivered', 'Receipt marked delivered');
+
+    // Expired and cancelled entries never go out
+    const deadLetters = [];
+    alice.on('dead-letter', (entry) => deadLetters.push(entry));
+    const stale = queueFor('stale', { ttl: 1 });
+    const cancelled = queueFor('never mind');
+    assert(alice.cancelQueued(cancelled.id) === true && alice.cancelQueued(cancelled.id) === false, 'cancelQueued removes a queued message once');
+    await sleep(10);
+    await alice.drainQueue();
+    assert(!inbox.includes('stale') && !inbox.includes('never mind'), 'Expired and cancelled messages not delivered');
+    assert(deadLetters[0]?.id === stale.id && alice.dlq.list()[0].error.includes('expired'), 'Expired message moved to the DLQ');
+
+    // Out of attempts → dead letter; retryDeadLetters puts it back
+    await bob.stop();
+    await sleep(100);
+    const doomed = queueFor('eventually');
+    alice._endpointBackoff.delete(bobEndpoint);
+    await alice.drainQueue();
+    await sleep(120);
+    await alice.drainQueue();
+    assert(deadLetters.some(d => d.id === doomed.id && d.attempts === 2 && d.endpoint === bobEndpoint), 'Message dead-lettered after maxDeliveryAttempts');
+    assert(!alice.queue.load(doomed.id), 'Dead letter removed from the queue');
+
+    await bob.start();
+    const requeued = await alice.retryDeadLetters();
+    assert(requeued.includes(doomed.id) && requeued.includes(stale.id) && alice.dlq.size === 0, 'retryDeadLetters re-queues dead letters');
+    await alice.drainQueue();
+    assert(inbox.includes('eventually') && inbox.includes('stale'), 'Retried dead letters delivered (expired one re-stamped)');
+
+    // Refused messages (4xx) go straight to the DLQ
+    const forged = queueFor('forged');
+    forged.payload.message = 'tampered';
+    alice.queue._save({ ...alice.queue.load(forged.id), envelope: forged });
+    bob.addContact('drain-alice', { publicKey: alice._keys.publicKey });
+    await alice.drainQueue();
+    assert(deadLetters.some(d => d.id === forged.id && d.attempts === 1 && d.error.includes('invalid_signature')), 'Refused message dead-lettered without retries');
+
+    // The background worker drains on its own
+    const worker = new AI2AI({ name: 'drain-carol', port: 18838, dataDir: '/tmp/ai2ai-test-drain1', queueDrainInterval: 50 });
+    const background = new Promise(resolve => worker.once('delivered', resolve));
+    const envelope = worker._createEnvelope('drain-bob', 'message', 'message.relay', { message: 'from the worker' });
+    worker.queue.enqueue(envelope, bobEndpoint);
+    await worker.start();
+    const workerResult = await Promise.race([background, sleep(3000)]);
+    assert(workerResult?.id === envelope.id && inbox.includes('from the worker'), 'Background worker delivers queued messages');
+
+    await worker.stop();
+    await alice.stop();
+    await bob.stop();
+  }
+
+  // ─── 28. Storage Adapters ─────────────────────────────────────────────
+  console.log('\n━━━ 28. Storage Adapters ━━━');
+  {
+    const { FileStorage, MemoryStorage, LogStorage, createStorage } = require('./storage');
+    const { DeadLetterQueue: DLQ, PersistentQueue: PQ } = require('./reliability');
+    for (const d of ['/tmp/ai2ai-test-store-file', '/tmp/ai2ai-test-store-log', '/tmp/ai2ai-test-store-agent']) cleanDir(d);
+
+    const adapters = {
+      file: new FileStorage('/tmp/ai2ai-test-store-file'),
+      memory: new MemoryStorage(),
+      log: new LogStorage('/tmp/ai2ai-test-store-log/store.jsonl'),
+    };
+    for (const [kind, store] of Object.entries(adapters)) {
+      store.set('things', 'a', { n: 1 });
+      store.set('things', 'b', { n: 2 });
+      store.set('things', 'a', { n: 3 });
+      store.set('', 'root', { top: true });
+      const got = store.get('things', 'a');
+      got.n = 99;
+      assert(store.get('things', 'a').n === 3, `${kind}: get returns the latest copy`);
+      assert(store.get('things', 'missing') === null, `${kind}: missing document is null`);
+      assert(store.entries('things').map(([k]) => k).sort().join() === 'a,b', `${kind}: entries lists the collection`);
+      assert(store.get('', 'root')?.top === true && store.entries('other').length === 0, `${kind}: collections are separate`);
+      assert(store.delete('things', 'b') === true && store.delete('things', 'b') === false, `${kind}: delete reports removal`);
+      store.append('log', 'conv', { seq: 1 });
+      store.append('log', 'conv', { seq: 2 });
+      assert(store.read('log', 'conv').map(r => r.seq).join() === '1,2' && store.read('log', 'none').length === 0, `${kind}: append/read keeps order`);
+      store.set('things', '../escape', { ok: true });
+      assert(store.get('things', '../escape')?.ok === true && store.entries('things').some(([k]) => k === '../escape'), `${kind}: keys are opaque`);
+    }
+    assert(!fs.existsSync('/tmp/escape.json'), 'File keys cannot leave the directory');
+    assert(fs.existsSync('/tmp/ai2ai-test-store-file/root.json') && fs.existsSync('/tmp/ai2ai-test-store-file/log/conv.jsonl'), 'File layout: <collection>/<key>.json(l)');
+
+    const reopened = new LogStorage('/tmp/ai2ai-test-store-log/store.jsonl');
+    assert(reopened.get('things', 'a')?.n === 3 && reopened.get('things', 'b') === null, 'Log storage replays sets and deletes');
+    assert(reopened.read('log', 'conv').length === 2, 'Log storage replays appended records');
+    for (let i = 0; i < 1100; i++) reopened.set('hot', 'counter', { i });
+    const lines = fs.readFileSync('/tmp/ai2ai-test-store-log/store.jsonl', 'utf-8').trim().split('\n').length;
+    assert(lines < 200, `Log storage compacts dead records (${lines} lines)`);
+    assert(new LogStorage('/tmp/ai2ai-test-store-log/store.jsonl').get('hot', 'counter')?.i === 1099, 'Compacted log keeps live state');
+
+    assert(createStorage('memory') instanceof MemoryStorage && createStorage(undefined, '/tmp/x') instanceof FileStorage, 'createStorage picks by name, file by default');
+    assert(createStorage(adapters.memory) === adapters.memory, 'createStorage accepts a custom adapter');
+    let unknown = null;
+    try { createStorage('mongo'); } catch (err) { unknown = err; }
+    assert(unknown?.message.includes('Unknown storage'), 'Unknown storage name rejected');
+
+    const shared = new MemoryStorage();
+    const pq = new PQ({ storage: shared });
+    const dlq = new DLQ({ storage: shared });
+    pq.enqueue({ id: 'm1' }, 'http://x');
+    dlq.add({ id: 'm2' }, 'boom', 3);
+    assert(pq.size === 1 && dlq.size === 1 && shared.entries('queue').length === 1 && shared.entries('dlq').length === 1, 'Queue and DLQ share an adapter in separate collections');
+    pq.complete('m1');
+    assert(pq.size === 0 && dlq.size === 1, 'Completing a queue entry leaves the DLQ alone');
+
+    const agent = new AI2AI({ name: 'store-agent', dataDir: '/tmp/ai2ai-test-store-agent', storage: 'memory' });
+    agent.queue.enqueue({ id: 'q1' }, 'http://x');
+    assert(agent.queue.size === 1 && !fs.existsSync('/tmp/ai2ai-test-store-agent/queue'), 'AI2AI storage option keeps the queue off disk');
+    const fileAgent = new AI2AI({ name: 'store-agent', dataDir: '/tmp/ai2ai-test-store-agent' });
+    fileAgent.dlq.add({ id: 'd1' }, 'boom', 1);
+    assert(fs.existsSync('/tmp/ai2ai-test-store-agent/dlq/d1.json'), 'Default file storage keeps the dlq/ layout');
+  }
+
+  // ─── 29. Custom Intents ───────────────────────────────────────────────
+  console.log('\n━━━ 29. Custom Intents ━━━');
+  {
+    for (const d of ['/tmp/ai2ai-test-intent1', '/tmp/ai2ai-test-intent2']) cleanDir(d);
+    const regServer = new RegistryServer();
+    await regServer.start(18833);
+    const worker = new AI2AI({ name: 'intent-worker', port: 18831, registry: 'http://localhost:18833', dataDir: '/tmp/ai2ai-test-intent1', queueDrainInterval: 0 });
+    const boss = new AI2AI({ name: 'intent-boss', port: 18832, timeout: 2000, dataDir: '/tmp/ai2ai-test-intent2', queueDrainInterval: 0 });
+
+    const seen = [];
+    worker
+      .registerIntent('dev.claude_task', {
+        version: '1.2',
+        approval: 'never',
+        schema: { type: 'object', required: ['task'], properties: { task: { type: 'string', minLength: 1 } } },
+        handler: async (payload, from) => {
+          await sleep(10);
+          seen.push(from.agent);
+          return { done: payload.task.toUpperCase() };
+        },
+      })
+      .registerIntent('task.subtask', { handler: (payload) => ({ accepted: payload.step }) })
+      .registerIntent('dev.crash', { approval: 'never', handler: () => { throw new Error('secret internals'); } });
+    let dupErr = null;
+    try { worker.registerIntent('dev.claude_task', { handler: () => {} }); } catch (e) { dupErr = e; }
+    assert(dupErr?.message.includes('already registered'), 'Duplicate intent refused');
+    let nameErr = null;
+    try { worker.registerIntent('Task', { handler: () => {} }); } catch (e) { nameErr = e; }
+    assert(nameErr?.message.includes('namespaced'), 'Un-namespaced intent refused');
+
+    await worker.start();
+    await boss.start();
+    worker.addContact('intent-boss', { endpoint: 'http://localhost:18832/ai2ai' });
+    boss.addContact('intent-worker', { endpoint: 'http://localhost:18831/ai2ai' });
+
+    const pong = await boss.ping('intent-worker');
+    assert(pong.capabilities.includes('dev.claude_task') && pong.capabilities.includes('message.relay'), 'Ping advertises custom and default intents');
+    assert(pong.intent_versions['dev.claude_task'] === '1.2', 'Ping advertises intent versions');
+    await worker.register();
+    const found = await worker.discover({ capability: 'task.subtask' });
+    assert(found.length === 1 && found[0].capabilities.includes('dev.claude_task'), 'Registry finds the agent by custom intent');
+
+    const done = await boss.request('intent-worker', 'dev.claude_task', { task: 'lint' }, { awaitReply: true });
+    assert(done.type === 'response' && done.payload.done === 'LINT', 'Async handler result comes back as the response');
+    assert(seen.join() === 'intent-boss', 'Handler sees the sender');
+
+    const bad = boss._createEnvelope('intent-worker', 'request', 'dev.claude_task', { task: '' });
+    const badErr = await boss._rawSend('http://localhost:18831/ai2ai', bad).catch(err => err);
+    assert(badErr.statusCode === 400 && JSON.parse(badErr.message.slice(9)).errors[0].path === '/task', 'Schema violations get 400 invalid_payload');
+
+    let failure = null;
+    worker.on('intent:failed', (err) => { failure = err; });
+    const crashed = await boss.request('intent-worker', 'dev.crash', {}, { awaitReply: true });
+    assert(crashed.type === 'reject' && crashed.payload.reason === 'handler_failed', 'Throwing handler sends a reject without details');
+    assert(failure?.message === 'secret internals', 'Handler failure reported locally');
+
+    let approval = null;
+    worker.on('approval', (a) => { approval = a; });
+    const pending = boss.request('intent-worker', 'task.subtask', { step: 1 }, { awaitReply: true });
+    await sleep(100);
+    assert(approval?.intent === 'task.subtask' && approval.from.agent === 'intent-boss', "approval: 'trust' asks about untrusted senders");
+    await approval.approve();
+    assert((await pending).payload.accepted === 1, 'Approved request runs the handler');
+
+    approval = null;
+    const declined = boss.request('intent-worker', 'task.subtask', { step: 2 }, { awaitReply: true });
+    await sleep(100);
+    await approval.decline('not now');
+    assert((await declined).payload.reason === 'not now', 'Declined request is rejected');
+
+    approval = null;
+    worker.addContact('intent-boss', { trustLevel: 'trusted' });
+    const trusted = await boss.request('intent-worker', 'task.subtask', { step: 3 }, { awaitReply: true });
+    assert(trusted.payload.accepted === 3 && approval === null, 'Trusted contacts skip approval');
+
+    await boss.stop();
+    await worker.stop();
+    regServer.stop();
+  }
+
   // ─── Summary ──────────────────────────────────────────────────────────
   console.log('\n' + '═'.repeat(60));
   console.log(`  ✅ Passed: ${passed}`);
@@ -48,27 +48,17 @@ async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// ─── Clean test state ───────────────────────────────────────────────────────
-
-function cleanTestState() {
-  // Clean up outbox, logs, and test conversation files
-  const dirs = [
-    path.join(__dirname, 'outbox'),
-    path.join(__dirname, 'logs'),
-  ];
-  for (const dir of dirs) {
-    if (fs.existsSync(dir)) {
-      for (const f of fs.readdirSync(dir)) {
-        try { fs.unlinkSync(path.join(dir, f)); } catch { /* ignore */ }
-      }
-    }
-  }
-}
+// ─── Test state ─────────────────────────────────────────────────────────────
+// The module-level functions use the default context; point it at a scratch
+// directory so runs start clean and never touch the contacts.json checked in here
+
+const DATA_DIR = fs.mkdtempSync(path.join(require('os').tmpdir(), 'ai2ai-test-default-'));
+process.env.AI2AI_DATA_DIR = DATA_DIR;
+process.on('exit', () => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
 
 // ═══════════════════════════════════════════════════════════════════════════
 async function runTests() {
   console.log('🧪 AI2AI Protocol — Comprehensive Test Suite\n');
-  cleanTestState();
 
   // ─── 1. Crypto ──────────────────────────────────────────────────────────
   console.log('━━━ 1. Crypto (Ed25519 signing) ━━━');
@@ -101,6 +91,19 @@ async function runTests() {
     const tampered = { ...testEnvelope, payload: { hello: 'tampered' } };
     const invalid = crypto.verifyMessage(tampered, sig, keys.publicKey);
     assert(invalid === false, 'Reject tampered signature');
+
+    assert(testEnvelope.sigAlg === 'Ed25519' && testEnvelope.sigVersion === 2, 'Signing stamps sigAlg/sigVersion');
+    assert(crypto.canonicalize({ b: [1, 'x', { d: null, c: true }], a: 1.5e21 }) === '{"a":1.5e+21,"b":[1,"x",{"c":true,"d":null}]}', 'Canonical JSON sorts keys, no whitespace');
+    const reordered = { payload: testEnvelope.payload, ...testEnvelope, _note: 'transport annotation' };
+    assert(crypto.verifyMessage(reordered, sig, keys.publicKey) === true, 'Signature independent of key order and _ annotations');
+    assert(crypto.verifyMessage({ ...testEnvelope, nonce: 'added' }, sig, keys.publicKey) === false, 'Whole envelope is signed');
+
+    const legacy = { ...testEnvelope };
+    delete legacy.sigAlg;
+    delete legacy.sigVersion;
+    const legacySig = require('crypto').sign(null, Buffer.from(crypto.signingInput(legacy)), require('crypto').createPrivateKey(keys.privateKey)).toString('base64');
+    assert(crypto.verifyMessage(legacy, legacySig, keys.publicKey) === true, 'Legacy signature still verifies');
+    assert(crypto.verifyMessage(legacy, legacySig, keys.publicKey, { allowLegacy: false }) === false, 'Legacy signature refused when disabled');
   }
 
   // ─── 2. Encryption ─────────────────────────────────────────────────────
@@ -243,6 +246,33 @@ async function runTests() {
 
     // Unknown handler
     assert(handlers.getHandler('nonexistent') === null, 'Unknown intent returns null');
+
+    // Payload schemas
+    const schemas = require('./ai2ai-schemas');
+    assert(supported.every(intent => schemas.SCHEMAS[intent]), 'Every built-in intent has a schema');
+    assert(schemas.validatePayload('schedule.meeting', { subject: 'Dinner', proposed_times: ['2026-02-10T19:00:00Z'] }).length === 0, 'Valid meeting payload passes');
+    assert(schemas.validatePayload('schedule.meeting', { proposed_times: [] })[0]?.path === '/proposed_times', 'Empty proposed_times rejected');
+    assert(schemas.validatePayload('schedule.group', { proposed_times: ['2026-02-10T12:00:00Z'], participants: [{ human: 'Alice' }] })[0]?.path === '/participants/0/agent', 'Nested errors use JSON pointers');
+    assert(schemas.validatePayload('message.relay', null)[0]?.path === '', 'Non-object payload rejected at the root');
+    assert(schemas.validatePayload('message.relay', { message: 'Hi', urgency: 'asap' })[0]?.path === '/urgency', 'Enum enforced');
+    assert(schemas.validate({ type: 'object', additionalProperties: false }, { 'a/b': 1 })[0]?.path === '/a~1b', 'Pointer segments escaped');
+    assert(schemas.validatePayload('custom.thing', { anything: true }).length === 0, 'Intents without a schema pass');
+
+    // Custom intents (the default agent's; the server tests below use them)
+    handlers.registerIntent('test.echo', {
+      version: '2.1',
+      approval: 'never',
+      schema: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } },
+      handler: async (payload, from) => ({ approvalMessage: `Echo for ${from.agent}`, payload: { echo: payload.text } }),
+    });
+    handlers.registerIntent('test.review', { approval: 'always', schema: { type: 'object' }, handler: () => null });
+    assert(handlers.supportedIntents().includes('test.echo'), 'Registered intent is supported');
+    assert(handlers.getIntent('test.echo').version === '2.1' && handlers.getIntent('test.review').version === '1.0', 'Intent versions recorded');
+    assert(handlers.getIntent('schedule.meeting').approval === 'trust', 'Built-ins defer to trust levels');
+    assertThrows(() => handlers.registerIntent('echo', { handler: () => {} }), 'Un-namespaced intent refused');
+    assertThrows(() => handlers.registerIntent('schedule.meeting', { handler: () => {} }), 'Built-in intent cannot be replaced');
+    assertThrows(() => handlers.registerIntent('test.other', {}), 'Intent without handler refused');
+    assertThrows(() => handlers.registerIntent('test.other', { handler: () => {}, approval: 'sometimes' }), 'Unknown approval mode refused');
   }
 
   // ─── 5. Logger ──────────────────────────────────────────────────────────
@@ -313,9 +343,111 @@ async function runTests() {
     const updated = conversations.addParticipant(convId2, { agent: 'c', human: 'Charlie' });
     assert(updated.participants.length === 3, 'Add participant to group');
 
+    // History search
+    let now = Date.parse('2031-06-01T09:00:00Z');
+    const ctxH = require('./ai2ai-context').createContext({ dataDir: path.join(DATA_DIR, 'history-test'), storage: 'memory', clock: () => now });
+    const history = conversations.createConversations(ctxH);
+    const open = (id, intent, agent, human) => {
+      history.createConversation(id, { intent, initiator: { agent: 'me' }, recipient: { agent, human } });
+      now += 3600000;
+    };
+    open('h-dinner', 'schedule.meeting', 'alex-assistant', 'Alex');
+    history.appendMessage('h-dinner', { id: 'm1', type: 'request', payload: { subject: 'Dinner at Luigi\'s' } });
+    open('h-call', 'schedule.call', 'sam-assistant', 'Sam');
+    open('h-quote', 'commerce.request', 'alex-assistant', 'Alex');
+    history.transitionState('h-dinner', 'negotiating');
+    history.transitionState('h-dinner', 'confirmed');
+    assert(history.getConversation('h-dinner').transitions.map(t => t.to).join() === 'negotiating,confirmed', 'State transitions are recorded');
+
+    assert(history.queryConversations({ contact: 'Alex' }).conversations.map(c => c.id).join() === 'h-dinner,h-quote', 'Filter by contact, most recently active first');
+    assert(history.queryConversations({ intent: 'schedule.*' }).total === 2 && history.queryConversations({ intent: 'commerce.request' }).total === 1, 'Filter by intent or namespace');
+    assert(history.queryConversations({ state: ['confirmed', 'rejected'] }).conversations[0]?.id === 'h-dinner', 'Filter by state');
+    assert(history.queryConversations({ until: '2031-06-01T09:30:00Z' }).conversations.map(c => c.id).join() === 'h-dinner', 'Filter by date range');
+    const found = history.queryConversations({ text: 'luigi' });
+    assert(found.total === 1 && found.conversations[0].matches[0] === 'm1', 'Full-text search in payloads');
+    const paged = history.queryConversations({ limit: 2, offset: 2 });
+    assert(paged.total === 3 && paged.conversations.length === 1 && paged.conversations[0].id === 'h-call', 'Paging');
+    assertThrows(() => history.queryConversations({ since: 'someday' }), 'Unparseable since is an error, not ignored');
+    assertThrows(() => history.queryConversations({ until: 'later' }), 'Unparseable until is an error, not ignored');
+
+    // The CLI's copy of the history over ~/.ai2ai
+    const cliHome = fs.mkdtempSync(path.join(require('os').tmpdir(), 'ai2ai-cli-'));
+    const realHome = process.env.HOME;
+    process.env.HOME = cliHome;
+    try {
+      const cliHistory = require('../cli/lib/history');
+      const cliCrypto = require('../cli/lib/crypto');
+      const { saveConfig, saveContacts } = require('../cli/lib/config');
+      saveConfig({ agentName: 'me' });
+      const myKeys = cliCrypto.loadOrCreateKeys();
+      const alexKeys = cliCrypto.generateKeyPair();
+      saveContacts({ 'alex-assistant': { humanName: 'Alex', publicKey: alexKeys.publicKey } });
+      const me = { agent: 'me', human: 'Me' };
+      const alex = { agent: 'alex-assistant', human: 'Alex' };
+      const save = (conv, m, key) => {
+        if (key) m.signature = cliCrypto.signMessage(m, key);
+        cliHistory.saveToConversation(conv, m);
+        return m;
+      };
+      save('c-dinner', { id: 'd1', type: 'request', intent: 'schedule.meeting', from: me, to: alex, timestamp: '2031-06-01T09:00:00Z', payload: { subject: 'Dinner at Luigi\'s' } }, myKeys.privateKey);
+      save('c-dinner', { id: 'd2', type: 'response', intent: 'schedule.meeting', from: alex, to: me, timestamp: '2031-06-01T10:00:00Z', payload: { counter_proposal: 'Thursday?' } }, alexKeys.privateKey);
+      const forged = { id: 'd3', type: 'confirm', intent: 'schedule.meeting', from: alex, to: me, timestamp: '2031-06-01T11:00:00Z', payload: { accepted_time: '2031-06-05T19:00:00Z' } };
+      forged.signature = cliCrypto.signMessage(forged, alexKeys.privateKey);
+      forged.payload.accepted_time = '2031-06-06T19:00:00Z';
+      save('c-dinner', forged);
+      save('c-call', { id: 'k1', type: 'request', intent: 'schedule.call', from: me, to: { agent: 'sam-assistant', human: 'Sam' }, timestamp: '2031-06-02T09:00:00Z', payload: { subject: 'Call' } });
+      save('c-quote', { id: 'q1', type: 'request', intent: 'commerce.request', from: me, to: alex, timestamp: '2031-06-03T09:00:00Z', payload: { item: 'Widget' } });
+
+      const dinner = cliHistory.summarize('c-dinner', cliHistory.loadMessages('c-dinner'), 'me');
+      assert(dinner.state === 'confirmed' && dinner.transitions.map(t => `${t.to}@${t.message}`).join() === 'negotiating@d2,confirmed@d3', 'CLI: state and transitions worked out from the message types');
+      assert(dinner.contacts.length === 1 && dinner.contacts[0].human === 'Alex' && dinner.startedAt === '2031-06-01T09:00:00Z', 'CLI: the other side and the start time');
+      const contacts = require('../cli/lib/config').loadContacts();
+      const status = (m) => cliHistory.signatureStatus(m, 'me', contacts, myKeys);
+      const [d1, d2] = dinner.messages;
+      assert(status(d1) === 'verified' && status(d2) === 'verified', 'CLI: our and their signatures verified');
+      assert(status(forged) === 'invalid' && status(cliHistory.loadMessages('c-call')[0]) === 'unsigned', 'CLI: altered and unsigned messages told apart');
+      assert(status({ ...d2, from: { agent: 'stranger' } }) === 'no key', 'CLI: no key for an unknown sender');
+      assert(cliHistory.queryConversations({ since: '2031-06-02T00:00:00Z' }).conversations.map(c => c.id).join() === 'c-quote,c-call', 'CLI: filter by date');
+
+      // The same conversations kept by an agent answer every query the same way
+      let mirrorNow = 0;
+      const mirror = conversations.createConversations(require('./ai2ai-context').createContext({ dataDir: path.join(DATA_DIR, 'history-mirror'), storage: 'memory', clock: () => mirrorNow }));
+      for (const id of ['c-dinner', 'c-call', 'c-quote']) {
+        for (const m of cliHistory.loadMessages(id)) {
+          mirrorNow = Date.parse(m.timestamp);
+          if (m.type === 'request') mirror.createConversation(id, { intent: m.intent, initiator: m.from, recipient: m.to });
+          else mirror.transitionState(id, { response: 'negotiating', confirm: 'confirmed' }[m.type]);
+          mirror.appendMessage(id, m);
+        }
+      }
+      const queries = [
+        {}, { contact: 'alex-assistant' }, { contact: 'sam' }, { intent: 'schedule.*' }, { state: 'confirmed' },
+        { state: ['proposed', 'negotiating'] }, { since: '2031-06-02T00:00:00Z' }, { until: '2031-06-01T12:00:00Z' },
+        { since: '2031-06-01T10:30:00Z', until: '2031-06-02T12:00:00Z' }, { text: 'thursday' }, { limit: 1, offset: 1 },
+      ];
+      const shape = (result) => JSON.stringify([result.total, result.conversations.map(c => [c.id, c.state, c.matches])]);
+      const differing = queries.filter(q => shape(cliHistory.queryConversations(q)) !== shape(mirror.queryConversations(q)));
+      assert(differing.length === 0, `CLI and agent history queries agree${differing.length ? ` (differ on ${JSON.stringify(differing)})` : ''}`);
+
+      const cli = (...args) => require('child_process').execFileSync(process.execPath, [path.join(__dirname, '..', 'cli', 'bin', 'ai2ai.js'), ...args], { env: { ...process.env, HOME: cliHome }, encoding: 'utf-8' });
+      const page1 = cli('conversations', '--limit', '2');
+      const page2 = cli('conversations', '--limit', '2', '--page', '2');
+      assert(/Page 1 of 2 — next: --page 2/.test(page1) && page1.includes('ID: c-quote') && !page1.includes('ID: c-dinner'), 'CLI: --limit splits the list into pages');
+      assert(/Page 2 of 2\n/.test(page2) && /3\. schedule\.meeting with Alex/.test(page2) && !page2.includes('ID: c-quote'), 'CLI: --page shows the later page, numbered on');
+      const thread = cli('history', 'alex', '--search', 'luigi');
+      assert(/✓ signed 🔎/.test(thread) && thread.includes('✗ BAD SIGNATURE') && thread.includes('↳ negotiating → confirmed'), 'CLI: history marks signatures, matches and transitions');
+      let badDate = null;
+      try { cli('conversations', '--since', 'someday'); } catch (err) { badDate = err; }
+      assert(badDate?.status === 1 && badDate.stderr.includes('Invalid date for since: someday'), 'CLI: unparseable --since reported as an error');
+    } finally {
+      process.env.HOME = realHome;
+      fs.rmSync(cliHome, { recursive: true, force: true });
+    }
+
     // Pending approval management
     const approvalId = 'test-approval-' + Date.now();
-    const pendingDir = path.join(__dirname, 'pending');
+    const pendingDir = path.join(DATA_DIR, 'pending');
+    fs.mkdirSync(pendingDir, { recursive: true });
     fs.writeFileSync(path.join(pendingDir, `${approvalId}.json`), JSON.stringify({
       envelope: { id: approvalId, from: { agent: 'test' } },
       approvalMessage: 'Test approval',
@@ -408,6 +540,7 @@ async function runTests() {
       const health = await healthRes.json();
       assert(health.status === 'online', 'Health check returns online');
       assert(health.intents.includes('commerce.request'), 'Health lists commerce intent');
+      assert(health.schemas?.['schedule.meeting']?.required.includes('proposed_times'), 'Health publishes intent schemas');
 
       // .well-known/ai2ai.json
       const wellKnownRes = await fetch(`http://localhost:${PORT}/.well-known/ai2ai.json`);
@@ -415,12 +548,15 @@ async function runTests() {
       assert(wellKnown.ai2ai === '0.1', '.well-known has protocol version');
       assert(wellKnown.endpoint.includes('/ai2ai'), '.well-known has endpoint');
       assert(wellKnown.capabilities.length > 0, '.well-known has capabilities');
+      assert(Object.keys(wellKnown.schemas || {}).length === wellKnown.capabilities.length, '.well-known publishes a schema per capability');
+      assert(wellKnown.capabilities.includes('test.echo') && wellKnown.intentVersions['test.echo'] === '2.1', '.well-known advertises custom intents');
 
       // Ping
       const { ping } = require('./ai2ai-client');
       const pingResult = await ping(ENDPOINT);
       assert(pingResult.status === 'ok', 'Ping returns ok');
       assert(pingResult.payload?.x25519_public_key, 'Ping returns X25519 public key');
+      assert(pingResult.payload?.capabilities.includes('test.echo') && pingResult.payload.intent_versions['test.echo'] === '2.1', 'Ping advertises custom intents');
 
       // Meeting request
       const { requestMeeting } = require('./ai2ai-client');
@@ -451,6 +587,61 @@ async function runTests() {
       });
       assert(quoteResult.status === 'pending_approval', 'Commerce request is pending');
 
+      // Replays and clock skew
+      const { createEnvelope } = require('./ai2ai-client');
+      const postEnvelope = (env) => fetch(ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(env),
+      });
+      const once = createEnvelope({ to: { agent: 'test-server' }, type: 'inform', intent: 'info.share', payload: { info: 'once' } });
+      const firstRes = await postEnvelope(once);
+      assert(firstRes.headers.get('date'), 'Server responses carry a Date header');
+      const dupResult = await (await postEnvelope(once)).json();
+      assert(dupResult.status === 'duplicate', 'Same envelope twice is a duplicate');
+      const seenLog = path.join(DATA_DIR, '.replay', 'message-ids.jsonl');
+      assert(fs.readFileSync(seenLog, 'utf-8').includes(once.id), 'Seen message IDs persisted to disk');
+
+      const future = createEnvelope({ to: { agent: 'test-server' }, type: 'inform', intent: 'info.share', payload: { info: 'later' } });
+      future.timestamp = new Date(Date.now() + 10 * 60000).toISOString();
+      future.signature = crypto.signMessage(future, crypto.loadOrCreateKeys().privateKey);
+      const futureResult = await (await postEnvelope(future)).json();
+      assert(futureResult.reason === 'clock_skew' && futureResult.serverTime, 'Far-future timestamp rejected as clock_skew');
+
+      const lapsed = createEnvelope({ to: { agent: 'test-server' }, type: 'inform', intent: 'info.share', payload: { info: 'stale' } });
+      lapsed.expiresAt = new Date(Date.now() - 10 * 60000).toISOString();
+      lapsed.signature = crypto.signMessage(lapsed, crypto.loadOrCreateKeys().privateKey);
+      const lapsedResult = await (await postEnvelope(lapsed)).json();
+      assert(lapsedResult.reason === 'message_expired', 'Past expiresAt rejected');
+
+      // Payload schemas
+      const noTimes = createEnvelope({ to: { agent: 'test-server' }, type: 'request', intent: 'schedule.meeting', payload: { subject: 'No times' } });
+      const noTimesRes = await postEnvelope(noTimes);
+      const noTimesResult = await noTimesRes.json();
+      assert(noTimesRes.status === 400 && noTimesResult.reason === 'invalid_payload', 'Meeting without proposed_times rejected with 400 invalid_payload');
+      assert(noTimesResult.errors?.some(e => e.path === '/proposed_times'), 'Error points at /proposed_times');
+      const badTime = createEnvelope({ to: { agent: 'test-server' }, type: 'request', intent: 'schedule.meeting', payload: { proposed_times: ['2026-02-10T19:00:00Z', 'next tuesday'] } });
+      const badTimeResult = await (await postEnvelope(badTime)).json();
+      assert(badTimeResult.errors?.length === 1 && badTimeResult.errors[0].path === '/proposed_times/1', 'Error points at the bad array item');
+      const wrongType = createEnvelope({ to: { agent: 'test-server' }, type: 'request', intent: 'message.relay', payload: { message: 42, reply_requested: 'yes' } });
+      const wrongTypeResult = await (await postEnvelope(wrongType)).json();
+      assert(['/message', '/reply_requested'].every(p => wrongTypeResult.errors?.some(e => e.path === p)), 'Every invalid field reported');
+      assert(!conversations.getConversation(noTimes.conversation), 'Invalid request not recorded as a conversation');
+
+      // Custom intents
+      const echoRes = await postEnvelope(createEnvelope({ to: { agent: 'test-server' }, type: 'request', intent: 'test.echo', payload: { text: 'hello' } }));
+      const echoResult = await echoRes.json();
+      assert(echoResult.status === 'ok' && echoResult.payload?.echo === 'hello', 'Async custom handler answers without approval');
+      const badEcho = await postEnvelope(createEnvelope({ to: { agent: 'test-server' }, type: 'request', intent: 'test.echo', payload: { text: 7 } }));
+      assert(badEcho.status === 400 && (await badEcho.json()).errors[0].path === '/text', 'Custom intent schema enforced');
+      const review = createEnvelope({ to: { agent: 'test-server' }, type: 'request', intent: 'test.review', payload: { diff: '+1' } });
+      const reviewResult = await (await postEnvelope(review)).json();
+      assert(reviewResult.status === 'pending_approval', "approval: 'always' waits for the human");
+      assert(conversations.getPendingApproval(review.id)?.approvalMessage.includes('test.review'), 'Default approval message names the intent');
+      const customHealth = await (await fetch(`http://localhost:${PORT}/ai2ai/health`)).json();
+      assert(customHealth.intents.includes('test.echo') && customHealth.versions['test.echo'] === '2.1', 'Health advertises custom intents with versions');
+      assert(customHealth.schemas['test.echo']?.required[0] === 'text', 'Health publishes custom intent schemas');
+
       // Invalid message
       const badRes = await fetch(ENDPOINT, {
         method: 'POST',
@@ -473,12 +664,12 @@ async function runTests() {
       assert(notFoundRes.status === 404, '404 for unknown routes');
 
       // Check pending approvals exist
-      const pendingDir = path.join(__dirname, 'pending');
+      const pendingDir = path.join(DATA_DIR, 'pending');
       const pending = fs.readdirSync(pendingDir).filter(f => f.endsWith('.json'));
       assert(pending.length >= 3, `Pending approvals created (found ${pending.length})`);
 
       // Check conversations exist
-      const convDir = path.join(__dirname, 'conversations');
+      const convDir = path.join(DATA_DIR, 'conversations');
       const convs = fs.readdirSync(convDir).filter(f => f.endsWith('.jsonl'));
       assert(convs.length >= 1, `Conversations recorded (found ${convs.length})`);
 
@@ -683,6 +874,775 @@ async function runTests() {
     }
   }
 
+  // ─── 13. Agent Contexts ─────────────────────────────────────────────────
+  console.log('\n━━━ 13. Agent Contexts ━━━');
+  {
+    const os = require('os');
+    const { createContext } = require('./ai2ai-context');
+    const { createClient } = require('./ai2ai-client');
+
+    const dirA = fs.mkdtempSync(path.join(os.tmpdir(), 'ai2ai-ctx-a-'));
+    const dirB = fs.mkdtempSync(path.join(os.tmpdir(), 'ai2ai-ctx-b-'));
+    let frozenAt = Date.parse('2030-01-15T12:00:00Z');
+    const ctxA = createContext({ dataDir: dirA, clock: () => frozenAt ?? Date.now() });
+    const ctxB = createContext({ dataDir: dirB });
+
+    try {
+      assert(ctxA.dataDir === dirA, 'Context keeps its data directory');
+
+      // Contacts are per context
+      const trustA = trust.createTrust(ctxA);
+      const trustB = trust.createTrust(ctxB);
+      trustA.upsertContact('only-in-a', { humanName: 'A' });
+      assert(trustA.getContact('only-in-a')?.humanName === 'A', 'Context A sees its contact');
+      assert(trustB.getContact('only-in-a') === null, 'Context B does not see A\'s contact');
+      assert(fs.existsSync(path.join(dirA, 'contacts.json')), 'Contacts saved under A\'s data dir');
+      assert(trust.getContact('only-in-a') === null, 'Default context does not see A\'s contact');
+
+      // Conversations and logs follow the context's clock
+      const metaA = conversations.createConversations(ctxA).createConversation('ctx-conv', { intent: 'x', initiator: {} });
+      assert(metaA.createdAt === '2030-01-15T12:00:00.000Z', 'Conversation timestamps use the context clock');
+      assert(conversations.createConversations(ctxB).getConversation('ctx-conv') === null, 'Conversation not visible in context B');
+      assert(fs.existsSync(path.join(dirA, 'logs', 'ai2ai-2030-01-15.log')), 'Logs written under A\'s data dir by date of A\'s clock');
+
+      // Outbox is per context
+      const queueA = queue.createQueue(ctxA);
+      queueA.enqueue('http://localhost:1/ai2ai', { id: 'ctx-queued' });
+      assert(queueA.listQueue().some(q => q.id === 'ctx-queued'), 'Queue entry in context A');
+      assert(!queue.createQueue(ctxB).listQueue().some(q => q.id === 'ctx-queued'), 'Queue entry not in context B');
+      assert(queueA === queue.createQueue(ctxA), 'One queue per context');
+      queueA.cancelAllRetries();
+
+      // Keys are per context
+      const keysA = crypto.loadOrCreateKeys(ctxA);
+      const keysB = crypto.loadOrCreateKeys(ctxB);
+      assert(keysA.publicKey !== keysB.publicKey, 'Each context has its own identity key');
+      assert(crypto.loadOrCreateKeys(ctxA).publicKey === keysA.publicKey, 'Identity key reloaded from A\'s data dir');
+
+      // Storage is chosen per context
+      const dirM = path.join(dirA, 'memory-agent');
+      const ctxM = createContext({ dataDir: dirM, storage: 'memory' });
+      trust.createTrust(ctxM).upsertContact('in-memory', { humanName: 'M' });
+      const convM = conversations.createConversations(ctxM);
+      convM.createConversation('mem-conv', { intent: 'x', initiator: {} });
+      convM.appendMessage('mem-conv', { id: 'mem-msg' });
+      convM.savePendingApproval('mem-pending', { envelope: { id: 'mem-pending' } });
+      queue.createQueue(ctxM).enqueue('http://localhost:1/ai2ai', { id: 'mem-queued' });
+      assert(trust.createTrust(ctxM).getContact('in-memory')?.humanName === 'M', 'Memory storage: contacts');
+      assert(convM.getMessages('mem-conv')[0]?.id === 'mem-msg' && convM.listConversations().length === 1, 'Memory storage: conversations and history');
+      assert(convM.listPendingApprovals()[0]?._filename === 'mem-pending.json', 'Memory storage: pending approvals');
+      assert(queue.createQueue(ctxM).listQueue().length === 1, 'Memory storage: outbox');
+      assert(['contacts.json', 'conversations', 'pending', 'outbox'].every(f => !fs.existsSync(path.join(dirM, f))), 'Memory storage writes none of them to disk');
+      queue.createQueue(ctxM).cancelAllRetries();
+
+      const dirL = path.join(dirA, 'log-agent');
+      trust.createTrust(createContext({ dataDir: dirL, storage: 'log' })).upsertContact('logged', { humanName: 'L' });
+      assert(trust.createTrust(createContext({ dataDir: dirL, storage: 'log' })).getContact('logged')?.humanName === 'L', 'Log storage: contacts survive a new context');
+      assert(fs.readdirSync(dirL).includes('store.jsonl') && !fs.existsSync(path.join(dirL, 'contacts.json')), 'Log storage keeps one store.jsonl');
+
+      // Two agents served from one process
+      // Each agent has its own intents, so both can register the same name
+      const { createIntents } = require('./ai2ai-server');
+      const intentsA = createIntents();
+      const intentsB = createIntents();
+      intentsA.registerIntent('team.sync', { version: '1.0', handler: () => null });
+      intentsB.registerIntent('team.sync', { version: '2.0', handler: () => null });
+      intentsB.registerIntent('team.only_b', { handler: () => null });
+
+      const serverA = startServer(18802, { context: ctxA, agentName: 'ctx-alice', humanName: 'Alice', intents: intentsA });
+      const serverB = startServer(18803, { context: ctxB, agentName: 'ctx-bob', humanName: 'Bob', intents: intentsB });
+      await sleep(300);
+      try {
+        const wellKnownB = await (await fetch('http://localhost:18803/.well-known/ai2ai.json')).json();
+        assert(wellKnownB.agent === 'ctx-bob', 'Server B advertises its own agent name');
+        assert(wellKnownB.publicKey === keysB.publicKey, 'Server B advertises B\'s key');
+        const healthA = await (await fetch('http://localhost:18802/ai2ai/health')).json();
+        assert(wellKnownB.intentVersions['team.sync'] === '2.0' && healthA.versions['team.sync'] === '1.0', 'Two agents register the same intent name');
+        assert(wellKnownB.capabilities.includes('team.only_b') && !healthA.intents.includes('team.only_b'), 'Each agent advertises only its own intents');
+        assert(!handlers.supportedIntents().includes('team.sync') && healthA.intents.includes('schedule.meeting'), 'Per-agent intents include the built-ins and stay out of the default set');
+
+        const clientA = createClient(ctxA, { agentName: 'ctx-alice', humanName: 'Alice', enableQueue: false });
+        const futurePing = await clientA.ping('http://localhost:18803/ai2ai').catch(err => err);
+        assert(futurePing instanceof Error && futurePing.message.includes('403'), 'B rejects A\'s messages dated by A\'s frozen clock');
+
+        frozenAt = null;
+        const pong = await clientA.ping('http://localhost:18803/ai2ai');
+        assert(pong.status === 'ok' && pong.payload?.public_key === keysB.publicKey, 'A pings B in the same process');
+        assert(trustB.getContact('ctx-alice')?.publicKey === keysA.publicKey, 'B stored A\'s key in its own contacts');
+
+        const { loadOrCreateX25519Keys, signX25519Binding } = require('./ai2ai-encryption');
+        const x25519A = loadOrCreateX25519Keys(ctxA).publicKeyDer;
+        assert(trustB.getContact('ctx-alice')?.x25519PublicKey === x25519A, 'B took A\'s X25519 key, signed by A\'s key');
+
+        // An unsigned ping can introduce a key but not replace a known one
+        const ctxE = createContext({ dataDir: path.join(dirA, 'impostor') });
+        const clientE = createClient(ctxE, { agentName: 'ctx-alice', enableQueue: false });
+        const x25519E = loadOrCreateX25519Keys(ctxE).publicKeyDer;
+        const sendUnsignedPing = async (from, payload) => {
+          const env = clientE.createEnvelope({ to: { agent: 'ctx-bob' }, type: 'ping', payload });
+          env.from = { agent: from };
+          delete env.signature;
+          await fetch('http://localhost:18803/ai2ai', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(env) });
+        };
+        await sendUnsignedPing('ctx-alice', {
+          public_key: keysB.publicKey,
+          x25519_public_key: x25519E,
+          x25519_signature: signX25519Binding('ctx-alice', x25519E, crypto.loadOrCreateKeys(ctxE).privateKey),
+        });
+        assert(trustB.getContact('ctx-alice')?.publicKey === keysA.publicKey, 'Ping does not replace a known key');
+        assert(trustB.getContact('ctx-alice')?.x25519PublicKey === x25519A, 'Ping does not replace a known X25519 key');
+        await sendUnsignedPing('ctx-erin', { public_key: crypto.loadOrCreateKeys(ctxE).publicKey, x25519_public_key: x25519E });
+        assert(trustB.getContact('ctx-erin')?.publicKey && !trustB.getContact('ctx-erin').x25519PublicKey, 'X25519 key without a binding signature is not taken');
+
+        const result = await clientA.relayMessage('http://localhost:18803/ai2ai', {
+          message: 'hello from context A', to: { agent: 'ctx-bob', human: 'Bob' },
+        });
+        assert(result.status === 'pending_approval' || result.status === 'received', 'B accepted A\'s message');
+        const pendingB = conversations.createConversations(ctxB).listPendingApprovals();
+        assert(pendingB.some(p => p.envelope?.payload?.message === 'hello from context A'), 'Pending approval saved under B\'s data dir');
+        assert(!conversations.createConversations(ctxA).listPendingApprovals().length, 'Nothing pending for A');
+        assert(!conversations.listPendingApprovals().some(p => p.envelope?.from?.agent === 'ctx-alice'), 'Nothing pending in the default context');
+
+        // The human's answer goes through the agent's own intents, not the default set
+        let reviewed = null;
+        intentsB.registerIntent('team.review', {
+          approval: 'always',
+          handler: () => ({ formatResponse: (reply) => { reviewed = reply; return { payload: { verdict: reply } }; } }),
+        });
+        const reviewEnv = clientA.createEnvelope({ to: { agent: 'ctx-bob' }, type: 'request', intent: 'team.review', payload: {} });
+        conversations.createConversations(ctxB).savePendingApproval(reviewEnv.id, { envelope: reviewEnv, handler: 'team.review' });
+        const { createIntegration } = require('./openclaw-integration');
+        await createIntegration(ctxB, { agentName: 'ctx-bob', intents: intentsB }).handleHumanReply(reviewEnv.id, 'looks good');
+        assert(reviewed === 'looks good', 'Human reply is formatted by the agent\'s own intent handler');
+      } finally {
+        serverA.close();
+        serverB.close();
+      }
+    } finally {
+      fs.rmSync(dirA, { recursive: true, force: true });
+      fs.rmSync(dirB, { recursive: true, force: true });
+    }
+  }
+
+  // ─── 14. Approval Policy ────────────────────────────────────────────────
+  console.log('\n━━━ 14. Approval Policy ━━━');
+  {
+    const os = require('os');
+    const { createContext } = require('./ai2ai-context');
+    const { createPolicy, checkPolicy, matchCondition, formatDecision, DEFAULT_POLICY } = require('./ai2ai-policy');
+    const { createEnvelope } = require('./ai2ai-client');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai2ai-policy-'));
+    const ctx = createContext({ dataDir: dir });
+    const trustP = trust.createTrust(ctx);
+    trustP.upsertContact('pal', { trustLevel: 'trusted' });
+    trustP.upsertContact('acquaintance', { trustLevel: 'known' });
+    const policy = createPolicy(ctx, { timezone: 'Europe/London' });
+    const meeting = (from, payload) => ({ from: { agent: from }, type: 'request', intent: 'schedule.meeting', payload });
+
+    try {
+      assert(policy.loadPolicy() === DEFAULT_POLICY, 'No policy file: default policy');
+      assert(policy.evaluate(meeting('stranger', {})).rule === 'unknown contacts ask', 'Default policy asks about unknown agents');
+      assert(policy.evaluate({ from: { agent: 'acquaintance' }, type: 'inform', intent: 'info.share' }).action === 'approve', 'Default policy approves informs from known agents');
+
+      policy.savePolicy({
+        default: 'ask',
+        rules: [
+          { name: 'no spam', match: { contact: ['spammer'] }, action: 'reject' },
+          {
+            name: 'trusted weekday meetings',
+            match: {
+              intent: 'schedule.*',
+              trustLevel: 'trusted',
+              payload: { proposed_times: { days: ['mon', 'tue', 'wed', 'thu', 'fri'], hours: '09:00-17:00' }, duration_minutes: { max: 60 } },
+            },
+            action: 'approve',
+          },
+          { name: 'addresses', match: { intent: 'info.request', payload: { question: { matches: 'address' } } }, action: 'ask' },
+          { name: 'office hours info', match: { intent: 'info.request', days: ['mon', 'tue', 'wed', 'thu', 'fri'], hours: '09:00-17:00' }, action: 'approve' },
+          { name: 'small quotes', match: { intent: 'commerce.request', payload: { budget: { max: 100 }, currency: { in: ['GBP', 'EUR'] } } }, action: 'approve' },
+        ],
+      });
+      assert(fs.existsSync(path.join(dir, 'policy.json')), 'Policy saved as policy.json in the data dir');
+
+      const ok = policy.evaluate(meeting('pal', { proposed_times: ['2026-02-10T10:00:00Z'], duration_minutes: 45 }));
+      assert(ok.action === 'approve' && ok.rule === 'trusted weekday meetings', 'Trusted weekday meeting auto-approved');
+      assert(ok.trace.length === 2 && ok.trace[0].reason === 'contact is pal', 'Trace explains skipped rules');
+
+      const weekend = policy.evaluate(meeting('pal', { proposed_times: ['2026-02-10T10:00:00Z', '2026-02-14T10:00:00Z'], duration_minutes: 45 }));
+      assert(weekend.action === 'ask' && weekend.rule === null, 'Weekend time falls through to the default');
+      assert(weekend.trace[1].reason.includes('[1]') && weekend.trace[1].reason.includes('sat'), 'Reason names the offending array item');
+      const noTimes = policy.evaluate(meeting('pal', { proposed_times: [], duration_minutes: 45 }));
+      assert(noTimes.action === 'ask' && noTimes.trace[1].reason === 'payload.proposed_times is empty', 'Empty array fails a condition on its items');
+      assert(matchCondition([], { exists: true }) === null && matchCondition([], { exists: true, min: 1 }) === 'is empty', 'Empty array still meets exists alone');
+      const evening = policy.evaluate(meeting('pal', { proposed_times: ['2026-07-07T16:30:00Z'], duration_minutes: 30 }));
+      assert(evening.trace[1].reason.includes('outside 09:00-17:00'), 'Hours use the agent timezone (17:30 BST)');
+      assert(policy.evaluate(meeting('pal', { proposed_times: ['2026-02-10T10:00:00Z'], duration_minutes: 90 })).trace[1].reason.includes('above 60'), 'Amount limits');
+      assert(policy.evaluate(meeting('acquaintance', { proposed_times: ['2026-02-10T10:00:00Z'] })).trace[1].reason === 'trust level is known', 'Trust level matched');
+      assert(policy.evaluate(meeting('spammer', {})).action === 'reject', 'Reject rule');
+
+      const info = (question, at) => policy.evaluate({ from: { agent: 'pal' }, type: 'request', intent: 'info.request', payload: { question } }, { at });
+      assert(info('What is your home ADDRESS?', '2026-02-10T10:00:00Z').rule === 'addresses', 'Payload pattern match, case-insensitive');
+      assert(info('Free for lunch?', '2026-02-10T10:00:00Z').action === 'approve', 'Arrival time inside office hours');
+      assert(info('Free for lunch?', '2026-02-10T20:00:00Z').trace[3].reason === 'it is outside 09:00-17:00', 'Arrival time outside office hours');
+      const quote = (budget, currency) => policy.evaluate({ from: { agent: 'x' }, type: 'request', intent: 'commerce.request', payload: { budget, currency } }).action;
+      assert(quote('£80', 'GBP') === 'approve' && quote('150', 'GBP') === 'ask' && quote(50, 'USD') === 'ask', 'Amounts parsed from strings, currency list');
+
+      assert(checkPolicy({ rules: [{ match: { weekday: 'mon' }, action: 'maybe' }] }).length === 2, 'checkPolicy reports unknown keys and actions');
+      assertThrows(() => policy.savePolicy({ rules: [{ match: { hours: '9-5' }, action: 'ask' }] }), 'savePolicy refuses invalid policies');
+      ctx.storage.set('', 'policy', { default: 'approve', rules: [{ match: {}, action: 'yes' }] });
+      const broken = policy.evaluate(meeting('pal', {}));
+      assert(broken.action === 'ask' && broken.problems.length === 1, 'Broken policy file asks for everything');
+      assert(formatDecision(broken).includes('invalid policy'), 'Explanation mentions the broken policy');
+      fs.writeFileSync(path.join(dir, 'policy.json'), '{ "default": "approve", "rules": [ }');
+      const unparseable = policy.evaluate(meeting('pal', {}));
+      assert(unparseable.action === 'ask' && /not valid JSON/.test(unparseable.problems[0]), 'Unparseable policy file asks instead of falling back to the defaults');
+      assert(trustP.requiresApproval('pal', 'schedule.meeting', 'request') === true, 'requiresApproval answers from the policy');
+      policy.savePolicy({
+        rules: [
+          { name: 'no spam', match: { contact: 'spammer' }, action: 'reject' },
+          { name: 'trusted meetings', match: { intent: 'schedule.meeting', trustLevel: 'trusted' }, action: 'approve' },
+        ],
+      });
+      const explained = formatDecision(policy.evaluate(meeting('pal', {})));
+      assert(explained.includes('✗ no spam — contact is pal') && explained.includes('→ approve (rule "trusted meetings")'), 'formatDecision explains which rule fired');
+
+      // Dry run from the command line
+      const envelopeFile = path.join(dir, 'envelope.json');
+      fs.writeFileSync(envelopeFile, JSON.stringify(meeting('spammer', {})));
+      const dryRun = require('child_process').execFileSync(process.execPath, [path.join(__dirname, 'ai2ai-policy.js'), envelopeFile, '--data-dir', dir], { encoding: 'utf-8', timeout: 10000 });
+      assert(dryRun.includes('✓ no spam') && dryRun.includes('→ reject'), 'Dry-run CLI prints the rule that fired');
+
+      // The server follows the policy
+      const { loadOrCreateX25519Keys } = require('./ai2ai-encryption');
+      const palCtx = createContext({ dataDir: path.join(dir, 'pal') });
+      const palKeys = crypto.loadOrCreateKeys(palCtx);
+      trustP.upsertContact('pal', { endpoint: 'http://localhost:18805/ai2ai', publicKey: palKeys.publicKey, x25519PublicKey: loadOrCreateX25519Keys(palCtx).publicKeyDer });
+      trustP.upsertContact('keyless-pal', { trustLevel: 'trusted' });
+      trust.createTrust(palCtx).upsertContact('policy-agent', { publicKey: crypto.loadOrCreateKeys(ctx).publicKey });
+      const server = startServer(18804, { context: ctx, agentName: 'policy-agent' });
+      const palServer = startServer(18805, { context: palCtx, agentName: 'pal' });
+      await sleep(300);
+      try {
+        const post = async (from, fields, { signed = from === 'pal' } = {}) => {
+          const env = createEnvelope({ to: { agent: 'policy-agent' }, ...fields });
+          env.from = { agent: from, human: from };
+          delete env.signature;
+          if (signed) env.signature = crypto.signMessage(env, palKeys.privateKey);
+          const res = await fetch('http://localhost:18804/ai2ai', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(env) });
+          return { res, body: await res.json() };
+        };
+        const times = { proposed_times: ['2031-02-11T10:00:00Z', '2031-02-11T12:00:00Z'], duration_minutes: 60 };
+        const convP = conversations.createConversations(ctx);
+        const palPending = () => conversations.createConversations(palCtx).listPendingApprovals();
+
+        const { body: auto } = await post('pal', { type: 'request', intent: 'schedule.meeting', payload: times });
+        assert(auto.status === 'ok' && auto.auto_reply?.type === 'response', 'Rule approval overrides the handler asking for a human');
+        const autoConv = convP.getConversation(auto.conversation);
+        assert(autoConv.state === 'confirmed' && autoConv.acceptedTime === '2031-02-11T10:00:00Z', 'Auto-accepted meeting confirms the conversation');
+        assert(convP.getMessages(auto.conversation).length === 2, 'Automatic reply recorded in the conversation');
+        await sleep(300);
+        const delivered = palPending().find(p => p.envelope.conversation === auto.conversation);
+        assert(delivered?.envelope.payload.accepted_time === '2031-02-11T10:00:00Z', 'Reply delivered with the first free time');
+        assert(delivered?.envelope._wasEncrypted === true, 'Reply was encrypted and its signature verified');
+        assert(queue.createQueue(ctx).listQueue().length === 0, 'Delivered reply leaves the outbox');
+
+        const { body: second } = await post('pal', { type: 'request', intent: 'schedule.meeting', payload: { ...times, proposed_times: ['2031-02-11T10:30:00Z', '2031-02-11T12:00:00Z'] } });
+        assert(convP.getConversation(second.conversation).acceptedTime === '2031-02-11T12:00:00Z', 'Times that clash with a confirmed meeting are skipped');
+
+        // A trusted name is only trusted when the message is signed by its key
+        const forged = await post('pal', { type: 'request', intent: 'schedule.meeting', payload: times }, { signed: false });
+        assert(forged.res.status === 403 && forged.body.reason === 'invalid_signature', 'Unsigned request claiming a contact with a key is rejected');
+        const { body: unverified } = await post('keyless-pal', { type: 'request', intent: 'schedule.meeting', payload: times });
+        assert(unverified.status === 'pending_approval' && !unverified.auto_reply, 'Trusted contact without a key is not approved automatically');
+
+        const { body: past } = await post('pal', { type: 'request', intent: 'schedule.meeting', payload: { proposed_times: ['2020-01-01T10:00:00Z'] } });
+        assert(past.status === 'pending_approval', 'No free time: the human decides');
+
+        const spam = await post('spammer', { type: 'request', intent: 'schedule.meeting', payload: times });
+        assert(spam.res.status === 403 && spam.body.reason === 'policy_rejected', 'Policy rejection refused with 403 policy_rejected');
+        assert(convP.getConversation(spam.body.conversation)?.state === 'rejected', 'Rejected conversation closed');
+        const { body: asked } = await post('acquaintance', { type: 'request', intent: 'schedule.meeting', payload: times });
+        assert(asked.status === 'pending_approval', 'Unmatched request waits for the human');
+        const askedPending = convP.getPendingApproval(asked.conversation) || convP.listPendingApprovals().find(p => p.envelope.conversation === asked.conversation);
+        assert(askedPending?.policy?.action === 'ask' && askedPending.policy.rule === null, 'Pending approval records the policy decision');
+
+        policy.savePolicy({ rules: [{ name: 'trusted anything', match: { trustLevel: 'trusted' }, action: 'approve' }] });
+        ctx.storage.set('', 'profile', { answers: [{ matches: '(', answer: 'bad pattern' }, { matches: 'time ?zone', answer: 'Europe/London' }] });
+        const { body: answered } = await post('pal', { type: 'request', intent: 'info.request', payload: { question: 'Which timezone are you in?' } });
+        assert(answered.auto_reply?.type === 'response' && convP.getConversation(answered.conversation).state === 'negotiating', 'Question answered from the profile');
+        const { body: unknownQ } = await post('pal', { type: 'request', intent: 'info.request', payload: { question: 'Favourite colour?' } });
+        assert(unknownQ.status === 'pending_approval', 'Question the profile cannot answer goes to the human');
+        const { body: intro } = await post('pal', { type: 'request', intent: 'social.introduction', payload: { person_name: 'Sam' } });
+        assert(intro.auto_reply?.type === 'confirm' && convP.getConversation(intro.conversation).state === 'confirmed', 'Introduction accepted automatically');
+        await sleep(300);
+        assert(palPending().some(p => p.envelope.payload.answer === 'Europe/London'), 'Profile answer delivered');
+
+        // An AI2AI agent awaiting the answer gets the automatic reply
+        const { AI2AI } = require('./client');
+        const asker = new AI2AI({ name: 'pal-v1', port: 18815, timeout: 3000, dataDir: path.join(dir, 'pal-v1') });
+        await asker.start();
+        try {
+          trustP.upsertContact('pal-v1', { trustLevel: 'trusted', endpoint: 'http://localhost:18815/ai2ai', publicKey: asker._keys.publicKey });
+          asker.addContact('policy-agent', { endpoint: 'http://localhost:18804/ai2ai', publicKey: crypto.loadOrCreateKeys(ctx).publicKey });
+          const awaited = await asker.request('policy-agent', 'info.request', { question: 'Which timezone are you in?' }, { awaitReply: true });
+          assert(awaited.payload.answer === 'Europe/London' && awaited.inReplyTo, 'awaitReply settles with the automatic reply');
+        } finally {
+          await asker.stop();
+        }
+      } finally {
+        server.close();
+        palServer.close();
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  // ─── 15. Calendar ───────────────────────────────────────────────────────
+  console.log('\n━━━ 15. Calendar ━━━');
+  {
+    const os = require('os');
+    const { createContext } = require('./ai2ai-context');
+    const { parseICS, createIcsCalendar, createMemoryCalendar, createCalendar, freeSlots } = require('./ai2ai-calendar');
+    const { createClient } = require('./ai2ai-client');
+    const { createPolicy } = require('./ai2ai-policy');
+    const { createAgent } = require('./ai2ai-server');
+    const { loadOrCreateX25519Keys } = require('./ai2ai-encryption');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai2ai-calendar-'));
+    const at = (iso) => Date.parse(iso);
+
+    try {
+      const ics = [
+        'BEGIN:VCALENDAR', 'VERSION:2.0',
+        'BEGIN:VEVENT', 'UID:a', 'DTSTART:20310303T083000Z', 'DTEND:20310303T093000Z', 'SUMMARY:Dentist\\, then work', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:b', 'DTSTART;TZID=Europe/London:20310701T120000', 'DURATION:PT1H30M', 'SUMMARY:Lunch with a ver',
+        ' y long name', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:c', 'DTSTART;VALUE=DATE:20310704', 'SUMMARY:Holiday', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:d', 'DTSTART:20310303T120000Z', 'DTEND:20310303T130000Z', 'STATUS:CANCELLED', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:e', 'DTSTART:20310303T140000Z', 'DTEND:20310303T150000Z', 'TRANSP:TRANSPARENT', 'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\r\n');
+      const events = parseICS(ics, { timeZone: 'UTC' });
+      assert(events.length === 5 && events[0].summary === 'Dentist, then work', 'ICS events parsed with escaped text');
+      assert(events[1].start === at('2031-07-01T11:00:00Z') && events[1].end === at('2031-07-01T12:30:00Z'), 'TZID time and DURATION read');
+      assert(events[1].summary === 'Lunch with a very long name', 'Folded lines unfolded');
+      assert(events[2].end - events[2].start === 86400000, 'All-day event lasts the day');
+
+      const icsDir = path.join(dir, 'ics');
+      fs.mkdirSync(icsDir);
+      fs.writeFileSync(path.join(icsDir, 'export.ics'), ics);
+      const dirCal = createIcsCalendar(icsDir);
+      const busy = dirCal.listEvents(at('2031-03-03T00:00:00Z'), at('2031-03-04T00:00:00Z'));
+      assert(busy.length === 1 && busy[0].uid === 'a', 'Cancelled and transparent events are not busy');
+
+      // Exports from other calendars: Windows TZIDs, recurring events, and one event we can't read
+      const warnings = [];
+      const exportCal = createIcsCalendar(path.join(dir, 'outlook.ics'), { timeZone: 'Europe/London', logger: { warn: (cat, msg) => warnings.push(msg) } });
+      fs.writeFileSync(path.join(dir, 'outlook.ics'), [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT', 'UID:win', 'DTSTART;TZID=W. Europe Standard Time:20310701T090000', 'DTEND;TZID=W. Europe Standard Time:20310701T100000', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:odd-tz', 'DTSTART;TZID=Somewhere Standard Time:20310701T120000', 'DURATION:PT1H', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:bad-rule', 'DTSTART:20310701T150000Z', 'DURATION:PT1H', 'RRULE:FREQ=HOURLY', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:standup', 'DTSTART;TZID=Europe/London:20310303T093000', 'DURATION:PT15M',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20310401T000000Z', 'EXDATE;TZID=Europe/London:20310305T093000', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:monthly', 'DTSTART:20310131T160000Z', 'DURATION:PT1H', 'RRULE:FREQ=MONTHLY;COUNT=3', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:last-friday', 'DTSTART:20310328T170000Z', 'DURATION:PT1H', 'RRULE:FREQ=MONTHLY;BYDAY=-1FR', 'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\r\n'));
+      const july = exportCal.listEvents(at('2031-07-01T00:00:00Z'), at('2031-07-02T00:00:00Z'));
+      assert(july.find(e => e.uid === 'win')?.start === at('2031-07-01T07:00:00Z'), 'Windows TZID mapped to its IANA zone');
+      assert(july.find(e => e.uid === 'odd-tz')?.start === at('2031-07-01T11:00:00Z'), 'Unknown TZID read in the calendar\'s timezone');
+      assert(!july.some(e => e.uid === 'bad-rule') && warnings.some(w => w.includes('bad-rule')), 'Unreadable event skipped and logged, the rest kept');
+      const march = exportCal.listEvents(at('2031-03-01T00:00:00Z'), at('2031-04-15T00:00:00Z'));
+      const standups = march.filter(e => e.uid === 'standup');
+      assert(standups.length === 12 && standups[0].start === at('2031-03-03T09:30:00Z') && standups[standups.length - 1].start === at('2031-03-31T08:30:00Z'), 'Weekly RRULE expanded by BYDAY and UNTIL, across the clock change');
+      assert(!standups.some(e => e.start === at('2031-03-05T09:30:00Z')), 'EXDATE occurrence left out');
+      const monthly = exportCal.listEvents(at('2031-01-01T00:00:00Z'), at('2032-01-01T00:00:00Z')).filter(e => e.uid === 'monthly');
+      assert(monthly.map(e => new Date(e.start).toISOString().slice(0, 10)).join() === '2031-01-31,2031-03-31,2031-05-31', 'Monthly RRULE skips months without the day and stops at COUNT');
+      const lastFriday = exportCal.listEvents(at('2031-06-02T00:00:00Z'), at('2031-06-03T00:00:00Z')).filter(e => e.uid === 'last-friday');
+      assert(lastFriday.length === 1, 'RRULE we can\'t expand counts as busy');
+
+      const fileCal = createIcsCalendar(path.join(dir, 'single', 'cal.ics'));
+      const event = { uid: 'm1@ai2ai', start: at('2031-03-05T10:00:00Z'), end: at('2031-03-05T11:00:00Z'), summary: 'Sync; weekly', attendees: [{ agent: 'alex-ai', human: 'Alex' }] };
+      fileCal.saveEvent(event);
+      fileCal.saveEvent({ uid: 'm2@ai2ai', start: at('2031-03-06T10:00:00Z'), end: at('2031-03-06T11:00:00Z'), summary: 'Other' });
+      fileCal.saveEvent({ ...event, start: at('2031-03-05T15:00:00Z'), end: at('2031-03-05T16:00:00Z') });
+      const saved = fileCal.listEvents(0, at('2032-01-01T00:00:00Z'));
+      assert(saved.length === 2 && saved[0].start === at('2031-03-05T15:00:00Z') && saved[0].summary === 'Sync; weekly', 'Saving an event again replaces it in the file');
+      assert(/ATTENDEE;ROLE=REQ-PARTICIPANT;CN="Alex":urn:ai2ai:alex-ai/.test(fs.readFileSync(path.join(dir, 'single', 'cal.ics'), 'utf-8')), 'Attendees written');
+
+      // Floating times are the agent's local time
+      fs.mkdirSync(path.join(dir, 'ny', 'calendar'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'ny', 'calendar', 'local.ics'),
+        'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nUID:floating\r\nDTSTART:20310701T090000\r\nDURATION:PT1H\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n');
+      const july1 = [at('2031-06-30T00:00:00Z'), at('2031-07-02T00:00:00Z')];
+      const nyCtx = createContext({ dataDir: path.join(dir, 'ny'), timezone: 'America/New_York' });
+      assert(nyCtx.calendar.listEvents(...july1)[0]?.start === at('2031-07-01T13:00:00Z'), 'Context timezone used for floating times');
+      const tokyo = createAgent({ context: nyCtx, agentName: 'tz-agent', timezone: 'Asia/Tokyo' });
+      assert(tokyo.calendar.provider.listEvents(...july1)[0]?.start === at('2031-07-01T00:00:00Z') && tokyo.config.timezone === 'Asia/Tokyo', 'Agent timezone passed on to its calendar');
+
+      // Ranking against a memory calendar
+      const memCtx = createContext({ dataDir: path.join(dir, 'mem'), storage: 'memory', clock: () => at('2031-03-03T00:00:00Z') });
+      memCtx.calendar.saveEvent({ uid: 'busy', start: '2031-03-03T10:00:00Z', end: '2031-03-03T11:00:00Z', summary: 'Standup' });
+      const cal = createCalendar(memCtx, { timezone: 'UTC' });
+      const checked = cal.checkTimes(['2031-03-03T11:00:00Z', '2031-03-03T14:00:00Z', '2031-03-03T10:30:00Z', '2031-03-02T10:00:00Z'], 60);
+      assert(checked[1].rank === 1 && checked[0].rank === 2, 'Free times ranked by the room around them');
+      assert(!checked[2].free && checked[2].conflicts[0] === 'Standup', 'Clashing time lists what it clashes with');
+      assert(checked[3].past && !checked[3].free, 'Past time is not free');
+
+      const slots = cal.findFreeSlots({ from: '2031-03-01T00:00:00Z', count: 3, hours: '09:00-12:00' });
+      assert(slots.length === 3 && slots[0] === '2031-03-03T09:00:00.000Z' && slots[1] === '2031-03-04T09:00:00.000Z', 'Free slots start on weekdays, one per day');
+      const packed = freeSlots([{ start: at('2031-03-03T09:00:00Z'), end: at('2031-03-03T10:00:00Z') }],
+        { from: at('2031-03-03T00:00:00Z'), to: at('2031-03-04T00:00:00Z'), count: 2, hours: '09:00-12:00' });
+      assert(packed.join() === '2031-03-03T10:00:00.000Z,2031-03-03T11:00:00.000Z', 'Slots skip busy time and fill a day when needed');
+      const tzSlots = freeSlots([], { from: at('2031-07-01T00:00:00Z'), to: at('2031-07-02T00:00:00Z'), count: 1, timezone: 'Europe/London' });
+      assert(tzSlots[0] === '2031-07-01T08:00:00.000Z', 'Working hours are in the agent timezone');
+
+      const handled = handlers.getHandler('schedule.meeting')(
+        { subject: 'Plan', proposed_times: ['2031-03-03T10:30:00Z', '2031-03-03T14:00:00Z'], duration_minutes: 60 },
+        { agent: 'pal', human: 'Pal' }, null, { checkTimes: cal.checkTimes });
+      assert(/clashes with Standup/.test(handled.approvalMessage) && /free \(best\)/.test(handled.approvalMessage), 'Approval message marks free and clashing times');
+      assert(handled.autoReply({ checkTimes: cal.checkTimes }) === '2', 'Automatic reply takes the best free time');
+
+      // Two agents: the requester proposes its free slots, the other side takes the one it's free for
+      const ctxA = createContext({ dataDir: path.join(dir, 'a') });
+      const ctxB = createContext({ dataDir: path.join(dir, 'b') });
+      trust.createTrust(ctxA).upsertContact('cal-b', { publicKey: crypto.loadOrCreateKeys(ctxB).publicKey, x25519PublicKey: loadOrCreateX25519Keys(ctxB).publicKeyDer });
+      trust.createTrust(ctxB).upsertContact('cal-a', { trustLevel: 'trusted', endpoint: 'http://localhost:18806/ai2ai', publicKey: crypto.loadOrCreateKeys(ctxA).publicKey, x25519PublicKey: loadOrCreateX25519Keys(ctxA).publicKeyDer });
+      createPolicy(ctxB).savePolicy({ rules: [{ name: 'trusted', match: { trustLevel: 'trusted' }, action: 'approve' }] });
+      ctxB.calendar.saveEvent({ uid: 'dentist', start: at('2031-03-03T08:30:00Z'), end: at('2031-03-03T09:30:00Z'), summary: 'Dentist' });
+
+      const serverA = startServer(18806, { context: ctxA, agentName: 'cal-a' });
+      const serverB = startServer(18807, { context: ctxB, agentName: 'cal-b' });
+      await sleep(300);
+      try {
+        const clientA = createClient(ctxA, { agentName: 'cal-a', humanName: 'Ann' });
+        const sent = await clientA.requestMeeting('http://localhost:18807/ai2ai', {
+          subject: 'Roadmap', to: { agent: 'cal-b', human: 'Bo' }, slots: { from: '2031-03-03T00:00:00Z', count: 2 },
+        });
+        assert(sent.status === 'ok' && sent.auto_reply, 'Meeting request with generated slots answered automatically');
+        await sleep(400);
+        const convA = conversations.createConversations(ctxA).getConversation(sent.conversation);
+        assert(convA.state === 'confirmed' && convA.acceptedTime === '2031-03-04T09:00:00.000Z', 'Requester confirmed on the time the other side was free for');
+        const uid = `${sent.conversation}@ai2ai`;
+        const [mine] = ctxA.calendar.listEvents(at('2031-03-04T00:00:00Z'), at('2031-03-05T00:00:00Z'));
+        const [theirs] = ctxB.calendar.listEvents(at('2031-03-04T00:00:00Z'), at('2031-03-05T00:00:00Z'));
+        assert(mine?.uid === uid && theirs?.uid === uid && mine.summary === 'Roadmap', 'Both calendars hold the meeting');
+        const written = fs.readFileSync(path.join(ctxA.dataDir, 'calendar', `${encodeURIComponent(uid)}.ics`), 'utf-8');
+        assert(/CN="Ann":urn:ai2ai:cal-a/.test(written) && /CN="Bo":urn:ai2ai:cal-b/.test(written), 'Meeting attendees taken from the envelope');
+
+        // Accepting a time that was never proposed goes to the human instead
+        const offline = createClient(ctxA, { agentName: 'cal-a', humanName: 'Ann', enableQueue: false });
+        await offline.requestMeeting('http://localhost:9/ai2ai', {
+          subject: 'Retro', to: { agent: 'cal-b', human: 'Bo' }, proposedTimes: ['2031-03-06T10:00:00Z'],
+        }).catch(() => null);
+        const retro = conversations.createConversations(ctxA).listConversations().find(c => c.intent === 'schedule.meeting' && c.id !== sent.conversation);
+        const clientB = createClient(ctxB, { agentName: 'cal-b', humanName: 'Bo', enableEncryption: false });
+        await clientB.sendMessage('http://localhost:18806/ai2ai', clientB.createEnvelope({
+          to: { agent: 'cal-a', human: 'Ann' }, type: 'response', intent: 'schedule.meeting', conversationId: retro?.id,
+          payload: { accepted_time: '2031-03-06T16:00:00Z' },
+        }));
+        const retroA = conversations.createConversations(ctxA).getConversation(retro?.id);
+        const flagged = conversations.createConversations(ctxA).listPendingApprovals().find(p => p.envelope.conversation === retro?.id);
+        assert(retroA?.state !== 'confirmed' && !retroA?.acceptedTime, 'Accepted time outside the proposals does not confirm');
+        assert(/not one of the times you proposed/.test(flagged?.approvalMessage), 'Human asked about the unproposed time');
+      } finally {
+        serverA.close();
+        serverB.close();
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  // ─── 16. Group Scheduling ───────────────────────────────────────────────
+  console.log('\n━━━ 16. Group Scheduling ━━━');
+  {
+    const os = require('os');
+    const { createContext } = require('./ai2ai-context');
+    const { createClient } = require('./ai2ai-client');
+    const { createCalendar } = require('./ai2ai-calendar');
+    const { createPolicy } = require('./ai2ai-policy');
+    const { groupState, createGroupCoordinator } = require('./ai2ai-group');
+    const { createIntegration } = require('./openclaw-integration');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai2ai-group-'));
+    const T = ['2031-03-03T10:00:00.000Z', '2031-03-04T10:00:00.000Z', '2031-03-05T10:00:00.000Z'];
+
+    try {
+      // Coordinator on its own, with the broadcasts captured
+      let now = Date.parse('2031-03-01T00:00:00Z');
+      const ctxU = createContext({ dataDir: path.join(dir, 'unit'), storage: 'memory', clock: () => now });
+      const sent = [];
+      const client = { ...createClient(ctxU, { agentName: 'org' }), sendToMultiple: async (endpoints, env) => { sent.push({ endpoints, env }); return {}; } };
+      const groups = createGroupCoordinator(ctxU, { client, calendar: createCalendar(ctxU) });
+      const convU = conversations.createConversations(ctxU);
+      const request = client.createEnvelope({ to: [{ agent: 'p1' }, { agent: 'p2' }, { agent: 'p3' }], type: 'request', intent: 'schedule.group', payload: { subject: 'Retro', proposed_times: T } });
+      convU.createConversation(request.conversation, { intent: 'schedule.group', initiator: request.from, participants: [request.from] });
+      convU.updateConversation(request.conversation, {
+        group: groupState({ endpoints: ['p1', 'p2', 'p3'].map(agent => ({ agent, endpoint: `http://localhost:1/${agent}` })), proposedTimes: T, subject: 'Retro', quorum: 2, deadline: '2031-03-02T00:00:00Z' }),
+      });
+      convU.appendMessage(request.conversation, request);
+      const reply = (agent, type, payload) => ({ from: { agent }, type, conversation: request.conversation, payload });
+
+      assert(groups.recordResponse(reply('stranger', 'response', { accepted_time: T[0] })) === null, 'Replies from outside the group are not collected');
+      let summary = groups.recordResponse(reply('p1', 'response', { available_times: [T[1], T[2], '2031-09-09T10:00:00Z'] }));
+      summary = groups.recordResponse(reply('p2', 'response', { accepted_time: T[2], counter_proposal: 'Or Friday?' }));
+      assert(summary.best.time === T[2] && summary.best.count === 2 && summary.quorumMet, 'Best overlap found and quorum met');
+      assert(summary.waiting.join() === 'p3' && convU.listPendingApprovals().length === 0, 'Organiser not asked while replies are outstanding');
+      assert(groups.checkDeadlines().length === 0, 'Nothing decided before the deadline');
+      now = Date.parse('2031-03-02T00:01:00Z');
+      assert(groups.checkDeadlines()[0] === request.conversation, 'Deadline hands the group to the organiser');
+      const [asked] = convU.listPendingApprovals();
+      assert(asked?.handler === 'group' && /no answer from p3/.test(asked.approvalMessage) && /p2 suggests:\** Or Friday\?/.test(asked.approvalMessage), 'One summary for the organiser');
+      assert(groups.recordResponse(reply('p3', 'response', { accepted_time: T[0] })).responded.length === 2, 'Replies after the decision are ignored');
+
+      const round = await groups.proposeNewRound(request.conversation, { proposedTimes: ['2031-03-10T10:00:00Z'] });
+      assert(round.round === 2 && sent[0].env.payload.round === 2 && sent[0].env.type === 'request' && sent[0].endpoints.length === 3, 'New round broadcast to everyone');
+      assert(groups.summary(request.conversation).responded.length === 0 && convU.listPendingApprovals().length === 0, 'New round starts with no replies');
+      groups.recordResponse(reply('p1', 'reject', { reason: 'Away' }));
+      assert(groups.summary(request.conversation).declined[0] === 'p1', 'Declines recorded');
+      await groups.cancelGroup(request.conversation);
+      assert(sent[1].env.type === 'reject' && convU.getConversation(request.conversation).state === 'rejected', 'Cancelling tells everyone');
+      const lateConfirm = await groups.confirmGroup(request.conversation, { time: T[0] }).catch(err => err);
+      assert(lateConfirm instanceof Error && /already cancelled/.test(lateConfirm.message), 'A cancelled group cannot be confirmed');
+      assert(sent.length === 2 && convU.getConversation(request.conversation).state === 'rejected', 'Nothing sent for the refused confirm');
+
+      // Three agents: the participants answer automatically, the organiser confirms once
+      const agents = { 'grp-o': 18808, 'grp-p1': 18809, 'grp-p2': 18810 };
+      const ctxs = {};
+      for (const name of Object.keys(agents)) ctxs[name] = createContext({ dataDir: path.join(dir, name) });
+      for (const [name, ctxN] of Object.entries(ctxs)) {
+        for (const [other, port] of Object.entries(agents)) {
+          if (other !== name) trust.createTrust(ctxN).upsertContact(other, { trustLevel: 'trusted', endpoint: `http://localhost:${port}/ai2ai`, publicKey: crypto.loadOrCreateKeys(ctxs[other]).publicKey });
+        }
+      }
+      for (const p of ['grp-p1', 'grp-p2']) createPolicy(ctxs[p]).savePolicy({ rules: [{ name: 'organiser', match: { contact: 'grp-o' }, action: 'approve' }] });
+      ctxs['grp-p1'].calendar.saveEvent({ uid: 'x', start: Date.parse(T[0]), end: Date.parse(T[0]) + 3600000, summary: 'Busy' });
+      ctxs['grp-p2'].calendar.saveEvent({ uid: 'y', start: Date.parse(T[1]), end: Date.parse(T[1]) + 3600000, summary: 'Busy' });
+
+      const servers = Object.entries(agents).map(([name, port]) => startServer(port, { context: ctxs[name], agentName: name }));
+      await sleep(300);
+      try {
+        const organiser = createClient(ctxs['grp-o'], { agentName: 'grp-o' });
+        const results = await organiser.requestGroupMeeting(
+          [{ agent: 'grp-p1', endpoint: 'http://localhost:18809/ai2ai' }, { agent: 'grp-p2', endpoint: 'http://localhost:18810/ai2ai' }],
+          { subject: 'Planning', proposedTimes: T });
+        const conversationId = results['grp-p1'].conversation;
+        await sleep(500);
+        const convO = conversations.createConversations(ctxs['grp-o']);
+        const pendingO = convO.listPendingApprovals();
+        assert(pendingO.length === 1 && pendingO[0].summary.best.time === T[2], 'Both replies collected into one decision on the shared time');
+
+        const decided = await createIntegration(ctxs['grp-o'], { agentName: 'grp-o' }).handleHumanReply(pendingO[0].envelope.id, 'confirm');
+        assert(decided.success && convO.getConversation(conversationId).state === 'confirmed', 'Organiser confirms the best time');
+        await sleep(300);
+        const states = ['grp-p1', 'grp-p2'].map(p => conversations.createConversations(ctxs[p]).getConversation(conversationId)?.state);
+        assert(states.every(st => st === 'confirmed'), 'Confirm broadcast to every participant');
+        const inCalendars = Object.values(ctxs).map(c => c.calendar.listEvents(Date.parse(T[2]), Date.parse(T[2]) + 1).length);
+        assert(inCalendars.every(n => n === 1), 'Everyone\'s calendar has the meeting');
+
+        const groupsO = createGroupCoordinator(ctxs['grp-o'], { client: organiser, calendar: createCalendar(ctxs['grp-o']) });
+        const lateCancel = await groupsO.cancelGroup(conversationId).catch(err => err);
+        assert(lateCancel instanceof Error && /already confirmed/.test(lateCancel.message), 'A confirmed group cannot be cancelled');
+        assert(convO.getConversation(conversationId).state === 'confirmed' && groupsO.getGroup(conversationId).status === 'confirmed', 'Confirmed group left as it was');
+      } finally {
+        servers.forEach(srv => srv.close());
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  // ─── 17. Commerce Negotiation ───────────────────────────────────────────
+  console.log('\n━━━ 17. Commerce Negotiation ━━━');
+  {
+    const os = require('os');
+    const { createContext } = require('./ai2ai-context');
+    const { createClient } = require('./ai2ai-client');
+    const { createOffer, repriceOffer, nextMove, newNegotiation, createNegotiator } = require('./ai2ai-commerce');
+    const { createIntegration } = require('./openclaw-integration');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai2ai-commerce-'));
+
+    try {
+      const offer = createOffer({ items: [{ description: 'Widget', quantity: 10, unit_price: 15 }, { description: 'Shipping', unit_price: 9.99 }], currency: 'EUR' });
+      assert(offer.total === 159.99 && offer.items[1].quantity === 1 && offer.offer_id, 'Offer total is computed from the line items');
+      const counter = repriceOffer(createOffer({ items: [{ description: 'Widget', quantity: 10, unit_price: 15 }] }), 120, { isCounter: true });
+      assert(counter.total === 120 && counter.items[0].unit_price === 12 && counter.is_counter, 'Repricing scales the items to the new total');
+
+      const now = Date.parse('2031-04-01T00:00:00Z');
+      const buyer = newNegotiation({ role: 'buyer', bounds: { ceiling: 100, maxRounds: 2 } });
+      assert(nextMove(buyer, { total: 95 }, now).action === 'ask', 'An offer within bounds goes to the human');
+      assert(nextMove(buyer, { total: 150, valid_until: '2031-03-01T00:00:00Z' }, now).action === 'ask', 'An expired offer goes to the human');
+      assert(nextMove(newNegotiation({ role: 'buyer' }), { total: 150 }, now).action === 'ask', 'No bounds, no automatic counter');
+      const first = nextMove({ ...buyer, history: [{ total: 150 }] }, { total: 150 }, now);
+      assert(first.action === 'counter' && first.total === 75, 'First counter concedes a step from the opening price');
+      assert(nextMove({ ...buyer, counters: 2, history: [{ total: 150 }] }, { total: 140 }, now).action === 'ask', 'Rounds used up goes to the human');
+
+      // Two offers waiting: accepting the older one is refused, not turned into accepting the newer
+      const ctxQ = createContext({ dataDir: path.join(dir, 'two-offers'), storage: 'memory' });
+      trust.createTrust(ctxQ).upsertContact('seller-q', { endpoint: 'http://localhost:9/ai2ai' });
+      const convQ = conversations.createConversations(ctxQ);
+      convQ.createConversation('c-two-offers', { intent: 'commerce.request', initiator: { agent: 'buyer-q' }, recipient: { agent: 'seller-q' } });
+      const sentQ = [];
+      const stubClient = { CONFIG: { agentName: 'buyer-q' }, createEnvelope: (fields) => ({ id: `out-${sentQ.length}`, ...fields }), sendMessage: async (endpoint, env) => { sentQ.push(env); return { status: 'ok' }; } };
+      const buyerQ = createNegotiator(ctxQ, { client: stubClient });
+      const offerQ = (id, total) => ({ id, conversation: 'c-two-offers', type: 'response', intent: 'commerce.offer', from: { agent: 'seller-q' }, payload: createOffer({ items: [{ description: 'Widget', unit_price: total }] }) });
+      const older = offerQ('o-120', 120);
+      buyerQ.receive(older);
+      buyerQ.receive(offerQ('o-150', 150));
+      const stale = await buyerQ.acceptOffer('c-two-offers', older.payload.offer_id).catch(err => err);
+      assert(stale instanceof Error && /newer one \(150/.test(stale.message) && sentQ.length === 0, 'Accepting an offer that has been replaced is refused');
+      const answered = await createIntegration(ctxQ, { agentName: 'buyer-q' }).handleHumanReply('o-120', 'accept');
+      assert(!answered.success && buyerQ.getNegotiation('c-two-offers').status === 'open' && convQ.getPendingApproval('o-120'), 'Human accepting the older offer sends nothing and can still answer');
+
+      // Buyer and seller servers: the agents haggle within bounds, the buyer's human closes
+      const agents = { 'shop-buyer': 18811, 'shop-seller': 18812 };
+      const ctxs = {};
+      for (const name of Object.keys(agents)) ctxs[name] = createContext({ dataDir: path.join(dir, name) });
+      for (const [name, ctxN] of Object.entries(ctxs)) {
+        for (const [other, port] of Object.entries(agents)) {
+          if (other !== name) trust.createTrust(ctxN).upsertContact(other, { trustLevel: 'trusted', endpoint: `http://localhost:${port}/ai2ai`, publicKey: crypto.loadOrCreateKeys(ctxs[other]).publicKey });
+        }
+      }
+      const sentIntents = [];
+      const servers = Object.entries(agents).map(([name, port]) => startServer(port, { context: ctxs[name], agentName: name }));
+      await sleep(300);
+      try {
+        const buyerClient = createClient(ctxs['shop-buyer'], { agentName: 'shop-buyer' });
+        const quote = await buyerClient.requestQuote('http://localhost:18812/ai2ai', {
+          item: 'Widget', quantity: 10, to: { agent: 'shop-seller' }, bounds: { ceiling: 100, maxRounds: 2 },
+        });
+        const conversationId = quote.conversation;
+        await sleep(200);
+
+        const sellerClient = createClient(ctxs['shop-seller'], { agentName: 'shop-seller' });
+        const seller = createNegotiator(ctxs['shop-seller'], {
+          client: { ...sellerClient, sendMessage: (endpoint, env) => { sentIntents.push(env.intent); return sellerClient.sendMessage(endpoint, env); } },
+        });
+        seller.setBounds(conversationId, { floor: 90 });
+        await seller.sendOffer(conversationId, { items: [{ description: 'Widget', quantity: 10, unit_price: 15 }] });
+        await sleep(800);
+
+        const convB = conversations.createConversations(ctxs['shop-buyer']);
+        const buyerSide = convB.getConversation(conversationId).negotiation;
+        assert(buyerSide.history.map(o => o.total).join() === '150,75,100', 'Buyer countered 75, seller came down to 100');
+        const pendingB = convB.listPendingApprovals();
+        assert(pendingB.length === 1 && pendingB[0].handler === 'negotiation' && /Within your ceiling of 100/.test(pendingB[0].approvalMessage), 'The in-bounds offer is put to the buyer\'s human');
+        assert(!sentIntents.includes('commerce.accept') && convB.getConversation(conversationId).state !== 'confirmed', 'Nothing is accepted without the human');
+
+        // Commerce replies are held to their schema like requests are
+        const strictSeller = createClient(ctxs['shop-seller'], { agentName: 'shop-seller', enableQueue: false });
+        const junk = strictSeller.createEnvelope({ to: { agent: 'shop-buyer' }, type: 'response', intent: 'commerce.offer', conversationId, payload: { total: -1, items: 'all of them' } });
+        const junkSent = await strictSeller.sendMessage('http://localhost:18811/ai2ai', junk).catch(err => err);
+        assert(/HTTP 400/.test(junkSent.message) && convB.getConversation(conversationId).negotiation.history.length === 3, 'Malformed offer rejected and left out of the negotiation');
+
+        // An acceptance that can't be sent or queued leaves the offer open
+        const buyerClientOffline = createClient(ctxs['shop-buyer'], { agentName: 'shop-buyer', enableQueue: false });
+        const cutOff = createNegotiator(ctxs['shop-buyer'], { client: { ...buyerClientOffline, sendMessage: async () => { throw new Error('Failed to reach the seller'); } } });
+        const failedAccept = await cutOff.acceptOffer(conversationId).catch(err => err);
+        assert(failedAccept instanceof Error && convB.getConversation(conversationId).negotiation.status === 'open' && convB.getConversation(conversationId).state !== 'confirmed',
+          'Failed acceptance is not recorded as agreed');
+
+        const accepted = await createIntegration(ctxs['shop-buyer'], { agentName: 'shop-buyer' }).handleHumanReply(pendingB[0].envelope.id, 'accept');
+        await sleep(300);
+        const sellerSide = conversations.createConversations(ctxs['shop-seller']).getConversation(conversationId);
+        assert(accepted.success && sellerSide.negotiation.status === 'agreed' && sellerSide.negotiation.agreed.total === 100, 'Human accepts; the seller records the agreed offer');
+        assert(sellerSide.state === 'confirmed' && convB.getConversation(conversationId).state === 'confirmed', 'Both sides confirmed');
+        await sleep(500);
+        const deals = Object.values(ctxs).map(c => c.storage.entries('agreements').map(([, a]) => a));
+        assert(deals.every(d => d.length === 1 && Object.keys(d[0].signatures).length === 2) && deals[0][0].terms.offer.total === 100 && deals[0][0].terms.buyer === 'shop-buyer',
+          'Both sides hold the deal signed by buyer and seller');
+      } finally {
+        servers.forEach(srv => srv.close());
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  // ─── 18. Agreements ─────────────────────────────────────────────────────
+  console.log('\n━━━ 18. Agreements ━━━');
+  {
+    const os = require('os');
+    const { execFileSync } = require('child_process');
+    const { createContext } = require('./ai2ai-context');
+    const { createClient } = require('./ai2ai-client');
+    const { createPolicy } = require('./ai2ai-policy');
+    const { signAgreement, verifyAgreement, hashConversation, createAgreements } = require('./ai2ai-agreement');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai2ai-agreement-'));
+
+    try {
+      const agents = { 'deal-a': 18813, 'deal-b': 18814 };
+      const ctxs = {};
+      for (const name of Object.keys(agents)) ctxs[name] = createContext({ dataDir: path.join(dir, name) });
+      const keys = Object.fromEntries(Object.entries(ctxs).map(([name, c]) => [name, crypto.loadOrCreateKeys(c)]));
+
+      // Documents on their own
+      const messages = [{ id: 'm1', type: 'request' }, { id: 'm2', type: 'response' }];
+      const body = {
+        version: 1, agreement_id: 'agr-1', conversation: 'c1', intent: 'schedule.meeting',
+        terms: { type: 'meeting', subject: 'Review', time: '2031-05-06T10:00:00.000Z', duration_minutes: 30 },
+        conversation_hash: hashConversation(messages), message_count: 2, created_at: '2031-05-01T00:00:00.000Z',
+        parties: Object.entries(keys).map(([agent, k]) => ({ agent, human: null, public_key: k.publicKey })),
+        signatures: {},
+      };
+      const half = signAgreement(body, 'deal-a', keys['deal-a'].privateKey);
+      const both = signAgreement(half, 'deal-b', keys['deal-b'].privateKey);
+      assert(verifyAgreement(both, { messages: [...messages, { id: 'm3' }] }).valid, 'Both signatures and the conversation hash check out');
+      assert(verifyAgreement(half).errors.join() === 'Not signed by deal-b', 'Every party must sign');
+      assert(/Bad signature from deal-a/.test(verifyAgreement({ ...both, terms: { ...both.terms, duration_minutes: 90 } }).errors.join()), 'Changed terms break the signatures');
+      assert(!verifyAgreement(both, { messages: messages.slice(1) }).valid, 'A different log fails the hash');
+      assert(!verifyAgreement(both, { publicKeys: { 'deal-b': keys['deal-a'].publicKey } }).valid, 'Keys must match the ones on record');
+
+      // Two servers: B accepts A's meeting automatically, then both sign
+      for (const [name, ctxN] of Object.entries(ctxs)) {
+        for (const [other, port] of Object.entries(agents)) {
+          if (other !== name) trust.createTrust(ctxN).upsertContact(other, { trustLevel: 'trusted', endpoint: `http://localhost:${port}/ai2ai`, publicKey: keys[other].publicKey });
+        }
+      }
+      createPolicy(ctxs['deal-b']).savePolicy({ rules: [{ name: 'a', match: { contact: 'deal-a' }, action: 'approve' }] });
+      const servers = Object.entries(agents).map(([name, port]) => startServer(port, { context: ctxs[name], agentName: name }));
+      await sleep(300);
+      try {
+        const result = await createClient(ctxs['deal-a'], { agentName: 'deal-a' }).requestMeeting('http://localhost:18814/ai2ai', {
+          subject: 'Contract review', proposedTimes: ['2031-05-06T10:00:00Z'], durationMinutes: 30, to: { agent: 'deal-b' },
+        });
+        await sleep(1200);
+        const stores = Object.fromEntries(Object.entries(ctxs).map(([name, c]) => [name, createAgreements(c, { client: createClient(c, { agentName: name }) })]));
+        const [fromA] = stores['deal-a'].listAgreements(result.conversation);
+        const [fromB] = stores['deal-b'].listAgreements(result.conversation);
+        assert(fromA && fromB && JSON.stringify(fromA) === JSON.stringify(fromB), 'Both sides keep the same agreement');
+        assert(fromA.terms.time === '2031-05-06T10:00:00.000Z' && fromA.terms.subject === 'Contract review' && fromA.terms.duration_minutes === 30, 'Agreement holds the meeting terms');
+        const logA = conversations.createConversations(ctxs['deal-a']).getMessages(result.conversation);
+        assert(verifyAgreement(fromA, { messages: logA }).valid, 'Signed by both, tied to the drafter\'s log');
+        assert(conversations.createConversations(ctxs['deal-b']).getConversation(result.conversation).agreements[0] === fromA.agreement_id, 'Conversation points to its agreement');
+
+        // Refused when the terms aren't what we agreed
+        const forged = signAgreement({ ...fromA, agreement_id: 'agr-forged', terms: { ...fromA.terms, duration_minutes: 240 }, signatures: {} }, 'deal-a', keys['deal-a'].privateKey);
+        const refused = stores['deal-b'].receive({ from: { agent: 'deal-a' }, conversation: result.conversation, payload: { agreement: forged } });
+        assert(refused.reason === 'agreement_mismatch' && /terms differ/.test(refused.errors.join()) && !stores['deal-b'].getAgreement('agr-forged'), 'Won\'t counter-sign different terms');
+
+        // Offline check from the shell
+        const file = path.join(ctxs['deal-a'].dataDir, 'agreements', `${fromA.agreement_id}.json`);
+        const out = execFileSync(process.execPath, [path.join(__dirname, 'ai2ai-agreement.js'), file, '--data-dir', ctxs['deal-b'].dataDir], { encoding: 'utf-8', timeout: 10000 });
+        assert(/✓ Valid/.test(out), 'CLI verifies a stored agreement');
+        fs.writeFileSync(path.join(dir, 'tampered.json'), JSON.stringify({ ...fromA, terms: { ...fromA.terms, subject: 'Something else' } }));
+        let status = 0;
+        try {
+          execFileSync(process.execPath, [path.join(__dirname, 'ai2ai-agreement.js'), path.join(dir, 'tampered.json')], { encoding: 'utf-8', timeout: 10000 });
+        } catch (err) {
+          status = err.status;
+        }
+        assert(status === 1, 'CLI exits 1 for a tampered agreement');
+      } finally {
+        servers.forEach(srv => srv.close());
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
   // ─── Summary ────────────────────────────────────────────────────────────
   console.log('\n' + '═'.repeat(60));
   console.log(`  ✅ Passed: ${passed}`);
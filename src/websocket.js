@@ -0,0 +1,587 @@
+/**
+ * AI2AI WebSocket Transport
+ *
+ * Provides:
+ * - RFC 6455 framing (text, ping/pong, close, fragmentation)
+ * - Server upgrade handling and client connect
+ * - Ping/pong keepalive and write backpressure
+ * - Authenticated agent sessions (signed challenge/hello/welcome)
+ * - Envelope request/result correlation over one long-lived socket
+ *
+ * Zero external dependencies — Node.js built-ins only.
+ *
+ * @author Mikoshi Ltd <mikoshiuk@gmail.com>
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { EventEmitter, once } = require('events');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const WS_PATH = '/ai2ai/ws';
+
+const OPCODES = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+
+/**
+ * Compute the Sec-WebSocket-Accept value for a client key
+ * @param {string} key
+ * @returns {string}
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+/**
+ * Encode a single frame
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @param {boolean} mask - Clients must mask, servers must not
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload, mask) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.alloc(2);
+    header[1] = len;
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  header[0] = 0x80 | opcode; // FIN + opcode
+
+  if (!mask) return Buffer.concat([header, payload]);
+
+  header[1] |= 0x80;
+  const maskKey = crypto.randomBytes(4);
+  const masked = Buffer.alloc(len);
+  for (let i = 0; i < len; i++) masked[i] = payload[i] ^ maskKey[i % 4];
+  return Buffer.concat([header, maskKey, masked]);
+}
+
+// ─── WebSocket Connection ───────────────────────────────────────────────────
+
+class WebSocket extends EventEmitter {
+  /**
+   * @param {net.Socket} socket - Upgraded socket
+   * @param {object} opts
+   * @param {boolean} opts.isServer - Server side expects masked frames and sends unmasked
+   * @param {number} [opts.maxPayload=1048576] - Max message size in bytes
+   * @param {number} [opts.pingInterval=30000] - Keepalive interval (0 disables)
+   * @param {Buffer} [opts.head] - Bytes already read past the upgrade response
+   */
+  constructor(socket, opts = {}) {
+    super();
+    this.socket = socket;
+    this.isServer = opts.isServer === true;
+    this.maxPayload = opts.maxPayload ?? 1024 * 1024;
+    this.pingInterval = opts.pingInterval ?? 30000;
+    this.open = true;
+    this._buffer = Buffer.alloc(0);
+    this._fragments = [];
+    this._fragmentOpcode = null;
+    this._closeSent = false;
+    this._alive = true;
+    this._backlog = []; // messages that arrived before anyone listened
+
+    this.on('newListener', (event) => {
+      if (event !== 'message' || !this._backlog.length) return;
+      process.nextTick(() => {
+        while (this._backlog.length && this.listenerCount('message')) this.emit('message', this._backlog.shift());
+      });
+    });
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this._onData(chunk));
+    // Server sockets allow half-open; a peer that vanished without a close frame must still close ours
+    socket.on('end', () => socket.end());
+    socket.on('close', () => this._onClose());
+    socket.on('error', (err) => this._emitError(err));
+
+    if (this.pingInterval > 0) {
+      this._pingTimer = setInterval(() => {
+        if (!this._alive) { this.terminate(); return; }
+        this._alive = false;
+        this.ping();
+      }, this.pingInterval);
+      if (this._pingTimer.unref) this._pingTimer.unref();
+    }
+
+    if (opts.head && opts.head.length) this._onData(opts.head);
+  }
+
+  /**
+   * Send a text message. Waits for the socket to drain first when the
+   * kernel buffer is full, so fast senders can't grow memory unbounded.
+   * @param {string} text
+   * @returns {Promise<void>}
+   */
+  async send(text) {
+    if (!this.open) throw new Error('WebSocket is closed');
+    if (this.socket.writableNeedDrain) await once(this.socket, 'drain');
+    if (!this.open) throw new Error('WebSocket is closed');
+    this.socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf-8'), !this.isServer));
+  }
+
+  ping(data = Buffer.alloc(0)) {
+    if (this.open) this.socket.write(encodeFrame(OPCODES.PING, data, !this.isServer));
+  }
+
+  /**
+   * Start the closing handshake
+   * @param {number} [code=1000]
+   * @param {string} [reason]
+   */
+  close(code = 1000, reason = '') {
+    if (!this.open || this._closeSent) return;
+    this._closeSent = true;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.write(encodeFrame(OPCODES.CLOSE, payload, !this.isServer));
+    this._closeTimer = setTimeout(() => this.terminate(), 5000);
+    if (this._closeTimer.unref) this._closeTimer.unref();
+  }
+
+  terminate() {
+    this.socket.destroy();
+  }
+
+  get bufferedAmount() {
+    return this.socket.writableLength;
+  }
+
+  _onData(chunk) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+    try {
+      let frame;
+      while ((frame = this._readFrame())) this._handleFrame(frame);
+    } catch (err) {
+      this.close(err.closeCode || 1002, err.message);
+      this._emitError(err);
+    }
+  }
+
+  // Nothing listens for errors until a session is set up; an unhandled 'error'
+  // would crash the process, so drop the connection instead
+  _emitError(err) {
+    if (this.listenerCount('error')) this.emit('error', err);
+    else this.terminate();
+  }
+
+  _readFrame() {
+    const buf = this._buffer;
+    if (buf.length < 2) return null;
+
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0F;
+    const masked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7F;
+    let offset = 2;
+
+    if (len === 126) {
+      if (buf.length < 4) return null;
+      len = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (len === 127) {
+      if (buf.length < 10) return null;
+      const big = buf.readBigUInt64BE(2);
+      if (big > BigInt(this.maxPayload)) throw Object.assign(new Error('Frame too large'), { closeCode: 1009 });
+      len = Number(big);
+      offset = 10;
+    }
+
+    if (len > this.maxPayload) throw Object.assign(new Error('Frame too large'), { closeCode: 1009 });
+    if (this.isServer && !masked) throw new Error('Client frames must be masked');
+    if (!this.isServer && masked) throw new Error('Server frames must not be masked');
+
+    const maskLen = masked ? 4 : 0;
+    if (buf.length < offset + maskLen + len) return null;
+
+    let payload = buf.subarray(offset + maskLen, offset + maskLen + len);
+    if (masked) {
+      const maskKey = buf.subarray(offset, offset + 4);
+      payload = Buffer.from(payload);
+      for (let i = 0; i < payload.length; i++) payload[i] ^= maskKey[i % 4];
+    }
+
+    this._buffer = buf.subarray(offset + maskLen + len);
+    return { fin, opcode, payload };
+  }
+
+  _handleFrame({ fin, opcode, payload }) {
+    this._alive = true;
+
+    switch (opcode) {
+      case OPCODES.PING:
+        if (this.open) this.socket.write(encodeFrame(OPCODES.PONG, payload, !this.isServer));
+        return;
+
+      case OPCODES.PONG:
+        this.emit('pong');
+        return;
+
+      case OPCODES.CLOSE: {
+        const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+        if (!this._closeSent) {
+          this._closeSent = true;
+          this.socket.write(encodeFrame(OPCODES.CLOSE, payload.subarray(0, 2), !this.isServer));
+        }
+        this.closeCode = code;
+        this.socket.end();
+        return;
+      }
+
+      case OPCODES.TEXT:
+      case OPCODES.BINARY:
+        if (this._fragmentOpcode !== null) throw new Error('Expected continuation frame');
+        if (fin) { this._emitMessage(opcode, payload); return; }
+        this._fragmentOpcode = opcode;
+        this._fragments = [payload];
+        return;
+
+      case OPCODES.CONTINUATION: {
+        if (this._fragmentOpcode === null) throw new Error('Unexpected continuation frame');
+        this._fragments.push(payload);
+        const total = this._fragments.reduce((n, f) => n + f.length, 0);
+        if (total > this.maxPayload) throw Object.assign(new Error('Message too large'), { closeCode: 1009 });
+        if (!fin) return;
+        const op = this._fragmentOpcode;
+        const data = Buffer.concat(this._fragments);
+        this._fragmentOpcode = null;
+        this._fragments = [];
+        this._emitMessage(op, data);
+        return;
+      }
+
+      default:
+        throw new Error(`Unknown opcode ${opcode}`);
+    }
+  }
+
+  _emitMessage(opcode, data) {
+    const message = opcode === OPCODES.TEXT ? data.toString('utf-8') : data;
+    if (this.listenerCount('message') === 0 || this._backlog.length) this._backlog.push(message);
+    else this.emit('message', message);
+  }
+
+  _onClose() {
+    if (!this.open) return;
+    this.open = false;
+    clearInterval(this._pingTimer);
+    clearTimeout(this._closeTimer);
+    this.emit('close', this.closeCode || 1006);
+  }
+}
+
+/**
+ * Complete a server-side upgrade handshake
+ * @param {http.IncomingMessage} req
+ * @param {net.Socket} socket
+ * @param {Buffer} head
+ * @param {object} [opts] - WebSocket options
+ * @returns {WebSocket|null} null if the request was not a valid upgrade
+ */
+function handleUpgrade(req, socket, head, opts = {}) {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    '', '',
+  ].join('\r\n'));
+
+  return new WebSocket(socket, { ...opts, isServer: true, head });
+}
+
+/**
+ * Open a client WebSocket connection
+ * @param {string} url - ws:// or wss:// URL
+ * @param {object} [opts] - { timeout, maxPayload, pingInterval }
+ * @returns {Promise<WebSocket>}
+ */
+function connectWebSocket(url, opts = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'wss:' ? https : http;
+    const key = crypto.randomBytes(16).toString('base64');
+
+    const req = client.request({
+      hostname: target.hostname,
+      port: target.port,
+      path: target.pathname + target.search,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13',
+        'X-AI2AI-Version': '1.0',
+      },
+      timeout: opts.timeout || 10000,
+    });
+
+    req.on('upgrade', (res, socket, head) => {
+      if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+        socket.destroy();
+        reject(new Error('Invalid Sec-WebSocket-Accept'));
+        return;
+      }
+      resolve(new WebSocket(socket, { ...opts, isServer: false, head }));
+    });
+    req.on('response', (res) => {
+      res.resume();
+      reject(new Error(`WebSocket upgrade failed: HTTP ${res.statusCode}`));
+    });
+    req.on('error', reject);
+    req.on('timeout', () => { req.destroy(); reject(new Error('WebSocket connect timeout')); });
+    req.end();
+  });
+}
+
+/**
+ * Derive the WebSocket URL for an agent's HTTP endpoint
+ * http://host:18800/ai2ai → ws://host:18800/ai2ai/ws
+ * @param {string} endpoint
+ * @returns {string}
+ */
+function wsUrlFor(endpoint) {
+  const url = new URL(endpoint);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  url.pathname = WS_PATH;
+  return url.toString();
+}
+
+// ─── Agent Sessions ─────────────────────────────────────────────────────────
+
+function signText(text, privateKeyPem) {
+  return crypto.sign(null, Buffer.from(text), crypto.createPrivateKey(privateKeyPem)).toString('base64');
+}
+
+function verifyText(text, signature, publicKeyPem) {
+  try {
+    return crypto.verify(null, Buffer.from(text), crypto.createPublicKey(publicKeyPem), Buffer.from(signature, 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+class AgentSession extends EventEmitter {
+  /**
+   * An authenticated socket between two agents. Either side may send
+   * envelopes; each one is answered with a result frame.
+   * @param {WebSocket} ws
+   * @param {object} opts
+   * @param {string} opts.peer - Authenticated peer agent ID
+   * @param {boolean} [opts.verified=false] - The peer proved it holds the key we have for it
+   *   (false when we had no key and took its word for the ID)
+   * @param {Function} opts.onEnvelope - async (envelope) => { statusCode, body }
+   */
+  constructor(ws, opts) {
+    super();
+    this.ws = ws;
+    this.peer = opts.peer;
+    this.verified = opts.verified === true;
+    this.onEnvelope = opts.onEnvelope;
+    this._refs = 0;
+    this._inflight = new Map(); // ref → { resolve, reject, timer }
+
+    ws.on('message', (text) => this._onMessage(text));
+    ws.on('error', () => { /* surfaced through close */ });
+    ws.on('close', (code) => {
+      for (const [, p] of this._inflight) {
+        clearTimeout(p.timer);
+        p.reject(new Error('WebSocket closed'));
+      }
+      this._inflight.clear();
+      this.emit('close', code);
+    });
+  }
+
+  get isOpen() { return this.ws.open; }
+
+  /**
+   * Send an envelope and wait for the peer's result
+   * @param {object} envelope
+   * @param {number} [timeout=30000]
+   * @returns {Promise<{ statusCode: number, body: object }>}
+   */
+  send(envelope, timeout = 30000) {
+    const ref = ++this._refs;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._inflight.delete(ref);
+        reject(new Error('Request timeout'));
+      }, timeout);
+      this._inflight.set(ref, { resolve, reject, timer });
+      this.ws.send(JSON.stringify({ frame: 'envelope', ref, envelope })).catch((err) => {
+        clearTimeout(timer);
+        this._inflight.delete(ref);
+        reject(err);
+      });
+    });
+  }
+
+  close(code, reason) { this.ws.close(code, reason); }
+
+  async _onMessage(text) {
+    let msg;
+    try { msg = JSON.parse(text); } catch { return; }
+
+    if (msg.frame === 'result') {
+      const pending = this._inflight.get(msg.ref);
+      if (!pending) return;
+      clearTimeout(pending.timer);
+      this._inflight.delete(msg.ref);
+      pending.resolve({ statusCode: msg.statusCode, body: msg.body });
+      return;
+    }
+
+    if (msg.frame === 'envelope') {
+      let result;
+      try {
+        result = await this.onEnvelope(msg.envelope);
+      } catch (err) {
+        result = { statusCode: 500, body: { error: 'Internal error' } };
+      }
+      try {
+        await this.ws.send(JSON.stringify({ frame: 'result', ref: msg.ref, ...result }));
+      } catch { /* socket went away */ }
+    }
+  }
+}
+
+/**
+ * Wait for the next JSON frame on a socket
+ */
+function nextFrame(ws, timeout) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      ws.removeListener('message', onMessage);
+      ws.removeListener('close', onClose);
+    };
+    const onMessage = (text) => {
+      cleanup();
+      try { resolve(JSON.parse(text)); } catch { reject(new Error('Invalid handshake frame')); }
+    };
+    const onClose = () => { cleanup(); reject(new Error('WebSocket closed during handshake')); };
+    const timer = setTimeout(() => { cleanup(); reject(new Error('Handshake timeout')); }, timeout);
+    ws.on('message', onMessage);
+    ws.on('close', onClose);
+  });
+}
+
+/**
+ * Server side of the session handshake:
+ *   → challenge { agent, nonce }
+ *   ← hello     { agent, nonce, signature }   (signs our nonce)
+ *   → welcome   { agent, signature }          (signs their nonce)
+ *
+ * @param {WebSocket} ws
+ * @param {object} opts
+ * @param {string} opts.agentId - Our agent ID
+ * @param {string} opts.privateKey - Our Ed25519 private key (PEM)
+ * @param {Function} opts.resolvePublicKey - async (agentId) => PEM | null
+ * @param {boolean} [opts.strict=false] - Refuse peers whose key is unknown
+ * @param {Function} opts.onEnvelope - async (envelope, session) => { statusCode, body }
+ * @param {number} [opts.timeout=10000]
+ * @returns {Promise<AgentSession>}
+ */
+async function acceptSession(ws, opts) {
+  const timeout = opts.timeout || 10000;
+  const nonce = crypto.randomBytes(16).toString('hex');
+  await ws.send(JSON.stringify({ frame: 'challenge', agent: opts.agentId, nonce }));
+
+  const hello = await nextFrame(ws, timeout);
+  const fail = async (reason) => {
+    try { await ws.send(JSON.stringify({ frame: 'error', reason })); } catch { /* ignore */ }
+    ws.close(4001, reason);
+    throw new Error(`WebSocket handshake failed: ${reason}`);
+  };
+
+  if (hello.frame !== 'hello' || !hello.agent || !hello.nonce) return fail('invalid_hello');
+
+  const publicKey = await opts.resolvePublicKey(hello.agent);
+  if (publicKey) {
+    const text = `ai2ai-ws-hello:${nonce}:${hello.agent}:${opts.agentId}`;
+    if (!hello.signature || !verifyText(text, hello.signature, publicKey)) return fail('invalid_signature');
+  } else if (opts.strict) {
+    return fail('invalid_signature');
+  }
+
+  const signature = signText(`ai2ai-ws-welcome:${hello.nonce}:${opts.agentId}:${hello.agent}`, opts.privateKey);
+  await ws.send(JSON.stringify({ frame: 'welcome', agent: opts.agentId, signature }));
+
+  const session = new AgentSession(ws, { peer: hello.agent, verified: Boolean(publicKey), onEnvelope: null });
+  session.onEnvelope = (envelope) => opts.onEnvelope(envelope, session);
+  return session;
+}
+
+/**
+ * Client side of the session handshake
+ * @param {string} url - ws:// URL of the peer
+ * @param {object} opts
+ * @param {string} opts.agentId - Our agent ID
+ * @param {string} opts.privateKey - Our Ed25519 private key (PEM)
+ * @param {string} [opts.peerId] - Expected peer agent ID
+ * @param {string} [opts.peerPublicKey] - Peer's Ed25519 key; welcome is verified when known
+ * @param {Function} opts.onEnvelope - async (envelope, session) => { statusCode, body }
+ * @param {number} [opts.timeout=10000]
+ * @param {number} [opts.pingInterval=30000]
+ * @returns {Promise<AgentSession>}
+ */
+async function openSession(url, opts) {
+  const timeout = opts.timeout || 10000;
+  const ws = await connectWebSocket(url, { timeout, pingInterval: opts.pingInterval });
+
+  try {
+    const challenge = await nextFrame(ws, timeout);
+    if (challenge.frame !== 'challenge' || !challenge.nonce) throw new Error('Expected challenge');
+    if (opts.peerId && challenge.agent !== opts.peerId) throw new Error(`Connected to ${challenge.agent}, expected ${opts.peerId}`);
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const signature = signText(`ai2ai-ws-hello:${challenge.nonce}:${opts.agentId}:${challenge.agent}`, opts.privateKey);
+    await ws.send(JSON.stringify({ frame: 'hello', agent: opts.agentId, nonce, signature }));
+
+    const welcome = await nextFrame(ws, timeout);
+    if (welcome.frame === 'error') throw new Error(`WebSocket handshake rejected: ${welcome.reason}`);
+    if (welcome.frame !== 'welcome') throw new Error('Expected welcome');
+    if (opts.peerPublicKey) {
+      const text = `ai2ai-ws-welcome:${nonce}:${challenge.agent}:${opts.agentId}`;
+      if (!verifyText(text, welcome.signature || '', opts.peerPublicKey)) throw new Error('Invalid welcome signature');
+    }
+
+    const session = new AgentSession(ws, { peer: challenge.agent, verified: Boolean(opts.peerPublicKey), onEnvelope: null });
+    session.onEnvelope = (envelope) => opts.onEnvelope(envelope, session);
+    return session;
+  } catch (err) {
+    ws.terminate();
+    throw err;
+  }
+}
+
+module.exports = {
+  WS_PATH,
+  OPCODES,
+  WebSocket,
+  AgentSession,
+  acceptKey,
+  encodeFrame,
+  handleUpgrade,
+  connectWebSocket,
+  wsUrlFor,
+  acceptSession,
+  openSession,
+};